@@ -1,17 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
 import axios from 'axios';
 import {
     Activity, Droplet, Thermometer, Wind, Zap, AlertTriangle, CheckCircle,
     TrendingUp, FlaskConical, Settings, Sprout, Bell, Droplets, Sun,
     ChevronRight, Database, Table, Clock, Gauge, MapPin, BarChart3,
-    CloudRain, Cloud, ArrowUp, ArrowDown, Shield, Leaf, Upload
+    CloudRain, Cloud, ArrowUp, ArrowDown, Shield, Leaf, Upload, Cpu
 } from 'lucide-react';
 import LeafBackground from './components/LeafBackground';
 import SwayingLeaf from './components/SwayingLeaf';
 import Chatbot from './components/Chatbot';
 import PhotoUpload from './components/PhotoUpload';
 import LanguageSelector from './components/LanguageSelector';
+import DevicesPanel from './components/DevicesPanel';
 import {
     AreaChart, Area, LineChart, Line, BarChart, Bar, XAxis, YAxis,
     CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell,
@@ -20,6 +21,9 @@ import {
 import { motion, AnimatePresence } from 'framer-motion';
 
 const API_BASE = 'http://localhost:5001/api';
+// While the live stream is connected, a slow full refresh still picks up changes that emit no
+// events (field edits, analytics)
+const LIVE_POLL_MS = 10 * 60 * 1000;
 
 const App = () => {
     const { t, i18n } = useTranslation();
@@ -43,8 +47,10 @@ const App = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [showDropletAnimation, setShowDropletAnimation] = useState(true);
+    const lastFetchRef = useRef(0);
 
     const fetchData = async () => {
+        lastFetchRef.current = Date.now();
         try {
             const [statusRes, historyRes, analyticsRes, fieldsRes] = await Promise.all([
                 axios.get(`${API_BASE}/status`),
@@ -170,13 +176,106 @@ const App = () => {
     const [selectedCropForMonitoring, setSelectedCropForMonitoring] = useState(null);
     const [monitoredCropData, setMonitoredCropData] = useState(null);
 
+    // True while the live event stream is connected; polling slows down to LIVE_POLL_MS while it is
+    const liveRef = useRef(false);
+    // Bumped on live device events so the Devices tab reloads
+    const [deviceEventAt, setDeviceEventAt] = useState(0);
+
     useEffect(() => {
         fetchData();
         // Refresh all data every 2 minutes (120000ms)
-        const interval = setInterval(fetchData, 120000);
+        const interval = setInterval(() => {
+            if (!liveRef.current || Date.now() - lastFetchRef.current >= LIVE_POLL_MS) fetchData();
+        }, 120000);
         return () => clearInterval(interval);
     }, []);
 
+    // Live updates over Server-Sent Events. Readings, alerts and the server's per-field evaluations
+    // are applied in place; only irrigation events (rare) trigger a coalesced refetch.
+    // EventSource reconnects by itself and resumes from the last event.
+    useEffect(() => {
+        if (typeof EventSource === 'undefined') return;
+
+        const source = new EventSource(`${API_BASE}/stream`);
+        let refreshTimer = null;
+        const refresh = (delay = 2000) => {
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(fetchData, delay);
+        };
+        const handle = (apply) => (event) => {
+            try {
+                apply(JSON.parse(event.data));
+            } catch (err) {
+                refresh();
+            }
+        };
+
+        // Field cards without a registered field are keyed by crop type
+        const matchesCard = (card, item) => item.fieldId
+            ? card.fieldId === String(item.fieldId)
+            : card.fieldId === item.cropType;
+        const matchesStatus = (sensorData, item) => !!sensorData && (item.fieldId
+            ? String(sensorData.fieldId) === String(item.fieldId)
+            : !sensorData.fieldId && sensorData.cropType === item.cropType);
+
+        const applyReading = (reading) => {
+            const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+            setHistory(prev => [...prev, reading]
+                .filter(r => new Date(r.timestamp).getTime() >= cutoff)
+                .slice(-100));
+            setFields(prev => prev.map(card => matchesCard(card, reading) ? {
+                ...card,
+                moisture: reading.soil?.moisture ?? card.moisture,
+                temperature: reading.weather?.temperature ?? card.temperature,
+                humidity: reading.weather?.humidity ?? card.humidity,
+                nitrogen: reading.soil?.nitrogen ?? card.nitrogen,
+                phosphorus: reading.soil?.phosphorus ?? card.phosphorus,
+                potassium: reading.soil?.potassium ?? card.potassium,
+                timestamp: reading.timestamp
+            } : card));
+            // The overview follows the newest reading on the farm, as GET /api/status does
+            setStatus(prev => {
+                if (!prev?.sensorData) return prev;
+                if (new Date(reading.timestamp) < new Date(prev.sensorData.timestamp)) return prev;
+                return { ...prev, sensorData: { ...reading, weather: { ...prev.sensorData.weather, ...reading.weather } } };
+            });
+        };
+
+        const applyEvaluation = (evaluation) => {
+            setFields(prev => prev.map(card => matchesCard(card, evaluation) && evaluation.recommendation ? {
+                ...card,
+                recommendation: evaluation.recommendation,
+                status: evaluation.recommendation.priority || card.status
+            } : card));
+            setStatus(prev => matchesStatus(prev?.sensorData, evaluation)
+                ? { ...prev, recommendation: evaluation.recommendation || prev.recommendation, state: evaluation.state }
+                : prev);
+        };
+
+        const applyAlert = (alert) => {
+            setStatus(prev => {
+                if (!prev) return prev;
+                const others = (prev.alerts || []).filter(a => a._id !== alert._id);
+                const open = ['created', 'updated', 'acknowledged'].includes(alert.action);
+                return { ...prev, alerts: open ? [alert, ...others].slice(0, 10) : others };
+            });
+        };
+
+        source.onopen = () => { liveRef.current = true; };
+        source.onerror = () => { liveRef.current = false; };
+        source.addEventListener('sensor', handle(applyReading));
+        source.addEventListener('status', handle(applyEvaluation));
+        source.addEventListener('alert', handle(applyAlert));
+        source.addEventListener('irrigation', () => refresh());
+        source.addEventListener('device', () => setDeviceEventAt(Date.now()));
+
+        return () => {
+            clearTimeout(refreshTimer);
+            liveRef.current = false;
+            source.close();
+        };
+    }, []);
+
     // Separate interval for fields data (every 2 minutes)
     useEffect(() => {
         const fetchFieldsData = async () => {
@@ -193,7 +292,9 @@ const App = () => {
         };
 
         fetchFieldsData();
-        const fieldsInterval = setInterval(fetchFieldsData, 120000); // Every 2 minutes
+        const fieldsInterval = setInterval(() => {
+            if (!liveRef.current) fetchFieldsData();
+        }, 120000); // Every 2 minutes, unless the live stream is delivering updates (fetchData's slow poll covers fields then)
         return () => clearInterval(fieldsInterval);
     }, []);
 
@@ -240,7 +341,10 @@ const App = () => {
         }));
 
         try {
-            const response = await axios.post(`${API_BASE}/esp32/set`, { state });
+            // Setting a state is an admin action; the token is the one entered on the Devices tab
+            const response = await axios.post(`${API_BASE}/esp32/set`, { state }, {
+                headers: { 'X-Admin-Token': sessionStorage.getItem('adminToken') || '' }
+            });
             if (response.data.success) {
                 setEsp32Status({
                     loading: false,
@@ -279,7 +383,7 @@ const App = () => {
             setEsp32Status(prev => ({
                 ...prev,
                 loading: false,
-                message: `❌ Error: ${error.response?.data?.message || error.message || 'Failed to connect to ESP32'}`
+                message: `❌ Error: ${error.response?.data?.message || error.response?.data?.error || error.message || 'Failed to connect to ESP32'}`
             }));
         }
     };
@@ -293,8 +397,9 @@ const App = () => {
 
     // Simple sync: Only when data refreshes (every 2 minutes)
     useEffect(() => {
-        // Only sync if not in manual override and data is available
-        if (esp32Status.manualOverride || esp32Status.loading) {
+        // Only sync if not in manual override and data is available. Without an admin token the
+        // server's status monitor keeps the node in step on its own.
+        if (esp32Status.manualOverride || esp32Status.loading || !sessionStorage.getItem('adminToken')) {
             return;
         }
 
@@ -484,6 +589,7 @@ const App = () => {
                         { id: 'Market', icon: <TrendingUp size={20} />, label: t('market.recommendations') },
                         { id: 'Fields', icon: <MapPin size={20} />, label: t('fields.title') },
                         { id: 'Alerts', icon: <Bell size={20} />, label: t('alerts.title') },
+                        { id: 'Devices', icon: <Cpu size={20} />, label: t('devices.title') },
                         { id: 'History', icon: <Table size={20} />, label: t('history.title') }
                     ].map((item, idx) => (
                         <motion.button
@@ -939,7 +1045,7 @@ const App = () => {
                                         })
                                         .map((field, idx) => (
                                             <FieldCard
-                                                key={field.fieldName || field.crop || idx}
+                                                key={field.fieldId || field.fieldName || field.crop || idx}
                                                 field={field}
                                                 onImageUpload={() => setSelectedFieldForImage(field)}
                                                 predictions={fieldPredictions[field.crop]}
@@ -1270,6 +1376,10 @@ const App = () => {
                             </motion.div>
                         )}
 
+                        {activeTab === 'Devices' && (
+                            <DevicesPanel key="devices" refreshKey={deviceEventAt} />
+                        )}
+
                         {activeTab === 'History' && (
                             <motion.div
                                 initial={{ opacity: 0, x: 20 }}
@@ -1471,6 +1581,12 @@ const IrrigationCard = ({ recommendation, crop }) => {
                 </div>
             )}
 
+            {recommendation.et0 !== undefined && (
+                <p className="text-[10px] font-bold uppercase tracking-wider text-black/50 mb-4">
+                    ET₀ {recommendation.et0} mm/day × Kc {recommendation.kc} ({recommendation.cropStage}) = ETc {recommendation.et} mm/day
+                </p>
+            )}
+
             <button className="w-full bg-black text-white py-4 rounded-xl font-black uppercase tracking-wider text-xs hover:scale-105 transition-transform">
                 {recommendation.action === 'Irrigate' ? 'Execute Irrigation' : 'View Details'}
             </button>
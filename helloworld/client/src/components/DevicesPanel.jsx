@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { motion } from 'framer-motion';
+import { Cpu, Wifi, WifiOff, Battery, Radio, RefreshCw } from 'lucide-react';
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:5001/api';
+
+const HEALTH_STYLES = {
+    online: 'bg-agri-green-500/10 text-agri-green-500 border-agri-green-500/30',
+    offline: 'bg-red-500/10 text-red-500 border-red-500/30',
+    unknown: 'bg-white/5 text-slate-400 border-white/10'
+};
+
+const STATE_STYLES = {
+    normal: 'text-agri-green-500',
+    caution: 'text-blue-400',
+    critical: 'text-red-500'
+};
+
+// ESP32 registry: health from heartbeats, signal and battery, plus per-device test and state controls.
+// State controls are admin actions: they show once an admin token is entered (kept for this tab only).
+const DevicesPanel = ({ refreshKey }) => {
+    const { t } = useTranslation();
+    const [devices, setDevices] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(null);
+    const [results, setResults] = useState({});
+    const [adminToken, setAdminToken] = useState(() => sessionStorage.getItem('adminToken') || '');
+
+    const updateAdminToken = (value) => {
+        setAdminToken(value);
+        if (value) sessionStorage.setItem('adminToken', value);
+        else sessionStorage.removeItem('adminToken');
+    };
+
+    const fetchDevices = async () => {
+        try {
+            const res = await axios.get(`${API_BASE}/devices`);
+            setDevices(res.data || []);
+            setError(null);
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchDevices();
+    }, [refreshKey]);
+
+    const runAction = async (deviceId, action, request) => {
+        setBusy(`${deviceId}:${action}`);
+        try {
+            const res = await request();
+            setResults(prev => ({ ...prev, [deviceId]: res.data }));
+        } catch (err) {
+            setResults(prev => ({ ...prev, [deviceId]: err.response?.data || { success: false, message: err.message } }));
+        } finally {
+            setBusy(null);
+            fetchDevices();
+        }
+    };
+
+    const testDevice = (deviceId) => runAction(deviceId, 'test', () => axios.get(`${API_BASE}/devices/${encodeURIComponent(deviceId)}/test`));
+    const setDeviceState = (deviceId, state) => runAction(deviceId, state, () => axios.post(
+        `${API_BASE}/devices/${encodeURIComponent(deviceId)}/state`,
+        { state },
+        { headers: { 'X-Admin-Token': adminToken } }
+    ));
+
+    const online = devices.filter(d => d.health === 'online').length;
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            className="space-y-6"
+        >
+            <div className="flex items-center justify-between flex-wrap gap-4">
+                <div>
+                    <h2 className="text-4xl font-black text-white uppercase tracking-tight">{t('devices.title')}</h2>
+                    <p className="text-xs text-slate-400 font-bold uppercase mt-2">
+                        {t('devices.summary', { online, total: devices.length })}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2 flex-wrap">
+                    <input
+                        type="password"
+                        value={adminToken}
+                        onChange={(e) => updateAdminToken(e.target.value.trim())}
+                        placeholder={t('devices.adminToken')}
+                        autoComplete="off"
+                        className="px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-slate-200 text-xs focus:outline-none focus:border-agri-green-500/50"
+                    />
+                    <button
+                        onClick={fetchDevices}
+                        className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-slate-300 text-xs font-bold uppercase hover:border-agri-green-500/50 transition-all"
+                    >
+                        <RefreshCw size={14} /> {t('devices.refresh')}
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-500/10 border border-red-500/30 rounded-2xl p-4 text-sm text-red-400">{error}</div>
+            )}
+
+            {!loading && devices.length === 0 && !error && (
+                <div className="bg-[#0c0c0c] border border-white/5 rounded-3xl p-12 text-center">
+                    <Cpu size={48} className="mx-auto text-slate-600 mb-4" />
+                    <p className="text-slate-400 text-lg">{t('devices.empty')}</p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                {devices.map(device => {
+                    const result = results[device.deviceId];
+                    return (
+                        <div key={device.deviceId} className="bg-[#0c0c0c] border border-white/5 rounded-3xl p-6 space-y-4">
+                            <div className="flex items-start justify-between gap-3">
+                                <div>
+                                    <h3 className="text-lg font-black text-white">{device.name || device.deviceId}</h3>
+                                    <p className="text-xs text-slate-500 font-mono">{device.deviceId}</p>
+                                    {device.fieldId?.name && (
+                                        <p className="text-xs text-slate-400 mt-1">{device.fieldId.name}</p>
+                                    )}
+                                </div>
+                                <span className={`flex items-center gap-1 px-3 py-1 rounded-full border text-[10px] font-black uppercase ${HEALTH_STYLES[device.health] || HEALTH_STYLES.unknown}`}>
+                                    {device.health === 'offline' ? <WifiOff size={12} /> : <Wifi size={12} />}
+                                    {t(`devices.health.${device.health}`)}
+                                </span>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-3 text-xs">
+                                <div>
+                                    <p className="text-slate-500 uppercase font-bold">{t('devices.transport')}</p>
+                                    <p className="text-slate-200 font-mono">{device.transport || 'default'}{device.ip ? ` · ${device.ip}` : ''}</p>
+                                </div>
+                                <div>
+                                    <p className="text-slate-500 uppercase font-bold">{t('devices.firmware')}</p>
+                                    <p className="text-slate-200 font-mono">{device.firmwareVersion || '—'}</p>
+                                </div>
+                                <div>
+                                    <p className="text-slate-500 uppercase font-bold flex items-center gap-1"><Battery size={12} /> {t('devices.battery')}</p>
+                                    <p className={device.lowBattery ? 'text-red-400 font-bold' : 'text-slate-200'}>
+                                        {typeof device.battery === 'number' ? `${device.battery}%` : '—'}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-slate-500 uppercase font-bold flex items-center gap-1"><Radio size={12} /> {t('devices.rssi')}</p>
+                                    <p className="text-slate-200">{typeof device.rssi === 'number' ? `${device.rssi} dBm` : '—'}</p>
+                                </div>
+                                <div>
+                                    <p className="text-slate-500 uppercase font-bold">{t('devices.lastSeen')}</p>
+                                    <p className="text-slate-200">{device.lastSeen ? new Date(device.lastSeen).toLocaleString() : '—'}</p>
+                                </div>
+                                <div>
+                                    <p className="text-slate-500 uppercase font-bold">{t('devices.state')}</p>
+                                    <p className={`font-bold uppercase ${STATE_STYLES[device.lastState] || 'text-slate-400'}`}>{device.lastState || '—'}</p>
+                                </div>
+                            </div>
+
+                            {device.capabilities?.length > 0 && (
+                                <div className="flex flex-wrap gap-2">
+                                    {device.capabilities.map(cap => (
+                                        <span key={cap} className="px-2 py-1 rounded-lg bg-white/5 text-[10px] font-bold uppercase text-slate-400">{cap}</span>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="flex flex-wrap gap-2">
+                                <button
+                                    onClick={() => testDevice(device.deviceId)}
+                                    disabled={!!busy}
+                                    className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-xs font-bold uppercase text-slate-200 hover:border-agri-green-500/50 disabled:opacity-50"
+                                >
+                                    {busy === `${device.deviceId}:test` ? t('common.loading') : t('devices.test')}
+                                </button>
+                                {adminToken && ['normal', 'caution', 'critical'].map(state => (
+                                    <button
+                                        key={state}
+                                        onClick={() => setDeviceState(device.deviceId, state)}
+                                        disabled={!!busy}
+                                        className={`px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-xs font-bold uppercase hover:border-white/30 disabled:opacity-50 ${STATE_STYLES[state]}`}
+                                    >
+                                        {t(`alerts.${state}.title`)}
+                                    </button>
+                                ))}
+                            </div>
+
+                            {result && (
+                                <p className={`text-xs ${result.success ? 'text-agri-green-500' : 'text-red-400'}`}>
+                                    {result.message || result.error}
+                                </p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </motion.div>
+    );
+};
+
+export default DevicesPanel;
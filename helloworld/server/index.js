@@ -5,12 +5,13 @@ require('dotenv').config({ override: true });
 console.log("🔥 ACTIVE MONGO URI:", process.env.MONGO_URI);
 const Crop = require('./models/Crop');
 const SensorData = require('./models/SensorData');
-const Alert = require('./models/Alert');
 const Recommendation = require('./models/Recommendation');
-const IntelligenceService = require('./services/intelligence');
 const ESP32Service = require('./services/esp32Service');
 const TelegramService = require('./services/telegramService');
+const TelegramBot = require('./services/telegramBot');
 const GeminiService = require('./services/geminiService');
+const AlertService = require('./services/alertService');
+const StatusMonitor = require('./services/statusMonitor');
 console.log("🔍 DEBUG: Server Startup. GeminiService imported:", typeof GeminiService);
 
 const app = express();
@@ -38,6 +39,26 @@ mongoose.connect(MONGO_URI, {
 }).then(() => {
     console.log(`✅ DATABASE LINKED: ${mongoose.connection.name}`);
     console.log(`📊 Database ready for queries`);
+
+    // Each background service starts on its own, so one failure does not hold back the rest
+    const startService = (name, start) => Promise.resolve()
+        .then(start)
+        .then(() => true, err => {
+            console.error(`❌ ${name} failed to start:`, err.message);
+            return false;
+        });
+
+    // Close valves left open by a crash before the scheduler can open new ones
+    startService('Irrigation controller', () => require('./services/irrigationController').init())
+        .then(ready => ready
+            ? startService('Irrigation scheduler', () => require('./services/irrigationScheduler').start())
+            : console.error('⚠️ Irrigation scheduler not started: valves left open by a crash were not closed'));
+    startService('Rain deferral monitor', () => require('./services/rainDeferral').start());
+    startService('Alert escalation', () => require('./services/escalationService').start());
+    startService('Status monitor', () => StatusMonitor.start());
+    startService('Device health monitor', () => require('./services/deviceRegistry').start());
+    startService('Device command queue', () => require('./services/commandQueue').start());
+    startService('Firmware rollout monitor', () => require('./services/otaService').start());
 }).catch(err => {
     console.error('❌ DATABASE CONNECTION FAILED:', err.message);
     console.error('⚠️  Server will continue but database operations will fail.');
@@ -76,107 +97,40 @@ app.get('/api/status', async (req, res) => {
             return res.json(getMockStatus());
         }
 
-        const latestData = await SensorData.findOne().sort({ timestamp: -1 });
+        // Optional ?fieldId= narrows status to a single field
+        const fieldQuery = {};
+        if (req.query.fieldId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            fieldQuery.fieldId = req.query.fieldId;
+        }
+
+        // Pure read: alert syncing, ESP32 updates and notifications run in the status monitor
+        const status = await StatusMonitor.buildStatus(fieldQuery);
 
-        if (!latestData) {
+        if (!status) {
             return res.status(404).json({
                 error: "Database is empty. No historical or live data found in Atlas.",
                 solution: "Run 'node seed.js' in the server folder to import your 8,000 JSON records."
             });
         }
 
-        // Fetch recent history for anomaly detection
-        const recentHistory = await SensorData.find()
-            .sort({ timestamp: -1 })
-            .limit(50);
-
-        // Enhance weather data with real-time API
-        const enhancedWeather = await IntelligenceService.fetchWeatherData();
-        latestData.weather = { ...latestData.weather, ...enhancedWeather };
-
-        const crop = await Crop.findOne({ name: latestData.cropType }) || await Crop.findOne();
-
-        // Generate advanced recommendation
-        const recommendation = await IntelligenceService.generateRecommendation(
-            latestData,
-            crop,
-            recentHistory
-        );
-
-        // Detect anomalies
-        const anomalies = await IntelligenceService.detectAnomalies(recentHistory, latestData, crop);
-
-        // Calculate water savings
-        const waterSavings = await IntelligenceService.calculateWaterSavings(recentHistory, recommendation);
-
-        // Predict yield health
-        const yieldHealth = await IntelligenceService.predictYieldHealth(latestData, crop);
-
-        // Get existing alerts from DB
-        const dbAlerts = await Alert.find({ status: 'Active' }).sort({ timestamp: -1 }).limit(5);
-
-        // Merge detected anomalies with DB alerts
-        const allAlerts = [...anomalies.map(a => ({
-            ...a,
-            _id: a.type + Date.now()
-        })), ...dbAlerts];
+        const allAlerts = await AlertService.getOpen({ fieldId: fieldQuery.fieldId });
 
         // Prepare status object with timestamp for sync
         const statusData = {
-            sensorData: latestData,
-            recommendation,
+            sensorData: status.latestData,
+            recommendation: status.recommendation,
             alerts: allAlerts,
-            crop,
-            yieldHealth,
-            waterSavings,
-            weather: enhancedWeather,
+            crop: status.crop,
+            yieldHealth: status.yieldHealth,
+            waterSavings: status.waterSavings,
+            weather: status.weather,
+            state: status.state,
             timestamp: new Date().toISOString() // Add timestamp for sync tracking
         };
 
-        // Determine state based on moisture (simple and reliable)
-        const moisture = latestData?.soil?.moisture;
-        let state = 'normal';
-        if (moisture !== undefined && moisture !== null) {
-            if (moisture >= 40 && moisture <= 60) {
-                state = 'normal';
-            } else if ((moisture >= 30 && moisture < 40) || (moisture > 60 && moisture <= 75)) {
-                state = 'caution';
-            } else {
-                state = 'critical';
-            }
-        }
-
-        // Update ESP32 (non-blocking) - backend handles this
-        ESP32Service.updateFromStatus(statusData).catch(err => {
-            console.warn('ESP32 update failed (non-critical):', err.message);
-        });
-
-        // Send Telegram alert for critical/caution (every time, not just first)
-        if (state === 'critical' || state === 'caution') {
-            // Add all alerts to sensorData for Telegram message
-            const dataWithAlerts = { ...latestData, alerts: allAlerts };
-
-            // Send with delay to prevent overloading
-            setTimeout(async () => {
-                try {
-                    console.log(`📤 Sending Telegram alert: ${state} (Moisture: ${moisture?.toFixed(1)}%)`);
-                    const result = await TelegramService.sendAlert(
-                        state,
-                        dataWithAlerts,
-                        recommendation,
-                        latestData.cropType
-                    );
-                    if (result.success) {
-                        console.log(`✅ Telegram alert sent: ${state}`);
-                    } else {
-                        console.warn(`⚠️ Telegram alert: ${result.message || result.error}`);
-                    }
-                } catch (err) {
-                    console.error('❌ Telegram alert error:', err.message);
-                }
-            }, 1000); // 1 second delay
-        }
-
         res.json(statusData);
     } catch (err) {
         console.error('API /status error:', err);
@@ -184,6 +138,18 @@ app.get('/api/status', async (req, res) => {
     }
 });
 
+// Per-field states kept by the status monitor (what was last evaluated and notified)
+app.get('/api/status/states', async (req, res) => {
+    try {
+        const FieldStatus = require('./models/FieldStatus');
+        const states = await FieldStatus.find().sort({ scopeKey: 1 }).populate('fieldId', 'name');
+        res.json({ lastRunAt: StatusMonitor.lastRunAt, intervalSec: StatusMonitor.INTERVAL_MS / 1000, states });
+    } catch (err) {
+        console.error('API /status/states error:', err);
+        res.status(500).json({ error: "Failed to fetch field states." });
+    }
+});
+
 // 2. Get Historical Data for Charts
 app.get('/api/history', async (req, res) => {
     try {
@@ -204,9 +170,12 @@ app.get('/api/history', async (req, res) => {
 
         const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
 
-        const history = await SensorData.find({
-            timestamp: { $gte: cutoffTime }
-        })
+        const query = { timestamp: { $gte: cutoffTime } };
+        if (req.query.fieldId && mongoose.Types.ObjectId.isValid(req.query.fieldId)) {
+            query.fieldId = req.query.fieldId;
+        }
+
+        const history = await SensorData.find(query)
             .sort({ timestamp: -1 })
             .limit(limit);
 
@@ -295,59 +264,158 @@ app.get('/api/recommendations', async (req, res) => {
     }
 });
 
-// 5. Get Field Status (Multi-field support)
-app.get('/api/fields', async (req, res) => {
-    try {
+// 5. Field Routes - Field model CRUD and per-field status cards
+try {
+    const fieldsRouter = require('./routes/fields');
+    app.use('/api/fields', fieldsRouter);
+    console.log('✅ Fields router loaded and mounted at /api/fields');
+} catch (error) {
+    console.error('❌ CRITICAL: Fields router failed to load:', error.message);
+}
 
-        const latestByCrop = await SensorData.aggregate([
-            { $sort: { timestamp: -1 } },
-            {
-                $group: {
-                    _id: "$cropType",
-                    latest: { $first: "$$ROOT" }
-                }
-            }
-        ]);
-
-        const fields = await Promise.all(latestByCrop.map(async (item) => {
-            const data = item.latest;
-            const crop = await Crop.findOne({ name: data.cropType }) || await Crop.findOne();
-            const recommendation = await IntelligenceService.generateRecommendation(data, crop);
-            const yieldHealth = await IntelligenceService.predictYieldHealth(data, crop);
-
-            // Determine status based on moisture and health
-            let status = 'Low';
-            if (data.soil?.moisture < 25 || yieldHealth < 50) {
-                status = 'Critical';
-            } else if (data.soil?.moisture < 30 || yieldHealth < 70) {
-                status = 'High';
-            }
+// 5b. Sensor Ingestion - Real devices push readings with per-device API keys
+try {
+    const ingestRouter = require('./routes/ingest');
+    app.use('/api/ingest', ingestRouter);
+    console.log('✅ Ingest router loaded and mounted at /api/ingest');
+} catch (error) {
+    console.error('❌ CRITICAL: Ingest router failed to load:', error.message);
+}
 
-            return {
-                _id: data._id,
-                fieldId: data.cropType || `field-${item._id}`,
-                fieldName: `Field ${data.cropType || item._id}`,
-                crop: data.cropType || item._id,
-                moisture: data.soil?.moisture || 0,
-                temperature: data.weather?.temperature || 0,
-                humidity: data.weather?.humidity || 0,
-                nitrogen: data.soil?.nitrogen || 0,
-                phosphorus: data.soil?.phosphorus || 0,
-                potassium: data.soil?.potassium || 0,
-                soilType: data.soil?.soilType || 'Loamy',
-                recommendation,
-                yieldHealth: yieldHealth || 0,
-                status: recommendation.priority || status,
-                timestamp: data.timestamp || new Date()
-            };
-        }));
-
-        res.json(fields);
-    } catch (err) {
-        console.error('Fields API error:', err);
-        res.status(500).json({ error: "Failed to fetch fields." });
-    }
-});
+// 5c. Irrigation Control - valve sessions driven by recommendations
+try {
+    const irrigationRouter = require('./routes/irrigation');
+    app.use('/api/irrigation', irrigationRouter);
+    console.log('✅ Irrigation router loaded and mounted at /api/irrigation');
+} catch (error) {
+    console.error('❌ CRITICAL: Irrigation router failed to load:', error.message);
+}
+
+// 5d. Irrigation Schedules - recurring, rule-based windows evaluated in the background
+try {
+    const schedulesRouter = require('./routes/schedules');
+    app.use('/api/schedules', schedulesRouter);
+    console.log('✅ Schedules router loaded and mounted at /api/schedules');
+} catch (error) {
+    console.error('❌ CRITICAL: Schedules router failed to load:', error.message);
+}
+
+// 5e. Water Sources - capacity, pump flow and quota constraints with a priority planner
+try {
+    const waterSourcesRouter = require('./routes/waterSources');
+    app.use('/api/water-sources', waterSourcesRouter);
+    console.log('✅ Water sources router loaded and mounted at /api/water-sources');
+} catch (error) {
+    console.error('❌ CRITICAL: Water sources router failed to load:', error.message);
+}
+
+// 5f. Weather - pluggable providers with a Mongo-backed forecast cache
+try {
+    const weatherRouter = require('./routes/weather');
+    app.use('/api/weather', weatherRouter);
+    console.log('✅ Weather router loaded and mounted at /api/weather');
+} catch (error) {
+    console.error('❌ CRITICAL: Weather router failed to load:', error.message);
+}
+
+// 5g. Alerts - persisted anomalies with acknowledge/resolve/snooze and an audit trail
+try {
+    const alertsRouter = require('./routes/alerts');
+    app.use('/api/alerts', alertsRouter);
+    console.log('✅ Alerts router loaded and mounted at /api/alerts');
+} catch (error) {
+    console.error('❌ CRITICAL: Alerts router failed to load:', error.message);
+}
+
+// 5h. Contacts - on-call roster (owners, managers, workers) alerts escalate through
+try {
+    const contactsRouter = require('./routes/contacts');
+    app.use('/api/contacts', contactsRouter);
+    console.log('✅ Contacts router loaded and mounted at /api/contacts');
+} catch (error) {
+    console.error('❌ CRITICAL: Contacts router failed to load:', error.message);
+}
+
+// 5i. Escalation Policies - who gets notified, after how long, and quiet hours
+try {
+    const escalationPoliciesRouter = require('./routes/escalationPolicies');
+    app.use('/api/escalation-policies', escalationPoliciesRouter);
+    console.log('✅ Escalation policies router loaded and mounted at /api/escalation-policies');
+} catch (error) {
+    console.error('❌ CRITICAL: Escalation policies router failed to load:', error.message);
+}
+
+// 5j. Telegram Subscribers - chats registered with the bot and their field/crop/severity filters
+try {
+    const subscribersRouter = require('./routes/subscribers');
+    app.use('/api/telegram/subscribers', subscribersRouter);
+    console.log('✅ Subscribers router loaded and mounted at /api/telegram/subscribers');
+} catch (error) {
+    console.error('❌ CRITICAL: Subscribers router failed to load:', error.message);
+}
+
+// 5k. Notifications - channel status, delivery log and test sends
+try {
+    const notificationsRouter = require('./routes/notifications');
+    app.use('/api/notifications', notificationsRouter);
+    console.log('✅ Notifications router loaded and mounted at /api/notifications');
+} catch (error) {
+    console.error('❌ CRITICAL: Notifications router failed to load:', error.message);
+}
+
+// 5l. Live stream - sensor, alert, irrigation and device events for the dashboard (SSE)
+try {
+    const streamRouter = require('./routes/stream');
+    app.use('/api/stream', streamRouter);
+    console.log('✅ Stream router loaded and mounted at /api/stream');
+} catch (error) {
+    console.error('❌ CRITICAL: Stream router failed to load:', error.message);
+}
+
+// 5m. Devices - ESP32 registry, heartbeats and health
+try {
+    const devicesRouter = require('./routes/devices');
+    app.use('/api/devices', devicesRouter);
+    console.log('✅ Devices router loaded and mounted at /api/devices');
+} catch (error) {
+    console.error('❌ CRITICAL: Devices router failed to load:', error.message);
+}
+
+// 5n. Firmware - OTA artifacts and staged rollouts, alongside the /api/esp32 control endpoints
+try {
+    const firmwareRouter = require('./routes/firmware');
+    app.use('/api/esp32', firmwareRouter);
+    console.log('✅ Firmware router loaded and mounted at /api/esp32 (firmware, rollouts)');
+} catch (error) {
+    console.error('❌ CRITICAL: Firmware router failed to load:', error.message);
+}
+
+// 5o. Simulation - field simulator scenarios (heatwave, monsoon, leak, sensor failure) and dataset replay
+try {
+    const simulationRouter = require('./routes/simulation');
+    app.use('/api/simulation', simulationRouter);
+    console.log('✅ Simulation router loaded and mounted at /api/simulation');
+} catch (error) {
+    console.error('❌ CRITICAL: Simulation router failed to load:', error.message);
+}
+
+// 5p. Import - bulk CSV/JSON/Excel dataset uploads with column mapping and dry run
+try {
+    const importRouter = require('./routes/import');
+    app.use('/api/import', importRouter);
+    console.log('✅ Import router loaded and mounted at /api/import');
+} catch (error) {
+    console.error('❌ CRITICAL: Import router failed to load:', error.message);
+}
+
+// 5q. Export - streamed CSV/XLSX/NDJSON downloads with filters and resampling
+try {
+    const exportRouter = require('./routes/export');
+    app.use('/api/export', exportRouter);
+    console.log('✅ Export router loaded and mounted at /api/export');
+} catch (error) {
+    console.error('❌ CRITICAL: Export router failed to load:', error.message);
+}
 
 // 6. Crop Routes - Consolidated into routes/crops.js
 try {
@@ -527,7 +595,22 @@ const DataSynthesisService = require('./services/dataSynthesis');
 DataSynthesisService.start().catch(err => {
     console.error('Error starting data synthesis:', err);
 });
-console.log('🔄 Data synthesis service starting (every 2 min for all crops)');
+console.log('🔄 Data synthesis service starting (soil water balance, every 2 min for all fields/crops)');
+
+// 12. MQTT Bridge - telemetry in / commands out for nodes behind NAT
+const MQTTBridge = require('./services/mqttBridge');
+const requireAdmin = require('./middleware/requireAdmin');
+if (MQTTBridge.enabled) {
+    MQTTBridge.start().then(result => {
+        if (!result.success) console.log(`⚠️ ${result.message}`);
+    }).catch(err => {
+        console.error('❌ MQTT bridge failed to start:', err.message);
+    });
+}
+
+app.get('/api/mqtt/status', (req, res) => {
+    res.json(MQTTBridge.getConfig());
+});
 
 // Test route to verify server is running
 app.get('/api/test', (req, res) => {
@@ -548,15 +631,15 @@ app.get('/api/routes', (req, res) => {
     res.json({ routes, total: routes.length });
 });
 
-// ESP32 Control Endpoints
-app.post('/api/esp32/set', async (req, res) => {
+// ESP32 Control Endpoints (setting a state is an admin action, as on /api/devices/:deviceId/state)
+app.post('/api/esp32/set', requireAdmin, async (req, res) => {
     try {
-        const { state } = req.body;
+        const { state, deviceId } = req.body;
         if (!state) {
             return res.status(400).json({ error: 'State is required (normal, caution, or critical)' });
         }
 
-        const result = await ESP32Service.setState(state);
+        const result = await ESP32Service.setState(state, deviceId || undefined, { issuedBy: 'api' });
         res.json(result);
     } catch (error) {
         console.error('ESP32 set error:', error);
@@ -574,7 +657,7 @@ app.get('/api/esp32/config', (req, res) => {
 
 app.get('/api/esp32/test', async (req, res) => {
     try {
-        const result = await ESP32Service.testConnection();
+        const result = await ESP32Service.testConnection(req.query.deviceId || undefined);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -585,19 +668,15 @@ app.get('/api/esp32/test', async (req, res) => {
     }
 });
 
-// Telegram webhook endpoint (for receiving messages)
+// Telegram webhook endpoint (for receiving messages).
+// Chats register themselves as subscribers; the default chat ID is no longer overwritten.
+// Only updates carrying TELEGRAM_WEBHOOK_SECRET (set via setWebhook's secret_token) are accepted.
 app.post('/api/telegram/webhook', async (req, res) => {
+    if (!TelegramService.isWebhookAuthorized(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        return res.status(401).json({ error: 'Invalid webhook secret token' });
+    }
     try {
-        const message = req.body.message;
-        if (message && message.chat) {
-            const chatId = message.chat.id.toString();
-            TelegramService.setChatId(chatId);
-            console.log(`✅ Telegram Chat ID set: ${chatId}`);
-            // Echo back to confirm
-            await TelegramService.sendMessage(
-                `✅ Tridentrix bot connected!\n\nChat ID: ${chatId}\n\nI'll send alerts for critical and caution states.`
-            );
-        }
+        await TelegramBot.handleUpdate(req.body);
         res.json({ ok: true });
     } catch (error) {
         console.error('Telegram webhook error:', error);
@@ -707,14 +786,34 @@ const server = app.listen(PORT, () => {
     console.log(`----------------------------------------------------`);
     console.log(`🚀 AGRI-AI SERVER RUNNING ON PORT ${PORT}`);
     console.log(`🌿 MODE: PURE DATABASE MIRROR (NO MOCK DATA)`);
+    if (!process.env.INGEST_ADMIN_TOKEN) {
+        console.log(`⚠️ INGEST_ADMIN_TOKEN not set: admin routes are disabled`);
+    }
     console.log(`📡 Available endpoints:`);
-    console.log(`   GET /api/status`);
+    console.log(`   GET /api/status          ← Read-only (alerts/notifications run in the status monitor)`);
     console.log(`   GET /api/history`);
     console.log(`   GET /api/analytics`);
-    console.log(`   GET /api/fields`);
+    console.log(`   GET /api/fields          ← Field status cards (CRUD: POST/PUT/DELETE)`);
     console.log(`   GET /api/crops          ← Crop list (FALLBACK REGISTERED)`);
     console.log(`   GET /api/crops/:cropType ← Crop data (FALLBACK REGISTERED)`);
     console.log(`   POST /api/chatbot       ← AI Chatbot (FALLBACK REGISTERED)`);
+    console.log(`   POST /api/ingest        ← Device readings (X-Device-Id + X-Api-Key)`);
+    console.log(`   POST /api/irrigation/start ← Open valve for a field (sessions: GET /api/irrigation/sessions)`);
+    console.log(`   GET /api/schedules       ← Irrigation schedules (preview: /api/schedules/:id/preview)`);
+    console.log(`   GET /api/water-sources/plan ← Who gets water first today`);
+    console.log(`   GET /api/weather/forecast ← Hourly forecast (?fieldId= or ?lat=&lon=, &days=)`);
+    console.log(`   GET /api/alerts          ← Alerts (POST /:id/acknowledge, /:id/resolve, /:id/snooze)`);
+    console.log(`   GET /api/escalation-policies ← Alert escalation (on-call roster: /api/contacts)`);
+    console.log(`   GET /api/telegram/subscribers ← Telegram chats and their alert filters`);
+    console.log(`   GET /api/notifications/deliveries ← Notification delivery log (channels: /api/notifications/channels)`);
+    console.log(`   GET /api/stream          ← Live dashboard events (Server-Sent Events, ?fieldId=)`);
+    console.log(`   GET /api/devices         ← ESP32 registry and health (POST /:deviceId/heartbeat, /:deviceId/state)`);
+    console.log(`   GET /api/devices/commands ← Device command queue history (acks, retries, expiries)`);
+    console.log(`   POST /api/esp32/firmware ← Upload OTA image (rollouts: /api/esp32/rollouts)`);
+    console.log(`   POST /api/simulation/scenario ← Field simulator scenario (presets: /api/simulation/scenarios)`);
+    console.log(`   POST /api/simulation/replays ← Replay a dataset into a field (pause/resume/seek/speed)`);
+    console.log(`   POST /api/import ← Upload a CSV/JSON/Excel dataset, then POST /api/import/:uploadId/commit`);
+    console.log(`   GET /api/export ← Download readings as CSV/XLSX/NDJSON (?fieldId=&from=&to=&metrics=&interval=1h)`);
     console.log(`   POST /api/predict       ← ML Predictions`);
     console.log(`   POST /api/analyze-image ← Image Analysis (Gemini)`);
     console.log(`   POST /api/recommend-crops ← Market Recommendations`);
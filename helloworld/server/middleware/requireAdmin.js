@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+/**
+ * Admin-only routes (marked "admin" in the README) need the INGEST_ADMIN_TOKEN in the
+ * X-Admin-Token header. With no token configured they are closed, never open.
+ */
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.INGEST_ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(403).json({ error: "Admin actions are disabled.", details: "Set INGEST_ADMIN_TOKEN on the server." });
+    }
+    const given = Buffer.from(String(req.get('X-Admin-Token') || ''));
+    const expected = Buffer.from(adminToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: "Admin token required." });
+    }
+    next();
+};
+
+module.exports = requireAdmin;
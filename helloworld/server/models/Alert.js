@@ -1,13 +1,45 @@
 const mongoose = require('mongoose');
 
+// One entry per lifecycle change, so who did what to an alert (and when) is never lost
+const alertEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['Created', 'Updated', 'Acknowledged', 'Snoozed', 'Unsnoozed', 'Resolved', 'Auto-Resolved', 'Notified', 'Held'],
+        required: true
+    },
+    at: { type: Date, default: Date.now },
+    by: { type: String, default: 'system' },
+    note: { type: String }
+}, { _id: false });
+
 const alertSchema = new mongoose.Schema({
-    type: { type: String, enum: ['Leak', 'Dry Stress', 'Over-Irrigation', 'General'], required: true },
+    type: { type: String, enum: ['Leak', 'Dry Stress', 'Over-Irrigation', 'Abnormal Pattern', 'Device Offline', 'General'], required: true },
     severity: { type: String, enum: ['Low', 'Medium', 'High', 'Critical'], default: 'Medium' },
     message: { type: String, required: true },
     timestamp: { type: Date, default: Date.now },
     field: { type: String, default: 'Sector A' },
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field' },
+    cropType: { type: String }, // Dedupe scope for readings not yet tied to a Field
+    deviceId: { type: String }, // Set on device health alerts
     confidence: { type: Number, default: 0 },
-    status: { type: String, enum: ['Active', 'Resolved'], default: 'Active' }
+    status: { type: String, enum: ['Active', 'Acknowledged', 'Snoozed', 'Resolved'], default: 'Active' },
+    lastDetectedAt: { type: Date, default: Date.now },
+    occurrences: { type: Number, default: 1 }, // Detections folded into this alert
+    clearCount: { type: Number, default: 0 }, // Consecutive evaluations without the condition
+    acknowledgedAt: { type: Date },
+    acknowledgedBy: { type: String },
+    snoozedUntil: { type: Date },
+    resolvedAt: { type: Date },
+    resolvedBy: { type: String },
+    escalation: {
+        policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'EscalationPolicy' },
+        policyName: { type: String },
+        step: { type: Number, default: -1 }, // Last escalation step notified
+        nextAt: { type: Date } // When the next step is due (unset once the policy is exhausted)
+    },
+    history: { type: [alertEventSchema], default: [] }
 });
 
+alertSchema.index({ fieldId: 1, type: 1, status: 1 });
+
 module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// People alerts are routed to: field owners first, then farm managers
+const contactSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    role: { type: String, enum: ['Owner', 'Manager', 'Worker'], default: 'Owner' },
+    telegramChatId: { type: String },
+    phone: { type: String },
+    email: { type: String, trim: true, lowercase: true },
+    // Where to reach them; sms/whatsapp use phone, so feature-phone farmers can skip Telegram
+    channels: {
+        type: [{ type: String, enum: ['telegram', 'sms', 'whatsapp', 'email'] }],
+        default: ['telegram']
+    },
+    language: { type: String, enum: ['en', 'hi', 'ta', 'te', 'ml'], default: 'en' },
+    fieldIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Field' }], // Fields they own or work; empty = all
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Contact', contactSchema);
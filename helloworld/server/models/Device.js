@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const deviceSchema = new mongoose.Schema({
+    deviceId: { type: String, required: true, unique: true, trim: true },
+    name: { type: String },
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field' },
+    apiKeyHash: { type: String, select: false }, // SHA-256 of the ingestion key
+    active: { type: Boolean, default: true },
+    // How the server reaches the node: HTTP to ip:port, or MQTT for nodes behind NAT.
+    // Unset fields fall back to ESP32_TRANSPORT / ESP32_IP / ESP32_PORT.
+    transport: { type: String, enum: ['http', 'mqtt'] },
+    ip: { type: String, trim: true },
+    port: { type: Number, min: 1, max: 65535 },
+    capabilities: {
+        type: [{ type: String, enum: ['sensor', 'led', 'buzzer', 'valve', 'pump'] }],
+        default: ['sensor']
+    },
+    firmwareVersion: { type: String },
+    board: { type: String, trim: true }, // e.g. 'esp32', 'esp32-s3'; matched against firmware images
+    battery: { type: Number, min: 0, max: 100 }, // Percent, from the last heartbeat
+    rssi: { type: Number }, // Wi-Fi signal in dBm, from the last heartbeat
+    heartbeatIntervalSec: { type: Number, default: 60, min: 5 },
+    online: { type: Boolean, default: false }, // From heartbeats, MQTT status / last will
+    lastSeen: { type: Date },
+    lastHeartbeatAt: { type: Date },
+    lastReadingAt: { type: Date }, // Newest reading timestamp accepted so far
+    lastState: { type: String, enum: ['normal', 'caution', 'critical'] }, // Last indicator state the node accepted
+    lastStateAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Device', deviceSchema);
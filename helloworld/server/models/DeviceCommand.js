@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A command queued for one device, kept after completion so the history shows what was
+// issued, how often it was retried and whether the device confirmed it
+const deviceCommandSchema = new mongoose.Schema({
+    commandId: { type: String, required: true, unique: true },
+    deviceId: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Sent as-is, e.g. { state: 'critical' }
+    expectedState: { type: String, enum: ['normal', 'caution', 'critical'] }, // What the device should show once done
+    status: {
+        type: String,
+        enum: ['Pending', 'Sent', 'Acknowledged', 'Failed', 'Expired', 'Superseded'],
+        default: 'Pending'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 10 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    lastError: { type: String },
+    issuedBy: { type: String, default: 'system' },
+    transport: { type: String, enum: ['http', 'mqtt'] },
+    createdAt: { type: Date, default: Date.now },
+    sentAt: { type: Date }, // Last transmission
+    acknowledgedAt: { type: Date },
+    ackSource: { type: String, enum: ['http', 'mqtt', 'api', 'heartbeat'] }, // How the device confirmed it
+    completedAt: { type: Date }
+});
+
+deviceCommandSchema.index({ deviceId: 1, createdAt: -1 });
+deviceCommandSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
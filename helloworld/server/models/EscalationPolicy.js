@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const escalationStepSchema = new mongoose.Schema({
+    afterMinutes: { type: Number, default: 0, min: 0 }, // Since the alert opened, if still unacknowledged
+    notify: { type: String, enum: ['Owner', 'Manager', 'Everyone'], required: true }
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    // Empty lists match anything; the most specific matching policy wins, then the lowest order
+    types: [{ type: String, enum: ['Leak', 'Dry Stress', 'Over-Irrigation', 'Abnormal Pattern', 'Device Offline', 'General'] }],
+    severities: [{ type: String, enum: ['Low', 'Medium', 'High', 'Critical'] }],
+    steps: {
+        type: [escalationStepSchema],
+        validate: [steps => steps.length > 0, 'At least one escalation step is required']
+    },
+    // Notifications held during quiet hours are sent when they end, unless the policy bypasses them
+    quietHours: {
+        start: { type: String, match: [HH_MM, 'Quiet hours must be HH:mm'] },
+        end: { type: String, match: [HH_MM, 'Quiet hours must be HH:mm'] }
+    },
+    bypassQuietHours: { type: Boolean, default: false },
+    order: { type: Number, default: 100 },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
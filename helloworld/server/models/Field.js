@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const deviceBindingSchema = new mongoose.Schema({
+    deviceId: { type: String, required: true },
+    role: { type: String, enum: ['Sensor', 'Valve', 'Pump'], default: 'Sensor' },
+    channel: { type: Number, default: 0 } // Relay/valve output on the device
+}, { _id: false });
+
+const fieldSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    area: { type: Number, default: 1000 }, // in m²
+    soilType: { type: String, default: 'Loamy' },
+    cropType: { type: String, required: true },
+    cropId: { type: mongoose.Schema.Types.ObjectId, ref: 'Crop' },
+    growthStage: { type: String, enum: ['Seedling', 'Vegetative', 'Flowering', 'Harvest'], default: 'Vegetative' },
+    plantingDate: { type: Date }, // Drives the FAO-56 Kc curve when set
+    location: {
+        type: { type: String, enum: ['Polygon'] },
+        coordinates: { type: [[[Number]]], default: undefined } // GeoJSON [lon, lat] rings
+    },
+    // Point used for weather lookups; falls back to the polygon centroid when unset
+    coordinates: {
+        lat: { type: Number, min: -90, max: 90 },
+        lon: { type: Number, min: -180, max: 180 }
+    },
+    devices: { type: [deviceBindingSchema], default: [] },
+    waterSourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'WaterSource' },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+fieldSchema.index({ location: '2dsphere' }, { sparse: true });
+
+// Approximate center of the field polygon as { lat, lon }, or null without a location
+fieldSchema.methods.centroid = function () {
+    const ring = this.location?.coordinates?.[0];
+    if (!ring || ring.length === 0) return null;
+    const points = ring.length > 1 ? ring.slice(0, -1) : ring; // Closing point repeats the first
+    const lon = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+    const lat = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+    return { lat, lon };
+};
+
+// Weather/ET coordinates: explicit lat/lon first, else the polygon centroid, else null
+fieldSchema.methods.getCoordinates = function () {
+    const { lat, lon } = this.coordinates || {};
+    if (typeof lat === 'number' && typeof lon === 'number') return { lat, lon };
+    return this.centroid();
+};
+
+module.exports = mongoose.model('Field', fieldSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Last evaluated state per field (or per crop for readings not tied to a Field), kept by the
+// status monitor so state transitions survive restarts
+const fieldStatusSchema = new mongoose.Schema({
+    scopeKey: { type: String, required: true, unique: true }, // 'field:<id>' or 'crop:<name>'
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field' },
+    cropType: { type: String },
+    state: { type: String, enum: ['normal', 'caution', 'critical'], default: 'normal' },
+    changedAt: { type: Date, default: Date.now }, // When `state` last changed
+    notifiedState: { type: String, enum: ['normal', 'caution', 'critical'], default: 'normal' }, // Last state people were told about
+    notifiedAt: { type: Date },
+    moisture: { type: Number },
+    recommendationAction: { type: String },
+    evaluatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('FieldStatus', fieldStatusSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// An uploaded firmware image; the binary itself lives in the 'firmware' GridFS bucket
+const firmwareSchema = new mongoose.Schema({
+    version: { type: String, required: true, unique: true, trim: true, match: /^\d+\.\d+\.\d+([-+][\w.-]+)?$/ },
+    board: { type: String, trim: true }, // e.g. 'esp32', 'esp32-s3'; unset fits any board
+    filename: { type: String },
+    fileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    size: { type: Number, required: true }, // Bytes
+    sha256: { type: String, required: true },
+    md5: { type: String, required: true }, // Arduino's Update library verifies MD5
+    notes: { type: String },
+    uploadedBy: { type: String, default: 'dashboard' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Firmware', firmwareSchema);
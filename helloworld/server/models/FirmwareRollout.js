@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const rolloutDeviceSchema = new mongoose.Schema({
+    deviceId: { type: String, required: true },
+    stage: { type: String, enum: ['canary', 'percentage', 'all'] }, // Unset until the device is picked
+    previousVersion: { type: String }, // What to roll back to
+    status: {
+        type: String,
+        enum: ['Waiting', 'Updating', 'Installed', 'Healthy', 'Failed', 'Cancelled', 'RollingBack', 'RolledBack'],
+        default: 'Waiting'
+    },
+    commandId: { type: String },
+    startedAt: { type: Date },
+    installedAt: { type: Date }, // Device reported (or heartbeat showed) the new version
+    healthyAt: { type: Date },
+    error: { type: String }
+}, { _id: false });
+
+const rolloutEventSchema = new mongoose.Schema({
+    at: { type: Date, default: Date.now },
+    by: { type: String, default: 'system' },
+    note: { type: String }
+}, { _id: false });
+
+// Staged OTA rollout of one firmware version: a canary, then a percentage, then every target,
+// advancing only while updated devices stay healthy and rolling back when they do not
+const firmwareRolloutSchema = new mongoose.Schema({
+    version: { type: String, required: true },
+    firmwareId: { type: mongoose.Schema.Types.ObjectId, ref: 'Firmware', required: true },
+    stage: { type: String, enum: ['canary', 'percentage', 'all'], default: 'canary' },
+    status: { type: String, enum: ['Running', 'Paused', 'Completed', 'RolledBack', 'Cancelled'], default: 'Running' },
+    canaryCount: { type: Number, default: 1, min: 1 },
+    percentage: { type: Number, default: 25, min: 1, max: 100 }, // Share of targets updated by the end of the percentage stage
+    healthCheckMin: { type: Number, default: 10, min: 0 }, // Updated devices must stay online this long
+    updateTimeoutMin: { type: Number, default: 30, min: 1 }, // Give up on a device that has not installed by then
+    maxFailures: { type: Number, default: 0, min: 0 }, // Failures tolerated before rolling back
+    autoAdvance: { type: Boolean, default: true },
+    baseUrl: { type: String }, // Where devices download from
+    devices: { type: [rolloutDeviceSchema], default: [] },
+    history: { type: [rolloutEventSchema], default: [] },
+    createdBy: { type: String, default: 'dashboard' },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date }
+});
+
+module.exports = mongoose.model('FirmwareRollout', firmwareRolloutSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const irrigationDeferralSchema = new mongoose.Schema({
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field', required: true, index: true },
+    decidedAt: { type: Date, default: Date.now },
+    deferUntil: { type: Date, required: true }, // Irrigate anyway if the rain has not come by then
+    horizonHours: { type: Number }, // Forecast window the decision relied on (24/48/72)
+    deficit: { type: Number }, // mm root-zone depletion at decision time
+    etc: { type: Number }, // mm/day crop ET at decision time
+    forecastRain: { type: Number }, // mm total over the horizon
+    expectedRain: { type: Number }, // mm probability-weighted over the horizon
+    provider: { type: String }, // Weather provider that made the forecast
+    reason: { type: String },
+    status: {
+        type: String,
+        enum: ['Pending', 'Rain Arrived', 'Partial', 'Rain Missed', 'Unverified'], // Unverified: no gauge or moisture data to check
+        default: 'Pending'
+    },
+    observedRain: { type: Number }, // mm measured (rain gauge) or inferred (soil moisture) during the window
+    observedSource: { type: String, enum: ['Rain Gauge', 'Soil Moisture', 'None'] },
+    resolvedAt: { type: Date },
+    fallbackSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IrrigationSession' } // Irrigation run after a miss
+});
+
+irrigationDeferralSchema.index({ status: 1, deferUntil: 1 });
+
+module.exports = mongoose.model('IrrigationDeferral', irrigationDeferralSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const irrigationScheduleSchema = new mongoose.Schema({
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field', required: true },
+    name: { type: String },
+    time: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // "HH:mm", server local time
+    daysOfWeek: { type: [{ type: Number, min: 0, max: 6 }], default: [] }, // 0 = Sunday; empty = every day
+    duration: { type: Number, default: 20 }, // minutes
+    useRecommendation: { type: Boolean, default: false }, // Let generateRecommendation decide amount/duration
+    conditions: {
+        skipIfRainChanceAbove: { type: Number }, // % e.g. 60 for "unless rain >60%"
+        skipIfMoistureAbove: { type: Number } // %
+    },
+    enabled: { type: Boolean, default: true },
+    nextRunAt: { type: Date },
+    lastRunAt: { type: Date },
+    lastResult: {
+        status: { type: String, enum: ['Started', 'Skipped', 'Failed'] },
+        message: { type: String },
+        sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IrrigationSession' }
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+irrigationScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('IrrigationSchedule', irrigationScheduleSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const irrigationSessionSchema = new mongoose.Schema({
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field', required: true },
+    recommendationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Recommendation' },
+    deviceId: { type: String },
+    channel: { type: Number, default: 0 },
+    status: { type: String, enum: ['Running', 'Completed', 'Stopped', 'Failed'], default: 'Running' },
+    startedAt: { type: Date, default: Date.now },
+    stoppedAt: { type: Date },
+    plannedDuration: { type: Number }, // minutes
+    plannedAmount: { type: Number }, // L/m2
+    targetMoisture: { type: Number }, // % - stop early once reached
+    startMoisture: { type: Number },
+    endMoisture: { type: Number },
+    liters: { type: Number, default: 0 },
+    reason: { type: String },
+    stopReason: { type: String, enum: ['Duration Elapsed', 'Target Reached', 'Manual', 'Device Error', 'Server Restart'] },
+    triggeredBy: { type: String, default: 'system' }, // 'system', 'schedule' or a user name
+    stoppedBy: { type: String }
+});
+
+irrigationSessionSchema.index({ fieldId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('IrrigationSession', irrigationSessionSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One row per notification per recipient per channel, with every retry counted
+const notificationDeliverySchema = new mongoose.Schema({
+    channel: { type: String, enum: ['telegram', 'email', 'sms', 'whatsapp', 'webhook'], required: true },
+    address: { type: String, required: true },
+    recipient: { type: String }, // Contact or subscriber name, when known
+    subject: { type: String },
+    text: { type: String },
+    event: { type: String }, // e.g. 'state:critical', 'alert:escalation', 'test'
+    alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert' },
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field' },
+    status: { type: String, enum: ['Pending', 'Sent', 'Failed'], default: 'Pending' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    providerId: { type: String }, // Message id returned by the gateway
+    createdAt: { type: Date, default: Date.now },
+    sentAt: { type: Date }
+});
+
+notificationDeliverySchema.index({ createdAt: -1 });
+notificationDeliverySchema.index({ alertId: 1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
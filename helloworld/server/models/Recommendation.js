@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 
 const recommendationSchema = new mongoose.Schema({
     timestamp: { type: Date, default: Date.now },
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field' },
     action: { type: String, required: true }, // e.g., "Irrigate"
     amount: { type: Number }, // L/m2
     duration: { type: Number }, // minutes
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 
 const sensorDataSchema = new mongoose.Schema({
     cropId: { type: mongoose.Schema.Types.ObjectId, ref: 'Crop' },
+    fieldId: { type: mongoose.Schema.Types.ObjectId, ref: 'Field' },
     timestamp: { type: Date, default: Date.now },
     soil: {
         moisture: { type: Number, required: true }, // %
@@ -17,11 +18,21 @@ const sensorDataSchema = new mongoose.Schema({
         humidity: { type: Number }, // %
         chanceOfRain: { type: Number }, // %
         windSpeed: { type: Number }, // km/h
-        solarRadiation: { type: Number } // W/m2
+        solarRadiation: { type: Number }, // W/m2
+        rainfall: { type: Number } // mm since previous reading (rain gauge)
     },
     cropType: { type: String },
     fertilizerName: { type: String },
+    deviceId: { type: String }, // Set for readings pushed through /api/ingest
+    receivedAt: { type: Date }, // Server arrival time (may lag timestamp for buffered readings)
+    importHash: { type: String }, // Content hash for imported rows without timestamps (see ImportService)
     isSimulated: { type: Boolean, default: true }
 });
 
+// Time-ordered reads (latest reading, history windows, exports), overall and per field
+sensorDataSchema.index({ timestamp: 1 });
+sensorDataSchema.index({ fieldId: 1, timestamp: 1 });
+sensorDataSchema.index({ deviceId: 1, timestamp: 1 }, { sparse: true });
+sensorDataSchema.index({ importHash: 1 }, { sparse: true });
+
 module.exports = mongoose.model('SensorData', sensorDataSchema, 'sensordatas');
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// A Telegram chat registered with the bot and the alerts it wants. Empty filter lists mean "all".
+const subscriberSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    name: { type: String, trim: true }, // Telegram username or chat title
+    fieldIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Field' }],
+    crops: [{ type: String, trim: true }],
+    severities: [{ type: String, enum: SEVERITIES }],
+    language: { type: String, enum: ['en', 'hi', 'ta', 'te', 'ml'], default: 'en' },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+/**
+ * Whether an alert for this field/crop/severity should go to this chat
+ */
+subscriberSchema.methods.matches = function ({ fieldId, cropType, severity } = {}) {
+    if (!this.active) return false;
+    if (this.severities.length && severity && !this.severities.includes(severity)) return false;
+    if (this.fieldIds.length && fieldId && !this.fieldIds.some(id => id.equals(fieldId))) return false;
+    if (this.crops.length && cropType && !this.crops.some(c => c.toLowerCase() === cropType.toLowerCase())) return false;
+    return true;
+};
+
+subscriberSchema.statics.SEVERITIES = SEVERITIES;
+
+module.exports = mongoose.model('Subscriber', subscriberSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const waterSourceSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['Tank', 'Borewell', 'Canal', 'Reservoir'], default: 'Borewell' },
+    capacity: { type: Number }, // L - tank volume, or sustainable yield per day for a borewell
+    currentLevel: { type: Number }, // L - last known stored volume (tanks/reservoirs)
+    pumpFlowRate: { type: Number, required: true, min: 0 }, // L/min
+    maxPumpHoursPerDay: { type: Number, default: 12, min: 0, max: 24 },
+    dailyQuota: { type: Number }, // L/day allowed (permit, shared borewell, etc.)
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('WaterSource', waterSourceSchema);
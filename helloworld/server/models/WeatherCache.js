@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const weatherCacheSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // provider:kind:lat,lon[:days]
+    provider: { type: String, required: true },
+    kind: { type: String, enum: ['current', 'forecast'], required: true },
+    lat: { type: Number },
+    lon: { type: Number },
+    data: { type: mongoose.Schema.Types.Mixed },
+    fetchedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true } // Fresh until this time; kept a while longer as a stale fallback
+});
+
+// Mongo removes entries a day after they were fetched
+weatherCacheSchema.index({ fetchedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('WeatherCache', weatherCacheSchema);
@@ -0,0 +1,100 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Alert = require('../models/Alert');
+const AlertService = require('../services/alertService');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!isValidId(id)) {
+        return res.status(400).json({ error: "Invalid alert ID." });
+    }
+    next();
+});
+
+// List alerts (?status=Active|Acknowledged|Snoozed|Resolved|open &fieldId= &type= &limit=)
+router.get('/', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.fieldId) {
+            if (!isValidId(req.query.fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            query.fieldId = req.query.fieldId;
+        }
+        if (req.query.status === 'open') {
+            query.status = { $in: AlertService.OPEN_STATUSES };
+        } else if (req.query.status) {
+            query.status = req.query.status;
+        }
+        if (req.query.type) query.type = req.query.type;
+
+        const limit = parseInt(req.query.limit) || 50;
+        const alerts = await Alert.find(query)
+            .sort({ lastDetectedAt: -1, timestamp: -1 })
+            .limit(limit)
+            .select('-history');
+        res.json(alerts);
+    } catch (err) {
+        console.error('Alerts API error:', err);
+        res.status(500).json({ error: "Failed to fetch alerts." });
+    }
+});
+
+// Single alert with its audit trail
+router.get('/:id', async (req, res) => {
+    try {
+        const alert = await Alert.findById(req.params.id).populate('fieldId', 'name cropType');
+        if (!alert) {
+            return res.status(404).json({ error: "Alert not found." });
+        }
+        res.json(alert);
+    } catch (err) {
+        console.error('Alert fetch error:', err);
+        res.status(500).json({ error: "Failed to fetch alert.", details: err.message });
+    }
+});
+
+/**
+ * Wraps a lifecycle action: loads the alert, 404s if missing, 409s on an invalid transition
+ */
+function lifecycleRoute(action) {
+    return async (req, res) => {
+        try {
+            const alert = await Alert.findById(req.params.id);
+            if (!alert) {
+                return res.status(404).json({ error: "Alert not found." });
+            }
+            const result = await action(alert, req.body || {});
+            res.status(result.success ? 200 : 409).json(result);
+        } catch (err) {
+            console.error('Alert update error:', err);
+            res.status(500).json({ success: false, error: "Failed to update alert.", message: err.message });
+        }
+    };
+}
+
+// { by?, note? }
+router.post('/:id/acknowledge', lifecycleRoute((alert, { by, note }) =>
+    AlertService.acknowledge(alert, by || 'dashboard', note)
+));
+
+// { by?, note? }
+router.post('/:id/resolve', lifecycleRoute((alert, { by, note }) =>
+    AlertService.resolve(alert, by || 'dashboard', note)
+));
+
+// { minutes, by?, note? }
+router.post('/:id/snooze', (req, res, next) => {
+    const minutes = Number(req.body?.minutes);
+    if (!minutes || minutes <= 0 || minutes > AlertService.MAX_SNOOZE_MIN) {
+        return res.status(400).json({ error: `Snooze minutes must be between 1 and ${AlertService.MAX_SNOOZE_MIN}` });
+    }
+    next();
+}, lifecycleRoute((alert, { minutes, by, note }) =>
+    AlertService.snooze(alert, Number(minutes), by || 'dashboard', note)
+));
+
+module.exports = router;
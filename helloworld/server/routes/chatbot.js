@@ -6,74 +6,82 @@ const IntelligenceService = require('../services/intelligence');
 const GeminiService = require('../services/geminiService');
 const MLPredictionService = require('../services/mlPrediction');
 
-// Dynamic AI Chatbot Endpoint using Gemini API
-router.post('/', async (req, res) => {
-    try {
-        const { message, context, cropType, language = 'en' } = req.body;
+/**
+ * Answer a chatbot message: Gemini with sensor and prediction context, rule-based fallback.
+ * Shared by the HTTP endpoint and the Telegram /ask command.
+ */
+async function handleChat({ message, context, cropType, language = 'en' }) {
+    // Get current sensor data for context (filtered by crop if specified)
+    let query = {};
+    if (cropType && cropType !== 'All') {
+        query.cropType = cropType;
+    }
+    const latestData = await SensorData.findOne(query).sort({ timestamp: -1 });
 
-        if (!message || !message.trim()) {
-            return res.status(400).json({ error: 'Message is required' });
+    // Get latest ML predictions for this crop
+    let predictions = null;
+    let imageAnalysis = null;
+
+    if (latestData) {
+        // Get recent image analysis if available (from context or fetch)
+        if (context?.imageAnalysis) {
+            imageAnalysis = context.imageAnalysis;
         }
 
-        // Get current sensor data for context (filtered by crop if specified)
-        let query = {};
-        if (cropType && cropType !== 'All') {
-            query.cropType = cropType;
+        // Get ML predictions
+        try {
+            const predictionResult = await MLPredictionService.predict(
+                latestData,
+                imageAnalysis,
+                cropType || latestData.cropType
+            );
+            predictions = predictionResult.predictions;
+        } catch (predError) {
+            console.warn('Could not fetch predictions for chatbot:', predError.message);
         }
-        const latestData = await SensorData.findOne(query).sort({ timestamp: -1 });
+    }
 
-        // Get latest ML predictions for this crop
-        let predictions = null;
-        let imageAnalysis = null;
+    // Use Gemini API for intelligent response with language support
+    const geminiResponse = await GeminiService.getChatResponse(message, {
+        predictions,
+        sensorData: latestData,
+        cropType: cropType || latestData?.cropType,
+        imageAnalysis,
+        language  // Pass language to Gemini service
+    });
 
-        if (latestData) {
-            // Get recent image analysis if available (from context or fetch)
-            if (context?.imageAnalysis) {
-                imageAnalysis = context.imageAnalysis;
-            }
+    if (geminiResponse.success) {
+        return {
+            response: geminiResponse.response,
+            timestamp: new Date(),
+            source: 'gemini'
+        };
+    }
 
-            // Get ML predictions
-            try {
-                const predictionResult = await MLPredictionService.predict(
-                    latestData,
-                    imageAnalysis,
-                    cropType || latestData.cropType
-                );
-                predictions = predictionResult.predictions;
-            } catch (predError) {
-                console.warn('Could not fetch predictions for chatbot:', predError.message);
-            }
-        }
+    // Fallback to rule-based response
+    const fallbackResponse = await generateAIResponse(message, {
+        latestData,
+        predictions,
+        cropType: cropType || latestData?.cropType
+    });
 
-        // Use Gemini API for intelligent response with language support
-        const geminiResponse = await GeminiService.getChatResponse(message, {
-            predictions,
-            sensorData: latestData,
-            cropType: cropType || latestData?.cropType,
-            imageAnalysis,
-            language  // Pass language to Gemini service
-        });
+    return {
+        response: fallbackResponse,
+        timestamp: new Date(),
+        source: 'fallback'
+    };
+}
 
-        if (geminiResponse.success) {
-            res.json({
-                response: geminiResponse.response,
-                timestamp: new Date(),
-                source: 'gemini'
-            });
-        } else {
-            // Fallback to rule-based response
-            const fallbackResponse = await generateAIResponse(message, {
-                latestData,
-                predictions,
-                cropType: cropType || latestData?.cropType
-            });
+// Dynamic AI Chatbot Endpoint using Gemini API
+router.post('/', async (req, res) => {
+    try {
+        const { message, context, cropType, language = 'en' } = req.body;
 
-            res.json({
-                response: fallbackResponse,
-                timestamp: new Date(),
-                source: 'fallback'
-            });
+        if (!message || !message.trim()) {
+            return res.status(400).json({ error: 'Message is required' });
         }
+
+        res.json(await handleChat({ message, context, cropType, language }));
     } catch (error) {
         console.error('Chatbot API error:', error);
         res.status(500).json({
@@ -353,4 +361,4 @@ function extractTemperature(message) {
 }
 
 module.exports = router;
-
+module.exports.handleChat = handleChat;
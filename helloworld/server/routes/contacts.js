@@ -0,0 +1,76 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const Contact = require('../models/Contact');
+
+// The roster holds phone numbers and emails and decides who may run /irrigate on Telegram
+router.use(requireAdmin);
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid contact ID." });
+    }
+    next();
+});
+
+// List contacts (?role=Owner|Manager|Worker)
+router.get('/', async (req, res) => {
+    try {
+        const query = req.query.role ? { role: req.query.role } : {};
+        const contacts = await Contact.find(query).sort({ role: 1, name: 1 }).populate('fieldIds', 'name cropType');
+        res.json(contacts);
+    } catch (err) {
+        console.error('Contacts API error:', err);
+        res.status(500).json({ error: "Failed to fetch contacts." });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const contact = await Contact.create(req.body);
+        console.log(`✅ Contact created: ${contact.name} (${contact.role})`);
+        res.status(201).json(contact);
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid contact data.", details: err.message });
+        }
+        console.error('Contact create error:', err);
+        res.status(500).json({ error: "Failed to create contact.", details: err.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const contact = await Contact.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+        if (!contact) {
+            return res.status(404).json({ error: "Contact not found." });
+        }
+        res.json(contact);
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid contact data.", details: err.message });
+        }
+        console.error('Contact update error:', err);
+        res.status(500).json({ error: "Failed to update contact.", details: err.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const contact = await Contact.findByIdAndDelete(req.params.id);
+        if (!contact) {
+            return res.status(404).json({ error: "Contact not found." });
+        }
+        res.json({ success: true, id: contact._id });
+    } catch (err) {
+        console.error('Contact delete error:', err);
+        res.status(500).json({ error: "Failed to delete contact.", details: err.message });
+    }
+});
+
+module.exports = router;
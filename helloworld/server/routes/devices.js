@@ -0,0 +1,195 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const Device = require('../models/Device');
+const IngestionService = require('../services/ingestionService');
+const DeviceRegistry = require('../services/deviceRegistry');
+const ESP32Service = require('../services/esp32Service');
+const CommandQueue = require('../services/commandQueue');
+
+// Fields an admin may set on a device; the key hash and health fields are managed by the server
+const EDITABLE = ['name', 'fieldId', 'transport', 'ip', 'port', 'capabilities', 'board', 'heartbeatIntervalSec', 'active'];
+
+const pick = (body) => EDITABLE.reduce((update, key) => {
+    if (body[key] !== undefined) update[key] = body[key] === '' ? null : body[key];
+    return update;
+}, {});
+
+router.param('deviceId', async (req, res, next, deviceId) => {
+    try {
+        req.device = await Device.findOne({ deviceId });
+        if (!req.device) {
+            return res.status(404).json({ error: "Device not found." });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// List devices with health (?fieldId=, ?health=online|offline|unknown)
+router.get('/', async (req, res) => {
+    try {
+        const { fieldId, health } = req.query;
+        if (fieldId && !mongoose.Types.ObjectId.isValid(fieldId)) {
+            return res.status(400).json({ error: "Invalid field ID." });
+        }
+        res.json(await DeviceRegistry.list({ fieldId, health }));
+    } catch (err) {
+        console.error('Devices API error:', err);
+        res.status(500).json({ error: "Failed to fetch devices." });
+    }
+});
+
+// Command history across devices (?deviceId=, ?status=Pending|Sent|Acknowledged|Failed|Expired|Superseded, ?limit=)
+router.get('/commands', async (req, res) => {
+    try {
+        const { deviceId, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        res.json(await CommandQueue.getHistory({ deviceId, status, limit }));
+    } catch (err) {
+        console.error('Device commands API error:', err);
+        res.status(500).json({ error: "Failed to fetch commands." });
+    }
+});
+
+// Register a device. The API key (for /api/ingest and heartbeats) is only shown in this response.
+router.post('/', requireAdmin, async (req, res) => {
+    try {
+        const { deviceId } = req.body;
+        if (!deviceId) {
+            return res.status(400).json({ error: "deviceId is required." });
+        }
+        if (await Device.exists({ deviceId })) {
+            return res.status(409).json({ error: "Device already registered." });
+        }
+
+        const { device, apiKey } = await IngestionService.issueKey(deviceId, pick(req.body));
+        console.log(`📶 Device registered: ${deviceId}`);
+        res.status(201).json({ ...DeviceRegistry.describe(device), apiKey });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid device data.", details: err.message });
+        }
+        console.error('Device create error:', err);
+        res.status(500).json({ error: "Failed to register device.", details: err.message });
+    }
+});
+
+router.get('/:deviceId', (req, res) => {
+    res.json(DeviceRegistry.describe(req.device));
+});
+
+router.put('/:deviceId', requireAdmin, async (req, res) => {
+    try {
+        const device = await Device.findByIdAndUpdate(req.device._id, { $set: pick(req.body) }, { new: true, runValidators: true });
+        res.json(DeviceRegistry.describe(device));
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid device data.", details: err.message });
+        }
+        console.error('Device update error:', err);
+        res.status(500).json({ error: "Failed to update device.", details: err.message });
+    }
+});
+
+router.delete('/:deviceId', requireAdmin, async (req, res) => {
+    try {
+        await Device.deleteOne({ _id: req.device._id });
+        console.log(`🗑️ Device removed: ${req.device.deviceId}`);
+        res.json({ message: "Device removed." });
+    } catch (err) {
+        console.error('Device delete error:', err);
+        res.status(500).json({ error: "Failed to remove device." });
+    }
+});
+
+// Issue a new API key; the old one stops working at once. The key is only shown in this response.
+router.post('/:deviceId/key', requireAdmin, async (req, res) => {
+    try {
+        const { apiKey } = await IngestionService.issueKey(req.device.deviceId);
+        console.log(`🔑 API key rotated for device ${req.device.deviceId}`);
+        res.json({ deviceId: req.device.deviceId, apiKey });
+    } catch (err) {
+        console.error('Device key error:', err);
+        res.status(500).json({ error: "Failed to rotate device key.", details: err.message });
+    }
+});
+
+// Heartbeat from the node itself (X-Api-Key): { firmwareVersion, battery, rssi, capabilities, state }
+router.post('/:deviceId/heartbeat', async (req, res) => {
+    try {
+        const device = await IngestionService.authenticate(req.device.deviceId, req.get('X-Api-Key'));
+        if (!device) {
+            return res.status(401).json({ error: "Invalid device ID or API key." });
+        }
+        const updated = await DeviceRegistry.recordHeartbeat(device, req.body || {});
+        res.json({ deviceId: updated.deviceId, health: DeviceRegistry.getHealth(updated), nextHeartbeatSec: updated.heartbeatIntervalSec });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid heartbeat data.", details: err.message });
+        }
+        console.error('Heartbeat error:', err);
+        res.status(500).json({ error: "Failed to record heartbeat.", details: err.message });
+    }
+});
+
+// Set the node's indicator state: { state: normal|caution|critical }
+router.post('/:deviceId/state', requireAdmin, async (req, res) => {
+    try {
+        const { state } = req.body;
+        if (!state) {
+            return res.status(400).json({ error: "State is required (normal, caution, or critical)." });
+        }
+        if (!['normal', 'caution', 'critical'].includes(state)) {
+            return res.status(400).json({ error: "Invalid state. Must be normal, caution, or critical." });
+        }
+        const result = await ESP32Service.setState(state, req.device.deviceId, { issuedBy: 'dashboard' });
+        res.status(result.success ? 200 : result.queued ? 202 : 502).json(result);
+    } catch (err) {
+        console.error('Device state error:', err);
+        res.status(500).json({ error: "Failed to set device state.", details: err.message });
+    }
+});
+
+// Commands issued to this device and whether it confirmed them (?status=, ?limit=)
+router.get('/:deviceId/commands', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        res.json(await CommandQueue.getHistory({ deviceId: req.device.deviceId, status: req.query.status, limit }));
+    } catch (err) {
+        console.error('Device commands API error:', err);
+        res.status(500).json({ error: "Failed to fetch commands." });
+    }
+});
+
+// Acknowledgement from the node (X-Api-Key): { ok, error }. Needed when the node applies a
+// command later than its HTTP reply; a heartbeat reporting the expected state also counts.
+router.post('/:deviceId/commands/:commandId/ack', async (req, res) => {
+    try {
+        const device = await IngestionService.authenticate(req.device.deviceId, req.get('X-Api-Key'));
+        if (!device) {
+            return res.status(401).json({ error: "Invalid device ID or API key." });
+        }
+        const command = await CommandQueue.handleAck(device.deviceId, req.params.commandId, req.body || {}, 'api');
+        if (!command) {
+            return res.status(404).json({ error: "Command not found." });
+        }
+        res.json(command);
+    } catch (err) {
+        console.error('Command ack error:', err);
+        res.status(500).json({ error: "Failed to record acknowledgement.", details: err.message });
+    }
+});
+
+router.get('/:deviceId/test', async (req, res) => {
+    try {
+        res.json(await ESP32Service.testConnection(req.device.deviceId));
+    } catch (err) {
+        console.error('Device test error:', err);
+        res.status(500).json({ error: "Failed to test device connection.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const EscalationPolicy = require('../models/EscalationPolicy');
+const EscalationService = require('../services/escalationService');
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid policy ID." });
+    }
+    next();
+});
+
+router.get('/', async (req, res) => {
+    try {
+        const policies = await EscalationPolicy.find().sort({ order: 1, name: 1 });
+        res.json(policies);
+    } catch (err) {
+        console.error('Escalation policies API error:', err);
+        res.status(500).json({ error: "Failed to fetch escalation policies." });
+    }
+});
+
+// Which policy an alert of ?type=&severity= would follow
+router.get('/match', async (req, res) => {
+    try {
+        const { type, severity } = req.query;
+        if (!type || !severity) {
+            return res.status(400).json({ error: "type and severity are required." });
+        }
+        const policy = await EscalationService.getPolicyFor({ type, severity });
+        res.json({ type, severity, policy });
+    } catch (err) {
+        console.error('Escalation match error:', err);
+        res.status(500).json({ error: "Failed to match escalation policy.", details: err.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const policy = await EscalationPolicy.create(req.body);
+        console.log(`✅ Escalation policy created: ${policy.name}`);
+        res.status(201).json(policy);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: "Invalid escalation policy.", details: err.message });
+        }
+        console.error('Escalation policy create error:', err);
+        res.status(500).json({ error: "Failed to create escalation policy.", details: err.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const policy = await EscalationPolicy.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+        if (!policy) {
+            return res.status(404).json({ error: "Escalation policy not found." });
+        }
+        res.json(policy);
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid escalation policy.", details: err.message });
+        }
+        console.error('Escalation policy update error:', err);
+        res.status(500).json({ error: "Failed to update escalation policy.", details: err.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: "Escalation policy not found." });
+        }
+        res.json({ success: true, id: policy._id });
+    } catch (err) {
+        console.error('Escalation policy delete error:', err);
+        res.status(500).json({ error: "Failed to delete escalation policy.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Field = require('../models/Field');
+const ExportService = require('../services/exportService');
+
+// Metrics, formats and interval syntax for the export form
+router.get('/options', (req, res) => {
+    res.json({
+        formats: Object.keys(ExportService.formats),
+        metrics: ExportService.metrics,
+        intervals: ['raw', '15m', '1h', '6h', '1d']
+    });
+});
+
+// Stream readings: ?format=csv|xlsx|ndjson&fieldId=&cropType=&from=&to=
+// &metrics=soil.moisture,weather.temperature&interval=raw|15m|1h|1d&simulated=true|false
+router.get('/', async (req, res) => {
+    if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({ error: "Database not connected", message: "Exports read from MongoDB." });
+    }
+
+    try {
+        // A repeated parameter (?cropType=a&cropType=b) arrives as an array
+        const repeated = ['format', 'fieldId', 'cropType', 'from', 'to', 'interval', 'metrics', 'simulated']
+            .filter(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+        if (repeated.length > 0) {
+            return res.status(400).json({ error: `Give each parameter once: ${repeated.join(', ')}` });
+        }
+
+        const { fieldId, cropType, from, to, interval } = req.query;
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!ExportService.formats[format]) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(ExportService.formats).join(', ')}` });
+        }
+        if (fieldId && !mongoose.Types.ObjectId.isValid(fieldId)) {
+            return res.status(400).json({ error: "Invalid field ID." });
+        }
+        if (req.query.simulated !== undefined && !['true', 'false'].includes(req.query.simulated)) {
+            return res.status(400).json({ error: "simulated must be true or false." });
+        }
+
+        const { options, error } = ExportService.buildOptions({
+            fieldId,
+            cropType,
+            from,
+            to,
+            interval,
+            metrics: req.query.metrics ? req.query.metrics.split(',').map(m => m.trim()).filter(Boolean) : null,
+            simulated: req.query.simulated !== undefined ? req.query.simulated === 'true' : undefined
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let label = cropType || 'all';
+        if (fieldId) {
+            const field = await Field.findById(fieldId).select('name').lean();
+            if (!field) {
+                return res.status(404).json({ error: "Field not found." });
+            }
+            label = field.name;
+        }
+        const { contentType, extension } = ExportService.formats[format];
+        const filename = `sensor-data-${label.replace(/[^A-Za-z0-9_-]+/g, '_')}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        // Stop reading from the database when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        const rows = await ExportService.writeTo(res, format, options, { signal: controller.signal });
+        console.log(`📤 ${controller.signal.aborted ? 'Export cancelled after' : 'Exported'} ${rows} rows as ${format} (${filename})`);
+    } catch (err) {
+        console.error('Export error:', err);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: "Export failed.", details: err.message });
+        }
+        res.destroy(err);
+    }
+});
+
+module.exports = router;
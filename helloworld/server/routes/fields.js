@@ -0,0 +1,181 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Field = require('../models/Field');
+const SensorData = require('../models/SensorData');
+const Crop = require('../models/Crop');
+const IntelligenceService = require('../services/intelligence');
+const WaterBalanceService = require('../services/waterBalance');
+
+/**
+ * Builds the dashboard card for a field from its latest sensor reading
+ */
+async function buildFieldCard(field, data) {
+    const cropType = field?.cropType || data?.cropType;
+    const crop = await Crop.findOne({ name: cropType }) || await Crop.findOne();
+    const recommendation = data
+        ? await IntelligenceService.generateRecommendation(data, crop, [], field)
+        : { action: "Pending", reason: "Collecting initial data..." };
+    const yieldHealth = data ? await IntelligenceService.predictYieldHealth(data, crop) : 0;
+
+    // Determine status based on moisture and health
+    let status = 'Low';
+    if (data?.soil?.moisture < 25 || yieldHealth < 50) {
+        status = 'Critical';
+    } else if (data?.soil?.moisture < 30 || yieldHealth < 70) {
+        status = 'High';
+    }
+
+    return {
+        _id: field?._id || data?._id,
+        fieldId: field ? field._id.toString() : (cropType || `field-${data?._id}`),
+        fieldName: field ? field.name : `Field ${cropType}`,
+        crop: cropType,
+        area: field?.area,
+        growthStage: field?.growthStage,
+        plantingDate: field?.plantingDate,
+        devices: field?.devices || [],
+        moisture: data?.soil?.moisture || 0,
+        temperature: data?.weather?.temperature || 0,
+        humidity: data?.weather?.humidity || 0,
+        nitrogen: data?.soil?.nitrogen || 0,
+        phosphorus: data?.soil?.phosphorus || 0,
+        potassium: data?.soil?.potassium || 0,
+        soilType: field?.soilType || data?.soil?.soilType || 'Loamy',
+        recommendation,
+        yieldHealth: yieldHealth || 0,
+        status: recommendation.priority || status,
+        timestamp: data?.timestamp || new Date()
+    };
+}
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid field ID." });
+    }
+    next();
+});
+
+// Get Field Status (Multi-field support)
+router.get('/', async (req, res) => {
+    try {
+        const fields = await Field.find({ active: true }).sort({ name: 1 });
+
+        if (fields.length > 0) {
+            const cards = await Promise.all(fields.map(async (field) => {
+                const data = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+                return buildFieldCard(field, data);
+            }));
+            return res.json(cards);
+        }
+
+        // Legacy fallback: no fields registered yet, so treat each crop type as a field
+        const latestByCrop = await SensorData.aggregate([
+            { $sort: { timestamp: -1 } },
+            {
+                $group: {
+                    _id: "$cropType",
+                    latest: { $first: "$$ROOT" }
+                }
+            }
+        ]);
+
+        const cards = await Promise.all(latestByCrop.map(item => buildFieldCard(null, item.latest)));
+        res.json(cards);
+    } catch (err) {
+        console.error('Fields API error:', err);
+        res.status(500).json({ error: "Failed to fetch fields." });
+    }
+});
+
+// Get a single field with its latest reading
+router.get('/:id', async (req, res) => {
+    try {
+        const field = await Field.findById(req.params.id);
+        if (!field) {
+            return res.status(404).json({ error: "Field not found." });
+        }
+
+        const latestData = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+        res.json({ field, latestData, card: await buildFieldCard(field, latestData) });
+    } catch (err) {
+        console.error('Field fetch error:', err);
+        res.status(500).json({ error: "Failed to fetch field.", details: err.message });
+    }
+});
+
+// Daily soil water balance (depletion vs. MAD) for a field
+router.get('/:id/water-balance', async (req, res) => {
+    try {
+        const field = await Field.findById(req.params.id);
+        if (!field) {
+            return res.status(404).json({ error: "Field not found." });
+        }
+
+        const days = parseInt(req.query.days) || WaterBalanceService.DEFAULT_DAYS;
+        res.json(await WaterBalanceService.compute(field, { days }));
+    } catch (err) {
+        console.error('Water balance error:', err);
+        res.status(500).json({ error: "Failed to compute water balance.", details: err.message });
+    }
+});
+
+// Create a field
+router.post('/', async (req, res) => {
+    try {
+        const field = new Field(req.body);
+        if (!field.cropId) {
+            const crop = await Crop.findOne({ name: field.cropType });
+            if (crop) field.cropId = crop._id;
+        }
+        await field.save();
+
+        console.log(`✅ Field created: ${field.name} (${field.cropType})`);
+        res.status(201).json(field);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: "Invalid field data.", details: err.message });
+        }
+        console.error('Field create error:', err);
+        res.status(500).json({ error: "Failed to create field.", details: err.message });
+    }
+});
+
+// Update a field
+router.put('/:id', async (req, res) => {
+    try {
+        const field = await Field.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+        if (!field) {
+            return res.status(404).json({ error: "Field not found." });
+        }
+        res.json(field);
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid field data.", details: err.message });
+        }
+        console.error('Field update error:', err);
+        res.status(500).json({ error: "Failed to update field.", details: err.message });
+    }
+});
+
+// Delete a field (sensor history is kept and stays queryable by fieldId)
+router.delete('/:id', async (req, res) => {
+    try {
+        const field = await Field.findByIdAndDelete(req.params.id);
+        if (!field) {
+            return res.status(404).json({ error: "Field not found." });
+        }
+
+        console.log(`🗑️ Field deleted: ${field.name}`);
+        res.json({ success: true, id: field._id });
+    } catch (err) {
+        console.error('Field delete error:', err);
+        res.status(500).json({ error: "Failed to delete field.", details: err.message });
+    }
+});
+
+module.exports = router;
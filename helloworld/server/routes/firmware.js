@@ -0,0 +1,232 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const Firmware = require('../models/Firmware');
+const FirmwareRollout = require('../models/FirmwareRollout');
+const IngestionService = require('../services/ingestionService');
+const OTAService = require('../services/otaService');
+
+const requireDatabase = (req, res, next) => {
+    if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({ error: "Database not connected", message: "Firmware is stored in MongoDB." });
+    }
+    next();
+};
+
+// Nodes identify themselves the same way as for /api/ingest
+const requireDevice = async (req, res, next) => {
+    try {
+        req.device = await IngestionService.authenticate(req.get('X-Device-Id'), req.get('X-Api-Key'));
+        if (!req.device) {
+            return res.status(401).json({ error: "Invalid device ID or API key." });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+router.param('version', async (req, res, next, version) => {
+    try {
+        req.firmware = await Firmware.findOne({ version });
+        if (!req.firmware) {
+            return res.status(404).json({ error: "Firmware version not found." });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.param('id', async (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid rollout ID." });
+    }
+    try {
+        req.rollout = await FirmwareRollout.findById(id);
+        if (!req.rollout) {
+            return res.status(404).json({ error: "Rollout not found." });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.get('/firmware', async (req, res) => {
+    try {
+        res.json(await Firmware.find().sort({ createdAt: -1 }));
+    } catch (err) {
+        console.error('Firmware API error:', err);
+        res.status(500).json({ error: "Failed to fetch firmware." });
+    }
+});
+
+// Upload an image: raw .bin body (Content-Type: application/octet-stream), ?version=1.4.0&board=esp32&notes=
+router.post('/firmware', requireAdmin, requireDatabase,
+    express.raw({ type: 'application/octet-stream', limit: OTAService.MAX_SIZE }),
+    async (req, res) => {
+        try {
+            const { version, board, notes, filename } = req.query;
+            if (!version) {
+                return res.status(400).json({ error: "version is required." });
+            }
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({ error: "Send the firmware image as application/octet-stream." });
+            }
+            if (req.body[0] !== OTAService.IMAGE_MAGIC) {
+                return res.status(400).json({ error: "Not an ESP32 firmware image (bad magic byte)." });
+            }
+            if (await Firmware.exists({ version })) {
+                return res.status(409).json({ error: "Firmware version already uploaded." });
+            }
+
+            const firmware = await OTAService.upload(req.body, { version, board, notes, filename, uploadedBy: req.get('X-User') || 'dashboard' });
+            console.log(`📦 Firmware ${version} uploaded (${firmware.size} bytes)`);
+            res.status(201).json(firmware);
+        } catch (err) {
+            if (err.name === 'ValidationError') {
+                return res.status(400).json({ error: "Invalid firmware data.", details: err.message });
+            }
+            console.error('Firmware upload error:', err);
+            res.status(500).json({ error: "Failed to store firmware.", details: err.message });
+        }
+    });
+
+// Progress from the node itself: { version, status: 'installed' | 'failed', error }
+router.post('/firmware/report', requireDevice, async (req, res) => {
+    try {
+        const { version, status, error } = req.body;
+        if (!['installed', 'failed'].includes(status)) {
+            return res.status(400).json({ error: "status must be installed or failed." });
+        }
+        const result = await OTAService.report(req.device.deviceId, { version, status, error });
+        res.json(result || { deviceId: req.device.deviceId, message: "No active rollout for this device." });
+    } catch (err) {
+        console.error('Firmware report error:', err);
+        res.status(500).json({ error: "Failed to record firmware report.", details: err.message });
+    }
+});
+
+router.get('/firmware/:version', (req, res) => {
+    res.json(req.firmware);
+});
+
+router.delete('/firmware/:version', requireAdmin, async (req, res) => {
+    try {
+        const result = await OTAService.remove(req.firmware);
+        if (!result.success) {
+            return res.status(409).json({ error: result.message });
+        }
+        res.json({ message: "Firmware deleted." });
+    } catch (err) {
+        console.error('Firmware delete error:', err);
+        res.status(500).json({ error: "Failed to delete firmware." });
+    }
+});
+
+// The image itself, for nodes fetching an OTA job (X-Device-Id + X-Api-Key)
+router.get('/firmware/:version/download', requireDatabase, requireDevice, (req, res) => {
+    const { firmware } = req;
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': firmware.size,
+        'Content-Disposition': `attachment; filename="${firmware.filename}"`,
+        'X-Firmware-Version': firmware.version,
+        'X-MD5': firmware.md5,
+        'X-SHA256': firmware.sha256
+    });
+    OTAService.openDownload(firmware)
+        .on('error', err => {
+            console.error('Firmware download error:', err.message);
+            if (!res.headersSent) res.status(500).json({ error: "Failed to read firmware." });
+            else res.destroy(err);
+        })
+        .pipe(res);
+});
+
+// Rollouts (?status=Running)
+router.get('/rollouts', async (req, res) => {
+    try {
+        const query = req.query.status ? { status: req.query.status } : {};
+        res.json(await FirmwareRollout.find(query).sort({ createdAt: -1 }).limit(50));
+    } catch (err) {
+        console.error('Rollouts API error:', err);
+        res.status(500).json({ error: "Failed to fetch rollouts." });
+    }
+});
+
+// Start a rollout: { version, deviceIds?, fieldId?, canaryCount, percentage, healthCheckMin, updateTimeoutMin, maxFailures, autoAdvance }
+router.post('/rollouts', requireAdmin, requireDatabase, async (req, res) => {
+    try {
+        const { version, fieldId } = req.body;
+        if (!version) {
+            return res.status(400).json({ error: "version is required." });
+        }
+        if (fieldId && !mongoose.Types.ObjectId.isValid(fieldId)) {
+            return res.status(400).json({ error: "Invalid field ID." });
+        }
+        const firmware = await Firmware.findOne({ version });
+        if (!firmware) {
+            return res.status(404).json({ error: "Firmware version not found." });
+        }
+
+        const result = await OTAService.createRollout(firmware, {
+            ...req.body,
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+            createdBy: req.get('X-User') || 'dashboard'
+        });
+        if (!result.success) {
+            return res.status(409).json({ error: result.message });
+        }
+        res.status(201).json(result.rollout);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: "Invalid rollout settings.", details: err.message });
+        }
+        console.error('Rollout create error:', err);
+        res.status(500).json({ error: "Failed to start rollout.", details: err.message });
+    }
+});
+
+router.get('/rollouts/:id', (req, res) => {
+    res.json(req.rollout);
+});
+
+// Manual controls: advance (next stage now), pause, resume, cancel, rollback
+router.post('/rollouts/:id/:action', requireAdmin, async (req, res) => {
+    try {
+        const { rollout } = req;
+        const by = req.get('X-User') || 'dashboard';
+        const action = req.params.action;
+        const allowed = {
+            advance: ['Running', 'Paused'],
+            pause: ['Running'],
+            resume: ['Paused'],
+            cancel: ['Running', 'Paused'],
+            rollback: ['Running', 'Paused', 'Completed']
+        };
+        if (!allowed[action]) {
+            return res.status(404).json({ error: `Unknown action: ${action}` });
+        }
+        if (!allowed[action].includes(rollout.status)) {
+            return res.status(409).json({ error: `Cannot ${action} a rollout that is ${rollout.status}.` });
+        }
+
+        let updated;
+        if (action === 'advance') updated = await OTAService.advance(rollout, by);
+        else if (action === 'pause') updated = await OTAService.setStatus(rollout, 'Paused', by);
+        else if (action === 'resume') updated = await OTAService.setStatus(rollout, 'Running', by);
+        else if (action === 'cancel') updated = await OTAService.setStatus(rollout, 'Cancelled', by);
+        else updated = await OTAService.rollback(rollout, req.body?.reason || 'Requested manually', by);
+
+        console.log(`📦 Rollout ${rollout.version}: ${action} by ${by}`);
+        res.json(updated);
+    } catch (err) {
+        console.error('Rollout action error:', err);
+        res.status(500).json({ error: "Failed to update rollout.", details: err.message });
+    }
+});
+
+module.exports = router;
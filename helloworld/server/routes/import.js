@@ -0,0 +1,111 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const Field = require('../models/Field');
+const ImportService = require('../services/importService');
+
+const requireDatabase = (req, res, next) => {
+    if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({ error: "Database not connected", message: "Imported readings are stored in MongoDB." });
+    }
+    next();
+};
+
+router.use(requireAdmin);
+
+// Upload a dataset: the file as the raw body (?filename=lab.xlsx&format=csv|json|xlsx&sheet=),
+// or a JSON array of rows. Returns the suggested column mapping and a sample.
+router.post('/', express.raw({ type: () => true, limit: ImportService.MAX_SIZE }), async (req, res) => {
+    try {
+        const { filename, format, sheet } = req.query;
+        if (format && !['csv', 'json', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: "format must be csv, json or xlsx." });
+        }
+
+        // JSON bodies were already parsed by express.json()
+        let body = req.body;
+        if (!Buffer.isBuffer(body)) {
+            body = Array.isArray(body) ? body : body?.rows;
+        }
+        if (!Array.isArray(body) && !(Buffer.isBuffer(body) && body.length > 0)) {
+            return res.status(400).json({ error: "Send the file as the request body, or a JSON array of rows." });
+        }
+
+        let upload;
+        try {
+            upload = await ImportService.createUpload(body, { filename, format, sheet });
+        } catch (err) {
+            return res.status(400).json({ error: "Could not read the file.", details: err.message });
+        }
+        console.log(`📄 Import upload ${upload.id}: ${upload.filename} (${upload.rows.length} rows)`);
+        res.status(201).json(ImportService.describeUpload(upload));
+    } catch (err) {
+        console.error('Import upload error:', err);
+        res.status(500).json({ error: "Failed to read upload.", details: err.message });
+    }
+});
+
+router.param('uploadId', (req, res, next, uploadId) => {
+    req.upload = ImportService.getUpload(uploadId);
+    if (!req.upload) {
+        return res.status(404).json({ error: "Upload not found or expired." });
+    }
+    next();
+});
+
+router.get('/:uploadId', (req, res) => {
+    res.json(ImportService.describeUpload(req.upload));
+});
+
+// Validate and store: { mapping: { column: target | null }, fieldId or cropType, intervalSec,
+// dedupe (default true), mode: 'append' (default) | 'replace', dryRun }
+router.post('/:uploadId/commit', requireDatabase, async (req, res) => {
+    try {
+        const { mapping, fieldId, cropType, mode } = req.body;
+        const intervalSec = req.body.intervalSec !== undefined ? Number(req.body.intervalSec) : undefined;
+        if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+            return res.status(400).json({ error: "mapping must be an object of column -> target." });
+        }
+        if (intervalSec !== undefined && !(intervalSec > 0)) {
+            return res.status(400).json({ error: "intervalSec must be a positive number." });
+        }
+
+        let field = null;
+        if (fieldId) {
+            if (!mongoose.Types.ObjectId.isValid(fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            field = await Field.findById(fieldId);
+            if (!field) {
+                return res.status(404).json({ error: "Field not found." });
+            }
+        }
+
+        const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+        const result = await ImportService.run(req.upload, {
+            mapping,
+            field,
+            cropType,
+            intervalSec,
+            mode,
+            dryRun,
+            dedupe: req.body.dedupe !== false
+        });
+        if (!result.success) {
+            return res.status(400).json({ error: result.message, details: result.errors });
+        }
+        if (!dryRun) ImportService.discard(req.upload);
+        res.json(result.report);
+    } catch (err) {
+        console.error('Import commit error:', err);
+        res.status(500).json({ error: "Import failed.", details: err.message });
+    }
+});
+
+router.delete('/:uploadId', (req, res) => {
+    ImportService.discard(req.upload);
+    res.json({ message: "Upload discarded." });
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const Device = require('../models/Device');
+const IngestionService = require('../services/ingestionService');
+
+const requireDatabase = (req, res, next) => {
+    if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({
+            error: "Database not connected",
+            message: "MongoDB connection is not available. Readings were not stored."
+        });
+    }
+    next();
+};
+
+// Push one reading or a batch: body is a reading, an array, or { readings: [...] }
+router.post('/', requireDatabase, async (req, res) => {
+    try {
+        const device = await IngestionService.authenticate(req.get('X-Device-Id'), req.get('X-Api-Key'));
+        if (!device) {
+            return res.status(401).json({ error: "Invalid device ID or API key." });
+        }
+
+        const body = req.body;
+        const isBatch = Array.isArray(body) || Array.isArray(body?.readings);
+        const readings = Array.isArray(body) ? body : Array.isArray(body?.readings) ? body.readings : [body];
+
+        if (readings.length === 0) {
+            return res.status(400).json({ error: "No readings provided." });
+        }
+        if (readings.length > IngestionService.MAX_BATCH_SIZE) {
+            return res.status(413).json({ error: `Batch too large. Maximum ${IngestionService.MAX_BATCH_SIZE} readings per request.` });
+        }
+
+        const summary = await IngestionService.ingest(readings, device);
+        console.log(`📥 Ingest ${device.deviceId}: ${summary.accepted} accepted, ${summary.duplicates} duplicate, ${summary.rejected} rejected`);
+
+        let statusCode = 200;
+        if (summary.accepted > 0) statusCode = 201;
+        else if (summary.rejected === readings.length) statusCode = isBatch ? 422 : 400;
+
+        res.status(statusCode).json(summary);
+    } catch (error) {
+        console.error('Ingest error:', error);
+        res.status(500).json({ error: 'Failed to ingest readings', details: error.message });
+    }
+});
+
+// Register a device. The API key is only shown in this response; rotate it with POST /api/devices/:deviceId/key.
+router.post('/devices', requireAdmin, requireDatabase, async (req, res) => {
+    try {
+        const { deviceId, name, fieldId } = req.body;
+        if (!deviceId) {
+            return res.status(400).json({ error: 'deviceId is required' });
+        }
+        if (fieldId && !mongoose.Types.ObjectId.isValid(fieldId)) {
+            return res.status(400).json({ error: 'Invalid field ID.' });
+        }
+        if (await Device.exists({ deviceId })) {
+            return res.status(409).json({ error: 'Device already registered.' });
+        }
+
+        const { device, apiKey } = await IngestionService.issueKey(deviceId, { name, fieldId });
+        console.log(`🔑 Ingestion key issued for device ${deviceId}`);
+        res.status(201).json({ deviceId: device.deviceId, fieldId: device.fieldId, apiKey });
+    } catch (error) {
+        console.error('Device key error:', error);
+        res.status(500).json({ error: 'Failed to issue device key', details: error.message });
+    }
+});
+
+module.exports = router;
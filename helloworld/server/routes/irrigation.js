@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const IrrigationSession = require('../models/IrrigationSession');
+const IrrigationDeferral = require('../models/IrrigationDeferral');
+const IrrigationController = require('../services/irrigationController');
+const RainDeferralService = require('../services/rainDeferral');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Map a refused start to a status: missing field, valve that never opened, or a conflict
+const refusalStatus = (result, fallback) => result.notFound ? 404 : result.deviceError ? 502 : fallback;
+
+// List irrigation sessions (filter by ?fieldId=&status=)
+router.get('/sessions', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.fieldId) {
+            if (!isValidId(req.query.fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            query.fieldId = req.query.fieldId;
+        }
+        if (req.query.status) query.status = req.query.status;
+
+        const limit = parseInt(req.query.limit) || 50;
+        const sessions = await IrrigationSession.find(query)
+            .sort({ startedAt: -1 })
+            .limit(limit)
+            .populate('fieldId', 'name cropType');
+        res.json(sessions);
+    } catch (err) {
+        console.error('Irrigation sessions error:', err);
+        res.status(500).json({ error: "Failed to fetch irrigation sessions." });
+    }
+});
+
+// Rain deferral decisions and their outcomes (filter by ?fieldId=&status=)
+router.get('/deferrals', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.fieldId) {
+            if (!isValidId(req.query.fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            query.fieldId = req.query.fieldId;
+        }
+        if (req.query.status) query.status = req.query.status;
+
+        const limit = parseInt(req.query.limit) || 50;
+        const deferrals = await IrrigationDeferral.find(query)
+            .sort({ decidedAt: -1 })
+            .limit(limit)
+            .populate('fieldId', 'name cropType');
+        res.json(deferrals);
+    } catch (err) {
+        console.error('Irrigation deferrals error:', err);
+        res.status(500).json({ error: "Failed to fetch deferrals." });
+    }
+});
+
+// Forecast reliability: share of deferrals where the rain came, mean error in mm (?fieldId=&days=30)
+router.get('/deferrals/stats', async (req, res) => {
+    try {
+        if (req.query.fieldId && !isValidId(req.query.fieldId)) {
+            return res.status(400).json({ error: "Invalid field ID." });
+        }
+        const stats = await RainDeferralService.getStats({
+            fieldId: req.query.fieldId,
+            days: parseInt(req.query.days) || 30
+        });
+        res.json(stats);
+    } catch (err) {
+        console.error('Deferral stats error:', err);
+        res.status(500).json({ error: "Failed to compute deferral stats." });
+    }
+});
+
+// Start irrigation: { fieldId, duration, targetMoisture?, reason?, triggeredBy? }
+router.post('/start', requireAdmin, async (req, res) => {
+    try {
+        const { fieldId, duration, amount, targetMoisture, reason, triggeredBy } = req.body;
+        if (!fieldId || !isValidId(fieldId)) {
+            return res.status(400).json({ error: 'A valid fieldId is required' });
+        }
+        if (!duration || isNaN(duration) || duration <= 0) {
+            return res.status(400).json({ error: 'Duration (minutes) is required' });
+        }
+
+        const result = await IrrigationController.start(fieldId, {
+            duration: Number(duration),
+            amount,
+            targetMoisture,
+            reason: reason || 'Manual irrigation',
+            triggeredBy: triggeredBy || 'dashboard'
+        });
+        res.status(result.success ? 201 : refusalStatus(result, 409)).json(result);
+    } catch (error) {
+        console.error('Irrigation start error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start irrigation', message: error.message });
+    }
+});
+
+// Act on the field's current recommendation (only irrigates when action is "Irrigate")
+router.post('/fields/:fieldId/recommended', requireAdmin, async (req, res) => {
+    try {
+        if (!isValidId(req.params.fieldId)) {
+            return res.status(400).json({ error: "Invalid field ID." });
+        }
+        const result = await IrrigationController.irrigateFromRecommendation(
+            req.params.fieldId,
+            req.body.triggeredBy || 'dashboard'
+        );
+        res.status(result.success ? 201 : refusalStatus(result, 200)).json(result);
+    } catch (error) {
+        console.error('Recommended irrigation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to act on recommendation', message: error.message });
+    }
+});
+
+// Stop a running session
+router.post('/sessions/:id/stop', async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ error: "Invalid session ID." });
+        }
+        const result = await IrrigationController.stop(req.params.id, 'Manual', req.body.stoppedBy || 'dashboard');
+        res.status(result.success ? 200 : result.valveOpen ? 502 : 409).json(result);
+    } catch (error) {
+        console.error('Irrigation stop error:', error);
+        res.status(500).json({ success: false, error: 'Failed to stop irrigation', message: error.message });
+    }
+});
+
+module.exports = router;
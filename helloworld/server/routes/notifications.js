@@ -0,0 +1,61 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const NotificationDispatcher = require('../services/notificationDispatcher');
+
+// Which channels are set up on this server
+router.get('/channels', (req, res) => {
+    res.json({
+        channels: NotificationDispatcher.getChannelStatus(),
+        webhooks: NotificationDispatcher.WEBHOOK_URLS.length,
+        maxAttempts: NotificationDispatcher.MAX_ATTEMPTS
+    });
+});
+
+// Delivery log (?channel=sms&status=Failed&alertId=&limit=); entries carry addresses and message text
+router.get('/deliveries', requireAdmin, async (req, res) => {
+    try {
+        const { channel, status, alertId } = req.query;
+        if (alertId && !mongoose.Types.ObjectId.isValid(alertId)) {
+            return res.status(400).json({ error: "Invalid alert ID." });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        res.json(await NotificationDispatcher.getDeliveries({ channel, status, alertId, limit }));
+    } catch (err) {
+        console.error('Notification deliveries API error:', err);
+        res.status(500).json({ error: "Failed to fetch deliveries." });
+    }
+});
+
+// Send a test message over one channel: { channel, address, message }.
+// Webhook addresses must be one of NOTIFY_WEBHOOK_URLS.
+router.post('/test', requireAdmin, async (req, res) => {
+    try {
+        const { channel, address, message } = req.body;
+        if (!channel || !address) {
+            return res.status(400).json({ error: "channel and address are required." });
+        }
+        if (!NotificationDispatcher.getChannel(channel)) {
+            return res.status(400).json({ error: `Unknown channel: ${channel}` });
+        }
+        if (channel === 'webhook' && !NotificationDispatcher.WEBHOOK_URLS.includes(address)) {
+            return res.status(400).json({ error: "Webhook address must be one of NOTIFY_WEBHOOK_URLS." });
+        }
+
+        const text = message || 'Test message from Tridentrix';
+        const result = await NotificationDispatcher.dispatch({
+            subject: '[Tridentrix] Test notification',
+            event: 'test',
+            payload: { event: 'test' },
+            render: () => text
+        }, [{ channel, address, name: 'test' }]);
+        const [delivery] = result.results;
+        res.status(delivery.success ? 200 : 502).json(delivery);
+    } catch (err) {
+        console.error('Notification test error:', err);
+        res.status(500).json({ error: "Failed to send test notification.", details: err.message });
+    }
+});
+
+module.exports = router;
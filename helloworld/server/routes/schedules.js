@@ -0,0 +1,138 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Field = require('../models/Field');
+const IrrigationSchedule = require('../models/IrrigationSchedule');
+const IrrigationScheduler = require('../services/irrigationScheduler');
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid schedule ID." });
+    }
+    next();
+});
+
+/**
+ * Validates, checks pump conflicts and saves a schedule.
+ * Conflicts block the save unless ?force=true.
+ */
+async function saveSchedule(schedule, req, res, createdStatus) {
+    const validation = schedule.validateSync();
+    if (validation) {
+        return res.status(400).json({ error: "Invalid schedule data.", details: validation.message });
+    }
+    if (!await Field.exists({ _id: schedule.fieldId })) {
+        return res.status(400).json({ error: "Field not found." });
+    }
+
+    const conflicts = schedule.enabled ? await IrrigationScheduler.findConflicts(schedule) : [];
+    if (conflicts.length > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+            error: "Schedule overlaps another field on a shared pump.",
+            conflicts,
+            solution: "Move one of the windows or retry with ?force=true."
+        });
+    }
+
+    schedule.nextRunAt = schedule.enabled ? IrrigationScheduler.nextRuns(schedule, 1)[0] : null;
+    await schedule.save();
+    res.status(createdStatus).json({ schedule, conflicts });
+}
+
+// List schedules (filter by ?fieldId=)
+router.get('/', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.fieldId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            query.fieldId = req.query.fieldId;
+        }
+        const schedules = await IrrigationSchedule.find(query)
+            .sort({ time: 1 })
+            .populate('fieldId', 'name cropType');
+        res.json(schedules);
+    } catch (err) {
+        console.error('Schedules API error:', err);
+        res.status(500).json({ error: "Failed to fetch schedules." });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const schedule = await IrrigationSchedule.findById(req.params.id).populate('fieldId', 'name cropType');
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found." });
+        }
+        res.json(schedule);
+    } catch (err) {
+        console.error('Schedule fetch error:', err);
+        res.status(500).json({ error: "Failed to fetch schedule.", details: err.message });
+    }
+});
+
+// Next N runs plus any pump conflicts: GET /api/schedules/:id/preview?count=10
+router.get('/:id/preview', async (req, res) => {
+    try {
+        const schedule = await IrrigationSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found." });
+        }
+
+        const count = Math.min(100, parseInt(req.query.count) || 5);
+        res.json({
+            scheduleId: schedule._id,
+            enabled: schedule.enabled,
+            runs: schedule.enabled ? IrrigationScheduler.nextRuns(schedule, count) : [],
+            conflicts: await IrrigationScheduler.findConflicts(schedule)
+        });
+    } catch (err) {
+        console.error('Schedule preview error:', err);
+        res.status(500).json({ error: "Failed to preview schedule.", details: err.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        await saveSchedule(new IrrigationSchedule(req.body), req, res, 201);
+    } catch (err) {
+        console.error('Schedule create error:', err);
+        res.status(500).json({ error: "Failed to create schedule.", details: err.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const schedule = await IrrigationSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found." });
+        }
+
+        const { fieldId, name, time, daysOfWeek, duration, useRecommendation, conditions, enabled } = req.body;
+        Object.entries({ fieldId, name, time, daysOfWeek, duration, useRecommendation, conditions, enabled })
+            .forEach(([key, value]) => {
+                if (value !== undefined) schedule[key] = value;
+            });
+        await saveSchedule(schedule, req, res, 200);
+    } catch (err) {
+        console.error('Schedule update error:', err);
+        res.status(500).json({ error: "Failed to update schedule.", details: err.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const schedule = await IrrigationSchedule.findByIdAndDelete(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found." });
+        }
+        res.json({ success: true, id: schedule._id });
+    } catch (err) {
+        console.error('Schedule delete error:', err);
+        res.status(500).json({ error: "Failed to delete schedule.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Field = require('../models/Field');
+const FieldSimulator = require('../services/fieldSimulator');
+const DataSynthesisService = require('../services/dataSynthesis');
+const SimulationEngine = require('../services/simulationEngine');
+
+// Scenario presets for the field simulator
+router.get('/scenarios', (req, res) => {
+    res.json(Object.entries(FieldSimulator.scenarios).map(([name, { description }]) => ({ name, description })));
+});
+
+// Simulated fields (or crop types) with their actual moisture, depletion and scenario
+router.get('/fields', (req, res) => {
+    res.json(DataSynthesisService.getSimulations());
+});
+
+// Switch a field to a scenario: { fieldId or cropType, scenario, hours (optional, else until changed) }
+router.post('/scenario', async (req, res) => {
+    try {
+        const { fieldId, cropType, scenario } = req.body;
+        const hours = req.body.hours !== undefined ? Number(req.body.hours) : null;
+        if (!scenario) {
+            return res.status(400).json({ error: "scenario is required." });
+        }
+        if (hours !== null && !(hours > 0)) {
+            return res.status(400).json({ error: "hours must be a positive number." });
+        }
+
+        let field = null;
+        if (fieldId) {
+            if (!mongoose.Types.ObjectId.isValid(fieldId)) {
+                return res.status(400).json({ error: "Invalid field ID." });
+            }
+            field = await Field.findById(fieldId);
+            if (!field) {
+                return res.status(404).json({ error: "Field not found." });
+            }
+        } else if (!cropType) {
+            return res.status(400).json({ error: "fieldId or cropType is required." });
+        }
+
+        const result = await DataSynthesisService.setScenario({ field, cropType }, scenario, hours);
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        res.json(result.simulation);
+    } catch (err) {
+        console.error('Simulation scenario error:', err);
+        res.status(500).json({ error: "Failed to set scenario.", details: err.message });
+    }
+});
+
+// Datasets that can be replayed by name (csvjson.json plus files in REPLAY_DATA_DIR)
+router.get('/datasets', (req, res) => {
+    res.json(SimulationEngine.listDatasets());
+});
+
+// Running, paused and finished replays
+router.get('/replays', (req, res) => {
+    res.json(SimulationEngine.list());
+});
+
+// Start replaying into a field: { fieldId, dataset | rows | csv | history: { fieldId, from, to }, speed, loop, intervalSec }
+// A text/csv body is replayed directly, with the options in the query string
+router.post('/replays', express.text({ type: 'text/csv', limit: '20mb' }), async (req, res) => {
+    try {
+        const isCsv = typeof req.body === 'string';
+        const options = isCsv ? req.query : req.body;
+        const { fieldId } = options;
+        const speed = options.speed !== undefined ? Number(options.speed) : undefined;
+        const intervalSec = options.intervalSec !== undefined ? Number(options.intervalSec) : undefined;
+        const loop = options.loop === true || options.loop === 'true';
+
+        if (!fieldId || !mongoose.Types.ObjectId.isValid(fieldId)) {
+            return res.status(400).json({ error: "A valid fieldId is required." });
+        }
+        if (speed !== undefined && !(speed > 0)) {
+            return res.status(400).json({ error: "speed must be a positive number." });
+        }
+        if (intervalSec !== undefined && !(intervalSec > 0)) {
+            return res.status(400).json({ error: "intervalSec must be a positive number." });
+        }
+        const field = await Field.findById(fieldId);
+        if (!field) {
+            return res.status(404).json({ error: "Field not found." });
+        }
+
+        let source;
+        if (isCsv) {
+            source = { csv: req.body };
+        } else if (Array.isArray(options.rows)) {
+            source = { rows: options.rows };
+        } else if (typeof options.csv === 'string') {
+            source = { csv: options.csv };
+        } else if (options.history) {
+            if (!options.history.from || isNaN(new Date(options.history.from))) {
+                return res.status(400).json({ error: "history.from must be a date." });
+            }
+            source = { history: { ...options.history, fieldId: options.history.fieldId || fieldId } };
+        } else {
+            source = { dataset: options.dataset };
+        }
+
+        let result;
+        try {
+            result = await SimulationEngine.start(field, source, { speed, loop, intervalSec });
+        } catch (err) {
+            return res.status(400).json({ error: "Could not load dataset.", details: err.message });
+        }
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        res.status(201).json(result.replay);
+    } catch (err) {
+        console.error('Replay start error:', err);
+        res.status(500).json({ error: "Failed to start replay.", details: err.message });
+    }
+});
+
+router.param('fieldId', (req, res, next, fieldId) => {
+    const replay = SimulationEngine.get(fieldId);
+    if (!replay) {
+        return res.status(404).json({ error: "No replay for this field." });
+    }
+    req.replay = replay;
+    next();
+});
+
+router.get('/replays/:fieldId', (req, res) => {
+    res.json(SimulationEngine.describe(req.replay));
+});
+
+router.post('/replays/:fieldId/pause', (req, res) => {
+    res.json(SimulationEngine.pause(req.replay));
+});
+
+// Resume a paused replay, or restart a finished one
+router.post('/replays/:fieldId/resume', (req, res) => {
+    res.json(SimulationEngine.resume(req.replay));
+});
+
+// Jump to { index } (row), { percent } (of the dataset) or { time } (original timestamp)
+router.post('/replays/:fieldId/seek', (req, res) => {
+    const { index, percent, time } = req.body;
+    if (index === undefined && percent === undefined && time === undefined) {
+        return res.status(400).json({ error: "index, percent or time is required." });
+    }
+    try {
+        res.json(SimulationEngine.seek(req.replay, { index, percent, time }));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// { speed } in dataset seconds per real second
+router.post('/replays/:fieldId/speed', (req, res) => {
+    const speed = Number(req.body.speed);
+    if (!(speed > 0)) {
+        return res.status(400).json({ error: "speed must be a positive number." });
+    }
+    res.json(SimulationEngine.setSpeed(req.replay, speed));
+});
+
+router.delete('/replays/:fieldId', (req, res) => {
+    const replay = SimulationEngine.describe(req.replay);
+    SimulationEngine.stop(req.replay);
+    res.json({ message: "Replay stopped.", replay });
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const LiveStream = require('../services/liveStream');
+
+// Live dashboard events over Server-Sent Events (?fieldId= limits to one field)
+router.get('/', (req, res) => {
+    const { fieldId } = req.query;
+    if (fieldId && !mongoose.Types.ObjectId.isValid(fieldId)) {
+        return res.status(400).json({ error: "Invalid field ID." });
+    }
+    LiveStream.addClient(req, res, { fieldId });
+});
+
+// Connected dashboards and the last event id
+router.get('/stats', (req, res) => {
+    res.json(LiveStream.getStats());
+});
+
+module.exports = router;
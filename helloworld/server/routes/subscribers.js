@@ -0,0 +1,78 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Subscriber = require('../models/Subscriber');
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid subscriber ID." });
+    }
+    next();
+});
+
+// List Telegram subscribers (?active=true|false)
+router.get('/', async (req, res) => {
+    try {
+        const query = req.query.active !== undefined ? { active: req.query.active === 'true' } : {};
+        const subscribers = await Subscriber.find(query).sort({ createdAt: -1 }).populate('fieldIds', 'name cropType');
+        res.json(subscribers);
+    } catch (err) {
+        console.error('Subscribers API error:', err);
+        res.status(500).json({ error: "Failed to fetch subscribers." });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const subscriber = await Subscriber.create(req.body);
+        console.log(`✅ Telegram subscriber created: ${subscriber.chatId}`);
+        res.status(201).json(subscriber);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: "Chat is already subscribed.", details: err.message });
+        }
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid subscriber data.", details: err.message });
+        }
+        console.error('Subscriber create error:', err);
+        res.status(500).json({ error: "Failed to create subscriber.", details: err.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const subscriber = await Subscriber.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+        if (!subscriber) {
+            return res.status(404).json({ error: "Subscriber not found." });
+        }
+        res.json(subscriber);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: "Chat is already subscribed.", details: err.message });
+        }
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid subscriber data.", details: err.message });
+        }
+        console.error('Subscriber update error:', err);
+        res.status(500).json({ error: "Failed to update subscriber.", details: err.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const subscriber = await Subscriber.findByIdAndDelete(req.params.id);
+        if (!subscriber) {
+            return res.status(404).json({ error: "Subscriber not found." });
+        }
+        res.json({ success: true, id: subscriber._id });
+    } catch (err) {
+        console.error('Subscriber delete error:', err);
+        res.status(500).json({ error: "Failed to delete subscriber.", details: err.message });
+    }
+});
+
+module.exports = router;
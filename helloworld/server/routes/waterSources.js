@@ -0,0 +1,117 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Field = require('../models/Field');
+const WaterSource = require('../models/WaterSource');
+const WaterPlanner = require('../services/waterPlanner');
+
+// Validate :id params before hitting the database
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid water source ID." });
+    }
+    next();
+});
+
+router.get('/', async (req, res) => {
+    try {
+        const sources = await WaterSource.find().sort({ name: 1 }).lean();
+        const withFields = await Promise.all(sources.map(async (source) => ({
+            ...source,
+            fields: await Field.find({ waterSourceId: source._id }).select('name cropType area').lean()
+        })));
+        res.json(withFields);
+    } catch (err) {
+        console.error('Water sources API error:', err);
+        res.status(500).json({ error: "Failed to fetch water sources." });
+    }
+});
+
+// Today's allocation plan for every active source
+router.get('/plan', async (req, res) => {
+    try {
+        const sources = await WaterSource.find({ active: true });
+        const plans = await Promise.all(sources.map(source => WaterPlanner.planForSource(source)));
+        res.json(plans);
+    } catch (err) {
+        console.error('Water plan error:', err);
+        res.status(500).json({ error: "Failed to build water plan.", details: err.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const source = await WaterSource.findById(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: "Water source not found." });
+        }
+        res.json(source);
+    } catch (err) {
+        console.error('Water source fetch error:', err);
+        res.status(500).json({ error: "Failed to fetch water source.", details: err.message });
+    }
+});
+
+// Today's allocation plan for one source, fields in priority order
+router.get('/:id/plan', async (req, res) => {
+    try {
+        const source = await WaterSource.findById(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: "Water source not found." });
+        }
+        res.json(await WaterPlanner.planForSource(source));
+    } catch (err) {
+        console.error('Water plan error:', err);
+        res.status(500).json({ error: "Failed to build water plan.", details: err.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const source = await WaterSource.create(req.body);
+        console.log(`✅ Water source created: ${source.name} (${source.type})`);
+        res.status(201).json(source);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: "Invalid water source data.", details: err.message });
+        }
+        console.error('Water source create error:', err);
+        res.status(500).json({ error: "Failed to create water source.", details: err.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const source = await WaterSource.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+        if (!source) {
+            return res.status(404).json({ error: "Water source not found." });
+        }
+        res.json(source);
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ error: "Invalid water source data.", details: err.message });
+        }
+        console.error('Water source update error:', err);
+        res.status(500).json({ error: "Failed to update water source.", details: err.message });
+    }
+});
+
+// Delete a source and detach the fields it served
+router.delete('/:id', async (req, res) => {
+    try {
+        const source = await WaterSource.findByIdAndDelete(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: "Water source not found." });
+        }
+        await Field.updateMany({ waterSourceId: source._id }, { $unset: { waterSourceId: 1 } });
+        res.json({ success: true, id: source._id });
+    } catch (err) {
+        console.error('Water source delete error:', err);
+        res.status(500).json({ error: "Failed to delete water source.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Field = require('../models/Field');
+const WeatherService = require('../services/weatherService');
+
+/**
+ * Resolve ?fieldId= or ?lat=&lon= into something WeatherService can locate.
+ * Sends the error response itself and returns null when the query is invalid.
+ */
+async function resolveTarget(req, res) {
+    const { fieldId, lat, lon } = req.query;
+
+    if (fieldId) {
+        if (!mongoose.Types.ObjectId.isValid(fieldId)) {
+            res.status(400).json({ error: "Invalid field ID." });
+            return null;
+        }
+        const field = await Field.findById(fieldId);
+        if (!field) {
+            res.status(404).json({ error: "Field not found." });
+            return null;
+        }
+        return field;
+    }
+
+    if (lat !== undefined || lon !== undefined) {
+        const coords = { lat: Number(lat), lon: Number(lon) };
+        if (!Number.isFinite(coords.lat) || !Number.isFinite(coords.lon) ||
+            Math.abs(coords.lat) > 90 || Math.abs(coords.lon) > 180) {
+            res.status(400).json({ error: "lat and lon must be valid coordinates." });
+            return null;
+        }
+        return coords;
+    }
+
+    return WeatherService.DEFAULT_LOCATION;
+}
+
+// Current conditions with the 12 hour rain outlook
+router.get('/current', async (req, res) => {
+    try {
+        const target = await resolveTarget(req, res);
+        if (!target) return;
+        res.json(await WeatherService.getWeather(target));
+    } catch (err) {
+        console.error('Weather fetch error:', err);
+        res.status(500).json({ error: "Failed to fetch weather.", details: err.message });
+    }
+});
+
+// Multi-day forecast, hourly or 3-hourly depending on the provider (?days=3)
+router.get('/forecast', async (req, res) => {
+    try {
+        const target = await resolveTarget(req, res);
+        if (!target) return;
+        res.json(await WeatherService.getForecast(target, { days: req.query.days }));
+    } catch (err) {
+        console.error('Forecast fetch error:', err);
+        res.status(500).json({ error: "Failed to fetch forecast.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,20 @@ const fs = require('fs');
 const path = require('path');
 const Crop = require('./models/Crop');
 const SensorData = require('./models/SensorData');
+const Field = require('./models/Field');
+const ImportService = require('./services/importService');
+
+// node seed.js [file] [--field <id>] [--crop <name>] [--mode append|replace] [--dry-run] [--no-dedupe] [--fresh]
+// Re-running appends nothing new: rows already stored are skipped, by time or, for files
+// without timestamps such as csvjson.json, by content.
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const option = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 ? args[i + 1] : undefined;
+};
+const valueFlags = ['--field', '--crop', '--mode', '--sheet'];
+const file = args.find((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]));
 
 const MONGO_URI = process.env.MONGO_URI;
 
@@ -13,7 +27,7 @@ console.log('   ', MONGO_URI ? MONGO_URI.substring(0, 30) + '...' : '❌ NOT FOU
 const seed = async () => {
     try {
         console.log('----------------------------------------------------');
-        console.log('JSON DATABASE IMPORT ENGINE STARTING...');
+        console.log('DATASET IMPORT ENGINE STARTING...');
         console.log('----------------------------------------------------');
 
         if (!MONGO_URI) {
@@ -21,105 +35,66 @@ const seed = async () => {
             process.exit(1);
         }
 
-        await mongoose.connect(MONGO_URI);
-        console.log(`✅ CONNECTED TO ATLAS: ${mongoose.connection.name}`);
-
-        const jsonPath = path.join(__dirname, 'csvjson.json');
-        if (!fs.existsSync(jsonPath)) {
-            console.error(`❌ ERROR: JSON file not found at ${jsonPath}`);
+        const filePath = file ? path.resolve(file) : path.join(__dirname, 'csvjson.json');
+        if (!fs.existsSync(filePath)) {
+            console.error(`❌ ERROR: Dataset not found at ${filePath}`);
             process.exit(1);
         }
 
-        console.log('Cleaning existing data...');
-        await SensorData.deleteMany({});
-        await Crop.deleteMany({});
-
-        console.log('Reading JSON dataset...');
-        const rawData = fs.readFileSync(jsonPath, 'utf8');
-        const jsonData = JSON.parse(rawData);
-
-        console.log(`📊 Total records to import: ${jsonData.length}`);
-
-        const sensorRecords = [];
-        const uniqueCrops = new Set();
-        let successCount = 0;
-
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-
-            // Mapping JSON keys to Schema
-            const cropType = row["Crop Type"]?.trim();
-            uniqueCrops.add(cropType);
-
-            sensorRecords.push({
-                soil: {
-                    moisture: row["Moisture"],
-                    ph: 6.5,
-                    temp: row["Temparature"] - 2, // Estimated soil temp
-                    nitrogen: row["Nitrogen"],
-                    phosphorus: row["Phosphorous"],
-                    potassium: row["Potassium"],
-                    soilType: row["Soil Type"]
-                },
-                weather: {
-                    temperature: row["Temparature"],
-                    humidity: row["Humidity"],
-                    chanceOfRain: 0,
-                    windSpeed: 0,
-                    solarRadiation: 400
-                },
-                cropType: cropType,
-                fertilizerName: row["Fertilizer Name"],
-                isSimulated: false,
-                timestamp: new Date(Date.now() - (jsonData.length - i) * 60000)
-            });
+        await mongoose.connect(MONGO_URI);
+        console.log(`✅ CONNECTED TO ATLAS: ${mongoose.connection.name}`);
 
-            // Batch insert every 500 records
-            if (sensorRecords.length >= 500) {
-                await SensorData.insertMany(sensorRecords);
-                successCount += sensorRecords.length;
-                console.log(`🚀 IMPORT PROGRESS: ${successCount} / ${jsonData.length} records stored...`);
-                sensorRecords.length = 0;
+        let field = null;
+        if (option('field')) {
+            field = await Field.findById(option('field'));
+            if (!field) {
+                console.error(`❌ ERROR: Field ${option('field')} not found`);
+                process.exit(1);
             }
         }
 
-        // Final batch
-        if (sensorRecords.length > 0) {
-            await SensorData.insertMany(sensorRecords);
-            successCount += sensorRecords.length;
-        }
+        console.log(`Reading ${path.basename(filePath)}...`);
+        const upload = await ImportService.createUpload(fs.readFileSync(filePath), {
+            filename: path.basename(filePath),
+            sheet: option('sheet')
+        });
+        console.log(`📊 Rows: ${upload.rows.length}`);
+        Object.entries(upload.mapping).forEach(([column, target]) => {
+            console.log(`   ${column} → ${target || '(ignored)'}`);
+        });
 
-        // Create Crop definitions with crop-specific moisture ranges
-        const cropMoistureRanges = {
-            'Rice': { min: 40, max: 70 },
-            'Wheat': { min: 30, max: 50 },
-            'Maize': { min: 35, max: 60 },
-            'Tomato': { min: 35, max: 60 },
-            'Cotton': { min: 40, max: 65 },
-            'Sugarcane': { min: 45, max: 70 },
-            'Tobacco': { min: 30, max: 55 }
-        };
+        if (flag('fresh') && !flag('dry-run')) {
+            console.log('Cleaning existing data...');
+            await SensorData.deleteMany({});
+            await Crop.deleteMany({});
+        }
 
-        const cropEntries = Array.from(uniqueCrops).map(name => {
-            const range = cropMoistureRanges[name] || { min: 30, max: 60 };
-            return {
-                name: name,
-                type: 'General',
-                idealMoistureRange: range,
-                rootDepth: name === 'Sugarcane' ? 60 : name === 'Cotton' ? 50 : 30
-            };
+        const result = await ImportService.run(upload, {
+            field,
+            cropType: option('crop'),
+            mode: option('mode'),
+            dryRun: flag('dry-run'),
+            dedupe: !flag('no-dedupe')
         });
-        await Crop.insertMany(cropEntries);
+        if (!result.success) {
+            console.error(`❌ ERROR: ${result.message}`);
+            (result.errors || []).forEach(e => console.error(`   ${e}`));
+            process.exit(1);
+        }
 
+        const { report } = result;
+        report.errors.forEach(({ row, messages }) => console.log(`⚠️ Row ${row}: ${messages.join('; ')}`));
         console.log('----------------------------------------------------');
-        console.log(`🎉 JSON IMPORT COMPLETE!`);
-        console.log(`📈 Sensor Records: ${successCount}`);
-        console.log(`🌿 Crop Types: ${cropEntries.length}`);
+        console.log(report.dryRun ? '🔎 DRY RUN COMPLETE (nothing written)' : '🎉 IMPORT COMPLETE!');
+        console.log(`📈 Valid: ${report.valid}  Invalid: ${report.invalid}  Duplicates: ${report.duplicates.inFile + report.duplicates.existing}`);
+        console.log(`📥 ${report.dryRun ? 'Would import' : 'Imported'}: ${report.dryRun ? report.toImport : report.inserted}${report.replaced ? ` (replaced ${report.replaced})` : ''}`);
+        console.log(`🕒 Timestamps: ${report.timestamps}`);
+        if (report.cropsCreated?.length) console.log(`🌿 New crop types: ${report.cropsCreated.join(', ')}`);
         console.log('----------------------------------------------------');
 
         process.exit(0);
     } catch (err) {
-        console.error('❌ CRITICAL JSON IMPORT ERROR:');
+        console.error('❌ CRITICAL IMPORT ERROR:');
         console.error(err);
         process.exit(1);
     }
@@ -0,0 +1,161 @@
+const Alert = require('../models/Alert');
+const LiveStream = require('./liveStream');
+
+/**
+ * Alert Service
+ * Turns detector output into persistent alerts: one open alert per field and type,
+ * refreshed while the condition lasts and auto-resolved once it has stayed clear for a while,
+ * so a reading hovering on a threshold does not open and close the same alert every minute.
+ */
+class AlertService {
+    constructor() {
+        // Types owned by IntelligenceService.detectAnomalies; only these are auto-resolved
+        this.DETECTED_TYPES = ['Leak', 'Dry Stress', 'Over-Irrigation', 'Abnormal Pattern'];
+        this.OPEN_STATUSES = ['Active', 'Acknowledged', 'Snoozed'];
+        this.MAX_SNOOZE_MIN = 7 * 24 * 60; // Longest snooze the API accepts
+        this.CLEAR_EVALUATIONS = 3; // Consecutive clear runs before an auto-resolve
+        this.MIN_CLEAR_MS = 10 * 60 * 1000; // ...and at least this long since the last detection
+    }
+
+    /**
+     * Query matching the open alerts for a field (or a crop type when readings have no field)
+     */
+    scopeQuery({ fieldId, cropType }) {
+        return fieldId ? { fieldId } : { fieldId: null, cropType: cropType || null };
+    }
+
+    /**
+     * Reconcile a fresh detection run with the stored alerts for one scope
+     * @param {Array} anomalies - Output of IntelligenceService.detectAnomalies
+     * @param {Object} scope - { fieldId, cropType } the detection ran for
+     * @returns {Promise<Object>} { created, updated, resolved } alert documents
+     */
+    async sync(anomalies, scope, now = new Date()) {
+        const open = await Alert.find({ ...this.scopeQuery(scope), status: { $in: this.OPEN_STATUSES } });
+        const created = [];
+        const updated = [];
+        const resolved = [];
+
+        for (const anomaly of anomalies) {
+            const existing = open.find(a => a.type === anomaly.type);
+            if (!existing) {
+                created.push(await Alert.create({
+                    type: anomaly.type,
+                    severity: anomaly.severity,
+                    message: anomaly.message,
+                    confidence: anomaly.confidence,
+                    field: anomaly.field,
+                    fieldId: scope.fieldId || undefined,
+                    cropType: scope.cropType,
+                    timestamp: now,
+                    lastDetectedAt: now,
+                    history: [{ action: 'Created', at: now, note: anomaly.message }]
+                }));
+                LiveStream.publishAlert(created[created.length - 1], 'created');
+                continue;
+            }
+
+            // Repeat detections only bump counters; dashboards hear about real changes
+            let changed = false;
+            if (existing.severity !== anomaly.severity) {
+                changed = true;
+                existing.history.push({ action: 'Updated', at: now, note: `Severity ${existing.severity} → ${anomaly.severity}` });
+                existing.severity = anomaly.severity;
+            }
+            if (existing.status === 'Snoozed' && existing.snoozedUntil <= now) {
+                changed = true;
+                existing.status = 'Active';
+                existing.snoozedUntil = undefined;
+                existing.history.push({ action: 'Unsnoozed', at: now, note: 'Snooze expired, condition still present' });
+            }
+            existing.message = anomaly.message;
+            existing.confidence = anomaly.confidence;
+            existing.lastDetectedAt = now;
+            existing.occurrences += 1;
+            existing.clearCount = 0;
+            updated.push(await existing.save());
+            if (changed) LiveStream.publishAlert(existing, 'updated');
+        }
+
+        // Condition cleared: close what the detector opened once it has stayed away
+        const detected = new Set(anomalies.map(a => a.type));
+        for (const alert of open) {
+            if (!this.DETECTED_TYPES.includes(alert.type) || detected.has(alert.type)) continue;
+            alert.clearCount = (alert.clearCount || 0) + 1;
+            if (alert.clearCount < this.CLEAR_EVALUATIONS || now - alert.lastDetectedAt < this.MIN_CLEAR_MS) {
+                await alert.save();
+                continue;
+            }
+            alert.status = 'Resolved';
+            alert.resolvedAt = now;
+            alert.resolvedBy = 'system';
+            alert.snoozedUntil = undefined;
+            alert.history.push({ action: 'Auto-Resolved', at: now, note: 'Condition no longer detected' });
+            resolved.push(await alert.save());
+            LiveStream.publishAlert(alert, 'resolved');
+        }
+
+        return { created, updated, resolved };
+    }
+
+    /**
+     * Alerts that still need attention (snoozed ones reappear once the snooze is over).
+     * Scoped to a field, or to a crop's readings without a field; farm-wide with neither.
+     */
+    async getOpen({ fieldId, cropType, limit = 10 } = {}, now = new Date()) {
+        const query = {
+            $or: [
+                { status: { $in: ['Active', 'Acknowledged'] } },
+                { status: 'Snoozed', snoozedUntil: { $lte: now } }
+            ]
+        };
+        if (fieldId || cropType) Object.assign(query, this.scopeQuery({ fieldId, cropType }));
+        return Alert.find(query).sort({ lastDetectedAt: -1, timestamp: -1 }).limit(limit);
+    }
+
+    async acknowledge(alert, by = 'dashboard', note) {
+        if (alert.status === 'Resolved') {
+            return { success: false, message: 'Alert is already resolved' };
+        }
+        alert.status = 'Acknowledged';
+        alert.acknowledgedAt = new Date();
+        alert.acknowledgedBy = by;
+        alert.snoozedUntil = undefined;
+        alert.history.push({ action: 'Acknowledged', by, note });
+        await alert.save();
+        LiveStream.publishAlert(alert, 'acknowledged');
+        return { success: true, alert };
+    }
+
+    async resolve(alert, by = 'dashboard', note) {
+        if (alert.status === 'Resolved') {
+            return { success: false, message: 'Alert is already resolved' };
+        }
+        alert.status = 'Resolved';
+        alert.resolvedAt = new Date();
+        alert.resolvedBy = by;
+        alert.snoozedUntil = undefined;
+        alert.history.push({ action: 'Resolved', by, note });
+        await alert.save();
+        LiveStream.publishAlert(alert, 'resolved');
+        return { success: true, alert };
+    }
+
+    /**
+     * Hide an alert until `minutes` from now; it comes back if the condition is still present
+     */
+    async snooze(alert, minutes, by = 'dashboard', note) {
+        if (alert.status === 'Resolved') {
+            return { success: false, message: 'Alert is already resolved' };
+        }
+        alert.status = 'Snoozed';
+        alert.snoozedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        alert.history.push({ action: 'Snoozed', by, note: note || `For ${minutes} min` });
+        await alert.save();
+        LiveStream.publishAlert(alert, 'snoozed');
+        return { success: true, alert };
+    }
+}
+
+// Export singleton instance
+module.exports = new AlertService();
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const DeviceCommand = require('../models/DeviceCommand');
+const ESP32Service = require('./esp32Service');
+
+/**
+ * Device Command Queue
+ * Persists commands per device and keeps resending them with backoff until the device confirms
+ * (HTTP 'OK' reply, MQTT ack, ack API call or a heartbeat reporting the expected state), the
+ * command expires, or a newer state replaces it. An offline node catches up when it returns.
+ */
+class CommandQueue {
+    constructor() {
+        this.TTL_MS = (Number(process.env.COMMAND_TTL_SEC) || 600) * 1000;
+        this.MAX_ATTEMPTS = Number(process.env.COMMAND_MAX_ATTEMPTS) || 10;
+        this.RETRY_BASE_MS = 5000; // 5s, 10s, 20s... capped at MAX_BACKOFF_MS
+        this.MAX_BACKOFF_MS = 5 * 60 * 1000;
+        this.ACK_TIMEOUT_MS = 10000; // MQTT publishes wait this long for an ack before resending
+        this.TICK_MS = 5000;
+        this.OPEN_STATUSES = ['Pending', 'Sent'];
+        this.interval = null;
+        this.running = false;
+    }
+
+    backoff(attempts) {
+        return Math.min(this.RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), this.MAX_BACKOFF_MS);
+    }
+
+    async findOpen(deviceId) {
+        return DeviceCommand.findOne({ deviceId, status: { $in: this.OPEN_STATUSES } }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Queue a command and make the first attempt right away
+     * @param {Object} payload - Sent to the device as-is, plus its commandId
+     * @param {Object} options - { expectedState, ttlSec, issuedBy }
+     */
+    async enqueue(deviceId, payload, { expectedState, ttlSec, issuedBy } = {}) {
+        const now = new Date();
+        // Only the latest state matters; older state commands still in flight are dropped
+        if (expectedState) {
+            await DeviceCommand.updateMany(
+                { deviceId, expectedState: { $ne: null }, status: { $in: this.OPEN_STATUSES } },
+                { $set: { status: 'Superseded', completedAt: now } }
+            );
+        }
+
+        const command = await DeviceCommand.create({
+            commandId: crypto.randomUUID(),
+            deviceId,
+            payload,
+            expectedState,
+            maxAttempts: this.MAX_ATTEMPTS,
+            nextAttemptAt: now,
+            expiresAt: new Date(now.getTime() + (ttlSec ? ttlSec * 1000 : this.TTL_MS)),
+            issuedBy
+        });
+        return this.attempt(command, now);
+    }
+
+    /**
+     * Write to a command only while it is still open, so an ack, cancel or newer state that
+     * landed in the meantime wins. Returns the stored command either way.
+     */
+    async settle(command, update) {
+        const settled = await DeviceCommand.findOneAndUpdate(
+            { _id: command._id, status: { $in: this.OPEN_STATUSES } },
+            update,
+            { new: true }
+        );
+        return { command: settled || await DeviceCommand.findById(command._id), applied: !!settled };
+    }
+
+    async finish(command, status, now, lastError, extra = {}) {
+        const set = { ...extra, status, completedAt: now };
+        if (lastError) set.lastError = lastError;
+        const settled = await this.settle(command, { $set: set });
+        if (settled.applied) {
+            console.warn(`⚠️ Command ${command.commandId} for ${command.deviceId} ${status.toLowerCase()}${lastError ? `: ${lastError}` : ''}`);
+        }
+        return settled.command;
+    }
+
+    /**
+     * Transmit a command once and schedule the next try if it is not confirmed. The attempt is
+     * claimed first (pushing nextAttemptAt out), so the tick, a flush and enqueue never send
+     * the same command twice at once.
+     */
+    async attempt(command, now = new Date()) {
+        if (command.expiresAt <= now) {
+            return this.finish(command, 'Expired', now, command.lastError || 'Not confirmed before the TTL');
+        }
+
+        const claimed = await DeviceCommand.findOneAndUpdate(
+            { _id: command._id, status: { $in: this.OPEN_STATUSES }, attempts: command.attempts },
+            { $inc: { attempts: 1 }, $set: { sentAt: now, nextAttemptAt: new Date(now.getTime() + this.ACK_TIMEOUT_MS) } },
+            { new: true }
+        );
+        if (!claimed) return DeviceCommand.findById(command._id);
+
+        let result;
+        try {
+            result = await ESP32Service.transmit(claimed.deviceId, { ...claimed.payload, commandId: claimed.commandId });
+        } catch (error) {
+            result = { success: false, message: error.message };
+        }
+
+        // A synchronous 'OK' from the device is its acknowledgement
+        if (result.success && result.acked) {
+            return this.acknowledge(claimed, result.transport, now);
+        }
+        if (result.permanent || claimed.attempts >= claimed.maxAttempts) {
+            const extra = result.transport ? { transport: result.transport } : {};
+            return this.finish(claimed, 'Failed', now, result.success ? 'No acknowledgement from the device' : result.message, extra);
+        }
+
+        const update = result.success
+            ? {
+                $set: { status: 'Sent', nextAttemptAt: new Date(now.getTime() + Math.max(this.ACK_TIMEOUT_MS, this.backoff(claimed.attempts))) },
+                $unset: { lastError: 1 }
+            }
+            : {
+                $set: { status: 'Pending', lastError: result.message, nextAttemptAt: new Date(now.getTime() + this.backoff(claimed.attempts)) }
+            };
+        if (result.transport) update.$set.transport = result.transport;
+        return (await this.settle(claimed, update)).command;
+    }
+
+    async acknowledge(command, source, now = new Date(), { ok = true, error } = {}) {
+        if (ok === false) {
+            return this.finish(command, 'Failed', now, error || 'Device rejected the command', { ackSource: source });
+        }
+
+        const set = { status: 'Acknowledged', acknowledgedAt: now, completedAt: now, ackSource: source };
+        if (source === 'http' || source === 'mqtt') set.transport = source; // Transport acks also say how it arrived
+        const settled = await this.settle(command, { $set: set, $unset: { lastError: 1 } });
+        if (!settled.applied) return settled.command;
+        if (command.expectedState) {
+            await ESP32Service.rememberState(command.deviceId, command.expectedState);
+        }
+        console.log(`✅ Command ${command.commandId} acknowledged by ${command.deviceId} (${source}, attempt ${settled.command.attempts})`);
+        return settled.command;
+    }
+
+    /**
+     * Ack reported by the device: { ok, error } for a commandId. Acks for commands that were
+     * already closed (superseded, expired) are ignored.
+     */
+    async handleAck(deviceId, commandId, body = {}, source = 'api') {
+        const command = await DeviceCommand.findOne({ deviceId, commandId });
+        if (!command) return null;
+        if (!this.OPEN_STATUSES.includes(command.status)) return command;
+        return this.acknowledge(command, source, new Date(), body);
+    }
+
+    /**
+     * Drop commands that are no longer wanted (e.g. an OTA job of a rollout being rolled back)
+     */
+    async cancel(commandIds, now = new Date()) {
+        if (!commandIds.length) return 0;
+        const result = await DeviceCommand.updateMany(
+            { commandId: { $in: commandIds }, status: { $in: this.OPEN_STATUSES } },
+            { $set: { status: 'Superseded', completedAt: now, lastError: 'Cancelled' } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * A device is reachable again: resend what it is owed now instead of waiting out the backoff
+     */
+    async flush(deviceId, now = new Date()) {
+        if (mongoose.connection.readyState !== 1) return [];
+        const open = await DeviceCommand.find({ deviceId, status: { $in: this.OPEN_STATUSES } }).sort({ createdAt: 1 });
+        const results = [];
+        for (const command of open) {
+            results.push(await this.attempt(command, now));
+        }
+        return results;
+    }
+
+    /**
+     * Compare the state a device reports (heartbeat) with what it should show. A matching open
+     * command counts as confirmed; a mismatch with nothing in flight means the node lost its
+     * state (e.g. rebooted), so the last confirmed state is sent again. Open commands are only
+     * resent early when the device just came back; otherwise they keep their backoff.
+     */
+    async reconcile(deviceId, reportedState, now = new Date(), { cameBack = false } = {}) {
+        if (mongoose.connection.readyState !== 1) return null;
+        const open = await this.findOpen(deviceId);
+        if (open?.expectedState && open.expectedState === reportedState) {
+            return this.acknowledge(open, 'heartbeat', now);
+        }
+        if (open) {
+            return cameBack ? (await this.flush(deviceId, now))[0] || null : open;
+        }
+
+        const expected = ESP32Service.lastStates.get(deviceId);
+        if (expected && reportedState && expected !== reportedState) {
+            console.log(`🔁 ${deviceId} reports ${reportedState}, expected ${expected}; resending`);
+            ESP32Service.lastStates.delete(deviceId);
+            return ESP32Service.setState(expected, deviceId, { issuedBy: 'reconcile' });
+        }
+        return null;
+    }
+
+    /**
+     * Retry every open command whose next attempt is due
+     */
+    async tick(now = new Date()) {
+        if (this.running || mongoose.connection.readyState !== 1) return 0;
+        this.running = true;
+        try {
+            const due = await DeviceCommand.find({
+                status: { $in: this.OPEN_STATUSES },
+                nextAttemptAt: { $lte: now }
+            }).sort({ createdAt: 1 }).limit(50);
+            for (const command of due) {
+                try {
+                    await this.attempt(command, now);
+                } catch (err) {
+                    console.error(`❌ Command ${command.commandId} retry failed:`, err.message);
+                }
+            }
+            return due.length;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Issued commands, newest first
+     */
+    async getHistory({ deviceId, status, limit = 50 } = {}) {
+        const query = {};
+        if (deviceId) query.deviceId = deviceId;
+        if (status) query.status = status;
+        return DeviceCommand.find(query).sort({ createdAt: -1 }).limit(limit);
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => {
+            this.tick().catch(err => console.error('❌ Command queue error:', err.message));
+        }, this.TICK_MS);
+        console.log(`📨 Device command queue started (TTL ${this.TTL_MS / 1000}s, up to ${this.MAX_ATTEMPTS} attempts)`);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new CommandQueue();
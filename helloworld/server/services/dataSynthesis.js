@@ -1,10 +1,28 @@
 const SensorData = require('../models/SensorData');
+const Field = require('../models/Field');
+const Crop = require('../models/Crop');
+const Device = require('../models/Device');
+const IrrigationSession = require('../models/IrrigationSession');
+const FieldSimulator = require('./fieldSimulator');
+const WaterBalanceService = require('./waterBalance');
+const SimulationEngine = require('./simulationEngine');
+const IrrigationController = require('./irrigationController');
+const WeatherService = require('./weatherService');
+const LiveStream = require('./liveStream');
+const StatusMonitor = require('./statusMonitor');
 
-// Data Synthesis Service - Simulates sensor data every 15 minutes
+// Data Synthesis Service - Simulates sensor data every 2 minutes from a soil water balance
+// (see FieldSimulator) that reacts to logged irrigation sessions, the weather forecast and
+// the scenario set for each field. Fields with real sensors are left to them.
 class DataSynthesisService {
     constructor() {
         this.interval = null;
         this.isRunning = false;
+        this.INTERVAL_MS = 2 * 60 * 1000;
+        this.TIME_SCALE = Number(process.env.SIMULATION_TIME_SCALE) || 1; // Simulated hours per real hour, for demos
+        this.MAX_STEP_HOURS = 6; // Longer gaps (server was down) are not replayed
+        this.REAL_DATA_WINDOW_MS = 24 * 60 * 60 * 1000; // A device reading this recent marks a field as real
+        this.states = new Map(); // field ID or crop type -> FieldSimulator state
     }
 
     /**
@@ -25,7 +43,7 @@ class DataSynthesisService {
         // Schedule every 2 minutes (120000ms) for dynamic updates
         this.interval = setInterval(async () => {
             await this.generateForAllCrops();
-        }, 2 * 60 * 1000); // 2 minutes
+        }, this.INTERVAL_MS);
     }
 
     /**
@@ -33,9 +51,24 @@ class DataSynthesisService {
      */
     async generateForAllCrops() {
         try {
+            // Registered fields take precedence over crop types
+            const fields = await Field.find({ active: true });
+            if (fields.length > 0) {
+                let generated = 0;
+                for (const field of fields) {
+                    // A field being replayed gets the dataset's readings instead
+                    if (SimulationEngine.isReplaying(field._id)) continue;
+                    if (await this.hasRealData(field.cropType, field)) continue;
+                    await this.generateAndSave(field.cropType, field);
+                    generated += 1;
+                }
+                console.log(`✅ Generated synthetic data for ${generated} of ${fields.length} fields`);
+                return;
+            }
+
             // Get all unique crop types from database
             const cropTypes = await SensorData.distinct('cropType');
-            
+
             if (cropTypes.length === 0) {
                 // If no crops in DB, generate for default crops
                 const defaultCrops = ['Wheat', 'Rice', 'Maize', 'Tomato', 'Sugarcane'];
@@ -45,10 +78,11 @@ class DataSynthesisService {
             } else {
                 // Generate data for each crop type
                 for (const cropType of cropTypes) {
+                    if (await this.hasRealData(cropType)) continue;
                     await this.generateAndSave(cropType);
                 }
             }
-            
+
             console.log(`✅ Generated synthetic data for ${cropTypes.length || 5} crop types`);
         } catch (error) {
             console.error('Error generating data for all crops:', error);
@@ -68,83 +102,160 @@ class DataSynthesisService {
     }
 
     /**
-     * Generate synthetic sensor data based on realistic patterns
+     * Whether real sensors report for a field (or bare crop type): an active sensor node is
+     * bound to it, or a device reading arrived within REAL_DATA_WINDOW_MS. Synthetic readings
+     * there would drive alerts and irrigation from made-up data.
+     */
+    async hasRealData(cropType, field = null, now = new Date()) {
+        if (field && await Device.exists({ fieldId: field._id, active: true, capabilities: 'sensor' })) return true;
+        const query = field ? { fieldId: field._id } : { cropType, fieldId: { $exists: false } };
+        return !!(await SensorData.exists({
+            ...query,
+            isSimulated: false,
+            deviceId: { $exists: true },
+            timestamp: { $gte: new Date(now.getTime() - this.REAL_DATA_WINDOW_MS) }
+        }));
+    }
+
+    stateKey(cropType, field) {
+        return field ? field._id.toString() : cropType;
+    }
+
+    /**
+     * Field (or bare crop type) as the simulator sees it
+     */
+    target(cropType, field) {
+        return field || { cropType, soilType: this.getBaseSoilType(cropType), area: 1 };
+    }
+
+    /**
+     * Simulation state for a field, picked up from its latest simulated reading the first time
+     */
+    async getState(cropType = null, field = null) {
+        const key = this.stateKey(cropType, field);
+        if (this.states.has(key)) return this.states.get(key);
+
+        const query = field ? { fieldId: field._id, isSimulated: true } : { cropType, isSimulated: true };
+        const [latest, crop] = await Promise.all([
+            SensorData.findOne(query).sort({ timestamp: -1 }),
+            Crop.findOne({ name: field?.cropType || cropType })
+        ]);
+        const state = FieldSimulator.createState(this.target(cropType, field), crop, {
+            moisture: latest?.soil?.moisture,
+            soilTemp: latest?.soil?.temp,
+            nutrients: latest?.soil?.nitrogen !== undefined ? {
+                nitrogen: latest.soil.nitrogen,
+                phosphorus: latest.soil.phosphorus ?? 25,
+                potassium: latest.soil.potassium ?? 35
+            } : undefined
+        });
+        state.lastStepAt = null;
+        this.states.set(key, state);
+        return state;
+    }
+
+    /**
+     * Forecast step covering `time`, with rain as mm/h; the simulator falls back to a clear-sky day without one
+     */
+    async getForecastStep(field, time) {
+        try {
+            const { steps, stepHours } = await WeatherService.getForecast(field || null, { days: 1 });
+            const step = steps.find(s => Math.abs(s.time - time) <= stepHours * 60 * 60 * 1000 / 2);
+            return step ? { ...step, precipitation: (step.precipitation || 0) / stepHours } : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Irrigation depth (mm) delivered to a field between two times, running sessions included
+     */
+    async getIrrigationDepth(field, from, to) {
+        if (!field?._id) return 0;
+        const sessions = await IrrigationSession.find({
+            fieldId: field._id,
+            startedAt: { $lt: to },
+            $or: [{ status: 'Running' }, { stoppedAt: { $gt: from } }]
+        });
+        if (sessions.length === 0) return 0;
+
+        let liters = 0;
+        for (const session of sessions) {
+            const end = session.stoppedAt || to;
+            const minutes = Math.max(0, (Math.min(end, to) - Math.max(session.startedAt, from)) / 60000);
+            const totalMinutes = (end - session.startedAt) / 60000;
+            const rate = session.stoppedAt && totalMinutes > 0
+                ? session.liters / totalMinutes
+                : await IrrigationController.getFlowRate(field);
+            liters += rate * minutes;
+        }
+        return liters / (field.area || 1); // L/m² == mm
+    }
+
+    /**
+     * Advance a field's simulation to now and store the reading
      */
-    async generateAndSave(cropType = null) {
+    async generateAndSave(cropType = null, field = null) {
         try {
-            // Get latest data to maintain continuity
-            const query = cropType ? { cropType } : {};
-            const latest = await SensorData.findOne(query).sort({ timestamp: -1 });
+            const now = new Date();
+            const state = await this.getState(cropType, field);
+            if (state.scenarioUntil && state.scenarioUntil <= now) {
+                console.log(`🌦️ Scenario ${state.scenario} ended for ${field?.name || cropType}`);
+                state.scenario = 'normal';
+                state.scenarioUntil = null;
+            }
+
+            const from = state.lastStepAt || new Date(now.getTime() - this.INTERVAL_MS);
+            const realHours = (now - from) / 3600000;
+            const hours = Math.min(this.MAX_STEP_HOURS, realHours * this.TIME_SCALE);
+            const [forecastStep, realIrrigationMm] = await Promise.all([
+                this.getForecastStep(field, now),
+                this.getIrrigationDepth(field, from, now)
+            ]);
+            // Sessions run in real minutes; stretch their depth by the same factor as the step
+            const irrigationMm = realHours > 0 ? realIrrigationMm * hours / realHours : 0;
 
-            // Generate realistic sensor readings
-            const syntheticData = this.generateSyntheticData(latest, cropType);
+            const weather = FieldSimulator.weatherFor(now, forecastStep, state.scenario);
+            const crop = field?.cropType || cropType || 'Wheat';
+            const fluxes = FieldSimulator.step(state, hours, { time: now, weather, irrigationMm, cropType: crop, field });
+            state.lastStepAt = now;
 
-            // Save to database
-            const newData = new SensorData(syntheticData);
+            const newData = new SensorData(FieldSimulator.reading(state, {
+                time: now,
+                weather,
+                fluxes,
+                cropType: crop,
+                field,
+                fertilizerName: this.getBaseFertilizer(crop)
+            }));
             await newData.save();
+            LiveStream.publishReading(newData);
+            StatusMonitor.queueEvaluation(newData);
+
+            console.log(`✅ Generated synthetic data: ${crop} - Temp: ${newData.weather.temperature}°C, Moisture: ${newData.soil.moisture}%${state.scenario !== 'normal' ? ` [${state.scenario}]` : ''}`);
 
-            console.log(`✅ Generated synthetic data: ${syntheticData.cropType} - Temp: ${syntheticData.weather.temperature}°C, Moisture: ${syntheticData.soil.moisture}%`);
-            
-            return syntheticData;
+            return newData;
         } catch (error) {
             console.error('Data synthesis error:', error);
         }
     }
 
     /**
-     * Generate realistic synthetic sensor data
+     * One synthetic reading continuing from `latestData`, without touching the database
+     * @param {Object} options - { hours, scenario, weather (forecast step), irrigationMm }
      */
-    generateSyntheticData(latestData, cropType = null) {
+    generateSyntheticData(latestData, cropType = null, options = {}) {
         const now = new Date();
-        
-        // Base values from latest data or defaults
-        const baseTemp = latestData?.weather?.temperature || 25;
-        const baseHumidity = latestData?.weather?.humidity || 50;
-        const baseMoisture = latestData?.soil?.moisture || 40;
-        const baseCrop = cropType || latestData?.cropType || 'Wheat';
-        const baseSoilType = this.getBaseSoilType(baseCrop);
-        const baseFertilizer = this.getBaseFertilizer(baseCrop);
-
-        // Realistic variations (simulate natural changes over 2 minutes)
-        // More variation to make updates visible
-        const tempVariation = (Math.random() - 0.5) * 6; // ±3°C
-        const humidityVariation = (Math.random() - 0.5) * 15; // ±7.5%
-        const moistureVariation = (Math.random() - 0.5) * 8; // ±4% (more visible changes)
-
-        // Time-based variations (cooler at night, warmer during day)
-        const hour = now.getHours();
-        const timeFactor = hour >= 6 && hour <= 18 ? 1 : -1; // Day vs night
-        const tempTimeVariation = timeFactor * (Math.random() * 4);
-        
-        // Gradual moisture decrease (simulating evaporation) or increase (if recently irrigated)
-        const moistureTrend = Math.random() > 0.3 ? -1 : 1; // 70% chance of decrease
-        const moistureChange = moistureTrend * (Math.random() * 2); // Gradual change
-
-        // Calculate new moisture with trend
-        const newMoisture = Math.max(20, Math.min(80, baseMoisture + moistureVariation + moistureChange));
-        
-        return {
-            cropType: baseCrop,
-            timestamp: now,
-            soil: {
-                moisture: parseFloat(newMoisture.toFixed(2)),
-                pH: parseFloat((6.5 + (Math.random() - 0.5) * 1).toFixed(2)), // 6.0-7.0
-                temperature: parseFloat((baseTemp - 2 + (Math.random() * 4)).toFixed(2)),
-                soilType: baseSoilType,
-                nitrogen: parseFloat((30 + Math.random() * 30).toFixed(2)), // 30-60
-                phosphorus: parseFloat((15 + Math.random() * 20).toFixed(2)), // 15-35
-                potassium: parseFloat((25 + Math.random() * 25).toFixed(2)) // 25-50
-            },
-            weather: {
-                temperature: parseFloat(Math.max(15, Math.min(35, baseTemp + tempVariation + tempTimeVariation)).toFixed(2)),
-                humidity: parseFloat(Math.max(30, Math.min(90, baseHumidity + humidityVariation)).toFixed(2)),
-                chanceOfRain: parseFloat((Math.random() * 30).toFixed(2)), // 0-30%
-                windSpeed: parseFloat((5 + Math.random() * 10).toFixed(2)), // 5-15 km/h
-                solarRadiation: hour >= 6 && hour <= 18 ? parseFloat((400 + Math.random() * 600).toFixed(2)) : 0
-            },
-            fertilizerName: baseFertilizer,
-            isSimulated: true
-        };
+        const crop = cropType || latestData?.cropType || 'Wheat';
+        const target = this.target(crop, null);
+        const state = FieldSimulator.createState(target, null, { moisture: latestData?.soil?.moisture });
+        state.scenario = options.scenario || 'normal';
+
+        const weather = FieldSimulator.weatherFor(now, options.weather || null, state.scenario);
+        const fluxes = FieldSimulator.step(state, options.hours ?? this.INTERVAL_MS / 3600000, {
+            time: now, weather, irrigationMm: options.irrigationMm || 0, cropType: crop
+        });
+        return FieldSimulator.reading(state, { time: now, weather, fluxes, cropType: crop, fertilizerName: this.getBaseFertilizer(crop) });
     }
 
     /**
@@ -154,6 +265,41 @@ class DataSynthesisService {
         return await this.generateAndSave(cropType);
     }
 
+    /**
+     * Switch a field (or crop type) to a scenario preset, optionally for a limited time
+     * @param {Object} target - { field } or { cropType }
+     */
+    async setScenario({ field = null, cropType = null }, scenario, hours = null) {
+        if (!FieldSimulator.scenarios[scenario]) {
+            return { success: false, message: `Unknown scenario. Use one of: ${Object.keys(FieldSimulator.scenarios).join(', ')}` };
+        }
+        const state = await this.getState(cropType, field);
+        state.scenario = scenario;
+        state.scenarioUntil = hours ? new Date(Date.now() + hours * 3600000) : null;
+        console.log(`🌦️ Scenario ${scenario} set for ${field?.name || cropType}${hours ? ` (${hours} h)` : ''}`);
+        return { success: true, simulation: this.describe(this.stateKey(cropType, field), state) };
+    }
+
+    describe(key, state) {
+        const round = (v) => Math.round(v * 10) / 10;
+        return {
+            key,
+            scenario: state.scenario,
+            scenarioUntil: state.scenarioUntil,
+            moisture: round(WaterBalanceService.moistureFromTheta(FieldSimulator.theta(state), state.params)), // Actual, whatever the probe says
+            probe: state.probe !== null ? round(state.probe) : null,
+            depletion: round(state.depletion),
+            taw: state.params.taw,
+            raw: state.params.raw,
+            soilType: state.params.soilType,
+            lastStepAt: state.lastStepAt
+        };
+    }
+
+    getSimulations() {
+        return [...this.states.entries()].map(([key, state]) => this.describe(key, state));
+    }
+
     /**
      * Get base soil type for a crop
      */
@@ -188,4 +334,3 @@ class DataSynthesisService {
 }
 
 module.exports = new DataSynthesisService();
-
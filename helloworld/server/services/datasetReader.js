@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+/**
+ * Dataset Reader
+ * Turns CSV, JSON or Excel sensor datasets (logger dumps, lab sheets, exports, csvjson.json) into
+ * readings in the SensorData shape. Column names are matched loosely, so "Soil Moisture",
+ * "soil_moisture", "soilMoisture" and "soil.moisture" all land on soil.moisture.
+ */
+const DatasetReader = {
+
+    // Reading paths a column can map to
+    targets: [
+        'timestamp',
+        'soil.moisture', 'soil.ph', 'soil.temp', 'soil.nitrogen', 'soil.phosphorus', 'soil.potassium', 'soil.soilType',
+        'weather.temperature', 'weather.humidity', 'weather.chanceOfRain', 'weather.windSpeed', 'weather.solarRadiation', 'weather.rainfall',
+        'cropType', 'fertilizerName'
+    ],
+
+    // Normalised column name -> reading path (misspellings from csvjson.json included)
+    aliases: {
+        'timestamp': 'timestamp', 'time': 'timestamp', 'date': 'timestamp', 'datetime': 'timestamp', 'date time': 'timestamp',
+        'recorded at': 'timestamp', 'measured at': 'timestamp', 'sampled': 'timestamp', 'sampled at': 'timestamp', 'sample date': 'timestamp',
+        'moisture': 'soil.moisture', 'soil moisture': 'soil.moisture', 'vwc': 'soil.moisture',
+        'ph': 'soil.ph', 'soil ph': 'soil.ph',
+        'soil temp': 'soil.temp', 'soil temperature': 'soil.temp',
+        'nitrogen': 'soil.nitrogen', 'n': 'soil.nitrogen',
+        'phosphorus': 'soil.phosphorus', 'phosphorous': 'soil.phosphorus', 'p': 'soil.phosphorus',
+        'potassium': 'soil.potassium', 'k': 'soil.potassium',
+        'soil type': 'soil.soilType', 'soil': 'soil.soilType',
+        'temperature': 'weather.temperature', 'temparature': 'weather.temperature', 'temp': 'weather.temperature',
+        'air temperature': 'weather.temperature', 'air temp': 'weather.temperature',
+        'humidity': 'weather.humidity', 'relative humidity': 'weather.humidity', 'rh': 'weather.humidity',
+        'chance of rain': 'weather.chanceOfRain', 'rain chance': 'weather.chanceOfRain',
+        'wind speed': 'weather.windSpeed', 'wind': 'weather.windSpeed',
+        'solar radiation': 'weather.solarRadiation', 'radiation': 'weather.solarRadiation',
+        'rainfall': 'weather.rainfall', 'rain': 'weather.rainfall', 'precipitation': 'weather.rainfall',
+        'crop type': 'cropType', 'crop': 'cropType',
+        'fertilizer name': 'fertilizerName', 'fertilizer': 'fertilizerName'
+    },
+
+    textPaths: ['timestamp', 'soil.soilType', 'cropType', 'fertilizerName'],
+
+    normalizeHeader(header) {
+        return String(header)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[_\-./]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    tooLarge(maxRows) {
+        return new Error(`Dataset too large. Maximum ${maxRows} rows.`);
+    },
+
+    /**
+     * RFC 4180 CSV: quoted fields, escaped quotes, commas and newlines inside quotes.
+     * The delimiter (comma, semicolon or tab) is taken from the header line.
+     * @param {Object} options - { maxRows: stop parsing once the file has more data rows }
+     * @returns {Array<Object>} One object per row, keyed by header
+     */
+    parseCsv(text, { maxRows = Infinity } = {}) {
+        const source = text.replace(/^﻿/, '');
+        const firstLine = source.slice(0, source.search(/\r?\n|$/));
+        const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+
+        // Blank lines are dropped; the first record is the header line
+        const records = [];
+        const pushRecord = (values) => {
+            if (!values.some(value => value.trim() !== '')) return;
+            records.push(values);
+            if (records.length - 1 > maxRows) throw this.tooLarge(maxRows);
+        };
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                pushRecord(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            pushRecord(record);
+        }
+
+        if (records.length === 0) return [];
+        const headers = records.shift().map(h => h.trim());
+        return records.map(values => headers.reduce((row, header, i) => {
+            row[header] = (values[i] ?? '').trim();
+            return row;
+        }, {}));
+    },
+
+    /**
+     * Nested objects become dotted keys: { soil: { moisture } } -> { 'soil.moisture' }
+     */
+    flatten(object, prefix = '', out = {}) {
+        Object.entries(object || {}).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+                this.flatten(value, name, out);
+            } else {
+                out[name] = value;
+            }
+        });
+        return out;
+    },
+
+    /**
+     * Parse dataset text into flat rows
+     * @param {string} format - 'csv' or 'json' (guessed from the content when omitted)
+     * @param {Object} options - { maxRows }
+     */
+    parse(text, format = null, { maxRows = Infinity } = {}) {
+        const trimmed = String(text).trim();
+        const kind = format || (trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv');
+        if (kind === 'csv') return this.parseCsv(trimmed, { maxRows });
+
+        const parsed = JSON.parse(trimmed);
+        const rows = Array.isArray(parsed) ? parsed : parsed.rows || parsed.readings || parsed.data;
+        if (!Array.isArray(rows)) throw new Error('JSON datasets must be an array of rows (or { rows: [...] })');
+        if (rows.length > maxRows) throw this.tooLarge(maxRows);
+        return rows.map(row => this.flatten(row));
+    },
+
+    /**
+     * Flat rows from the first (or the named) worksheet of an .xlsx file; the first non-empty
+     * row holds the headers. The workbook is streamed, so an oversized sheet fails at maxRows
+     * instead of being loaded whole.
+     */
+    async parseXlsx(buffer, sheet = null, { maxRows = Infinity } = {}) {
+        // Styles are needed to tell date cells from numbers
+        const workbook = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([buffer]), {
+            worksheets: 'emit', sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', entries: 'ignore'
+        });
+
+        const cellValue = (value) => {
+            if (value === null || value === undefined) return '';
+            if (value instanceof Date || typeof value !== 'object') return value;
+            if (value.richText) return value.richText.map(part => part.text).join('');
+            if ('result' in value) return value.result ?? ''; // Formula
+            if ('text' in value) return value.text; // Hyperlink
+            return ''; // Cell error (#N/A, #DIV/0!...)
+        };
+
+        let headers = null;
+        let found = false;
+        const rows = [];
+        for await (const worksheet of workbook) {
+            if (found || (sheet && worksheet.name !== sheet)) continue;
+            found = true;
+            for await (const row of worksheet) {
+                // row.values is 1-based
+                const values = row.values.slice(1).map(cellValue);
+                if (!headers) {
+                    headers = values.map(h => String(h ?? '').trim());
+                    continue;
+                }
+                rows.push(headers.reduce((out, header, i) => {
+                    if (header) out[header] = typeof values[i] === 'string' ? values[i].trim() : values[i] ?? '';
+                    return out;
+                }, {}));
+                if (rows.length > maxRows) throw this.tooLarge(maxRows);
+            }
+        }
+        if (!found) throw new Error(sheet ? `Worksheet not found: ${sheet}` : 'The workbook has no worksheets');
+        return rows;
+    },
+
+    /**
+     * Parse an uploaded file
+     * @param {Object} options - { format: 'csv' | 'json' | 'xlsx', filename (used to guess the format), sheet, maxRows }
+     */
+    async parseBuffer(buffer, { format = null, filename = '', sheet = null, maxRows = Infinity } = {}) {
+        const ext = path.extname(filename || '').toLowerCase().slice(1);
+        if (ext === 'xls' && !format) {
+            throw new Error('Legacy .xls files are not supported; save the sheet as .xlsx or CSV');
+        }
+        // .xlsx files are zip archives ("PK")
+        const kind = format || (['csv', 'json', 'xlsx'].includes(ext) ? ext : null)
+            || (buffer[0] === 0x50 && buffer[1] === 0x4b ? 'xlsx' : null);
+        if (kind === 'xlsx') return this.parseXlsx(buffer, sheet, { maxRows });
+        return this.parse(buffer.toString('utf8'), kind, { maxRows });
+    },
+
+    readFile(filePath, { maxRows = Infinity } = {}) {
+        const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+        return this.parse(fs.readFileSync(filePath, 'utf8'), format, { maxRows });
+    },
+
+    /**
+     * Best guess of the reading path for each column (null when unknown)
+     */
+    suggestMapping(headers) {
+        return headers.reduce((mapping, header) => {
+            // Plain lowercase too, so "pH" is not split like a camelCase name
+            mapping[header] = this.targets.includes(header)
+                ? header
+                : this.aliases[this.normalizeHeader(header)] || this.aliases[String(header).trim().toLowerCase()] || null;
+            return mapping;
+        }, {});
+    },
+
+    parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        const numeric = Number(value);
+        if (Number.isFinite(numeric)) {
+            // Epoch seconds vs milliseconds
+            return new Date(numeric < 1e11 ? numeric * 1000 : numeric);
+        }
+        const date = new Date(String(value).trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+        return isNaN(date) ? null : date;
+    },
+
+    /**
+     * Build a reading from a flat row
+     * @param {Object} mapping - column -> reading path (see suggestMapping)
+     * @returns {Object} { reading, errors }
+     */
+    toReading(row, mapping) {
+        const reading = { soil: {}, weather: {} };
+        const errors = [];
+
+        Object.entries(mapping).forEach(([column, target]) => {
+            if (!target) return;
+            const raw = row[column];
+            if (raw === undefined || raw === null || raw === '') return;
+
+            let value = raw;
+            if (target === 'timestamp') {
+                value = this.parseTimestamp(raw);
+                if (!value) errors.push(`${column}: invalid date "${raw}"`);
+            } else if (!this.textPaths.includes(target)) {
+                value = typeof raw === 'number' ? raw : Number(String(raw).replace(',', '.'));
+                if (!Number.isFinite(value)) {
+                    errors.push(`${column}: "${raw}" is not a number`);
+                    value = undefined;
+                }
+            } else {
+                value = String(raw).trim();
+            }
+            if (value === undefined || value === null) return;
+
+            const [group, key] = target.split('.');
+            if (key) reading[group][key] = value;
+            else reading[group] = value;
+        });
+
+        return { reading, errors };
+    }
+};
+
+module.exports = DatasetReader;
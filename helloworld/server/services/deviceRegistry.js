@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const AlertService = require('./alertService');
+const LiveStream = require('./liveStream');
+
+/**
+ * Device Registry
+ * Tracks ESP32 node health from heartbeats (HTTP or MQTT), readings and MQTT status. A node
+ * that misses several heartbeats is marked offline and gets a 'Device Offline' alert, which the
+ * escalation service then routes like any other alert; the alert resolves when the node returns.
+ */
+class DeviceRegistry {
+    constructor() {
+        this.MISSED_HEARTBEATS = Number(process.env.DEVICE_MISSED_HEARTBEATS) || 3;
+        this.CHECK_MS = 60000;
+        this.LOW_BATTERY = 20; // Percent
+        // `ip` is left out: the server sends HTTP commands there, so only admin edits may change it
+        this.HEARTBEAT_FIELDS = ['firmwareVersion', 'board', 'battery', 'rssi', 'capabilities'];
+        this.interval = null;
+    }
+
+    /**
+     * How long a node may stay silent before it counts as offline
+     */
+    offlineAfterMs(device) {
+        return (device.heartbeatIntervalSec || 60) * 1000 * this.MISSED_HEARTBEATS;
+    }
+
+    /**
+     * Health summary: 'online', 'offline', or 'unknown' for nodes that never reported
+     */
+    getHealth(device, now = new Date()) {
+        if (!device.lastSeen) return 'unknown';
+        const stale = now - device.lastSeen > this.offlineAfterMs(device);
+        return device.online === false || stale ? 'offline' : 'online';
+    }
+
+    describe(device, now = new Date()) {
+        const data = device.toObject ? device.toObject() : { ...device };
+        delete data.apiKeyHash;
+        return {
+            ...data,
+            health: this.getHealth(device, now),
+            lowBattery: typeof device.battery === 'number' && device.battery < this.LOW_BATTERY
+        };
+    }
+
+    async list({ fieldId, health } = {}, now = new Date()) {
+        const query = {};
+        if (fieldId) query.fieldId = fieldId;
+        const devices = await Device.find(query).sort({ deviceId: 1 }).populate('fieldId', 'name cropType');
+        const described = devices.map(d => this.describe(d, now));
+        return health ? described.filter(d => d.health === health) : described;
+    }
+
+    /**
+     * Record a heartbeat: { firmwareVersion, battery, rssi, capabilities, state }, all optional.
+     * `state` is what the indicator shows now and is checked against queued commands.
+     */
+    async recordHeartbeat(device, body = {}, now = new Date()) {
+        const update = { online: true, lastSeen: now, lastHeartbeatAt: now };
+        this.HEARTBEAT_FIELDS.forEach(key => {
+            if (body[key] !== undefined && body[key] !== null) update[key] = body[key];
+        });
+
+        const updated = await Device.findOneAndUpdate(
+            { _id: device._id },
+            { $set: update },
+            { new: true, runValidators: true }
+        );
+        if (!device.online) {
+            LiveStream.publishDevice(device.deviceId, { online: true, health: 'online' });
+        }
+        await this.resolveOfflineAlert(updated, 'Heartbeat received');
+
+        // Required lazily: the command queue reaches back into the MQTT bridge, which uses this registry
+        const CommandQueue = require('./commandQueue');
+        await CommandQueue.reconcile(device.deviceId, body.state, now, { cameBack: !device.online }).catch(err => {
+            console.warn(`⚠️ Command reconcile for ${device.deviceId} failed:`, err.message);
+        });
+        return updated;
+    }
+
+    async resolveOfflineAlert(device, note) {
+        const open = await Alert.findOne({ deviceId: device.deviceId, type: 'Device Offline', status: { $in: AlertService.OPEN_STATUSES } });
+        if (!open) return null;
+        console.log(`🟢 Device ${device.deviceId} is back online`);
+        const result = await AlertService.resolve(open, 'system', note);
+        return result.alert;
+    }
+
+    async raiseOfflineAlert(device, now = new Date()) {
+        const existing = await Alert.findOne({ deviceId: device.deviceId, type: 'Device Offline', status: { $in: AlertService.OPEN_STATUSES } });
+        if (existing) return null;
+
+        const silentMin = Math.round((now - device.lastSeen) / 60000);
+        const message = `Device ${device.name || device.deviceId} has not reported for ${silentMin} min`;
+        console.warn(`🔴 ${message}`);
+        const alert = await Alert.create({
+            type: 'Device Offline',
+            severity: device.capabilities?.some(c => c === 'valve' || c === 'pump') ? 'Critical' : 'High',
+            message,
+            deviceId: device.deviceId,
+            fieldId: device.fieldId || undefined,
+            timestamp: now,
+            lastDetectedAt: now,
+            history: [{ action: 'Created', at: now, note: message }]
+        });
+        LiveStream.publishAlert(alert, 'created');
+        return alert;
+    }
+
+    /**
+     * Mark silent nodes offline and alert on them; clear alerts for nodes that came back
+     * without a heartbeat (readings or MQTT status also count as signs of life)
+     */
+    async checkHealth(now = new Date()) {
+        if (mongoose.connection.readyState !== 1) return [];
+        const devices = await Device.find({ active: true, lastSeen: { $ne: null } });
+        const changes = [];
+
+        for (const device of devices) {
+            try {
+                const health = this.getHealth(device, now);
+                if (health === 'offline') {
+                    if (device.online) {
+                        await Device.updateOne({ _id: device._id }, { $set: { online: false } });
+                        LiveStream.publishDevice(device.deviceId, { online: false, health });
+                    }
+                    const alert = await this.raiseOfflineAlert(device, now);
+                    if (alert) changes.push({ deviceId: device.deviceId, health, alertId: alert._id });
+                } else if (await this.resolveOfflineAlert(device, 'Device reporting again')) {
+                    changes.push({ deviceId: device.deviceId, health });
+                }
+            } catch (err) {
+                console.error(`❌ Health check failed for device ${device.deviceId}:`, err.message);
+            }
+        }
+        return changes;
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => {
+            this.checkHealth().catch(err => console.error('❌ Device health check error:', err.message));
+        }, this.CHECK_MS);
+        console.log(`📶 Device health monitor started (offline after ${this.MISSED_HEARTBEATS} missed heartbeats)`);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new DeviceRegistry();
@@ -0,0 +1,250 @@
+const moment = require('moment');
+const Alert = require('../models/Alert');
+const Field = require('../models/Field');
+const Contact = require('../models/Contact');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const TelegramService = require('./telegramService');
+const NotificationDispatcher = require('./notificationDispatcher');
+
+/**
+ * Escalation Service
+ * Walks unacknowledged alerts through their escalation policy: field owner first, the farm
+ * manager after N minutes, everyone for pipe bursts. Quiet hours hold non-urgent notifications.
+ */
+class EscalationService {
+    constructor() {
+        this.TICK_MS = 60 * 1000;
+        this.QUIET_HOURS = process.env.ALERT_QUIET_HOURS || '22:00-06:00'; // Default for policies without their own
+        this.interval = null;
+
+        // Seeded when no policies exist yet; edit them through /api/escalation-policies
+        this.DEFAULT_POLICIES = [
+            {
+                name: 'Leak / pipe burst',
+                types: ['Leak'],
+                severities: ['High', 'Critical'],
+                steps: [{ afterMinutes: 0, notify: 'Everyone' }],
+                bypassQuietHours: true,
+                order: 10
+            },
+            {
+                name: 'Critical',
+                severities: ['Critical'],
+                steps: [{ afterMinutes: 0, notify: 'Owner' }, { afterMinutes: 15, notify: 'Manager' }],
+                bypassQuietHours: true,
+                order: 20
+            },
+            {
+                name: 'Default',
+                steps: [{ afterMinutes: 0, notify: 'Owner' }, { afterMinutes: 60, notify: 'Manager' }],
+                order: 100
+            }
+        ];
+    }
+
+    /**
+     * Parse "HH:mm-HH:mm" (or { start, end }) into minutes of the day
+     */
+    parseQuietHours(value) {
+        const window = typeof value === 'string' ? (([start, end]) => ({ start, end }))(value.split('-')) : value;
+        if (!window?.start || !window?.end) return null;
+        const toMinutes = (hhmm) => {
+            const [h, m] = hhmm.trim().split(':').map(Number);
+            return h * 60 + (m || 0);
+        };
+        return { start: toMinutes(window.start), end: toMinutes(window.end) };
+    }
+
+    /**
+     * End of the quiet window `now` falls in, or null outside quiet hours
+     */
+    quietUntil(quietHours, now = new Date()) {
+        const window = this.parseQuietHours(quietHours);
+        if (!window || window.start === window.end) return null;
+
+        const minute = now.getHours() * 60 + now.getMinutes();
+        const overnight = window.start > window.end; // e.g. 22:00-06:00
+        const inside = overnight
+            ? minute >= window.start || minute < window.end
+            : minute >= window.start && minute < window.end;
+        if (!inside) return null;
+
+        const end = moment(now).startOf('day').add(window.end, 'minutes');
+        if (end.isSameOrBefore(now)) end.add(1, 'day');
+        return end.toDate();
+    }
+
+    isQuietHours(now = new Date()) {
+        return this.quietUntil(this.QUIET_HOURS, now) !== null;
+    }
+
+    async seedDefaults() {
+        if (await EscalationPolicy.countDocuments() > 0) return;
+        await EscalationPolicy.insertMany(this.DEFAULT_POLICIES);
+        console.log(`📟 Seeded ${this.DEFAULT_POLICIES.length} default escalation policies`);
+    }
+
+    /**
+     * Most specific active policy for an alert (type and severity match beat wildcards)
+     */
+    async getPolicyFor(alert) {
+        const policies = await EscalationPolicy.find({ active: true });
+        const specificity = (p) => (p.types?.length ? 2 : 0) + (p.severities?.length ? 1 : 0);
+        return policies
+            .filter(p => (!p.types?.length || p.types.includes(alert.type)) &&
+                (!p.severities?.length || p.severities.includes(alert.severity)))
+            .sort((a, b) => specificity(b) - specificity(a) || a.order - b.order)[0] || null;
+    }
+
+    /**
+     * Contacts for an escalation step. Falls back to managers when a field has no owner,
+     * and to the default Telegram chat when no contacts are configured at all.
+     */
+    async getRecipients(notify, alert) {
+        const contacts = await Contact.find({ active: true });
+        if (contacts.length === 0) {
+            return TelegramService.CHAT_ID ? [{ name: 'Default chat', channels: ['telegram'], telegramChatId: TelegramService.CHAT_ID }] : [];
+        }
+
+        const coversField = (c) => !c.fieldIds?.length || !alert.fieldId || c.fieldIds.some(id => id.equals(alert.fieldId));
+        const managers = contacts.filter(c => c.role === 'Manager');
+
+        if (notify === 'Everyone') return contacts.filter(coversField);
+        if (notify === 'Manager') return managers;
+
+        const owners = contacts.filter(c => c.role === 'Owner' && coversField(c));
+        return owners.length > 0 ? owners : managers;
+    }
+
+    async formatMessage(alert, stepIndex, policy) {
+        const field = alert.fieldId ? await Field.findById(alert.fieldId).select('name') : null;
+        const icon = alert.severity === 'Critical' || alert.type === 'Leak' ? '🚨' : '⚠️';
+        const openFor = Math.round((Date.now() - alert.timestamp) / 60000);
+
+        let message = `${icon} *${alert.type}* (${alert.severity})\n`;
+        message += `🌾 *Field:* ${field?.name || alert.field || alert.cropType || 'Unknown'}\n\n`;
+        message += `${alert.message}\n\n`;
+        if (stepIndex > 0) {
+            message += `⏫ Escalated: unacknowledged for ${openFor} min (step ${stepIndex + 1}/${policy.steps.length})\n`;
+        }
+        message += `🆔 Alert: \`${alert._id}\``;
+        return message;
+    }
+
+    /**
+     * Send every escalation step that has come due for one alert
+     */
+    async processAlert(alert, now = new Date()) {
+        const policy = await this.getPolicyFor(alert);
+        if (!policy) {
+            // Nothing matches yet; look again later in case a policy is added
+            alert.escalation.nextAt = moment(now).add(1, 'hour').toDate();
+            return alert.save();
+        }
+        alert.escalation.policyId = policy._id;
+        alert.escalation.policyName = policy.name;
+
+        let stepIndex = (alert.escalation.step ?? -1) + 1;
+        while (stepIndex < policy.steps.length) {
+            const step = policy.steps[stepIndex];
+            const dueAt = new Date(alert.timestamp.getTime() + step.afterMinutes * 60 * 1000);
+            if (dueAt > now) {
+                alert.escalation.nextAt = dueAt;
+                return alert.save();
+            }
+
+            const heldUntil = policy.bypassQuietHours
+                ? null
+                : this.quietUntil(policy.quietHours?.start ? policy.quietHours : this.QUIET_HOURS, now);
+            if (heldUntil) {
+                const alreadyHeld = alert.escalation.nextAt && alert.escalation.nextAt.getTime() === heldUntil.getTime();
+                alert.escalation.nextAt = heldUntil;
+                if (!alreadyHeld) {
+                    alert.history.push({ action: 'Held', at: now, note: `Quiet hours until ${moment(heldUntil).format('HH:mm')} (${step.notify})` });
+                }
+                return alert.save();
+            }
+
+            const contacts = await this.getRecipients(step.notify, alert);
+            const message = await this.formatMessage(alert, stepIndex, policy);
+            const result = await NotificationDispatcher.dispatch({
+                subject: `[Tridentrix] ${alert.type} (${alert.severity})${stepIndex > 0 ? ' – escalated' : ''}`,
+                event: `alert:step${stepIndex + 1}`,
+                alertId: alert._id,
+                fieldId: alert.fieldId,
+                payload: {
+                    event: 'alert',
+                    alertId: alert._id,
+                    type: alert.type,
+                    severity: alert.severity,
+                    message: alert.message,
+                    fieldId: alert.fieldId,
+                    step: stepIndex + 1,
+                    notify: step.notify
+                },
+                render: (channel) => {
+                    if (channel === 'telegram') return message;
+                    if (channel === 'sms' || channel === 'whatsapp') return `${alert.type} (${alert.severity}): ${alert.message}`;
+                    return NotificationDispatcher.plainText(message);
+                }
+            }, [
+                ...contacts.flatMap(contact => NotificationDispatcher.contactRecipients(contact)),
+                ...NotificationDispatcher.webhookRecipients()
+            ]);
+            const delivered = [...new Set(result.results
+                .filter(r => r.success && r.channel !== 'webhook')
+                .map(r => `${r.recipient} (${r.channel})`))];
+
+            alert.history.push({
+                action: 'Notified',
+                at: now,
+                note: `Step ${stepIndex + 1} (${step.notify}): ${delivered.length ? delivered.join(', ') : 'no reachable recipients'}`
+            });
+            alert.escalation.step = stepIndex;
+            alert.escalation.nextAt = undefined;
+            stepIndex += 1;
+        }
+
+        return alert.save();
+    }
+
+    /**
+     * Escalate every active (unacknowledged, unsnoozed) alert that has a step due
+     */
+    async tick(now = new Date()) {
+        const due = await Alert.find({
+            status: 'Active',
+            $or: [
+                { 'escalation.nextAt': { $lte: now } },
+                { 'escalation.nextAt': null, 'escalation.step': { $in: [-1, null] } }
+            ]
+        });
+        for (const alert of due) {
+            try {
+                await this.processAlert(alert, now);
+            } catch (err) {
+                console.error(`❌ Escalation error for alert ${alert._id}:`, err.message);
+            }
+        }
+        return due.length;
+    }
+
+    async start() {
+        if (this.interval) return;
+        await this.seedDefaults();
+        this.interval = setInterval(() => {
+            this.tick().catch(err => console.error('❌ Escalation tick error:', err.message));
+        }, this.TICK_MS);
+        console.log(`📟 Alert escalation started (quiet hours ${this.QUIET_HOURS})`);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new EscalationService();
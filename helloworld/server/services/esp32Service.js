@@ -1,9 +1,15 @@
 const axios = require('axios');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const MQTTBridge = require('./mqttBridge');
+const LiveStream = require('./liveStream');
 
 /**
  * ESP32 Service
  * Sends HTTP requests to ESP32 device to control LEDs and buzzer
- * Based on alert severity and system status
+ * Based on alert severity and system status.
+ * Nodes are looked up in the Device registry by ID; the ESP32_* environment settings
+ * describe the default node and fill in for registry entries without an IP.
  */
 class ESP32Service {
     constructor() {
@@ -11,23 +17,58 @@ class ESP32Service {
         this.esp32IP = process.env.ESP32_IP || '192.168.1.100';
         this.esp32Port = process.env.ESP32_PORT || '80';
         this.enabled = process.env.ESP32_ENABLED !== 'false'; // Enabled by default
+        this.transport = process.env.ESP32_TRANSPORT === 'mqtt' ? 'mqtt' : 'http';
+        this.deviceId = process.env.ESP32_DEVICE_ID || 'esp32-1'; // Default node (and its MQTT topic ID)
         this.timeout = 3000; // 3 second timeout
-        this.lastState = null; // Track last state to avoid duplicate requests
+        // deviceId -> last state the node confirmed this run, to avoid duplicate requests. Also persisted
+        // on the Device for display, but not trusted for de-duplication since the node may have rebooted.
+        this.lastStates = new Map();
+    }
+
+    get lastState() {
+        return this.lastStates.get(this.deviceId) || null;
     }
 
     /**
      * Get the full ESP32 URL
      */
-    getESP32URL() {
-        return `http://${this.esp32IP}:${this.esp32Port}`;
+    getESP32URL(device = null) {
+        return `http://${device?.ip || this.esp32IP}:${device?.port || this.esp32Port}`;
     }
 
     /**
-     * Send state to ESP32
+     * How to reach a node: its registry entry when there is one, else the environment defaults.
+     * Returns null for a non-default node that is not registered.
+     */
+    async resolveTarget(deviceId = this.deviceId) {
+        const device = mongoose.connection.readyState === 1 ? await Device.findOne({ deviceId }) : null;
+        if (!device && deviceId !== this.deviceId) return null;
+        return {
+            deviceId,
+            device,
+            transport: device?.transport || this.transport,
+            url: device?.ip || deviceId === this.deviceId ? this.getESP32URL(device) : null
+        };
+    }
+
+    async rememberState(deviceId, state) {
+        this.lastStates.set(deviceId, state);
+        LiveStream.publishDevice(deviceId, { state });
+        if (mongoose.connection.readyState === 1) {
+            await Device.updateOne({ deviceId }, { $set: { lastState: state, lastStateAt: new Date() } })
+                .catch(err => console.warn(`⚠️ Could not store state for ${deviceId}:`, err.message));
+        }
+    }
+
+    /**
+     * Send state to ESP32 through the command queue, which retries until the device confirms.
+     * Without a database the command is sent once, as before.
      * @param {string} state - 'normal', 'caution', or 'critical'
+     * @param {string} deviceId - Registered node ID (defaults to ESP32_DEVICE_ID)
+     * @param {Object} options - { issuedBy, ttlSec }
      * @returns {Promise<Object>} Response object with success status
      */
-    async setState(state) {
+    async setState(state, deviceId = this.deviceId, { issuedBy = 'system', ttlSec } = {}) {
         if (!this.enabled) {
             console.log('⚠️ ESP32 service is disabled');
             return { success: false, message: 'ESP32 service is disabled' };
@@ -43,17 +84,97 @@ class ESP32Service {
         }
 
         // Avoid duplicate requests
-        if (this.lastState === state) {
+        if (this.lastStates.get(deviceId) === state) {
             return { 
                 success: true, 
+                deviceId,
                 message: `State already set to ${state}`, 
                 skipped: true 
             };
         }
 
+        if (mongoose.connection.readyState !== 1) {
+            const result = await this.transmit(deviceId, { state });
+            if (result.success) await this.rememberState(deviceId, state);
+            return { ...result, deviceId, state, timestamp: new Date() };
+        }
+
+        // Required lazily: the command queue sends through this service
+        const CommandQueue = require('./commandQueue');
+        const open = await CommandQueue.findOpen(deviceId);
+        if (open?.expectedState === state) {
+            return {
+                success: true,
+                deviceId,
+                state,
+                commandId: open.commandId,
+                status: open.status,
+                message: `State ${state} already queued`,
+                skipped: true
+            };
+        }
+
+        const command = await CommandQueue.enqueue(deviceId, { state }, { expectedState: state, issuedBy, ttlSec });
+        const messages = {
+            Acknowledged: `ESP32 state set to ${state}`,
+            Sent: `ESP32 state ${state} sent, waiting for acknowledgement`,
+            Pending: `ESP32 not reachable; ${state} queued for retry`,
+            Failed: `ESP32 state ${state} failed: ${command.lastError}`,
+            Expired: `ESP32 state ${state} expired: ${command.lastError}`
+        };
+        return {
+            success: command.status === 'Acknowledged' || command.status === 'Sent',
+            deviceId,
+            state,
+            commandId: command.commandId,
+            status: command.status,
+            queued: command.status === 'Pending',
+            transport: command.transport,
+            message: messages[command.status],
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Send one command to a node over its transport, without retries.
+     * HTTP replies with 'OK' once applied, so `acked` is true; MQTT only confirms the publish
+     * and the device acks on agri/<deviceId>/ack. `permanent` marks errors a retry cannot fix.
+     * @param {Object} command - { state, commandId } or { ota: { version, url, md5, size }, commandId }
+     */
+    async transmit(deviceId, command) {
+        const target = await this.resolveTarget(deviceId);
+        if (!target) {
+            return { success: false, permanent: true, message: `Unknown device ${deviceId}` };
+        }
+        const label = command.ota ? `firmware ${command.ota.version}` : command.state;
+
+        if (target.transport === 'mqtt') {
+            try {
+                console.log(`📡 Publishing ESP32 command: ${label} -> ${MQTTBridge.topic(deviceId, 'cmd')}`);
+                const result = await MQTTBridge.sendCommand(deviceId, command);
+                if (!result.success) {
+                    console.warn(`⚠️ ESP32 MQTT command not sent: ${result.message}`);
+                }
+                return { success: result.success, acked: false, transport: 'mqtt', message: result.success ? `Published to ${deviceId}` : result.message };
+            } catch (error) {
+                console.error(`❌ ESP32 MQTT error:`, error.message);
+                return { success: false, transport: 'mqtt', message: error.message || 'Failed to publish ESP32 command' };
+            }
+        }
+
+        if (!target.url) {
+            return { success: false, permanent: true, transport: 'http', message: `Device ${deviceId} has no IP address` };
+        }
+
         try {
-            const url = `${this.getESP32URL()}/set?state=${state}`;
-            console.log(`📡 Sending ESP32 command: ${state} -> ${url}`);
+            // OTA: the node answers 'OK' once it has accepted the job, then downloads and reboots
+            const [path, params] = command.ota
+                ? ['/ota', { url: command.ota.url, version: command.ota.version, md5: command.ota.md5 }]
+                : ['/set', { state: command.state }];
+            const query = new URLSearchParams(params);
+            if (command.commandId) query.set('commandId', command.commandId);
+            const url = `${target.url}${path}?${query}`;
+            console.log(`📡 Sending ESP32 command: ${label} -> ${url}`);
 
             const response = await axios.get(url, {
                 timeout: this.timeout,
@@ -61,32 +182,83 @@ class ESP32Service {
             });
 
             if (response.status === 200 && response.data === 'OK') {
-                this.lastState = state;
-                console.log(`✅ ESP32 state set to: ${state}`);
-                return {
-                    success: true,
-                    state,
-                    message: `ESP32 state set to ${state}`,
-                    timestamp: new Date()
-                };
-            } else {
-                console.warn(`⚠️ ESP32 responded with status ${response.status}: ${response.data}`);
-                return {
-                    success: false,
-                    state,
-                    message: `ESP32 responded with status ${response.status}`,
-                    timestamp: new Date()
-                };
+                console.log(`✅ ESP32 ${deviceId} accepted: ${label}`);
+                return { success: true, acked: true, transport: 'http', message: `ESP32 accepted ${label}` };
             }
+            console.warn(`⚠️ ESP32 responded with status ${response.status}: ${response.data}`);
+            return {
+                success: false,
+                permanent: response.status === 400 || response.status === 404,
+                transport: 'http',
+                message: `ESP32 responded with status ${response.status}`
+            };
         } catch (error) {
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-                console.warn(`⚠️ ESP32 not reachable at ${this.esp32IP}. Is it connected?`);
+            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+                console.warn(`⚠️ ESP32 ${deviceId} not reachable at ${target.url}. Is it connected?`);
             } else {
                 console.error(`❌ ESP32 communication error:`, error.message);
             }
             return {
                 success: false,
-                state,
+                transport: 'http',
+                message: error.message || 'Failed to communicate with ESP32',
+                error: error.code
+            };
+        }
+    }
+
+    /**
+     * Open or close an irrigation valve / pump relay
+     * @param {boolean} open - true to open, false to close
+     * @param {Object} binding - { deviceId, channel } from the field's device bindings
+     * @returns {Promise<Object>} Response object with success status
+     */
+    async setValve(open, binding = {}) {
+        const action = open ? 'open' : 'close';
+        const deviceId = binding.deviceId || this.deviceId;
+        const channel = binding.channel || 0;
+
+        if (!this.enabled) {
+            return { success: false, message: 'ESP32 service is disabled' };
+        }
+
+        const target = await this.resolveTarget(deviceId);
+        if (!target) {
+            return { success: false, message: `Unknown device ${deviceId}` };
+        }
+        if (target.transport === 'mqtt') {
+            const result = await MQTTBridge.sendCommand(deviceId, { valve: channel, action });
+            return { ...result, action, channel, transport: 'mqtt', timestamp: new Date() };
+        }
+        if (!target.url) {
+            return { success: false, message: `Device ${deviceId} has no IP address` };
+        }
+
+        try {
+            const url = `${target.url}/valve?channel=${channel}&state=${action}`;
+            console.log(`📡 Sending valve command: ${action} -> ${url}`);
+
+            const response = await axios.get(url, {
+                timeout: this.timeout,
+                validateStatus: () => true
+            });
+            const success = response.status === 200 && response.data === 'OK';
+            if (!success) {
+                console.warn(`⚠️ Valve command responded with status ${response.status}: ${response.data}`);
+            }
+            return {
+                success,
+                action,
+                channel,
+                message: success ? `Valve ${channel} ${action}` : `ESP32 responded with status ${response.status}`,
+                timestamp: new Date()
+            };
+        } catch (error) {
+            console.error(`❌ Valve command error:`, error.message);
+            return {
+                success: false,
+                action,
+                channel,
                 message: error.message || 'Failed to communicate with ESP32',
                 error: error.code,
                 timestamp: new Date()
@@ -159,6 +331,8 @@ class ESP32Service {
     getConfig() {
         return {
             enabled: this.enabled,
+            transport: this.transport,
+            deviceId: this.deviceId,
             ip: this.esp32IP,
             port: this.esp32Port,
             url: this.getESP32URL(),
@@ -167,17 +341,38 @@ class ESP32Service {
     }
 
     /**
-     * Test ESP32 connection
+     * Test ESP32 connection. Read-only: it fetches /telemetry rather than setting a state, so a
+     * test never changes what the indicator shows.
+     * @param {string} deviceId - Registered node ID (defaults to ESP32_DEVICE_ID)
      */
-    async testConnection() {
+    async testConnection(deviceId = this.deviceId) {
+        const target = await this.resolveTarget(deviceId);
+        if (!target) {
+            return { success: false, deviceId, message: `Unknown device ${deviceId}` };
+        }
+        if (target.transport === 'mqtt') {
+            const online = MQTTBridge.isDeviceOnline(deviceId);
+            return {
+                success: MQTTBridge.connected && online,
+                deviceId,
+                message: !MQTTBridge.connected ? 'MQTT bridge not connected'
+                    : online ? 'ESP32 is online (MQTT)' : 'ESP32 has not reported online status',
+                topic: MQTTBridge.topic(deviceId, 'cmd')
+            };
+        }
+        if (!target.url) {
+            return { success: false, deviceId, message: `Device ${deviceId} has no IP address` };
+        }
+
         try {
-            const url = `${this.getESP32URL()}/set?state=normal`;
+            const url = `${target.url}/telemetry`;
             const response = await axios.get(url, {
                 timeout: this.timeout,
                 validateStatus: () => true
             });
             return {
                 success: response.status === 200,
+                deviceId,
                 status: response.status,
                 message: response.status === 200 ? 'ESP32 is reachable' : 'ESP32 responded but with error',
                 url
@@ -185,9 +380,10 @@ class ESP32Service {
         } catch (error) {
             return {
                 success: false,
+                deviceId,
                 message: `Cannot reach ESP32: ${error.message}`,
                 error: error.code,
-                url: this.getESP32URL()
+                url: target.url
             };
         }
     }
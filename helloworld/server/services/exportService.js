@@ -0,0 +1,248 @@
+const ExcelJS = require('exceljs');
+const SensorData = require('../models/SensorData');
+const Field = require('../models/Field');
+
+/**
+ * Export Service
+ * Streams SensorData out as CSV, XLSX or newline-delimited JSON straight from a database
+ * cursor, so exports of any size never sit in memory. Readings can be resampled into
+ * fixed buckets (mean per metric, rainfall summed), aligned to UTC like the timestamps
+ * written out.
+ */
+class ExportService {
+    constructor() {
+        this.formats = {
+            csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+            xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+            ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+        };
+        this.metrics = [
+            'soil.moisture', 'soil.ph', 'soil.temp', 'soil.nitrogen', 'soil.phosphorus', 'soil.potassium',
+            'weather.temperature', 'weather.humidity', 'weather.chanceOfRain', 'weather.windSpeed',
+            'weather.solarRadiation', 'weather.rainfall'
+        ];
+        this.summedMetrics = ['weather.rainfall']; // mm since the previous reading
+        this.intervalUnits = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        this.MIN_INTERVAL_MS = 60 * 1000;
+        this.XLSX_MAX_ROWS = 1048576; // Excel's sheet limit, header row included
+    }
+
+    /**
+     * '15m', '1h', '1d' -> milliseconds (null when invalid)
+     */
+    parseInterval(value) {
+        const match = /^(\d+)\s*([mhd])$/i.exec(String(value).trim());
+        if (!match) return null;
+        const ms = Number(match[1]) * this.intervalUnits[match[2].toLowerCase()];
+        return ms >= this.MIN_INTERVAL_MS ? ms : null;
+    }
+
+    /**
+     * Check export options and turn them into a query
+     * @param {Object} params - { fieldId, cropType, from, to, metrics (array), interval, simulated }
+     * @returns {Object} { options } or { error }
+     */
+    buildOptions({ fieldId, cropType, from, to, metrics, interval, simulated }) {
+        const query = {};
+        if (fieldId) query.fieldId = fieldId;
+        if (cropType) query.cropType = cropType;
+        if (simulated !== undefined) query.isSimulated = simulated;
+
+        const range = {};
+        if (from) {
+            range.$gte = new Date(from);
+            if (isNaN(range.$gte)) return { error: 'from must be a date' };
+        }
+        if (to) {
+            range.$lte = new Date(to);
+            if (isNaN(range.$lte)) return { error: 'to must be a date' };
+        }
+        if (range.$gte && range.$lte && range.$gte > range.$lte) return { error: 'from must be before to' };
+        if (from || to) query.timestamp = range;
+
+        const selected = metrics && metrics.length ? metrics : this.metrics;
+        const unknown = selected.filter(m => !this.metrics.includes(m));
+        if (unknown.length > 0) return { error: `Unknown metrics: ${unknown.join(', ')}. Use: ${this.metrics.join(', ')}` };
+
+        let intervalMs = null;
+        if (interval && interval !== 'raw') {
+            intervalMs = this.parseInterval(interval);
+            if (!intervalMs) return { error: 'interval must look like 15m, 1h or 1d (at least 1m), or raw' };
+        }
+
+        return { options: { query, metrics: selected, intervalMs } };
+    }
+
+    columns({ metrics, intervalMs }) {
+        return ['timestamp', 'fieldId', 'fieldName', 'cropType', ...metrics, ...(intervalMs ? ['samples'] : ['isSimulated'])];
+    }
+
+    valueAt(doc, metric) {
+        const [group, key] = metric.split('.');
+        const value = doc[group]?.[key];
+        return typeof value === 'number' ? value : null;
+    }
+
+    bucketStart(timestamp, intervalMs) {
+        return new Date(Math.floor(timestamp.getTime() / intervalMs) * intervalMs);
+    }
+
+    /**
+     * Call `onRecord` for every exported row, in time order, reading one document at a time
+     */
+    async each({ query, metrics, intervalMs }, onRecord, { signal } = {}) {
+        const fields = await Field.find({}).select('name').lean();
+        const fieldNames = new Map(fields.map(f => [f._id.toString(), f.name]));
+
+        const projection = { timestamp: 1, fieldId: 1, cropType: 1, isSimulated: 1 };
+        metrics.forEach(m => { projection[m] = 1; });
+        const cursor = SensorData.find(query).select(projection).sort({ timestamp: 1 }).lean().cursor();
+
+        const base = (doc) => ({
+            fieldId: doc.fieldId ? doc.fieldId.toString() : '',
+            fieldName: doc.fieldId ? fieldNames.get(doc.fieldId.toString()) || '' : '',
+            cropType: doc.cropType || ''
+        });
+
+        // Open buckets per series (field, or crop type for readings without a field)
+        let bucket = null;
+        const series = new Map();
+        const flush = async () => {
+            const keys = [...series.keys()].sort();
+            for (const key of keys) {
+                const { info, sums, counts, samples } = series.get(key);
+                const record = { timestamp: bucket, ...info };
+                metrics.forEach(m => {
+                    if (counts[m] === 0) record[m] = null;
+                    else record[m] = Math.round((this.summedMetrics.includes(m) ? sums[m] : sums[m] / counts[m]) * 100) / 100;
+                });
+                record.samples = samples;
+                await onRecord(record);
+            }
+            series.clear();
+        };
+
+        try {
+            for await (const doc of cursor) {
+                if (signal?.aborted) break;
+                if (!intervalMs) {
+                    const record = { timestamp: doc.timestamp, ...base(doc) };
+                    metrics.forEach(m => { record[m] = this.valueAt(doc, m); });
+                    record.isSimulated = !!doc.isSimulated;
+                    await onRecord(record);
+                    continue;
+                }
+
+                const start = this.bucketStart(doc.timestamp, intervalMs);
+                if (bucket && start.getTime() !== bucket.getTime()) await flush();
+                bucket = start;
+
+                const info = base(doc);
+                const key = info.fieldId || `crop:${info.cropType}`;
+                if (!series.has(key)) {
+                    series.set(key, {
+                        info,
+                        sums: Object.fromEntries(metrics.map(m => [m, 0])),
+                        counts: Object.fromEntries(metrics.map(m => [m, 0])),
+                        samples: 0
+                    });
+                }
+                const entry = series.get(key);
+                entry.samples += 1;
+                metrics.forEach(m => {
+                    const value = this.valueAt(doc, m);
+                    if (value === null) return;
+                    entry.sums[m] += value;
+                    entry.counts[m] += 1;
+                });
+            }
+            if (bucket && !signal?.aborted) await flush();
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    /**
+     * Resolve once the stream can take more data
+     */
+    write(stream, chunk) {
+        stream.write(chunk);
+        return this.drained(stream);
+    }
+
+    drained(stream) {
+        if (!stream.writableNeedDrain || stream.destroyed) return Promise.resolve();
+        return new Promise(resolve => {
+            const done = () => {
+                stream.off('drain', done);
+                stream.off('close', done);
+                resolve();
+            };
+            stream.on('drain', done);
+            stream.on('close', done);
+        });
+    }
+
+    csvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Write the export to `stream` in the given format and end it
+     * @param {Object} options - From buildOptions
+     */
+    async writeTo(stream, format, options, { signal } = {}) {
+        const columns = this.columns(options);
+        let rows = 0;
+
+        if (format === 'xlsx') {
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+            // Rows past Excel's limit continue on another sheet: "Sensor data 2", ...
+            let sheet = null;
+            let sheets = 0;
+            let sheetRows = 0;
+            const addSheet = () => {
+                sheets += 1;
+                sheet = workbook.addWorksheet(sheets > 1 ? `Sensor data ${sheets}` : 'Sensor data');
+                sheet.columns = columns.map(key => ({
+                    header: key,
+                    key,
+                    width: key === 'timestamp' ? 20 : 14,
+                    style: key === 'timestamp' ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined
+                }));
+                sheetRows = 0;
+            };
+            addSheet();
+            await this.each(options, async (record) => {
+                if (sheetRows >= this.XLSX_MAX_ROWS - 1) {
+                    sheet.commit();
+                    addSheet();
+                }
+                sheet.addRow(record).commit();
+                sheetRows += 1;
+                rows += 1;
+                await this.drained(stream);
+            }, { signal });
+            await workbook.commit();
+            return rows;
+        }
+
+        if (format === 'csv') {
+            await this.write(stream, '﻿' + columns.join(',') + '\n'); // BOM so Excel reads UTF-8
+        }
+        await this.each(options, async (record) => {
+            const line = format === 'csv'
+                ? columns.map(key => this.csvValue(record[key])).join(',')
+                : JSON.stringify(record);
+            await this.write(stream, line + '\n');
+            rows += 1;
+        }, { signal });
+        stream.end();
+        return rows;
+    }
+}
+
+// Export singleton instance
+module.exports = new ExportService();
@@ -0,0 +1,230 @@
+const IntelligenceService = require('./intelligence');
+const WaterBalanceService = require('./waterBalance');
+const LocalFileProvider = require('./weatherProviders/localFile');
+
+/**
+ * Field Simulator
+ * Root-zone water balance stepped in hours rather than days:
+ *   Dr = Dr - P - I + ETc,adj + DP + leak
+ * with ET following the sun, water above field capacity draining over a soil-dependent time
+ * and anything above saturation running off. Probes report percent of saturation (θ / θsat),
+ * the scale of the seed dataset, the crop thresholds and WaterBalanceService.
+ */
+const FieldSimulator = {
+
+    /**
+     * Time constant (hours) for water above field capacity to drain below the root zone;
+     * saturation comes from WaterBalanceService.soilProperties
+     */
+    soilHydraulics: {
+        'sand': { drainHours: 4 },
+        'sandy': { drainHours: 4 },
+        'loamy sand': { drainHours: 6 },
+        'sandy loam': { drainHours: 8 },
+        'red': { drainHours: 8 },
+        'loam': { drainHours: 12 },
+        'loamy': { drainHours: 12 },
+        'silt loam': { drainHours: 18 },
+        'alluvial': { drainHours: 18 },
+        'clay loam': { drainHours: 24 },
+        'clay': { drainHours: 36 },
+        'clayey': { drainHours: 36 },
+        'black': { drainHours: 48 }
+    },
+
+    scenarios: {
+        'normal': {
+            description: 'Forecast weather, irrigation as logged'
+        },
+        'heatwave': {
+            description: 'Air 8 °C hotter and much drier, strong sun, no rain',
+            weather: { temperature: 8, humidity: -25, windSpeed: 4 },
+            solarFactor: 1.2,
+            dry: true
+        },
+        'monsoon': {
+            description: 'Steady heavy rain, humid and overcast; the profile saturates',
+            weather: { temperature: -4, humidity: 30, windSpeed: 10 },
+            solarFactor: 0.35,
+            rainMmPerHour: 6
+        },
+        'leak': {
+            description: 'Burst lateral: the root zone drains fast and most irrigation water never arrives',
+            leakTawPerHour: 0.25, // Share of TAW lost per hour
+            irrigationEfficiency: 0.2
+        },
+        'sensor-failure': {
+            description: 'Moisture probe freezes, drops out to 0 and spikes; the soil itself is unaffected',
+            sensorFault: true
+        }
+    },
+
+    getHydraulics(soilType) {
+        const key = (soilType || 'loam').trim().toLowerCase();
+        return this.soilHydraulics[key] || this.soilHydraulics['loam'];
+    },
+
+    /**
+     * Simulation state for a field, starting from a reported moisture (probe %) if there is one
+     * @param {Object} field - Field document, or { cropType, soilType } for a bare crop
+     */
+    createState(field, crop = null, { moisture, soilTemp, nutrients } = {}) {
+        const params = WaterBalanceService.getParameters(field, crop);
+        const { drainHours } = this.getHydraulics(field.soilType);
+        const mmPerTheta = 10 * params.rootDepth; // mm of water per 1.0 m³/m³ over the root zone
+        const state = {
+            params: { ...params, drainHours, mmPerTheta },
+            depletion: params.raw / 2, // Negative while the profile holds water above field capacity
+            soilTemp: soilTemp ?? 24,
+            nutrients: nutrients || {
+                nitrogen: 30 + Math.random() * 30,
+                phosphorus: 15 + Math.random() * 20,
+                potassium: 25 + Math.random() * 25
+            },
+            scenario: 'normal',
+            scenarioUntil: null,
+            probe: null // Last value the probe reported
+        };
+        if (typeof moisture === 'number') {
+            state.depletion = this.depletionFromProbe(moisture, state);
+        }
+        return state;
+    },
+
+    depletionFromProbe(moisture, state) {
+        const { fieldCapacity, saturation, taw, mmPerTheta } = state.params;
+        const theta = Math.min(saturation, Math.max(0, WaterBalanceService.thetaFromMoisture(moisture, state.params)));
+        return Math.min(taw, (fieldCapacity - theta) * mmPerTheta);
+    },
+
+    theta(state) {
+        return state.params.fieldCapacity - state.depletion / state.params.mmPerTheta;
+    },
+
+    /**
+     * Weather for an hour: the forecast step when there is one, else a clear-sky day,
+     * then bent by the active scenario
+     */
+    weatherFor(time, forecastStep = null, scenarioName = 'normal') {
+        const base = forecastStep || LocalFileProvider.syntheticRow(time);
+        const scenario = this.scenarios[scenarioName] || {};
+        const shift = scenario.weather || {};
+        const weather = {
+            temperature: base.temperature + (shift.temperature || 0),
+            humidity: Math.min(100, Math.max(5, base.humidity + (shift.humidity || 0))),
+            windSpeed: Math.max(0, (base.windSpeed || 0) + (shift.windSpeed || 0)),
+            solarRadiation: (base.solarRadiation || 0) * (scenario.solarFactor || 1),
+            chanceOfRain: base.chanceOfRain || 0,
+            precipitation: base.precipitation || 0 // mm/h
+        };
+        if (scenario.dry) {
+            weather.precipitation = 0;
+            weather.chanceOfRain = 0;
+        }
+        if (scenario.rainMmPerHour) {
+            weather.precipitation = Math.max(weather.precipitation, scenario.rainMmPerHour * (0.5 + Math.random()));
+            weather.chanceOfRain = Math.max(weather.chanceOfRain, 90);
+        }
+        return weather;
+    },
+
+    /**
+     * Share of the day's ET that falls in the hour around `time` (zero at night)
+     */
+    diurnalShare(time) {
+        const hour = time.getHours() + time.getMinutes() / 60;
+        return Math.max(0, Math.sin(Math.PI * (hour - 6) / 12)) * Math.PI / 24;
+    },
+
+    /**
+     * Advance the balance by `hours`
+     * @param {Object} inputs - { time, weather, irrigationMm, cropType, field }
+     * @returns {Object} Water fluxes over the step, in mm
+     */
+    step(state, hours, { time = new Date(), weather, irrigationMm = 0, cropType, field } = {}) {
+        const scenario = this.scenarios[state.scenario] || {};
+        const { taw, raw, mad, fieldCapacity, saturation, drainHours, mmPerTheta } = state.params;
+
+        const et = IntelligenceService.calculateETDetails(weather, cropType || field?.cropType, {
+            latitude: field?.getCoordinates?.()?.lat,
+            date: time,
+            plantingDate: field?.plantingDate,
+            growthStage: field?.growthStage
+        });
+        // Water stress reduces actual ET once depletion passes RAW (FAO-56 eq. 84)
+        const ks = state.depletion > raw ? Math.max(0, (taw - state.depletion) / ((1 - mad) * taw)) : 1;
+        const etc = et.etc * ks * this.diurnalShare(time) * hours;
+
+        const rain = weather.precipitation * hours;
+        const irrigation = irrigationMm * (scenario.irrigationEfficiency ?? 1);
+        const leak = (scenario.leakTawPerHour || 0) * taw * hours;
+
+        let depletion = state.depletion - rain - irrigation + etc + leak;
+
+        // Above field capacity: above saturation runs off at once, the rest drains exponentially
+        const minDepletion = (fieldCapacity - saturation) * mmPerTheta;
+        const runoff = Math.max(0, minDepletion - depletion);
+        depletion = Math.max(depletion, minDepletion);
+        let drainage = 0;
+        if (depletion < 0) {
+            drainage = -depletion * (1 - Math.exp(-hours / drainHours));
+            depletion += drainage;
+        }
+        state.depletion = Math.min(taw, depletion);
+
+        // Soil temperature follows the air with a lag of a few hours
+        state.soilTemp += (weather.temperature - 2 - state.soilTemp) * (1 - Math.exp(-hours / 6));
+        // Drainage leaches some nitrogen
+        state.nutrients.nitrogen = Math.max(0, state.nutrients.nitrogen - drainage * 0.02);
+
+        return { etc, rain, irrigation, leak, drainage, runoff, ks };
+    },
+
+    /**
+     * What the probe reports now, including the sensor-failure scenario
+     */
+    probeMoisture(state) {
+        const actual = Math.min(100, Math.max(0, WaterBalanceService.moistureFromTheta(this.theta(state), state.params) + (Math.random() - 0.5)));
+        if (!this.scenarios[state.scenario]?.sensorFault) {
+            state.probe = actual;
+            return actual;
+        }
+        const roll = Math.random();
+        if (roll < 0.3) return 0; // Dropout
+        if (roll < 0.4) return 100; // Spike
+        return state.probe ?? actual; // Frozen at the last good value
+    },
+
+    /**
+     * A SensorData document for the current state
+     */
+    reading(state, { time = new Date(), weather, fluxes, cropType, field, fertilizerName }) {
+        const round = (v) => parseFloat(v.toFixed(2));
+        return {
+            cropType,
+            fieldId: field?._id || undefined,
+            timestamp: time,
+            soil: {
+                moisture: round(this.probeMoisture(state)),
+                ph: round(6.5 + (Math.random() - 0.5) * 0.2),
+                temp: round(state.soilTemp),
+                soilType: field?.soilType || state.params.soilType,
+                nitrogen: round(state.nutrients.nitrogen),
+                phosphorus: round(state.nutrients.phosphorus),
+                potassium: round(state.nutrients.potassium)
+            },
+            weather: {
+                temperature: round(weather.temperature),
+                humidity: round(weather.humidity),
+                chanceOfRain: round(weather.chanceOfRain),
+                windSpeed: round(weather.windSpeed),
+                solarRadiation: round(weather.solarRadiation),
+                rainfall: round(fluxes?.rain || 0)
+            },
+            fertilizerName,
+            isSimulated: true
+        };
+    }
+};
+
+module.exports = FieldSimulator;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const SensorData = require('../models/SensorData');
+const Crop = require('../models/Crop');
+const DatasetReader = require('./datasetReader');
+const IngestionService = require('./ingestionService');
+
+/**
+ * Import Service
+ * Bulk-loads sensor datasets (lab results, logger dumps, csvjson.json) into SensorData.
+ * An upload is parsed once and kept for an hour; the agronomist then checks the suggested
+ * column mapping, runs a dry run for the validation report and commits. Imports append:
+ * readings already stored for the same field (or crop) and timestamp are skipped, and
+ * 'replace' mode only clears the imported time window. Files without timestamps get
+ * generated ones that differ on every run, so their rows are matched by content instead
+ * and 'replace' is refused (their window would be live readings ending now).
+ */
+class ImportService {
+    constructor() {
+        this.uploads = new Map(); // uploadId -> parsed upload
+        this.UPLOAD_TTL_MS = 60 * 60 * 1000;
+        this.MAX_UPLOADS = 20;
+        this.MAX_ROWS = 100000;
+        this.MAX_SIZE = 25 * 1024 * 1024;
+        this.MAX_TOTAL_SIZE = 100 * 1024 * 1024; // Parsed rows kept across all uploads
+        this.BATCH_SIZE = 500;
+        this.DEFAULT_INTERVAL_SEC = 60; // Spacing for datasets without timestamps, ending now
+        this.MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+        this.MAX_ERRORS_REPORTED = 100;
+
+        // Moisture ranges for crops first seen in an import
+        this.cropMoistureRanges = {
+            'Rice': { min: 40, max: 70 },
+            'Wheat': { min: 30, max: 50 },
+            'Maize': { min: 35, max: 60 },
+            'Tomato': { min: 35, max: 60 },
+            'Cotton': { min: 40, max: 65 },
+            'Sugarcane': { min: 45, max: 70 },
+            'Tobacco': { min: 30, max: 55 }
+        };
+    }
+
+    /**
+     * Parse an upload and keep it for the mapping and commit steps
+     * @param {Buffer|Array} body - File contents, or rows already parsed from a JSON request
+     * @param {Object} options - { filename, format, sheet }
+     */
+    async createUpload(body, { filename = null, format = null, sheet = null } = {}) {
+        this.cleanup();
+        if (Buffer.isBuffer(body) && body.length > this.MAX_SIZE) {
+            throw new Error(`File too large. Maximum ${this.MAX_SIZE / 1024 / 1024} MB.`);
+        }
+        if (!Buffer.isBuffer(body) && body.length > this.MAX_ROWS) throw DatasetReader.tooLarge(this.MAX_ROWS);
+        const rows = Buffer.isBuffer(body)
+            ? await DatasetReader.parseBuffer(body, { filename, format, sheet, maxRows: this.MAX_ROWS })
+            : body.map(row => DatasetReader.flatten(row));
+        if (rows.length === 0) throw new Error('The file has no data rows');
+
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const upload = {
+            id: crypto.randomBytes(8).toString('hex'),
+            filename: filename || 'upload',
+            rows,
+            headers,
+            mapping: DatasetReader.suggestMapping(headers),
+            size: Buffer.byteLength(JSON.stringify(rows)), // Rough measure of what the rows hold in memory
+            createdAt: new Date()
+        };
+        if (upload.size > this.MAX_TOTAL_SIZE) throw new Error('Dataset too large to keep for review; split the file');
+
+        // Oldest uploads make room
+        while (this.uploads.size >= this.MAX_UPLOADS || this.totalSize() + upload.size > this.MAX_TOTAL_SIZE) {
+            this.uploads.delete(this.uploads.keys().next().value);
+        }
+        this.uploads.set(upload.id, upload);
+        return upload;
+    }
+
+    getUpload(id) {
+        this.cleanup();
+        return this.uploads.get(id) || null;
+    }
+
+    totalSize() {
+        return [...this.uploads.values()].reduce((sum, upload) => sum + upload.size, 0);
+    }
+
+    discard(upload) {
+        this.uploads.delete(upload.id);
+    }
+
+    cleanup(now = Date.now()) {
+        for (const [id, upload] of this.uploads) {
+            if (now - upload.createdAt.getTime() > this.UPLOAD_TTL_MS) this.uploads.delete(id);
+        }
+    }
+
+    describeUpload(upload) {
+        return {
+            uploadId: upload.id,
+            filename: upload.filename,
+            rows: upload.rows.length,
+            headers: upload.headers,
+            mapping: upload.mapping,
+            targets: DatasetReader.targets,
+            sample: upload.rows.slice(0, 5),
+            expiresAt: new Date(upload.createdAt.getTime() + this.UPLOAD_TTL_MS)
+        };
+    }
+
+    /**
+     * Problems with a column mapping that make the whole import impossible
+     */
+    checkMapping(mapping, headers) {
+        const errors = [];
+        const used = new Set();
+        Object.entries(mapping).forEach(([column, target]) => {
+            if (!headers.includes(column)) errors.push(`Unknown column: ${column}`);
+            if (!target) return;
+            if (!DatasetReader.targets.includes(target)) errors.push(`Unknown target for ${column}: ${target}`);
+            else if (used.has(target)) errors.push(`${target} is mapped from more than one column`);
+            used.add(target);
+        });
+        if (!used.has('soil.moisture')) errors.push('No column is mapped to soil.moisture');
+        return errors;
+    }
+
+    dedupeKey(doc, byContent = false) {
+        return `${doc.fieldId || doc.cropType}|${byContent ? doc.importHash : doc.timestamp.getTime()}`;
+    }
+
+    /**
+     * Hash of a row's mapped values. Repeats of the same values in one file are numbered, so
+     * they stay separate readings while a second import of the file matches the first.
+     */
+    contentHash(reading, seen) {
+        const { timestamp, ...values } = reading;
+        const hash = crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+        const occurrence = (seen.get(hash) || 0) + 1;
+        seen.set(hash, occurrence);
+        return `${hash}:${occurrence}`;
+    }
+
+    /**
+     * Validate every row and build the documents to insert
+     * @param {Object} options - { mapping, field, cropType, intervalSec, dedupe, checkExisting }
+     * @returns {Promise<Object>} { docs, report }
+     */
+    async prepare(upload, {
+        mapping, field = null, cropType = null, intervalSec = this.DEFAULT_INTERVAL_SEC, dedupe = true, checkExisting = true
+    } = {}, now = new Date()) {
+        const generated = !Object.values(mapping).includes('timestamp');
+        const errors = [];
+        const candidates = [];
+        const cropTypes = new Set();
+        const hashes = new Map();
+
+        upload.rows.forEach((row, index) => {
+            const { reading, errors: rowErrors } = DatasetReader.toReading(row, mapping);
+            const timestamp = generated
+                ? new Date(now.getTime() - (upload.rows.length - 1 - index) * intervalSec * 1000)
+                : reading.timestamp;
+
+            const doc = new SensorData({
+                soil: { ...reading.soil, soilType: reading.soil.soilType || field?.soilType },
+                weather: reading.weather,
+                fieldId: field?._id,
+                cropId: field?.cropId,
+                cropType: field?.cropType || cropType || reading.cropType,
+                fertilizerName: reading.fertilizerName,
+                timestamp,
+                importHash: generated ? this.contentHash(reading, hashes) : undefined,
+                isSimulated: false
+            });
+
+            if (!timestamp) {
+                // An unparseable date is already reported by toReading
+                if (!rowErrors.some(e => e.includes('invalid date'))) rowErrors.push('timestamp is missing');
+            } else if (timestamp.getTime() - now.getTime() > this.MAX_FUTURE_SKEW_MS) {
+                rowErrors.push(`timestamp ${timestamp.toISOString()} is in the future`);
+            }
+            if (!doc.cropType) rowErrors.push('crop type is missing (map a crop column or choose a field or crop)');
+            const validation = doc.validateSync();
+            if (validation) rowErrors.push(...Object.values(validation.errors).map(e => e.message));
+            rowErrors.push(...IngestionService.checkRanges(doc));
+
+            if (rowErrors.length > 0) {
+                errors.push({ row: index + 1, messages: rowErrors });
+                return;
+            }
+            cropTypes.add(doc.cropType);
+            candidates.push(doc);
+        });
+
+        let duplicatesInFile = 0;
+        let duplicatesExisting = 0;
+        let docs = candidates;
+        if (dedupe && candidates.length > 0) {
+            const existing = checkExisting ? await this.existingKeys(candidates, generated) : new Set();
+            const seen = new Set();
+            docs = candidates.filter(doc => {
+                const key = this.dedupeKey(doc, generated);
+                if (existing.has(key)) {
+                    duplicatesExisting += 1;
+                    return false;
+                }
+                if (seen.has(key)) {
+                    duplicatesInFile += 1;
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            });
+        }
+
+        const from = docs.reduce((min, doc) => (!min || doc.timestamp < min ? doc.timestamp : min), null);
+        const to = docs.reduce((max, doc) => (!max || doc.timestamp > max ? doc.timestamp : max), null);
+        return {
+            docs,
+            report: {
+                rows: upload.rows.length,
+                valid: candidates.length,
+                invalid: errors.length,
+                duplicates: { inFile: duplicatesInFile, existing: duplicatesExisting },
+                toImport: docs.length,
+                timestamps: generated ? `generated, ${intervalSec} s apart ending now (duplicates matched by content)` : 'from file',
+                from,
+                to,
+                cropTypes: [...cropTypes],
+                unmappedColumns: Object.keys(mapping).filter(column => !mapping[column]),
+                errors: errors.slice(0, this.MAX_ERRORS_REPORTED),
+                errorsTruncated: errors.length > this.MAX_ERRORS_REPORTED
+            }
+        };
+    }
+
+    /**
+     * Dedupe keys of readings already stored at the candidates' timestamps, or with their
+     * content hashes when the timestamps were generated
+     */
+    async existingKeys(docs, byContent = false) {
+        const keys = new Set();
+        for (let i = 0; i < docs.length; i += this.BATCH_SIZE) {
+            const batch = docs.slice(i, i + this.BATCH_SIZE);
+            const byField = batch[0].fieldId;
+            const query = byField
+                ? { fieldId: byField }
+                : { cropType: { $in: [...new Set(batch.map(doc => doc.cropType))] }, fieldId: { $exists: false } };
+            if (byContent) query.importHash = { $in: batch.map(doc => doc.importHash) };
+            else query.timestamp = { $in: batch.map(doc => doc.timestamp) };
+            const existing = await SensorData.find(query).select('fieldId cropType timestamp importHash').lean();
+            existing.forEach(doc => keys.add(this.dedupeKey(doc, byContent)));
+        }
+        return keys;
+    }
+
+    /**
+     * Validate an upload and, unless it is a dry run, store it
+     * @param {Object} options - { mapping (overrides), field, cropType, intervalSec, dedupe, dryRun, mode: 'append' | 'replace' }
+     * @returns {Promise<Object>} { success, report } or { success: false, message, errors }
+     */
+    async run(upload, options = {}) {
+        // Columns left out of the request keep their suggested target; null ignores a column
+        const mapping = { ...upload.mapping, ...(options.mapping || {}) };
+        const mode = options.mode || 'append';
+        if (!['append', 'replace'].includes(mode)) {
+            return { success: false, message: "mode must be 'append' or 'replace'" };
+        }
+        const mappingErrors = this.checkMapping(mapping, upload.headers);
+        if (mappingErrors.length > 0) {
+            return { success: false, message: 'Invalid column mapping', errors: mappingErrors };
+        }
+        if (mode === 'replace' && !Object.values(mapping).includes('timestamp')) {
+            return { success: false, message: "mode 'replace' needs a timestamp column; generated times would clear live readings" };
+        }
+
+        // Replace mode clears the window, so stored readings there are not duplicates
+        const { docs, report } = await this.prepare(upload, { ...options, mapping, checkExisting: mode === 'append' });
+        report.dryRun = !!options.dryRun;
+        report.mode = mode;
+        report.inserted = 0;
+        report.replaced = 0;
+        if (options.dryRun || docs.length === 0) return { success: true, report };
+
+        if (mode === 'replace') {
+            // Only the imported window for the imported field or crops is cleared
+            const query = options.field
+                ? { fieldId: options.field._id }
+                : { cropType: { $in: report.cropTypes }, fieldId: { $exists: false } };
+            query.timestamp = { $gte: report.from, $lte: report.to };
+            report.replaced = (await SensorData.deleteMany(query)).deletedCount;
+        }
+
+        for (let i = 0; i < docs.length; i += this.BATCH_SIZE) {
+            await SensorData.insertMany(docs.slice(i, i + this.BATCH_SIZE));
+            report.inserted = Math.min(docs.length, i + this.BATCH_SIZE);
+        }
+        report.cropsCreated = await this.ensureCrops(report.cropTypes);
+
+        console.log(`📥 Imported ${report.inserted} readings from ${upload.filename} (${report.invalid} invalid, ${report.duplicates.existing + report.duplicates.inFile} duplicates)`);
+        return { success: true, report };
+    }
+
+    /**
+     * Create Crop definitions for crop types the database does not know yet
+     */
+    async ensureCrops(names) {
+        const known = new Set((await Crop.find({ name: { $in: names } }).select('name').lean()).map(c => c.name));
+        const missing = names.filter(name => !known.has(name));
+        if (missing.length === 0) return [];
+
+        await Crop.insertMany(missing.map(name => ({
+            name,
+            type: 'General',
+            idealMoistureRange: this.cropMoistureRanges[name] || { min: 30, max: 60 },
+            rootDepth: name === 'Sugarcane' ? 60 : name === 'Cotton' ? 50 : 30
+        })));
+        return missing;
+    }
+}
+
+// Export singleton instance
+module.exports = new ImportService();
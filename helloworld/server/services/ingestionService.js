@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const SensorData = require('../models/SensorData');
+const Device = require('../models/Device');
+const Field = require('../models/Field');
+const LiveStream = require('./liveStream');
+
+/**
+ * Ingestion Service
+ * Accepts readings pushed by real devices (ESP32 nodes), validates them against
+ * the SensorData schema and stores them with isSimulated: false.
+ */
+class IngestionService {
+    constructor() {
+        this.MAX_BATCH_SIZE = 500;
+        this.MAX_FUTURE_SKEW_MS = 5 * 60 * 1000; // Device clocks may run up to 5 min ahead
+        this.MAX_LATE_MS = 7 * 24 * 60 * 60 * 1000; // Buffered readings older than 7 days are rejected
+
+        // Flat keys an ESP32 can send instead of nested soil/weather objects
+        this.flatSoilKeys = {
+            moisture: 'moisture', ph: 'ph', soilTemp: 'temp', nitrogen: 'nitrogen',
+            phosphorus: 'phosphorus', potassium: 'potassium', soilType: 'soilType'
+        };
+        this.flatWeatherKeys = {
+            temperature: 'temperature', humidity: 'humidity', chanceOfRain: 'chanceOfRain',
+            windSpeed: 'windSpeed', solarRadiation: 'solarRadiation', rainfall: 'rainfall'
+        };
+    }
+
+    hashKey(apiKey) {
+        return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+    }
+
+    /**
+     * Register a device (or rotate its key). The plain key is only returned here.
+     * @param {Object} attributes - Other Device fields to set (name, fieldId, ip, capabilities...)
+     */
+    async issueKey(deviceId, attributes = {}) {
+        const apiKey = crypto.randomBytes(24).toString('hex');
+        const update = { apiKeyHash: this.hashKey(apiKey), active: true };
+        Object.entries(attributes).forEach(([key, value]) => {
+            if (value !== undefined) update[key] = value;
+        });
+
+        const device = await Device.findOneAndUpdate(
+            { deviceId },
+            { $set: update, $setOnInsert: { deviceId } },
+            { new: true, upsert: true, runValidators: true }
+        );
+        return { device, apiKey };
+    }
+
+    /**
+     * Resolve a device from its ID and API key, or null if the pair is invalid
+     */
+    async authenticate(deviceId, apiKey) {
+        if (!deviceId || !apiKey) return null;
+
+        const device = await Device.findOne({ deviceId, active: true }).select('+apiKeyHash');
+        if (!device || !device.apiKeyHash) return null;
+
+        const expected = Buffer.from(device.apiKeyHash, 'hex');
+        const given = Buffer.from(this.hashKey(apiKey), 'hex');
+        return crypto.timingSafeEqual(expected, given) ? device : null;
+    }
+
+    /**
+     * Parse a device timestamp. Accepts ISO strings, epoch ms and epoch seconds.
+     */
+    parseTimestamp(value, receivedAt) {
+        if (value === undefined || value === null || value === '') {
+            return { timestamp: receivedAt };
+        }
+
+        let ts;
+        if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+            const n = Number(value);
+            ts = new Date(n < 1e12 ? n * 1000 : n); // Seconds from devices without ms clocks
+        } else {
+            ts = new Date(value);
+        }
+
+        if (isNaN(ts.getTime())) {
+            return { error: `Invalid timestamp: ${value}` };
+        }
+        if (ts.getTime() - receivedAt.getTime() > this.MAX_FUTURE_SKEW_MS) {
+            return { error: `Timestamp ${ts.toISOString()} is in the future` };
+        }
+        if (receivedAt.getTime() - ts.getTime() > this.MAX_LATE_MS) {
+            return { error: `Timestamp ${ts.toISOString()} is older than the accepted window` };
+        }
+        // Small forward skew is clamped so the reading never sorts ahead of "now"
+        return { timestamp: ts > receivedAt ? receivedAt : ts };
+    }
+
+    /**
+     * Normalise a raw payload (nested or flat) into a SensorData document shape
+     */
+    normalizeReading(raw, device, field) {
+        const soil = { ...(raw.soil || {}) };
+        const weather = { ...(raw.weather || {}) };
+
+        Object.entries(this.flatSoilKeys).forEach(([key, target]) => {
+            if (raw[key] !== undefined && soil[target] === undefined) soil[target] = raw[key];
+        });
+        Object.entries(this.flatWeatherKeys).forEach(([key, target]) => {
+            if (raw[key] !== undefined && weather[target] === undefined) weather[target] = raw[key];
+        });
+
+        if (field && !soil.soilType) soil.soilType = field.soilType;
+
+        return {
+            soil,
+            weather,
+            fieldId: device.fieldId || undefined,
+            cropType: field?.cropType || raw.cropType,
+            cropId: field?.cropId,
+            deviceId: device.deviceId,
+            isSimulated: false // Never trust the payload for this flag
+        };
+    }
+
+    /**
+     * Range checks the schema itself cannot express
+     */
+    checkRanges(doc) {
+        const errors = [];
+        const pct = (v, name) => {
+            if (v !== undefined && v !== null && (v < 0 || v > 100)) errors.push(`${name} must be between 0 and 100`);
+        };
+        pct(doc.soil?.moisture, 'soil.moisture');
+        pct(doc.weather?.humidity, 'weather.humidity');
+        pct(doc.weather?.chanceOfRain, 'weather.chanceOfRain');
+        if (doc.soil?.ph !== undefined && doc.soil?.ph !== null && (doc.soil.ph < 0 || doc.soil.ph > 14)) {
+            errors.push('soil.ph must be between 0 and 14');
+        }
+        return errors;
+    }
+
+    /**
+     * Validate and store readings for an authenticated device
+     * @param {Array} readings - Raw reading payloads
+     * @param {Object} device - Authenticated Device document
+     * @returns {Promise<Object>} Per-reading results and summary counts
+     */
+    async ingest(readings, device) {
+        const receivedAt = new Date();
+        const field = device.fieldId ? await Field.findById(device.fieldId) : null;
+        const results = [];
+        const docs = [];
+
+        readings.forEach((raw, index) => {
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                results.push({ index, status: 'rejected', errors: ['Reading must be an object'] });
+                return;
+            }
+
+            const { timestamp, error } = this.parseTimestamp(raw.timestamp, receivedAt);
+            if (error) {
+                results.push({ index, status: 'rejected', errors: [error] });
+                return;
+            }
+
+            const doc = new SensorData({ ...this.normalizeReading(raw, device, field), timestamp, receivedAt });
+            const validation = doc.validateSync();
+            const errors = validation ? Object.values(validation.errors).map(e => e.message) : [];
+            errors.push(...this.checkRanges(doc));
+
+            if (errors.length > 0) {
+                results.push({ index, status: 'rejected', errors });
+                return;
+            }
+
+            // Out-of-order: older than the newest reading we already hold for this device
+            const late = device.lastReadingAt ? timestamp < device.lastReadingAt : false;
+            results.push({ index, status: 'accepted', timestamp, late });
+            docs.push({ index, doc });
+        });
+
+        // Devices retry on flaky links, so drop readings we already stored for the same instant
+        if (docs.length > 0) {
+            const existing = await SensorData.find({
+                deviceId: device.deviceId,
+                timestamp: { $in: docs.map(d => d.doc.timestamp) }
+            }).select('timestamp').lean();
+            const seen = new Set(existing.map(e => e.timestamp.getTime()));
+
+            const fresh = [];
+            docs.forEach(({ index, doc }) => {
+                const key = doc.timestamp.getTime();
+                if (seen.has(key)) {
+                    const result = results.find(r => r.index === index);
+                    result.status = 'duplicate';
+                    return;
+                }
+                seen.add(key);
+                fresh.push(doc);
+            });
+
+            if (fresh.length > 0) {
+                await SensorData.insertMany(fresh);
+                fresh.forEach(doc => LiveStream.publishReading(doc));
+                // Required lazily: the status monitor reaches the MQTT bridge, which ingests through this service
+                require('./statusMonitor').queueEvaluation(fresh[fresh.length - 1]);
+            }
+        }
+
+        const accepted = results.filter(r => r.status === 'accepted');
+        const newest = accepted.reduce((max, r) => (!max || r.timestamp > max ? r.timestamp : max), null);
+        const deviceUpdate = { lastSeen: receivedAt, online: true }; // A reading is a sign of life too
+        if (newest && (!device.lastReadingAt || newest > device.lastReadingAt)) {
+            deviceUpdate.lastReadingAt = newest;
+        }
+        await Device.updateOne({ _id: device._id }, { $set: deviceUpdate });
+
+        return {
+            deviceId: device.deviceId,
+            received: readings.length,
+            accepted: accepted.length,
+            late: accepted.filter(r => r.late).length,
+            duplicates: results.filter(r => r.status === 'duplicate').length,
+            rejected: results.filter(r => r.status === 'rejected').length,
+            results
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new IngestionService();
@@ -1,6 +1,7 @@
 const Recommendation = require('../models/Recommendation');
 const Alert = require('../models/Alert');
-const axios = require('axios');
+const WeatherService = require('./weatherService');
+const moment = require('moment');
 
 /**
  * Intelligence Service
@@ -12,94 +13,197 @@ const IntelligenceService = {
      * Crop-specific moisture thresholds and water requirements
      */
     cropConfig: {
-        'Rice': { min: 40, max: 70, waterPerIrrigation: 50, rootDepth: 20 },
-        'Wheat': { min: 30, max: 50, waterPerIrrigation: 35, rootDepth: 30 },
-        'Maize': { min: 35, max: 60, waterPerIrrigation: 40, rootDepth: 40 },
-        'Tomato': { min: 35, max: 60, waterPerIrrigation: 30, rootDepth: 30 },
-        'Cotton': { min: 40, max: 65, waterPerIrrigation: 45, rootDepth: 50 },
-        'Sugarcane': { min: 45, max: 70, waterPerIrrigation: 55, rootDepth: 60 },
-        'Tobacco': { min: 30, max: 55, waterPerIrrigation: 32, rootDepth: 35 },
-        'Default': { min: 30, max: 60, waterPerIrrigation: 40, rootDepth: 30 }
+        // mad: management allowed depletion as a fraction of TAW (FAO-56 Table 22 p)
+        'Rice': { min: 40, max: 70, waterPerIrrigation: 50, rootDepth: 20, mad: 0.20 },
+        'Wheat': { min: 30, max: 50, waterPerIrrigation: 35, rootDepth: 30, mad: 0.55 },
+        'Maize': { min: 35, max: 60, waterPerIrrigation: 40, rootDepth: 40, mad: 0.55 },
+        'Tomato': { min: 35, max: 60, waterPerIrrigation: 30, rootDepth: 30, mad: 0.40 },
+        'Cotton': { min: 40, max: 65, waterPerIrrigation: 45, rootDepth: 50, mad: 0.65 },
+        'Sugarcane': { min: 45, max: 70, waterPerIrrigation: 55, rootDepth: 60, mad: 0.65 },
+        'Tobacco': { min: 30, max: 55, waterPerIrrigation: 32, rootDepth: 35, mad: 0.50 },
+        'Default': { min: 30, max: 60, waterPerIrrigation: 40, rootDepth: 30, mad: 0.50 }
     },
 
     /**
-     * Fetches real-time weather data from OpenWeatherMap API
+     * FAO-56 crop coefficients (Table 12) and stage lengths in days (Table 11)
+     * stages: [initial, development, mid-season, late-season]
      */
-    async fetchWeatherData(lat = 20.5937, lon = 78.9629) {
-        try {
-            const apiKey = process.env.OPENWEATHER_API_KEY || 'demo_key';
-            if (apiKey === 'demo_key') {
-                // Return simulated weather if no API key
-                return {
-                    temperature: 28,
-                    humidity: 65,
-                    chanceOfRain: Math.random() * 40,
-                    windSpeed: 8 + Math.random() * 10,
-                    solarRadiation: 400 + Math.random() * 200,
-                    forecast: { nextRainHours: null, nextRainChance: 0 }
-                };
-            }
-            
-            const response = await axios.get(
-                `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`
-            );
-            
-            const forecastResponse = await axios.get(
-                `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`
-            );
+    kcCurves: {
+        'Rice': { ini: 1.05, mid: 1.20, end: 0.90, stages: [30, 30, 60, 30] },
+        'Wheat': { ini: 0.30, mid: 1.15, end: 0.40, stages: [20, 25, 60, 30] },
+        'Maize': { ini: 0.30, mid: 1.20, end: 0.35, stages: [30, 40, 50, 30] },
+        'Tomato': { ini: 0.60, mid: 1.15, end: 0.80, stages: [30, 40, 40, 25] },
+        'Cotton': { ini: 0.35, mid: 1.18, end: 0.60, stages: [30, 50, 60, 55] },
+        'Sugarcane': { ini: 0.40, mid: 1.25, end: 0.75, stages: [35, 60, 190, 120] },
+        'Tobacco': { ini: 0.50, mid: 1.05, end: 0.80, stages: [20, 30, 30, 30] }, // Not in Table 12; generic row
+        'Default': { ini: 0.50, mid: 1.05, end: 0.80, stages: [25, 35, 40, 30] }
+    },
 
-            const current = response.data;
-            const forecast = forecastResponse.data.list.slice(0, 4); // Next 12 hours
-            
-            // Calculate chance of rain from forecast
-            const rainForecast = forecast.find(f => f.weather[0].main === 'Rain');
-            const chanceOfRain = rainForecast ? Math.min(100, (rainForecast.pop || 0) * 100) : 0;
-            const nextRainHours = rainForecast ? Math.floor((new Date(rainForecast.dt * 1000) - Date.now()) / (1000 * 60 * 60)) : null;
+    // Crop/Field growthStage mapped onto the FAO stage used when no planting date is known
+    growthStageMap: {
+        'Seedling': 'initial',
+        'Vegetative': 'development',
+        'Flowering': 'mid',
+        'Harvest': 'late'
+    },
 
-            return {
-                temperature: current.main.temp,
-                humidity: current.main.humidity,
-                chanceOfRain: Math.round(chanceOfRain),
-                windSpeed: current.wind?.speed * 3.6 || 0, // Convert m/s to km/h
-                solarRadiation: current.clouds ? (100 - current.clouds.all) * 5 : 500,
-                forecast: {
-                    nextRainHours,
-                    nextRainChance: Math.round(chanceOfRain)
-                }
-            };
-        } catch (error) {
-            console.error('Weather API error:', error.message);
-            // Fallback to simulated data
-            return {
-                temperature: 28,
-                humidity: 65,
-                chanceOfRain: Math.random() * 40,
-                windSpeed: 8 + Math.random() * 10,
-                solarRadiation: 400 + Math.random() * 200,
-                forecast: { nextRainHours: null, nextRainChance: 0 }
-            };
+    DEFAULT_LOCATION: { lat: 20.5937, lon: 78.9629, elevation: 300 }, // Center of India
+
+    // Share of deficit + waiting ET that forecast rain must cover before irrigation is deferred
+    RAIN_COVER_RATIO: 0.8,
+
+    /**
+     * Current weather for a field (or lat/lon) from the configured provider, cached in Mongo
+     */
+    async fetchWeatherData(target = null) {
+        return WeatherService.getWeather(target || this.DEFAULT_LOCATION);
+    },
+
+    /**
+     * Extraterrestrial radiation Ra (MJ/m²/day) for a latitude and day of year (FAO-56 eq. 21)
+     */
+    extraterrestrialRadiation(latitude, dayOfYear) {
+        const phi = latitude * Math.PI / 180;
+        const dr = 1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365);
+        const delta = 0.409 * Math.sin(2 * Math.PI * dayOfYear / 365 - 1.39);
+        const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+        return (24 * 60 / Math.PI) * 0.0820 * dr *
+            (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+    },
+
+    /**
+     * FAO-56 Penman-Monteith reference evapotranspiration ET0 (mm/day)
+     * @param {Object} weather - temperature (°C), optional tMin/tMax, humidity (%), windSpeed (km/h),
+     *   solarRadiation (W/m²) or solarRadiationDaily (MJ/m²/day)
+     * @param {Object} options - latitude, elevation (m), date or dayOfYear, windHeight (m, default 10)
+     */
+    calculateET0(weather = {}, options = {}) {
+        const latitude = options.latitude ?? this.DEFAULT_LOCATION.lat;
+        const elevation = options.elevation ?? this.DEFAULT_LOCATION.elevation;
+        const dayOfYear = options.dayOfYear ?? moment(options.date || new Date()).dayOfYear();
+
+        const temperature = weather.temperature ?? 28;
+        const tMax = weather.tMax ?? temperature;
+        const tMin = weather.tMin ?? temperature;
+        const tMean = (tMax + tMin) / 2;
+        const humidity = Math.max(0, Math.min(100, weather.humidity ?? 65));
+
+        // Wind: km/h at windHeight -> m/s at 2 m (eq. 47)
+        const windHeight = options.windHeight ?? 10;
+        const uz = (weather.windSpeed ?? 7.2) / 3.6;
+        const u2 = windHeight === 2 ? uz : uz * 4.87 / Math.log(67.8 * windHeight - 5.42);
+
+        // Psychrometrics (eq. 7, 8, 11, 12, 13, 19)
+        const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+        const gamma = 0.000665 * pressure;
+        const svp = (t) => 0.6108 * Math.exp(17.27 * t / (t + 237.3));
+        const es = (svp(tMax) + svp(tMin)) / 2;
+        const ea = (weather.rhMin !== undefined && weather.rhMax !== undefined)
+            ? (svp(tMin) * weather.rhMax / 100 + svp(tMax) * weather.rhMin / 100) / 2
+            : humidity / 100 * es;
+        const slope = 4098 * svp(tMean) / Math.pow(tMean + 237.3, 2);
+
+        // Radiation (eq. 37, 38, 39, 40)
+        const ra = this.extraterrestrialRadiation(latitude, dayOfYear);
+        const rso = (0.75 + 2e-5 * elevation) * ra;
+        let rs;
+        if (weather.solarRadiationDaily !== undefined) {
+            rs = weather.solarRadiationDaily;
+        } else if (weather.solarRadiation > 0) {
+            // Sensor reading in W/m² treated as a daily mean, capped at clear-sky radiation
+            rs = weather.solarRadiation * 0.0864;
+        } else {
+            // No usable reading (e.g. night-time sample): Hargreaves estimate, eq. 50
+            rs = 0.16 * Math.sqrt(Math.max(tMax - tMin, 12)) * ra;
         }
+        rs = Math.min(rs, rso);
+
+        const sigma = 4.903e-9;
+        const rns = (1 - 0.23) * rs;
+        const rnl = sigma * (Math.pow(tMax + 273.16, 4) + Math.pow(tMin + 273.16, 4)) / 2 *
+            (0.34 - 0.14 * Math.sqrt(ea)) * (1.35 * (rso > 0 ? rs / rso : 0.5) - 0.35);
+        const rn = rns - rnl;
+        const g = 0; // Soil heat flux is negligible for daily steps
+
+        const et0 = (0.408 * slope * (rn - g) + gamma * (900 / (tMean + 273)) * u2 * (es - ea)) /
+            (slope + gamma * (1 + 0.34 * u2));
+
+        return Math.max(0, et0);
     },
 
     /**
-     * Calculates Evapotranspiration (ET) based on weather conditions
+     * Crop coefficient for the current stage (FAO-56 Kc curve, Fig. 25)
+     * @param {string} cropType - Crop name
+     * @param {Object} options - plantingDate (preferred), growthStage (Seedling/Vegetative/Flowering/Harvest), date
+     * @returns {Object} { kc, stage, daysAfterPlanting }
      */
-    calculateET(weather, cropType) {
-        const { temperature, humidity, windSpeed, solarRadiation } = weather;
-        const cropCoefficient = this.cropConfig[cropType]?.kc || 0.8;
-        
-        // Simplified ET calculation (Penman-Monteith simplified)
-        const vaporPressureDeficit = (1 - humidity / 100) * 0.611 * Math.exp(17.27 * temperature / (237.3 + temperature));
-        const et0 = (0.408 * solarRadiation * vaporPressureDeficit + 0.063 * windSpeed * vaporPressureDeficit) / (temperature + 237.3);
-        const etc = et0 * cropCoefficient;
-        
-        return Math.max(0, etc * 24); // Daily ET in mm/day
+    getCropCoefficient(cropType, options = {}) {
+        const curve = this.kcCurves[cropType] || this.kcCurves['Default'];
+        const [lIni, lDev, lMid, lLate] = curve.stages;
+
+        let day;
+        if (options.plantingDate) {
+            day = moment(options.date || new Date()).diff(moment(options.plantingDate), 'days');
+        } else {
+            // Without a planting date, take the middle of the stage the crop/field reports
+            const stage = this.growthStageMap[options.growthStage] || 'development';
+            day = {
+                initial: lIni / 2,
+                development: lIni + lDev / 2,
+                mid: lIni + lDev + lMid / 2,
+                late: lIni + lDev + lMid + lLate / 2
+            }[stage];
+        }
+        day = Math.max(0, day);
+
+        let kc;
+        let stage;
+        if (day <= lIni) {
+            kc = curve.ini;
+            stage = 'initial';
+        } else if (day <= lIni + lDev) {
+            kc = curve.ini + (day - lIni) / lDev * (curve.mid - curve.ini);
+            stage = 'development';
+        } else if (day <= lIni + lDev + lMid) {
+            kc = curve.mid;
+            stage = 'mid';
+        } else {
+            const into = Math.min(day - lIni - lDev - lMid, lLate);
+            kc = curve.mid + into / lLate * (curve.end - curve.mid);
+            stage = 'late';
+        }
+
+        return {
+            kc: Math.round(kc * 100) / 100,
+            stage,
+            daysAfterPlanting: options.plantingDate ? Math.round(day) : null
+        };
+    },
+
+    /**
+     * Crop evapotranspiration ETc = Kc x ET0 (mm/day)
+     * @param {Object} weather - Weather reading (see calculateET0)
+     * @param {string} cropType - Crop name
+     * @param {Object} options - latitude, elevation, date, plantingDate, growthStage
+     */
+    calculateET(weather, cropType, options = {}) {
+        return this.calculateETDetails(weather, cropType, options).etc;
+    },
+
+    /**
+     * ETc with the ET0 and Kc it was built from, for explaining recommendations
+     */
+    calculateETDetails(weather, cropType, options = {}) {
+        const et0 = this.calculateET0(weather || {}, options);
+        const { kc, stage, daysAfterPlanting } = this.getCropCoefficient(cropType, options);
+        return { et0, kc, stage, daysAfterPlanting, etc: Math.max(0, et0 * kc) };
     },
 
     /**
      * Advanced irrigation recommendation with weather-aware predictions
      */
-    async generateRecommendation(currentData, crop, historicalData = []) {
+    async generateRecommendation(currentData, crop, historicalData = [], field = null, options = {}) {
+        const { allowDeferral = true } = options; // false once a deferral's promised rain has failed to arrive
         if (!currentData || !currentData.soil) return { action: "Pending", reason: "Collecting initial data..." };
 
         const { moisture, temp: soilTemp } = currentData.soil;
@@ -108,8 +212,14 @@ const IntelligenceService = {
         const config = this.cropConfig[cropType] || this.cropConfig['Default'];
         const { min, max, waterPerIrrigation } = config;
 
-        // Calculate ET and water deficit
-        const dailyET = this.calculateET(weather, cropType);
+        // Calculate ET and water deficit (Kc from the field's planting date, else the reported growth stage)
+        const etDetails = this.calculateETDetails(weather, cropType, {
+            latitude: field?.getCoordinates?.()?.lat,
+            plantingDate: field?.plantingDate,
+            growthStage: field?.growthStage || crop?.growthStage,
+            date: currentData.timestamp
+        });
+        const dailyET = etDetails.etc;
         const moistureDeficit = max - moisture;
         const isBelowThreshold = moisture < min;
         const isAboveThreshold = moisture > max * 1.1; // 10% buffer for over-irrigation
@@ -118,6 +228,7 @@ const IntelligenceService = {
         let action = "Maintain";
         let amount = 0;
         let duration = 0;
+        const recommendedAt = this.getOptimalIrrigationDate(weather);
         let recommendedTime = this.getOptimalIrrigationTime(weather);
         let hoursUntilNext = null;
         let reason = "Moisture levels are optimal.";
@@ -134,15 +245,82 @@ const IntelligenceService = {
         const rainInNextHours = forecast?.nextRainHours;
         const rainChance = weather.chanceOfRain || 0;
 
+        // Registered fields are driven by the soil water balance: irrigate once depletion exceeds MAD
+        const balance = field?._id ? await this.getWaterBalance(field) : null;
+        let deferral = null;
+        if (balance) {
+            const { depletion } = balance.current;
+            const { taw, raw, mad } = balance.parameters;
+            const waterBalance = { depletion, taw, raw, mad, depletionPct: balance.current.depletionPct };
+            const hourlyET = Math.max(dailyET, 0.1) / 24;
+            let priority = "Low";
+
+            if (depletion > raw) {
+                // Stored readings carry no forecast, so look it up (cached) for the field
+                const outlook = forecast?.expectedRainMm ? forecast : (await this.fetchWeatherData(field)).forecast;
+                // Wait for rain only while the crop stays above half its transpiration (Ks >= 0.5)
+                deferral = allowDeferral
+                    ? this.planRainDeferral(depletion, outlook, dailyET, (raw + taw) / 2 - depletion)
+                    : null;
+
+                if (deferral) {
+                    action = "Delay";
+                    reason = `Depletion ${depletion} mm exceeds MAD but ${deferral.expectedRain} mm of rain expected within ${deferral.horizonHours}h. Delaying irrigation.`;
+                    hoursUntilNext = deferral.horizonHours;
+                } else {
+                    action = "Irrigate";
+                    // Refill the root zone to field capacity plus the next 12h of crop ET
+                    amount = Math.min(taw, depletion + dailyET * 0.5); // mm == L/m²
+                    duration = Math.ceil(amount / 1.5);
+                    hoursUntilNext = Math.min(48, raw / hourlyET);
+                    // Past the midpoint between RAW and TAW the crop is well into stress (Ks < 0.5)
+                    priority = depletion >= (raw + taw) / 2 ? "Critical" : "High";
+                    reason = `Depletion ${depletion} mm exceeds MAD (${Math.round(mad * 100)}% of ${taw} mm TAW = ${raw} mm).`;
+                }
+            } else if (depletion > raw * 0.75) {
+                action = "Monitor";
+                hoursUntilNext = Math.max(1, Math.min(48, (raw - depletion) / hourlyET));
+                reason = `Depletion ${depletion} mm approaching MAD (${raw} mm). Next irrigation in ~${Math.ceil(hoursUntilNext)} hours.`;
+            } else {
+                reason = `Depletion ${depletion} mm within MAD (${raw} mm).`;
+            }
+
+            return {
+                action,
+                reason,
+                amount: Math.round(amount * 10) / 10,
+                duration,
+                recommendedTime,
+                recommendedAt: action === "Irrigate" ? recommendedAt : null,
+                hoursUntilNext: hoursUntilNext ? Math.ceil(hoursUntilNext) : null,
+                priority: action === "Irrigate" ? priority : this.getPriority(action, moisture, min, max),
+                et: Math.round(dailyET * 10) / 10,
+                et0: Math.round(etDetails.et0 * 10) / 10,
+                kc: etDetails.kc,
+                cropStage: etDetails.stage,
+                waterBalance,
+                deferral
+            };
+        }
+
         if (isBelowThreshold) {
-            if (rainInNextHours && rainInNextHours < 6 && rainChance > 50) {
+            // Calculate precise water amount based on deficit and ET
+            const deficitVolume = (moistureDeficit / 100) * config.rootDepth * 10; // L/m²
+            // Headroom before moisture reaches the Critical level (70% of min)
+            const headroom = ((moisture - min * 0.7) / 100) * config.rootDepth * 10;
+            deferral = allowDeferral ? this.planRainDeferral(deficitVolume, forecast, dailyET, headroom) : null;
+
+            if (deferral) {
+                action = "Delay";
+                reason = `${deferral.expectedRain} mm of rain expected within ${deferral.horizonHours}h covers the ${deficitVolume.toFixed(1)} mm deficit. Delaying irrigation.`;
+                hoursUntilNext = deferral.horizonHours;
+            } else if (!forecast?.expectedRainMm && allowDeferral && rainInNextHours && rainInNextHours < 6 && rainChance > 50) {
+                // Weather without forecast amounts: fall back to the short-range rain chance
                 action = "Delay";
                 reason = `Rain expected in ${rainInNextHours} hours (${rainChance}% chance). Delaying irrigation.`;
                 hoursUntilNext = rainInNextHours + 2; // Check again after rain
             } else {
                 action = "Irrigate";
-                // Calculate precise water amount based on deficit and ET
-                const deficitVolume = (moistureDeficit / 100) * config.rootDepth * 10; // L/m²
                 const etCompensation = dailyET * 0.5; // Compensate for next 12h ET
                 amount = Math.max(waterPerIrrigation * 0.5, Math.min(waterPerIrrigation * 1.5, deficitVolume + etCompensation));
                 
@@ -164,24 +342,77 @@ const IntelligenceService = {
             amount: Math.round(amount * 10) / 10,
             duration,
             recommendedTime,
+            recommendedAt: action === "Irrigate" ? recommendedAt : null,
             hoursUntilNext: hoursUntilNext ? Math.ceil(hoursUntilNext) : null,
             priority: this.getPriority(action, moisture, min, max),
-            et: Math.round(dailyET * 10) / 10
+            et: Math.round(dailyET * 10) / 10,
+            et0: Math.round(etDetails.et0 * 10) / 10,
+            kc: etDetails.kc,
+            cropStage: etDetails.stage,
+            deferral
+        };
+    },
+
+    /**
+     * Decide whether forecast rain makes irrigating now unnecessary.
+     * Picks the shortest 24/48/72h window whose expected rain covers the deficit plus the ET
+     * lost while waiting, as long as that wait fits within the crop's stress headroom (mm).
+     * @returns {Object|null} { horizonHours, expectedRain, forecastRain, deficit, deferUntil } or null to irrigate
+     */
+    planRainDeferral(deficit, forecast, dailyET, headroom, now = new Date()) {
+        const expected = forecast?.expectedRainMm;
+        if (!expected || !(deficit > 0) || !(headroom > 0)) return null;
+
+        const horizon = Object.keys(expected).map(Number).sort((a, b) => a - b).find(hours => {
+            const waitLoss = dailyET * hours / 24;
+            return waitLoss <= headroom && expected[hours] >= this.RAIN_COVER_RATIO * (deficit + waitLoss);
+        });
+        if (!horizon) return null;
+
+        return {
+            horizonHours: horizon,
+            expectedRain: expected[horizon],
+            forecastRain: forecast.rainMm?.[horizon] ?? expected[horizon],
+            deficit: Math.round(deficit * 10) / 10,
+            deferUntil: moment(now).add(horizon, 'hours').toDate(),
+            provider: forecast.provider || null
         };
     },
 
+    /**
+     * Current water balance for a field, or null when it cannot be computed
+     */
+    async getWaterBalance(field) {
+        try {
+            // Required lazily: the water balance service depends on this module
+            const WaterBalanceService = require('./waterBalance');
+            return await WaterBalanceService.compute(field);
+        } catch (err) {
+            console.error('Water balance error:', err.message);
+            return null;
+        }
+    },
+
     /**
      * Calculates optimal irrigation time (early morning/evening to minimize evaporation)
      */
-    getOptimalIrrigationTime(weather) {
-        const hour = new Date().getHours();
-        const temp = weather.temperature || 28;
-        
+    getOptimalIrrigationTime(weather, now = new Date()) {
+        const at = this.getOptimalIrrigationDate(weather, now);
+        const label = moment(at).format('hh:mm A');
+        return moment(at).isSame(now, 'day') ? label : `${label} (Tomorrow)`;
+    },
+
+    /**
+     * Next optimal irrigation window as a Date, for anything that needs to act on it
+     */
+    getOptimalIrrigationDate(weather, now = new Date()) {
+        const hour = now.getHours();
+        const at = moment(now).seconds(0).milliseconds(0);
+
         // Prefer early morning (5-7 AM) or evening (6-8 PM) when temperature is lower
-        if (hour >= 5 && hour < 7) return "06:00 AM";
-        if (hour >= 18 && hour < 20) return "07:00 PM";
-        if (hour < 5 || hour >= 20) return "06:00 AM (Tomorrow)";
-        return "06:00 AM (Tomorrow)";
+        if (hour < 7) return at.hours(6).minutes(0).toDate();
+        if (hour >= 18 && hour < 20) return at.hours(19).minutes(0).toDate();
+        return at.add(1, 'day').hours(6).minutes(0).toDate();
     },
 
     /**
@@ -245,6 +476,8 @@ const IntelligenceService = {
                         message: `Sudden moisture drop of ${Math.abs(rateOfChange).toFixed(1)}% in ${timeDiff.toFixed(1)} hours. Possible leak or pipe break.`,
                         confidence: Math.min(95, 70 + Math.abs(rateOfChange) * 2),
                         field: latest.field || 'Field 1',
+                        fieldId: latest.fieldId,
+                        cropType,
                         timestamp: latest.timestamp || new Date(),
                         status: 'Active'
                     });
@@ -261,6 +494,8 @@ const IntelligenceService = {
                 message: `Soil moisture (${moisture.toFixed(1)}%) below threshold for extended period. Crop stress risk.`,
                 confidence: Math.min(95, 75 + (min - moisture) * 2),
                 field: latest.field || 'Field 1',
+                fieldId: latest.fieldId,
+                cropType,
                 timestamp: latest.timestamp || new Date(),
                 status: 'Active'
             });
@@ -275,6 +510,8 @@ const IntelligenceService = {
                 message: `Moisture (${moisture.toFixed(1)}%) exceeds safe range. Risk of waterlogging and root rot.`,
                 confidence: Math.min(90, 60 + (moisture - max) * 1.5),
                 field: latest.field || 'Field 1',
+                fieldId: latest.fieldId,
+                cropType,
                 timestamp: latest.timestamp || new Date(),
                 status: 'Active'
             });
@@ -294,6 +531,8 @@ const IntelligenceService = {
                     message: `High moisture variability detected (σ=${stdDev.toFixed(1)}%). Possible sensor issue or inconsistent irrigation.`,
                     confidence: Math.min(85, 50 + stdDev * 2),
                     field: latest.field || 'Field 1',
+                    fieldId: latest.fieldId,
+                    cropType,
                     timestamp: latest.timestamp || new Date(),
                     status: 'Active'
                 });
@@ -0,0 +1,397 @@
+const Alert = require('../models/Alert');
+const Field = require('../models/Field');
+const Crop = require('../models/Crop');
+const SensorData = require('../models/SensorData');
+const Recommendation = require('../models/Recommendation');
+const IrrigationSession = require('../models/IrrigationSession');
+const WaterSource = require('../models/WaterSource');
+const IntelligenceService = require('./intelligence');
+const ESP32Service = require('./esp32Service');
+const WaterPlanner = require('./waterPlanner');
+const RainDeferralService = require('./rainDeferral');
+const LiveStream = require('./liveStream');
+const AlertService = require('./alertService');
+
+/**
+ * Irrigation Controller
+ * Closes the loop on recommendations: opens the field's valve through the device layer,
+ * runs for the computed duration and stops early once moisture reaches the target.
+ */
+class IrrigationController {
+    constructor() {
+        this.APPLICATION_RATE = 1.5; // L/m² per minute, same rate generateRecommendation uses for duration
+        this.MAX_DURATION_MIN = 180; // Hard safety cap for a single session
+        this.MONITOR_INTERVAL_MS = 30 * 1000;
+        this.AUTO_INTERVAL_MS = 10 * 60 * 1000;
+        this.CLOSE_RETRY_MS = 30 * 1000; // Retry for a valve that did not confirm closing
+        this.autoEnabled = process.env.IRRIGATION_AUTO === 'true';
+        this.autoInterval = null;
+        this.running = new Map(); // sessionId -> { timer, monitor }
+        this.starting = new Set(); // fieldIds with a start in flight
+        this.stopping = new Set(); // sessionIds with a stop in flight
+    }
+
+    /**
+     * Valve binding for a field: its Valve device first, then its Pump, else the default ESP32
+     */
+    getValveBinding(field) {
+        const devices = field.devices || [];
+        const binding = devices.find(d => d.role === 'Valve') || devices.find(d => d.role === 'Pump');
+        return binding ? { deviceId: binding.deviceId, channel: binding.channel } : { deviceId: ESP32Service.deviceId, channel: 0 };
+    }
+
+    async getActiveSession(fieldId) {
+        return IrrigationSession.findOne({ fieldId, status: 'Running' });
+    }
+
+    /**
+     * Start an irrigation session for a field
+     * @param {string} fieldId - Field to irrigate
+     * @param {Object} options - { duration (min), amount (L/m²), targetMoisture, reason, triggeredBy, recommendationId }
+     * @returns {Promise<Object>} Response object with success status and session
+     */
+    async start(fieldId, options = {}) {
+        const field = await Field.findById(fieldId);
+        if (!field) {
+            return { success: false, notFound: true, message: 'Field not found' };
+        }
+
+        // Two callers (schedule, auto loop, dashboard) must not both open the valve
+        const key = field._id.toString();
+        if (this.starting.has(key)) {
+            return { success: false, message: `Field ${field.name} is already starting irrigation` };
+        }
+        this.starting.add(key);
+        try {
+            return await this.open(field, options);
+        } finally {
+            this.starting.delete(key);
+        }
+    }
+
+    async open(field, options) {
+        const existing = await this.getActiveSession(field._id);
+        if (existing) {
+            return { success: false, message: `Field ${field.name} is already irrigating`, session: existing };
+        }
+
+        if (!options.duration || options.duration <= 0) {
+            return { success: false, message: 'Duration is required' };
+        }
+        const duration = Math.min(this.MAX_DURATION_MIN, Math.max(1, Math.round(options.duration)));
+
+        const latest = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+        const binding = this.getValveBinding(field);
+
+        const session = new IrrigationSession({
+            fieldId: field._id,
+            recommendationId: options.recommendationId,
+            deviceId: binding.deviceId,
+            channel: binding.channel,
+            plannedDuration: duration,
+            plannedAmount: options.amount,
+            targetMoisture: options.targetMoisture,
+            startMoisture: latest?.soil?.moisture,
+            reason: options.reason || 'Manual irrigation',
+            triggeredBy: options.triggeredBy || 'system'
+        });
+
+        const valve = await ESP32Service.setValve(true, binding);
+        if (!valve.success) {
+            session.status = 'Failed';
+            session.stoppedAt = new Date();
+            session.stopReason = 'Device Error';
+            await session.save();
+            console.warn(`⚠️ Irrigation for ${field.name} failed to start: ${valve.message}`);
+            return { success: false, deviceError: true, message: `Valve did not open: ${valve.message}`, session };
+        }
+
+        await session.save();
+        this.track(session, field);
+        LiveStream.publishSession(session, 'started');
+
+        console.log(`💧 Irrigation started: ${field.name} for ${duration} min (${session.triggeredBy})`);
+        return { success: true, session };
+    }
+
+    /**
+     * Arm the duration timer and the moisture monitor for a running session
+     */
+    track(session, field) {
+        const id = session._id.toString();
+        const remainingMs = session.startedAt.getTime() + session.plannedDuration * 60000 - Date.now();
+
+        const timer = setTimeout(() => {
+            this.stop(id, 'Duration Elapsed').catch(err => console.error('❌ Irrigation stop error:', err.message));
+        }, Math.max(0, remainingMs));
+
+        let monitor = null;
+        if (session.targetMoisture !== undefined && session.targetMoisture !== null) {
+            monitor = setInterval(async () => {
+                try {
+                    const reading = await SensorData.findOne({
+                        fieldId: field._id,
+                        timestamp: { $gt: session.startedAt }
+                    }).sort({ timestamp: -1 });
+
+                    if (reading?.soil?.moisture >= session.targetMoisture) {
+                        console.log(`🎯 ${field.name} reached ${reading.soil.moisture}% (target ${session.targetMoisture}%)`);
+                        await this.stop(id, 'Target Reached');
+                    }
+                } catch (err) {
+                    console.error('❌ Irrigation monitor error:', err.message);
+                }
+            }, this.MONITOR_INTERVAL_MS);
+        }
+
+        this.running.set(id, { timer, monitor });
+    }
+
+    untrack(id) {
+        const handles = this.running.get(id);
+        if (!handles) return;
+        clearTimeout(handles.timer);
+        if (handles.monitor) clearInterval(handles.monitor);
+        this.running.delete(id);
+    }
+
+    /**
+     * Delivered L/min for a field: its water source's pump rate, else the nominal application rate over its area
+     */
+    async getFlowRate(field) {
+        if (field?.waterSourceId) {
+            const source = await WaterSource.findById(field.waterSourceId);
+            if (source?.pumpFlowRate) return source.pumpFlowRate;
+        }
+        return this.APPLICATION_RATE * (field?.area || 0);
+    }
+
+    /**
+     * Stop a running session and close its valve
+     * @param {string} sessionId - Session to stop
+     * @param {string} stopReason - One of the IrrigationSession stopReason values
+     * @param {string} stoppedBy - Who stopped it (defaults to 'system')
+     */
+    async stop(sessionId, stopReason = 'Manual', stoppedBy = 'system') {
+        const id = sessionId.toString();
+        if (this.stopping.has(id)) {
+            return { success: false, message: 'Session is already stopping' };
+        }
+        this.stopping.add(id);
+        try {
+            return await this.close(id, stopReason, stoppedBy);
+        } finally {
+            this.stopping.delete(id);
+        }
+    }
+
+    async close(id, stopReason, stoppedBy) {
+        const session = await IrrigationSession.findById(id);
+        if (!session) {
+            this.untrack(id);
+            return { success: false, message: 'Session not found' };
+        }
+        if (session.status !== 'Running') {
+            this.untrack(id);
+            return { success: false, message: `Session already ${session.status.toLowerCase()}`, session };
+        }
+
+        const field = await Field.findById(session.fieldId);
+        const valve = await ESP32Service.setValve(false, { deviceId: session.deviceId, channel: session.channel });
+        if (!valve.success) {
+            // The valve may still be open: the session stays running and watched until a close is confirmed
+            console.error(`❌ Valve ${session.deviceId}/${session.channel} did not confirm close: ${valve.message}. Retrying in ${this.CLOSE_RETRY_MS / 1000} s`);
+            this.retryClose(id, stopReason, stoppedBy);
+            await this.raiseValveAlert(session, field, valve.message);
+            return { success: false, valveOpen: true, message: `Valve did not confirm close: ${valve.message}. Retrying.`, session };
+        }
+        this.untrack(id);
+
+        const latest = await SensorData.findOne({ fieldId: session.fieldId }).sort({ timestamp: -1 });
+        const stoppedAt = new Date();
+        const minutes = (stoppedAt - session.startedAt) / 60000;
+
+        session.stoppedAt = stoppedAt;
+        session.stopReason = stopReason;
+        session.stoppedBy = stoppedBy;
+        session.status = stopReason === 'Duration Elapsed' || stopReason === 'Target Reached' ? 'Completed' : 'Stopped';
+        session.endMoisture = latest?.soil?.moisture;
+        session.liters = Math.round(minutes * await this.getFlowRate(field) * 10) / 10;
+        await session.save();
+        LiveStream.publishSession(session, 'stopped');
+
+        await this.resolveValveAlert(session);
+
+        console.log(`🛑 Irrigation stopped: ${field?.name || session.fieldId} after ${minutes.toFixed(1)} min, ${session.liters} L (${session.stopReason})`);
+        return { success: true, session };
+    }
+
+    /**
+     * Try closing again later; the moisture monitor is dropped since the session is ending anyway
+     */
+    retryClose(id, stopReason, stoppedBy) {
+        const handles = this.running.get(id) || { timer: null, monitor: null };
+        clearTimeout(handles.timer);
+        if (handles.monitor) clearInterval(handles.monitor);
+        handles.monitor = null;
+        handles.timer = setTimeout(() => {
+            this.stop(id, stopReason, stoppedBy).catch(err => console.error('❌ Irrigation stop error:', err.message));
+        }, this.CLOSE_RETRY_MS);
+        this.running.set(id, handles);
+    }
+
+    valveAlertQuery(session) {
+        return {
+            type: 'General',
+            deviceId: session.deviceId,
+            fieldId: session.fieldId,
+            message: /^Valve .* did not close/,
+            status: { $in: AlertService.OPEN_STATUSES }
+        };
+    }
+
+    async raiseValveAlert(session, field, error) {
+        if (await Alert.exists(this.valveAlertQuery(session))) return null;
+        const now = new Date();
+        const message = `Valve ${session.deviceId}/${session.channel} on ${field?.name || 'a field'} did not close (${error}); water may still be flowing`;
+        const alert = await Alert.create({
+            type: 'General',
+            severity: 'Critical',
+            message,
+            field: field?.name,
+            fieldId: session.fieldId,
+            deviceId: session.deviceId,
+            timestamp: now,
+            lastDetectedAt: now,
+            history: [{ action: 'Created', at: now, note: message }]
+        });
+        LiveStream.publishAlert(alert, 'created');
+        return alert;
+    }
+
+    async resolveValveAlert(session) {
+        const open = await Alert.findOne(this.valveAlertQuery(session));
+        if (!open) return null;
+        return (await AlertService.resolve(open, 'system', 'Valve confirmed closed')).alert;
+    }
+
+    /**
+     * Act on the current recommendation for a field. Only "Irrigate" starts a session.
+     */
+    async irrigateFromRecommendation(fieldId, triggeredBy = 'system') {
+        const field = await Field.findById(fieldId);
+        if (!field) {
+            return { success: false, notFound: true, message: 'Field not found' };
+        }
+
+        const latest = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+        const recentHistory = await SensorData.find({ fieldId: field._id }).sort({ timestamp: -1 }).limit(50);
+        const crop = await Crop.findOne({ name: field.cropType }) || await Crop.findOne();
+
+        // A deferral whose rain never came rules out waiting on the forecast again
+        const deferralCheck = await RainDeferralService.checkField(field);
+        const recommendation = await IntelligenceService.generateRecommendation(latest, crop, recentHistory, field, {
+            allowDeferral: !deferralCheck.fallbackDue
+        });
+
+        if (recommendation.action === 'Delay' && recommendation.deferral) {
+            const deferral = await RainDeferralService.record(field, recommendation);
+            return { success: false, message: `Deferred for rain: ${recommendation.reason}`, recommendation, deferral };
+        }
+        if (recommendation.action !== 'Irrigate') {
+            return { success: false, message: `No irrigation needed: ${recommendation.reason}`, recommendation };
+        }
+        if (deferralCheck.fallbackDue) {
+            const { deferral } = deferralCheck;
+            recommendation.reason = `Forecast rain did not arrive (${deferral.observedRain ?? '?'} of ${deferral.expectedRain} mm). ${recommendation.reason}`;
+        }
+
+        // Respect what the field's water source can still deliver today
+        let duration = recommendation.duration;
+        const allocation = await WaterPlanner.getAllocation(field, new Date(), { allowDeferral: !deferralCheck.fallbackDue });
+        if (allocation) {
+            if (allocation.status === 'Deferred' || allocation.allocatedLiters <= 0) {
+                return {
+                    success: false,
+                    message: `Deferred: ${allocation.source.name} cannot cover ${field.name} today (higher-priority fields first)`,
+                    recommendation,
+                    allocation
+                };
+            }
+            duration = allocation.durationMinutes;
+        }
+
+        const saved = await Recommendation.create({
+            fieldId: field._id,
+            action: recommendation.action,
+            amount: recommendation.amount,
+            duration,
+            recommendedTime: recommendation.recommendedTime,
+            reason: recommendation.reason
+        });
+
+        const config = IntelligenceService.cropConfig[field.cropType] || IntelligenceService.cropConfig['Default'];
+        const result = await this.start(field._id, {
+            duration,
+            amount: recommendation.amount,
+            targetMoisture: crop?.idealMoistureRange?.max || config.max,
+            reason: recommendation.reason,
+            triggeredBy,
+            recommendationId: saved._id
+        });
+        if (result.success && deferralCheck.fallbackDue) {
+            await RainDeferralService.markFallback(deferralCheck.deferral, result.session._id);
+        }
+        return { ...result, recommendation, allocation };
+    }
+
+    /**
+     * Close any valves left open by a previous process and resume the auto loop
+     */
+    async init() {
+        const orphaned = await IrrigationSession.find({ status: 'Running' });
+        for (const session of orphaned) {
+            await this.stop(session._id, 'Server Restart');
+        }
+        if (orphaned.length > 0) {
+            console.log(`🔧 Closed ${orphaned.length} irrigation session(s) left running before restart`);
+        }
+
+        if (this.autoEnabled) {
+            this.startAuto();
+        }
+    }
+
+    /**
+     * Periodically act on recommendations for every active field (IRRIGATION_AUTO=true)
+     */
+    startAuto() {
+        if (this.autoInterval) return;
+        console.log(`🤖 Automatic irrigation enabled (every ${this.AUTO_INTERVAL_MS / 60000} min)`);
+
+        this.autoInterval = setInterval(async () => {
+            try {
+                const fields = await Field.find({ active: true });
+                for (const field of fields) {
+                    if (await this.getActiveSession(field._id)) continue;
+                    const result = await this.irrigateFromRecommendation(field._id, 'system');
+                    if (result.success) {
+                        console.log(`🤖 Auto-irrigating ${field.name}: ${result.recommendation.reason}`);
+                    }
+                }
+            } catch (err) {
+                console.error('❌ Auto irrigation error:', err.message);
+            }
+        }, this.AUTO_INTERVAL_MS);
+    }
+
+    stopAuto() {
+        if (this.autoInterval) {
+            clearInterval(this.autoInterval);
+            this.autoInterval = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new IrrigationController();
@@ -0,0 +1,230 @@
+const moment = require('moment');
+const Field = require('../models/Field');
+const SensorData = require('../models/SensorData');
+const IrrigationSchedule = require('../models/IrrigationSchedule');
+const IntelligenceService = require('./intelligence');
+const IrrigationController = require('./irrigationController');
+
+/**
+ * Irrigation Scheduler
+ * Evaluates per-field irrigation windows ("06:00 daily unless rain >60%") in a background job
+ * and hands due runs to the IrrigationController.
+ */
+class IrrigationScheduler {
+    constructor() {
+        this.TICK_MS = 60 * 1000;
+        this.MISSED_GRACE_MS = 15 * 60 * 1000; // Runs missed by more than this (server down) are skipped
+        this.interval = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Next N run times for a schedule, starting after `from`
+     */
+    nextRuns(schedule, count = 5, from = new Date()) {
+        const [hours, minutes] = schedule.time.split(':').map(Number);
+        const days = schedule.daysOfWeek || [];
+        const runs = [];
+        const cursor = moment(from).hours(hours).minutes(minutes).seconds(0).milliseconds(0);
+
+        if (!cursor.isAfter(from)) cursor.add(1, 'day');
+        // At most 7 days between runs, so this terminates for any valid daysOfWeek
+        for (let i = 0; runs.length < count && i < count * 7 + 7; i++) {
+            if (days.length === 0 || days.includes(cursor.day())) {
+                runs.push(cursor.toDate());
+            }
+            cursor.add(1, 'day');
+        }
+        return runs;
+    }
+
+    /**
+     * Pump bindings of a field, as "deviceId:channel" keys
+     */
+    getPumpKeys(field) {
+        return (field?.devices || [])
+            .filter(d => d.role === 'Pump')
+            .map(d => `${d.deviceId}:${d.channel || 0}`);
+    }
+
+    /**
+     * Find enabled schedules on other fields that share a pump and overlap this schedule's window
+     * @returns {Promise<Array>} Conflicting schedules with the shared pump and weekdays
+     */
+    async findConflicts(schedule) {
+        const field = await Field.findById(schedule.fieldId);
+        const pumps = this.getPumpKeys(field);
+        if (pumps.length === 0) return [];
+
+        const sharingFields = await Field.find({
+            _id: { $ne: schedule.fieldId },
+            devices: {
+                $elemMatch: {
+                    role: 'Pump',
+                    $or: pumps.map(key => {
+                        const [deviceId, channel] = key.split(':');
+                        return { deviceId, channel: Number(channel) };
+                    })
+                }
+            }
+        });
+        if (sharingFields.length === 0) return [];
+
+        const others = await IrrigationSchedule.find({
+            _id: { $ne: schedule._id },
+            fieldId: { $in: sharingFields.map(f => f._id) },
+            enabled: true
+        }).populate('fieldId', 'name devices');
+
+        const toMinutes = (time) => {
+            const [h, m] = time.split(':').map(Number);
+            return h * 60 + m;
+        };
+        const allDays = [0, 1, 2, 3, 4, 5, 6];
+        const start = toMinutes(schedule.time);
+        const end = start + (schedule.duration || 0);
+        const myDays = schedule.daysOfWeek?.length ? schedule.daysOfWeek : allDays;
+
+        return others.reduce((conflicts, other) => {
+            const otherDays = other.daysOfWeek?.length ? other.daysOfWeek : allDays;
+            const oStart = toMinutes(other.time);
+            const oEnd = oStart + (other.duration || 0);
+
+            // Compare on a week timeline so windows crossing midnight are caught too
+            const sharedDays = [];
+            myDays.forEach(day => {
+                const a = day * 1440 + start;
+                const b = day * 1440 + end;
+                otherDays.forEach(oDay => {
+                    [-7, 0, 7].forEach(wrap => {
+                        const c = (oDay + wrap) * 1440 + oStart;
+                        const d = (oDay + wrap) * 1440 + oEnd;
+                        if (a < d && c < b && !sharedDays.includes(day)) sharedDays.push(day);
+                    });
+                });
+            });
+
+            if (sharedDays.length > 0) {
+                const sharedPumps = this.getPumpKeys(other.fieldId).filter(k => pumps.includes(k));
+                conflicts.push({
+                    scheduleId: other._id,
+                    fieldId: other.fieldId._id,
+                    fieldName: other.fieldId.name,
+                    time: other.time,
+                    duration: other.duration,
+                    pumps: sharedPumps,
+                    daysOfWeek: sharedDays.sort()
+                });
+            }
+            return conflicts;
+        }, []);
+    }
+
+    /**
+     * Decide whether a due run should go ahead
+     * @returns {Promise<Object>} { skip, message }
+     */
+    async checkConditions(schedule, field) {
+        const { skipIfRainChanceAbove, skipIfMoistureAbove } = schedule.conditions || {};
+
+        if (skipIfRainChanceAbove !== undefined && skipIfRainChanceAbove !== null) {
+            const weather = await IntelligenceService.fetchWeatherData(field);
+            const rainChance = Math.max(weather.chanceOfRain || 0, weather.forecast?.nextRainChance || 0);
+            if (rainChance > skipIfRainChanceAbove) {
+                return { skip: true, message: `Rain chance ${Math.round(rainChance)}% above ${skipIfRainChanceAbove}%` };
+            }
+        }
+
+        if (skipIfMoistureAbove !== undefined && skipIfMoistureAbove !== null) {
+            const latest = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+            const moisture = latest?.soil?.moisture;
+            if (moisture !== undefined && moisture > skipIfMoistureAbove) {
+                return { skip: true, message: `Moisture ${moisture.toFixed(1)}% above ${skipIfMoistureAbove}%` };
+            }
+        }
+
+        return { skip: false };
+    }
+
+    /**
+     * Execute one due run of a schedule and record the outcome
+     */
+    async run(schedule, dueAt, now = new Date()) {
+        const field = await Field.findById(schedule.fieldId);
+        let result;
+
+        if (!field || !field.active) {
+            result = { status: 'Skipped', message: 'Field not found or inactive' };
+        } else if (now - dueAt > this.MISSED_GRACE_MS) {
+            result = { status: 'Skipped', message: `Missed run at ${moment(dueAt).format('YYYY-MM-DD HH:mm')}` };
+        } else {
+            const check = await this.checkConditions(schedule, field);
+            if (check.skip) {
+                result = { status: 'Skipped', message: check.message };
+            } else {
+                const started = schedule.useRecommendation
+                    ? await IrrigationController.irrigateFromRecommendation(field._id, 'schedule')
+                    : await IrrigationController.start(field._id, {
+                        duration: schedule.duration,
+                        reason: `Scheduled ${schedule.name || schedule.time}`,
+                        triggeredBy: 'schedule'
+                    });
+                result = started.success
+                    ? { status: 'Started', message: started.session.reason, sessionId: started.session._id }
+                    : { status: schedule.useRecommendation && started.recommendation ? 'Skipped' : 'Failed', message: started.message };
+            }
+        }
+
+        schedule.lastRunAt = now;
+        schedule.lastResult = result;
+        schedule.nextRunAt = this.nextRuns(schedule, 1, now)[0];
+        await schedule.save();
+
+        console.log(`🗓️ Schedule ${schedule.name || schedule._id} (${field?.name || schedule.fieldId}): ${result.status} - ${result.message}`);
+        return result;
+    }
+
+    /**
+     * Process every schedule whose nextRunAt has passed
+     */
+    async tick(now = new Date()) {
+        const due = await IrrigationSchedule.find({ enabled: true, nextRunAt: { $lte: now } });
+        for (const schedule of due) {
+            try {
+                await this.run(schedule, schedule.nextRunAt, now);
+            } catch (err) {
+                console.error(`❌ Schedule ${schedule._id} error:`, err.message);
+            }
+        }
+        return due.length;
+    }
+
+    async start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        // Schedules created while the job was down may be missing nextRunAt
+        const unscheduled = await IrrigationSchedule.find({ enabled: true, nextRunAt: null });
+        for (const schedule of unscheduled) {
+            schedule.nextRunAt = this.nextRuns(schedule, 1)[0];
+            await schedule.save();
+        }
+
+        await this.tick();
+        this.interval = setInterval(() => {
+            this.tick().catch(err => console.error('❌ Scheduler tick error:', err.message));
+        }, this.TICK_MS);
+        console.log('🗓️ Irrigation scheduler started (every 1 min)');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.isRunning = false;
+    }
+}
+
+// Export singleton instance
+module.exports = new IrrigationScheduler();
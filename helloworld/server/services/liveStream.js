@@ -0,0 +1,140 @@
+/**
+ * Live Stream Service
+ * Pushes sensor readings, alert changes, field evaluations, irrigation session events and
+ * device state to dashboards over Server-Sent Events, with enough data to update in place. Recent events are kept so a reconnecting browser
+ * (Last-Event-ID) catches up on what it missed.
+ */
+class LiveStreamService {
+    constructor() {
+        this.clients = new Set();
+        this.buffer = [];
+        this.BUFFER_SIZE = 200;
+        this.HEARTBEAT_MS = 25000; // Below common proxy idle timeouts
+        this.nextId = 1;
+    }
+
+    /**
+     * Broadcast an event to every connected dashboard watching its field
+     * @param {string} type - 'sensor' | 'alert' | 'status' | 'irrigation' | 'device'
+     */
+    publish(type, data, fieldId = null) {
+        const event = { id: this.nextId++, type, data, fieldId: fieldId ? fieldId.toString() : null };
+        this.buffer.push(event);
+        if (this.buffer.length > this.BUFFER_SIZE) this.buffer.shift();
+
+        for (const client of this.clients) {
+            this.send(client, event);
+        }
+        return event;
+    }
+
+    send(client, event) {
+        // Clients scoped to one field still see farm-wide events (devices, unassigned readings)
+        if (client.fieldId && event.fieldId && client.fieldId !== event.fieldId) return;
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    /**
+     * Attach an SSE response; resolves nothing, the connection stays open until the client leaves
+     */
+    addClient(req, res, { fieldId = null } = {}) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.flushHeaders();
+        res.write(`retry: 5000\n\n`);
+
+        const client = { res, fieldId };
+        this.clients.add(client);
+
+        const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+        if (lastEventId) {
+            this.buffer.filter(e => e.id > lastEventId).forEach(e => this.send(client, e));
+        }
+
+        const heartbeat = setInterval(() => res.write(`: ping\n\n`), this.HEARTBEAT_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(client);
+        });
+        return client;
+    }
+
+    publishReading(reading) {
+        return this.publish('sensor', {
+            _id: reading._id,
+            fieldId: reading.fieldId,
+            deviceId: reading.deviceId,
+            cropType: reading.cropType,
+            timestamp: reading.timestamp,
+            soil: reading.soil,
+            weather: reading.weather
+        }, reading.fieldId);
+    }
+
+    publishAlert(alert, action) {
+        return this.publish('alert', {
+            action,
+            _id: alert._id,
+            type: alert.type,
+            severity: alert.severity,
+            status: alert.status,
+            message: alert.message,
+            confidence: alert.confidence,
+            timestamp: alert.timestamp,
+            fieldId: alert.fieldId,
+            cropType: alert.cropType,
+            deviceId: alert.deviceId,
+            lastDetectedAt: alert.lastDetectedAt
+        }, alert.fieldId);
+    }
+
+    /**
+     * A field (or crop) the status monitor just evaluated: state and recommendation
+     */
+    publishStatus(scope, { state, latestData, recommendation }, evaluatedAt = new Date()) {
+        return this.publish('status', {
+            fieldId: scope.fieldId || null,
+            cropType: scope.cropType,
+            state,
+            moisture: latestData.soil?.moisture,
+            readingAt: latestData.timestamp,
+            recommendation: recommendation && {
+                action: recommendation.action,
+                reason: recommendation.reason,
+                priority: recommendation.priority,
+                amount: recommendation.amount,
+                duration: recommendation.duration
+            },
+            evaluatedAt
+        }, scope.fieldId);
+    }
+
+    publishSession(session, action) {
+        return this.publish('irrigation', {
+            action,
+            _id: session._id,
+            fieldId: session.fieldId,
+            status: session.status,
+            startedAt: session.startedAt,
+            stoppedAt: session.stoppedAt,
+            plannedDuration: session.plannedDuration,
+            stopReason: session.stopReason,
+            liters: session.liters
+        }, session.fieldId);
+    }
+
+    publishDevice(deviceId, state) {
+        return this.publish('device', { deviceId, ...state, timestamp: new Date() });
+    }
+
+    getStats() {
+        return { clients: this.clients.size, lastEventId: this.nextId - 1, buffered: this.buffer.length };
+    }
+}
+
+// Export singleton instance
+module.exports = new LiveStreamService();
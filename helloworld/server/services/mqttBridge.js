@@ -0,0 +1,249 @@
+const mqtt = require('mqtt');
+const Device = require('../models/Device');
+const IngestionService = require('./ingestionService');
+const LiveStream = require('./liveStream');
+const DeviceRegistry = require('./deviceRegistry');
+
+/**
+ * MQTT Bridge
+ * Device-initiated transport for nodes behind NAT that the server cannot reach by IP.
+ *
+ * Topics (prefix defaults to "agri"):
+ *   agri/<deviceId>/telemetry  device -> server  reading or array of readings (same shape as /api/ingest)
+ *   agri/<deviceId>/status     device -> server  retained "online"/"offline"; devices set "offline" as their last will
+ *   agri/<deviceId>/heartbeat  device -> server  { firmwareVersion, battery, rssi, capabilities, state }
+ *   agri/<deviceId>/ack        device -> server  { commandId, ok, error } once a command is applied
+ *   agri/<deviceId>/cmd        server -> device  { state, commandId, timestamp }
+ *   agri/server/status         server -> all     retained server availability with its own last will
+ */
+class MQTTBridge {
+    constructor() {
+        this.url = process.env.MQTT_URL || null;
+        this.prefix = process.env.MQTT_TOPIC_PREFIX || 'agri';
+        this.enabled = !!this.url && process.env.MQTT_ENABLED !== 'false';
+        this.client = null;
+        this.connected = false;
+        this.connectedOnce = false;
+        this.deviceStatus = new Map(); // deviceId -> { online, timestamp }
+    }
+
+    topic(deviceId, channel) {
+        return `${this.prefix}/${deviceId}/${channel}`;
+    }
+
+    /**
+     * Connect to the broker and subscribe to device topics
+     * @param {Object} options - Optional { url, username, password } overriding env config
+     */
+    async start(options = {}) {
+        const url = options.url || this.url;
+        if (!url) {
+            console.log('⚠️ MQTT_URL not set. MQTT bridge disabled.');
+            return { success: false, message: 'MQTT not configured' };
+        }
+        if (this.client) {
+            return { success: true, message: this.connected ? 'MQTT bridge already running' : 'MQTT bridge already running (waiting for the broker)' };
+        }
+
+        const serverStatusTopic = `${this.prefix}/server/status`;
+        this.client = mqtt.connect(url, {
+            clientId: options.clientId || `agri-server-${process.pid}`,
+            username: options.username || process.env.MQTT_USERNAME,
+            password: options.password || process.env.MQTT_PASSWORD,
+            reconnectPeriod: 5000,
+            will: { topic: serverStatusTopic, payload: 'offline', qos: 1, retain: true }
+        });
+
+        // Handlers go on before the first connect: if the broker is down at boot, mqtt.js keeps
+        // retrying and the connect handler subscribes whenever it gets through
+        this.client.on('connect', () => {
+            this.onConnect(url, serverStatusTopic).catch(err => {
+                console.error('❌ MQTT subscribe failed:', err.message);
+            });
+        });
+        this.client.on('message', (topic, payload, packet) => {
+            this.handleMessage(topic, payload, packet).catch(err => {
+                console.error(`❌ MQTT message error on ${topic}:`, err.message);
+            });
+        });
+        this.client.on('close', () => { this.connected = false; });
+        this.client.on('error', err => console.error('❌ MQTT error:', err.message));
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.client.once('connect', resolve);
+                this.client.once('error', reject);
+            });
+        } catch (err) {
+            return { success: false, message: `MQTT broker unreachable (${err.message}); retrying every 5 s` };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Subscribe and announce the server on every (re)connect; clean sessions drop subscriptions
+     */
+    async onConnect(url, serverStatusTopic) {
+        const reconnect = this.connectedOnce;
+        this.connected = true;
+        this.connectedOnce = true;
+
+        await this.client.subscribeAsync([
+            `${this.prefix}/+/telemetry`,
+            `${this.prefix}/+/status`,
+            `${this.prefix}/+/heartbeat`,
+            `${this.prefix}/+/ack`
+        ], { qos: 1 });
+        await this.client.publishAsync(serverStatusTopic, 'online', { qos: 1, retain: true });
+
+        console.log(reconnect ? '🔁 MQTT bridge reconnected' : `✅ MQTT bridge connected to ${url} (prefix: ${this.prefix})`);
+    }
+
+    async stop() {
+        if (!this.client) return;
+        if (this.connected) {
+            // Unsubscribe first so our own retained "offline" is not delivered back mid-shutdown
+            await this.client.unsubscribeAsync([`${this.prefix}/+/telemetry`, `${this.prefix}/+/status`, `${this.prefix}/+/heartbeat`, `${this.prefix}/+/ack`]);
+            await this.client.publishAsync(`${this.prefix}/server/status`, 'offline', { qos: 1, retain: true });
+        }
+        await this.client.endAsync();
+        this.client = null;
+        this.connected = false;
+        this.connectedOnce = false;
+    }
+
+    /**
+     * Route an incoming message by its topic channel
+     */
+    async handleMessage(topic, payload, packet = {}) {
+        const parts = topic.split('/');
+        if (parts.length !== 3 || parts[0] !== this.prefix || parts[1] === 'server') return;
+
+        const [, deviceId, channel] = parts;
+        if (channel === 'status') {
+            return this.handleStatus(deviceId, payload.toString(), packet.retain);
+        }
+        if (channel === 'telemetry') {
+            return this.handleTelemetry(deviceId, payload.toString());
+        }
+        if (channel === 'heartbeat') {
+            return this.handleHeartbeat(deviceId, payload.toString());
+        }
+        if (channel === 'ack') {
+            return this.handleAck(deviceId, payload.toString());
+        }
+    }
+
+    async handleStatus(deviceId, text, retained = false) {
+        let online;
+        try {
+            const parsed = JSON.parse(text);
+            online = typeof parsed === 'object' ? parsed.online === true || parsed.status === 'online' : parsed === 'online';
+        } catch (e) {
+            online = text.trim().toLowerCase() === 'online';
+        }
+
+        const previous = this.deviceStatus.get(deviceId);
+        this.deviceStatus.set(deviceId, { online, timestamp: new Date() });
+
+        if (!previous || previous.online !== online) {
+            console.log(`${online ? '🟢' : '🔴'} Device ${deviceId} is ${online ? 'online' : 'offline'}${retained ? ' (retained)' : ''}`);
+            LiveStream.publishDevice(deviceId, { online });
+        }
+
+        const update = { online };
+        if (online) update.lastSeen = new Date();
+        await Device.updateOne({ deviceId }, { $set: update });
+
+        // Back online: deliver queued commands now rather than at the next backoff step.
+        // Required lazily: the command queue sends through the ESP32 service, which uses this bridge.
+        if (online && previous?.online === false) {
+            require('./commandQueue').flush(deviceId).catch(err => {
+                console.warn(`⚠️ Command flush for ${deviceId} failed:`, err.message);
+            });
+        }
+        return { deviceId, online };
+    }
+
+    async handleTelemetry(deviceId, text) {
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            console.warn(`⚠️ MQTT telemetry from ${deviceId} is not valid JSON`);
+            return null;
+        }
+
+        // Broker credentials authenticate the connection; the device still has to be registered
+        const device = await Device.findOne({ deviceId, active: true });
+        if (!device) {
+            console.warn(`⚠️ MQTT telemetry from unregistered device ${deviceId} ignored`);
+            return null;
+        }
+
+        const readings = Array.isArray(body) ? body : Array.isArray(body?.readings) ? body.readings : [body];
+        const summary = await IngestionService.ingest(readings.slice(0, IngestionService.MAX_BATCH_SIZE), device);
+        console.log(`📥 MQTT ${deviceId}: ${summary.accepted} accepted, ${summary.duplicates} duplicate, ${summary.rejected} rejected`);
+        return summary;
+    }
+
+    async handleHeartbeat(deviceId, text) {
+        let body = {};
+        try {
+            body = text ? JSON.parse(text) : {};
+        } catch (e) {
+            console.warn(`⚠️ MQTT heartbeat from ${deviceId} is not valid JSON`);
+            return null;
+        }
+
+        const device = await Device.findOne({ deviceId, active: true });
+        if (!device) {
+            console.warn(`⚠️ MQTT heartbeat from unregistered device ${deviceId} ignored`);
+            return null;
+        }
+        this.deviceStatus.set(deviceId, { online: true, timestamp: new Date() });
+        return DeviceRegistry.recordHeartbeat(device, body);
+    }
+
+    async handleAck(deviceId, text) {
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            console.warn(`⚠️ MQTT ack from ${deviceId} is not valid JSON`);
+            return null;
+        }
+        if (!body?.commandId) return null;
+        return require('./commandQueue').handleAck(deviceId, body.commandId, body, 'mqtt');
+    }
+
+    /**
+     * Publish a command to a device
+     * @returns {Promise<Object>} Response object with success status
+     */
+    async sendCommand(deviceId, command) {
+        if (!this.client || !this.connected) {
+            return { success: false, message: 'MQTT bridge not connected' };
+        }
+
+        const message = { ...command, timestamp: new Date().toISOString() };
+        await this.client.publishAsync(this.topic(deviceId, 'cmd'), JSON.stringify(message), { qos: 1 });
+        return { success: true, deviceId, command: message };
+    }
+
+    isDeviceOnline(deviceId) {
+        return this.deviceStatus.get(deviceId)?.online === true;
+    }
+
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            connected: this.connected,
+            prefix: this.prefix,
+            devices: Object.fromEntries(this.deviceStatus)
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new MQTTBridge();
@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+/**
+ * SMTP email channel (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+ */
+const EmailChannel = {
+    name: 'email',
+    addressField: 'email',
+
+    isConfigured() {
+        return !!process.env.SMTP_HOST;
+    },
+
+    getTransport() {
+        if (!transport) {
+            const port = Number(process.env.SMTP_PORT) || 587;
+            transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: port === 465,
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+                connectionTimeout: 10000
+            });
+        }
+        return transport;
+    },
+
+    async send({ address, subject, text }) {
+        const info = await this.getTransport().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: address,
+            subject,
+            text
+        });
+        return { id: info.messageId };
+    }
+};
+
+module.exports = EmailChannel;
@@ -0,0 +1,18 @@
+const TelegramChannel = require('./telegram');
+const EmailChannel = require('./email');
+const SmsChannel = require('./sms');
+const WhatsAppChannel = require('./whatsapp');
+const WebhookChannel = require('./webhook');
+
+/**
+ * Notification channels by name.
+ * Each exposes isConfigured(), the Contact field holding its address (addressField)
+ * and send({ address, subject, text, payload }), which throws when delivery fails.
+ */
+module.exports = {
+    [TelegramChannel.name]: TelegramChannel,
+    [EmailChannel.name]: EmailChannel,
+    [SmsChannel.name]: SmsChannel,
+    [WhatsAppChannel.name]: WhatsAppChannel,
+    [WebhookChannel.name]: WebhookChannel
+};
@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+/**
+ * SMS gateway channel for farmers on feature phones.
+ * Uses Twilio when TWILIO_ACCOUNT_SID and TWILIO_SMS_FROM are set, otherwise POSTs { to, message } as JSON
+ * to SMS_GATEWAY_URL (with SMS_GATEWAY_TOKEN as a bearer token) for local gateways.
+ */
+const SmsChannel = {
+    name: 'sms',
+    addressField: 'phone',
+    MAX_LENGTH: 320, // Two SMS segments
+
+    // Twilio may be set up for WhatsApp only, so the SMS sender number decides
+    usesTwilio() {
+        return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_SMS_FROM);
+    },
+
+    isConfigured() {
+        return this.usesTwilio() || !!process.env.SMS_GATEWAY_URL;
+    },
+
+    async send({ address, text }) {
+        const body = text.length > this.MAX_LENGTH ? `${text.slice(0, this.MAX_LENGTH - 1)}…` : text;
+
+        if (this.usesTwilio()) {
+            const sid = process.env.TWILIO_ACCOUNT_SID;
+            const response = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+                new URLSearchParams({ To: address, From: process.env.TWILIO_SMS_FROM, Body: body }),
+                { auth: { username: sid, password: process.env.TWILIO_AUTH_TOKEN }, timeout: 10000 }
+            );
+            return { id: response.data.sid };
+        }
+
+        const response = await axios.post(process.env.SMS_GATEWAY_URL, { to: address, message: body }, {
+            headers: process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {},
+            timeout: 10000
+        });
+        return { id: response.data?.id?.toString() };
+    }
+};
+
+module.exports = SmsChannel;
@@ -0,0 +1,26 @@
+const TelegramService = require('../telegramService');
+
+/**
+ * Telegram channel (bot messages, Markdown)
+ */
+const TelegramChannel = {
+    name: 'telegram',
+    addressField: 'telegramChatId',
+
+    isConfigured() {
+        return !!TelegramService.API_URL && TelegramService.enabled;
+    },
+
+    async send({ address, text }) {
+        const result = await TelegramService.sendMessage(text, { chat_id: address });
+        if (!result.success) {
+            // Keep the HTTP status so the dispatcher does not retry a 400 "chat not found"
+            const error = new Error(result.error || result.message || 'Telegram send failed');
+            if (result.status) error.response = { status: result.status };
+            throw error;
+        }
+        return { id: result.messageId?.toString() };
+    }
+};
+
+module.exports = TelegramChannel;
@@ -0,0 +1,34 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Generic HTTP webhook channel. POSTs the notification as JSON; when NOTIFY_WEBHOOK_SECRET is set
+ * the body is signed with HMAC-SHA256 in the X-Signature header so receivers can verify it.
+ * Only the URLs in NOTIFY_WEBHOOK_URLS are ever called.
+ */
+const WebhookChannel = {
+    name: 'webhook',
+    addressField: null, // URLs come from NOTIFY_WEBHOOK_URLS, not contacts
+    URLS: (process.env.NOTIFY_WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean),
+
+    isConfigured() {
+        return this.URLS.length > 0;
+    },
+
+    async send({ address, subject, text, payload }) {
+        if (!this.URLS.includes(address)) {
+            const error = new Error(`${address} is not listed in NOTIFY_WEBHOOK_URLS`);
+            error.permanent = true;
+            throw error;
+        }
+        const body = JSON.stringify({ subject, text, ...payload, sentAt: new Date().toISOString() });
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.NOTIFY_WEBHOOK_SECRET) {
+            headers['X-Signature'] = crypto.createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET).update(body).digest('hex');
+        }
+        const response = await axios.post(address, body, { headers, timeout: 10000 });
+        return { id: response.headers?.['x-request-id'] };
+    }
+};
+
+module.exports = WebhookChannel;
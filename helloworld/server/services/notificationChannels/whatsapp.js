@@ -0,0 +1,57 @@
+const axios = require('axios');
+
+/**
+ * WhatsApp channel.
+ * Uses the WhatsApp Cloud API (WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID) or, failing that,
+ * Twilio's WhatsApp sender (TWILIO_ACCOUNT_SID, TWILIO_WHATSAPP_FROM).
+ * The Cloud API only delivers free-form text inside the 24-hour window after a farmer writes
+ * in, so alerts go out as an approved template (WHATSAPP_TEMPLATE, in WHATSAPP_TEMPLATE_LANGUAGE)
+ * whose body has a single {{1}} parameter for the message.
+ */
+const WhatsAppChannel = {
+    name: 'whatsapp',
+    addressField: 'phone',
+
+    usesCloudApi() {
+        return !!(process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID && process.env.WHATSAPP_TEMPLATE);
+    },
+
+    isConfigured() {
+        return this.usesCloudApi() || !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_WHATSAPP_FROM);
+    },
+
+    // Template parameters may not contain newlines, tabs or runs of spaces
+    templateMessage(to, text) {
+        return {
+            messaging_product: 'whatsapp',
+            to,
+            type: 'template',
+            template: {
+                name: process.env.WHATSAPP_TEMPLATE,
+                language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+                components: [{ type: 'body', parameters: [{ type: 'text', text: text.replace(/\s+/g, ' ').trim() }] }]
+            }
+        };
+    },
+
+    async send({ address, text }) {
+        if (this.usesCloudApi()) {
+            const response = await axios.post(
+                `https://graph.facebook.com/v19.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+                this.templateMessage(address.replace(/^\+/, ''), text),
+                { headers: { Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}` }, timeout: 10000 }
+            );
+            return { id: response.data.messages?.[0]?.id };
+        }
+
+        const sid = process.env.TWILIO_ACCOUNT_SID;
+        const response = await axios.post(
+            `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+            new URLSearchParams({ To: `whatsapp:${address}`, From: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`, Body: text }),
+            { auth: { username: sid, password: process.env.TWILIO_AUTH_TOKEN }, timeout: 10000 }
+        );
+        return { id: response.data.sid };
+    }
+};
+
+module.exports = WhatsAppChannel;
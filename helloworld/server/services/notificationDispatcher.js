@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const TelegramService = require('./telegramService');
+const channels = require('./notificationChannels');
+const { t } = require('./telegramI18n');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Notification Dispatcher
+ * Fans a notification out to recipients over their channels (Telegram, SMS, WhatsApp, email,
+ * webhooks), retrying each delivery with exponential backoff and logging it to NotificationDelivery.
+ */
+class NotificationDispatcher {
+    constructor() {
+        this.MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 3;
+        this.RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS) || 2000; // 2s, 4s, 8s...
+        this.WEBHOOK_URLS = channels.webhook.URLS;
+
+        // Same state/crop/moisture combination is not re-sent within a minute
+        this.sentAlerts = new Map();
+        this.STATE_COOLDOWN_MS = 60000;
+    }
+
+    getChannel(name) {
+        return channels[name] || null;
+    }
+
+    getChannelStatus() {
+        return Object.values(channels).map(channel => ({
+            name: channel.name,
+            configured: channel.isConfigured(),
+            addressField: channel.addressField
+        }));
+    }
+
+    /**
+     * Client errors (bad number, unknown chat) won't succeed on retry; timeouts and 5xx might.
+     * SMTP is the other way round: 5xx replies are permanent, 4xx are temporary.
+     */
+    isPermanent(error) {
+        if (error.permanent) return true;
+        if (error.responseCode) return error.responseCode >= 500;
+        const status = error.response?.status;
+        return status >= 400 && status < 500 && status !== 408 && status !== 429;
+    }
+
+    async log(delivery, update) {
+        if (mongoose.connection.readyState !== 1) return delivery;
+        try {
+            if (!delivery) return await NotificationDelivery.create(update);
+            Object.assign(delivery, update);
+            return await delivery.save();
+        } catch (error) {
+            console.error('❌ Delivery log error:', error.message);
+            return delivery;
+        }
+    }
+
+    /**
+     * Send one message to one address, retrying with backoff
+     */
+    async deliver(recipient, message) {
+        const channel = this.getChannel(recipient.channel);
+        let delivery = await this.log(null, {
+            channel: recipient.channel,
+            address: recipient.address,
+            recipient: recipient.name,
+            subject: message.subject,
+            text: message.text,
+            event: message.event,
+            alertId: message.alertId,
+            fieldId: message.fieldId
+        });
+
+        if (!channel || !channel.isConfigured()) {
+            const lastError = channel ? `${channel.name} channel is not configured` : `Unknown channel ${recipient.channel}`;
+            await this.log(delivery, { status: 'Failed', lastError });
+            return { success: false, channel: recipient.channel, recipient: recipient.name, error: lastError, delivery };
+        }
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= this.MAX_ATTEMPTS; attempt++) {
+            try {
+                const result = await channel.send({
+                    address: recipient.address,
+                    subject: message.subject,
+                    text: message.text,
+                    payload: message.payload
+                });
+                delivery = await this.log(delivery, { status: 'Sent', attempts: attempt, sentAt: new Date(), providerId: result?.id, lastError: undefined });
+                return { success: true, channel: channel.name, recipient: recipient.name, delivery };
+            } catch (error) {
+                lastError = error.response?.data?.message || error.response?.data?.description || error.message;
+                delivery = await this.log(delivery, { attempts: attempt, lastError });
+                if (this.isPermanent(error) || attempt === this.MAX_ATTEMPTS) break;
+                await wait(this.RETRY_BASE_MS * Math.pow(2, attempt - 1));
+            }
+        }
+
+        console.error(`❌ ${channel.name} delivery to ${recipient.address} failed: ${lastError}`);
+        await this.log(delivery, { status: 'Failed' });
+        return { success: false, channel: channel.name, recipient: recipient.name, error: lastError, delivery };
+    }
+
+    /**
+     * Deliver a notification to every recipient.
+     * @param {Object} notification - { subject, event, alertId, fieldId, payload, render(channel, language) }
+     * @param {Array} recipients - [{ channel, address, name, language }]
+     */
+    async dispatch(notification, recipients) {
+        const results = await Promise.all(recipients.map(recipient => this.deliver(recipient, {
+            subject: notification.subject,
+            text: notification.render(recipient.channel, recipient.language || 'en'),
+            event: notification.event,
+            alertId: notification.alertId,
+            fieldId: notification.fieldId,
+            payload: notification.payload
+        })));
+        const sent = results.filter(r => r.success).length;
+        return { success: sent > 0, sent, failed: results.length - sent, total: results.length, results };
+    }
+
+    /**
+     * A contact's addresses on each of their channels that is set up
+     */
+    contactRecipients(contact, only = null) {
+        return (contact.channels?.length ? contact.channels : ['telegram'])
+            .filter(name => !only || only.includes(name))
+            .map(name => this.getChannel(name))
+            .filter(channel => channel?.addressField && contact[channel.addressField])
+            .map(channel => ({
+                channel: channel.name,
+                address: contact[channel.addressField],
+                name: contact.name,
+                language: contact.language || 'en'
+            }));
+    }
+
+    webhookRecipients() {
+        return this.WEBHOOK_URLS.map(url => ({ channel: 'webhook', address: url, name: 'webhook' }));
+    }
+
+    /**
+     * Short plain-text alert for SMS and WhatsApp
+     */
+    formatShortAlert(state, sensorData, recommendation, cropName, language = 'en') {
+        const title = state === 'critical' ? t(language, 'criticalAlert')
+            : state === 'caution' ? t(language, 'cautionAlert') : t(language, 'normalStatus');
+        const moisture = sensorData?.soil?.moisture;
+        let text = `${title}: ${cropName || sensorData?.cropType || ''}`.trim();
+        if (typeof moisture === 'number') text += ` – ${t(language, 'moisture')} ${moisture.toFixed(1)}%`;
+        if (recommendation?.action) {
+            text += `. ${t(language, 'action')}: ${recommendation.action}`;
+            if (recommendation.duration) text += ` ${recommendation.duration} ${t(language, 'minutes')}`;
+        }
+        return text;
+    }
+
+    /**
+     * Strip Telegram Markdown for channels that show plain text
+     */
+    plainText(markdown) {
+        return markdown.replace(/[*_`]/g, '');
+    }
+
+    /**
+     * Field state alert (critical, caution, or back to normal): Telegram subscribers, roster contacts on SMS/WhatsApp/email
+     * for the field, and configured webhooks
+     */
+    async sendStateAlert(state, sensorData, recommendation = null, cropName = null) {
+        // Use moisture-based key for cooldown (allows updates when moisture changes)
+        const moisture = sensorData?.soil?.moisture;
+        const alertKey = `${state}-${cropName || 'general'}-${moisture ? Math.floor(moisture) : 'unknown'}`;
+        const lastSent = this.sentAlerts.get(alertKey);
+        const now = Date.now();
+        if (lastSent && (now - lastSent) < this.STATE_COOLDOWN_MS) {
+            console.log(`⏭️ Alert ${alertKey} in cooldown, skipping`);
+            return { success: false, cooldown: true, message: 'Alert in cooldown' };
+        }
+
+        const fieldId = sensorData?.fieldId;
+        const cropType = cropName || sensorData?.cropType;
+        const recipients = (await TelegramService.getRecipients({
+            fieldId,
+            cropType,
+            severity: TelegramService.STATE_SEVERITY[state]
+        })).map(r => ({ channel: 'telegram', address: r.chatId, language: r.language }));
+
+        // Telegram reaches roster contacts through their subscriptions; the rest need their other channels
+        if (mongoose.connection.readyState === 1) {
+            const contacts = await Contact.find({ active: true });
+            contacts
+                .filter(c => !c.fieldIds?.length || !fieldId || c.fieldIds.some(id => id.equals(fieldId)))
+                .forEach(c => recipients.push(...this.contactRecipients(c, ['sms', 'whatsapp', 'email'])));
+        }
+        recipients.push(...this.webhookRecipients());
+
+        if (recipients.length === 0) {
+            return { success: false, total: 0, message: 'No recipients for this alert' };
+        }
+
+        const full = {};
+        const result = await this.dispatch({
+            subject: `[Tridentrix] ${state === 'normal' ? 'RECOVERED' : state.toUpperCase()} – ${cropType || 'field'}`,
+            event: `state:${state}`,
+            fieldId,
+            payload: {
+                event: 'state',
+                state,
+                cropType,
+                fieldId,
+                moisture,
+                temperature: sensorData?.weather?.temperature,
+                humidity: sensorData?.weather?.humidity,
+                recommendation: recommendation && {
+                    action: recommendation.action,
+                    reason: recommendation.reason,
+                    amount: recommendation.amount,
+                    duration: recommendation.duration
+                },
+                alerts: (sensorData?.alerts || []).map(a => ({ id: a._id, type: a.type, severity: a.severity, message: a.message }))
+            },
+            render: (channel, language) => {
+                if (channel === 'sms' || channel === 'whatsapp') {
+                    return this.formatShortAlert(state, sensorData, recommendation, cropType, language);
+                }
+                full[language] = full[language] || TelegramService.formatAlert(state, sensorData, recommendation, cropName, language);
+                return channel === 'telegram' ? full[language] : this.plainText(full[language]);
+            }
+        }, recipients);
+
+        if (result.success) {
+            this.sentAlerts.set(alertKey, now);
+        }
+        console.log(`📤 ${state} alert for ${cropType || 'general'}: ${result.sent}/${result.total} deliveries sent`);
+        return result;
+    }
+
+    /**
+     * Recent deliveries, newest first
+     */
+    async getDeliveries({ channel, status, alertId, limit = 50 } = {}) {
+        const query = {};
+        if (channel) query.channel = channel;
+        if (status) query.status = status;
+        if (alertId) query.alertId = alertId;
+        return NotificationDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+    }
+}
+
+// Export singleton instance
+module.exports = new NotificationDispatcher();
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const Firmware = require('../models/Firmware');
+const FirmwareRollout = require('../models/FirmwareRollout');
+const CommandQueue = require('./commandQueue');
+const DeviceRegistry = require('./deviceRegistry');
+const LiveStream = require('./liveStream');
+
+/**
+ * OTA Service
+ * Stores firmware images in GridFS and rolls them out in stages: a canary first, then a
+ * percentage of the targets, then all of them. A stage only advances once every device in it
+ * has installed the new version and stayed online for the health-check window; too many
+ * failures roll the updated devices back to the version they ran before.
+ */
+class OTAService {
+    constructor() {
+        this.MAX_SIZE = 4 * 1024 * 1024; // Largest OTA partition on our boards
+        this.IMAGE_MAGIC = 0xE9; // First byte of every ESP32 app image header
+        this.TICK_MS = 60000;
+        this.STAGES = ['canary', 'percentage', 'all'];
+        this.ACTIVE_STATUSES = ['Running', 'Paused'];
+        this.BASE_URL = process.env.OTA_BASE_URL || null; // Server address as the field nodes see it
+        this.interval = null;
+        this.running = false;
+    }
+
+    bucket() {
+        return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'firmware' });
+    }
+
+    /**
+     * Store a firmware image
+     * @param {Buffer} data - The .bin as built by the Arduino/ESP-IDF toolchain
+     */
+    async upload(data, { version, board, filename, notes, uploadedBy } = {}) {
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        const md5 = crypto.createHash('md5').update(data).digest('hex');
+        const name = filename || `firmware-${version}.bin`;
+
+        const fileId = await new Promise((resolve, reject) => {
+            const upload = this.bucket().openUploadStream(name, { metadata: { version, sha256 } });
+            upload.once('finish', () => resolve(upload.id));
+            upload.once('error', reject);
+            upload.end(data);
+        });
+
+        try {
+            return await Firmware.create({ version, board, filename: name, fileId, size: data.length, sha256, md5, notes, uploadedBy });
+        } catch (err) {
+            await this.bucket().delete(fileId).catch(() => {});
+            throw err;
+        }
+    }
+
+    openDownload(firmware) {
+        return this.bucket().openDownloadStream(firmware.fileId);
+    }
+
+    /**
+     * Delete an image unless a rollout still needs it (to install or to roll back to)
+     */
+    async remove(firmware) {
+        const inUse = await FirmwareRollout.exists({
+            status: { $in: this.ACTIVE_STATUSES },
+            $or: [{ version: firmware.version }, { 'devices.previousVersion': firmware.version }]
+        });
+        if (inUse) return { success: false, message: 'Firmware is used by an active rollout' };
+
+        await this.bucket().delete(firmware.fileId).catch(err => {
+            console.warn(`⚠️ Firmware file ${firmware.fileId} was already gone:`, err.message);
+        });
+        await Firmware.deleteOne({ _id: firmware._id });
+        return { success: true };
+    }
+
+    downloadUrl(baseUrl, version) {
+        return `${baseUrl}/api/esp32/firmware/${encodeURIComponent(version)}/download`;
+    }
+
+    /**
+     * Devices a rollout would update: active, on a matching board and not already on the version
+     */
+    async selectTargets(firmware, { deviceIds, fieldId } = {}) {
+        const query = { active: true, firmwareVersion: { $ne: firmware.version } };
+        if (deviceIds?.length) query.deviceId = { $in: deviceIds };
+        if (fieldId) query.fieldId = fieldId;
+        const devices = await Device.find(query).sort({ deviceId: 1 });
+        return devices.filter(d => !firmware.board || d.board === firmware.board);
+    }
+
+    /**
+     * Create a rollout and start its canary stage
+     * @param {Object} options - { deviceIds, fieldId, canaryCount, percentage, healthCheckMin, updateTimeoutMin, maxFailures, autoAdvance, baseUrl, createdBy }
+     */
+    async createRollout(firmware, options = {}, now = new Date()) {
+        const targets = await this.selectTargets(firmware, options);
+        if (targets.length === 0) {
+            return { success: false, message: 'No devices need this firmware' };
+        }
+
+        // A device takes part in one rollout at a time
+        const busy = await FirmwareRollout.find({
+            status: { $in: this.ACTIVE_STATUSES },
+            'devices.deviceId': { $in: targets.map(d => d.deviceId) }
+        }).select('version devices.deviceId');
+        if (busy.length > 0) {
+            return { success: false, message: `Devices already in an active rollout (${busy.map(r => r.version).join(', ')})` };
+        }
+
+        const settings = ['canaryCount', 'percentage', 'healthCheckMin', 'updateTimeoutMin', 'maxFailures', 'autoAdvance', 'createdBy']
+            .reduce((acc, key) => (options[key] !== undefined ? { ...acc, [key]: options[key] } : acc), {});
+        const rollout = new FirmwareRollout({
+            ...settings,
+            version: firmware.version,
+            firmwareId: firmware._id,
+            baseUrl: this.BASE_URL || options.baseUrl,
+            devices: targets.map(d => ({ deviceId: d.deviceId, previousVersion: d.firmwareVersion })),
+            history: [{ at: now, by: settings.createdBy, note: `Created for ${targets.length} device(s)` }]
+        });
+        await rollout.validate();
+
+        await this.startStage(rollout, 'canary', firmware, now);
+        console.log(`📦 Firmware ${firmware.version} rollout started: ${targets.length} device(s), canary ${rollout.canaryCount}`);
+        return { success: true, rollout };
+    }
+
+    /**
+     * How many devices should have been picked by the end of a stage
+     */
+    stageQuota(rollout, stage) {
+        const total = rollout.devices.length;
+        const canary = Math.min(rollout.canaryCount, total);
+        if (stage === 'canary') return canary;
+        if (stage === 'percentage') return Math.max(canary, Math.ceil(total * rollout.percentage / 100));
+        return total;
+    }
+
+    setEntry(rollout, entry, status, now, error) {
+        entry.status = status;
+        if (error) entry.error = error;
+        if (status === 'Installed') entry.installedAt = now;
+        if (status === 'Healthy') entry.healthyAt = now;
+        const version = status === 'RollingBack' || status === 'RolledBack' ? entry.previousVersion : rollout.version;
+        LiveStream.publishDevice(entry.deviceId, { firmware: { version, status, rolloutId: rollout._id } });
+        if (status === 'Failed') console.warn(`⚠️ OTA ${rollout.version} failed on ${entry.deviceId}: ${error}`);
+    }
+
+    /**
+     * Send the OTA command for `firmware` to one device through the command queue
+     */
+    async sendUpdate(rollout, entry, firmware, status, now) {
+        const command = await CommandQueue.enqueue(entry.deviceId, {
+            ota: {
+                version: firmware.version,
+                url: this.downloadUrl(rollout.baseUrl, firmware.version),
+                md5: firmware.md5,
+                sha256: firmware.sha256,
+                size: firmware.size
+            }
+        }, { issuedBy: `rollout:${rollout._id}`, ttlSec: rollout.updateTimeoutMin * 60 });
+
+        entry.commandId = command.commandId;
+        entry.startedAt = now;
+        if (command.status === 'Failed' || command.status === 'Expired') {
+            this.setEntry(rollout, entry, 'Failed', now, command.lastError);
+        } else {
+            this.setEntry(rollout, entry, status, now);
+        }
+    }
+
+    /**
+     * Move to `stage` and update devices until its quota is reached, online devices first
+     */
+    async startStage(rollout, stage, firmware, now = new Date(), by = 'system') {
+        rollout.stage = stage;
+        const picked = rollout.devices.filter(e => e.status !== 'Waiting').length;
+        const wanted = this.stageQuota(rollout, stage) - picked;
+
+        const waiting = rollout.devices.filter(e => e.status === 'Waiting');
+        const devices = await Device.find({ deviceId: { $in: waiting.map(e => e.deviceId) } });
+        const online = new Set(devices.filter(d => DeviceRegistry.getHealth(d, now) === 'online').map(d => d.deviceId));
+        const next = waiting
+            .sort((a, b) => Number(online.has(b.deviceId)) - Number(online.has(a.deviceId)))
+            .slice(0, Math.max(wanted, 0));
+
+        for (const entry of next) {
+            entry.stage = stage;
+            await this.sendUpdate(rollout, entry, firmware, 'Updating', now);
+        }
+        rollout.history.push({ at: now, by, note: `Stage ${stage}: ${next.length} device(s)` });
+        await rollout.save();
+        return rollout;
+    }
+
+    /**
+     * Device-reported OTA progress: { version, status: 'installed' | 'failed', error }
+     */
+    async report(deviceId, { version, status, error } = {}, now = new Date()) {
+        const rollout = await FirmwareRollout.findOne({
+            status: { $in: [...this.ACTIVE_STATUSES, 'RolledBack'] },
+            'devices.deviceId': deviceId
+        }).sort({ createdAt: -1 });
+        const entry = rollout?.devices.find(e => e.deviceId === deviceId);
+        if (!entry) return null;
+
+        if (entry.status === 'RollingBack') {
+            if (status === 'installed' && version === entry.previousVersion) this.setEntry(rollout, entry, 'RolledBack', now);
+            else if (status === 'failed') entry.error = `Rollback failed: ${error || 'unknown error'}`;
+        } else if (entry.status === 'Updating' && version === rollout.version) {
+            if (status === 'installed') this.setEntry(rollout, entry, 'Installed', now);
+            else if (status === 'failed') this.setEntry(rollout, entry, 'Failed', now, error || 'Device reported a failed update');
+        }
+        if (status === 'installed' && version) {
+            await Device.updateOne({ deviceId }, { $set: { firmwareVersion: version } });
+        }
+        await rollout.save();
+        return { rolloutId: rollout._id, deviceId, status: entry.status };
+    }
+
+    /**
+     * Check every updated device against its health window and what it reports
+     */
+    async evaluate(rollout, now = new Date()) {
+        const tracked = rollout.devices.filter(e => ['Updating', 'Installed', 'RollingBack'].includes(e.status));
+        const devices = new Map((await Device.find({ deviceId: { $in: tracked.map(e => e.deviceId) } })).map(d => [d.deviceId, d]));
+        const commands = new Map((await DeviceCommand.find({ commandId: { $in: tracked.map(e => e.commandId).filter(Boolean) } }))
+            .map(c => [c.commandId, c]));
+
+        for (const entry of tracked) {
+            const device = devices.get(entry.deviceId);
+            const command = commands.get(entry.commandId);
+            if (!device) {
+                this.setEntry(rollout, entry, 'Failed', now, 'Device was removed');
+                continue;
+            }
+
+            if (entry.status === 'RollingBack') {
+                if (device.firmwareVersion === entry.previousVersion) this.setEntry(rollout, entry, 'RolledBack', now);
+            } else if (entry.status === 'Updating') {
+                if (device.firmwareVersion === rollout.version) {
+                    this.setEntry(rollout, entry, 'Installed', now);
+                } else if (command && ['Failed', 'Expired'].includes(command.status)) {
+                    this.setEntry(rollout, entry, 'Failed', now, command.lastError || `Command ${command.status.toLowerCase()}`);
+                } else if (now - entry.startedAt > rollout.updateTimeoutMin * 60000) {
+                    this.setEntry(rollout, entry, 'Failed', now, `Not installed within ${rollout.updateTimeoutMin} min`);
+                }
+            } else if (DeviceRegistry.getHealth(device, now) === 'offline') {
+                this.setEntry(rollout, entry, 'Failed', now, 'Went offline after the update');
+            } else if (device.firmwareVersion !== rollout.version) {
+                // The bootloader falls back to the old partition when the new image keeps crashing
+                this.setEntry(rollout, entry, 'Failed', now, `Reverted to ${device.firmwareVersion || 'unknown version'}`);
+            } else if (now - entry.installedAt >= rollout.healthCheckMin * 60000) {
+                this.setEntry(rollout, entry, 'Healthy', now);
+            }
+        }
+
+        if (rollout.status === 'Running') {
+            const failures = rollout.devices.filter(e => e.status === 'Failed').length;
+            if (failures > rollout.maxFailures) {
+                return this.rollback(rollout, `${failures} device(s) failed the update`, 'system', now);
+            }
+
+            const picked = rollout.devices.filter(e => e.status !== 'Waiting');
+            const stageDone = picked.every(e => e.status === 'Healthy' || e.status === 'Failed');
+            if (stageDone && picked.length === rollout.devices.length) {
+                rollout.status = 'Completed';
+                rollout.completedAt = now;
+                rollout.history.push({ at: now, note: `Completed: ${picked.filter(e => e.status === 'Healthy').length} device(s) on ${rollout.version}` });
+                console.log(`✅ Firmware ${rollout.version} rollout completed`);
+            } else if (stageDone && rollout.autoAdvance) {
+                return this.advance(rollout, 'system', now);
+            }
+        }
+        return rollout.save();
+    }
+
+    /**
+     * Start the next stage (canary → percentage → all)
+     */
+    async advance(rollout, by = 'dashboard', now = new Date()) {
+        const next = this.STAGES[this.STAGES.indexOf(rollout.stage) + 1];
+        if (!next) return rollout.save();
+        const firmware = await Firmware.findById(rollout.firmwareId);
+        if (!firmware) {
+            rollout.status = 'Paused';
+            rollout.history.push({ at: now, by, note: 'Paused: firmware image was deleted' });
+            return rollout.save();
+        }
+        console.log(`📦 Firmware ${rollout.version} rollout advancing to ${next}`);
+        return this.startStage(rollout, next, firmware, now, by);
+    }
+
+    /**
+     * Stop the rollout and reinstall the previous version on every device that received the new one
+     */
+    async rollback(rollout, reason, by = 'dashboard', now = new Date()) {
+        rollout.status = 'RolledBack';
+        rollout.completedAt = now;
+        rollout.history.push({ at: now, by, note: `Rollback: ${reason}` });
+        console.warn(`⏪ Rolling back firmware ${rollout.version}: ${reason}`);
+
+        const affected = rollout.devices.filter(e => ['Updating', 'Installed', 'Healthy', 'Failed'].includes(e.status));
+        await CommandQueue.cancel(affected.map(e => e.commandId).filter(Boolean));
+
+        const devices = new Map((await Device.find({ deviceId: { $in: affected.map(e => e.deviceId) } })).map(d => [d.deviceId, d]));
+        const images = new Map();
+        for (const entry of affected) {
+            // Only devices that actually run the new version need to go back
+            const onNewVersion = entry.status === 'Installed' || entry.status === 'Healthy' ||
+                devices.get(entry.deviceId)?.firmwareVersion === rollout.version;
+            if (!onNewVersion) {
+                if (entry.status === 'Updating') this.setEntry(rollout, entry, 'Cancelled', now);
+                continue;
+            }
+            if (!entry.previousVersion) {
+                entry.error = 'Previous version unknown; cannot roll back';
+                continue;
+            }
+            if (!images.has(entry.previousVersion)) {
+                images.set(entry.previousVersion, await Firmware.findOne({ version: entry.previousVersion }));
+            }
+            const previous = images.get(entry.previousVersion);
+            if (!previous) {
+                entry.error = `Firmware ${entry.previousVersion} is not on the server; cannot roll back`;
+                continue;
+            }
+            await this.sendUpdate(rollout, entry, previous, 'RollingBack', now);
+        }
+        return rollout.save();
+    }
+
+    async setStatus(rollout, status, by = 'dashboard', now = new Date()) {
+        if (status === 'Cancelled') {
+            const updating = rollout.devices.filter(e => e.status === 'Updating');
+            await CommandQueue.cancel(updating.map(e => e.commandId).filter(Boolean));
+            updating.forEach(entry => this.setEntry(rollout, entry, 'Cancelled', now));
+            rollout.completedAt = now;
+        }
+        rollout.status = status;
+        rollout.history.push({ at: now, by, note: status });
+        return rollout.save();
+    }
+
+    async tick(now = new Date()) {
+        if (this.running || mongoose.connection.readyState !== 1) return 0;
+        this.running = true;
+        try {
+            // Rolled-back rollouts are still watched until their devices report the old version
+            const rollouts = await FirmwareRollout.find({
+                $or: [{ status: 'Running' }, { status: 'Paused' }, { status: 'RolledBack', 'devices.status': 'RollingBack' }]
+            });
+            for (const rollout of rollouts) {
+                try {
+                    await this.evaluate(rollout, now);
+                } catch (err) {
+                    console.error(`❌ Rollout ${rollout._id} evaluation failed:`, err.message);
+                }
+            }
+            return rollouts.length;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => {
+            this.tick().catch(err => console.error('❌ OTA rollout error:', err.message));
+        }, this.TICK_MS);
+        console.log('📦 Firmware rollout monitor started');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new OTAService();
@@ -0,0 +1,193 @@
+const moment = require('moment');
+const Field = require('../models/Field');
+const SensorData = require('../models/SensorData');
+const IrrigationSession = require('../models/IrrigationSession');
+const IrrigationDeferral = require('../models/IrrigationDeferral');
+const WaterBalanceService = require('./waterBalance');
+
+/**
+ * Rain Deferral Service
+ * Records "wait for the forecast rain" decisions, checks afterwards whether the rain came
+ * (rain gauge, else inferred from soil moisture) and flags misses so irrigation falls back.
+ */
+class RainDeferralService {
+    constructor() {
+        this.ARRIVED_RATIO = 0.8; // Observed/expected rain counted as the forecast coming true
+        this.PARTIAL_RATIO = 0.2; // Below this share the rain is treated as missed
+        this.FALLBACK_WINDOW_MS = 24 * 60 * 60 * 1000; // How long after a miss the fallback stays due
+        this.CHECK_INTERVAL_MS = 15 * 60 * 1000;
+        this.interval = null;
+    }
+
+    /**
+     * Store a Delay recommendation's deferral, unless the field already has one pending
+     */
+    async record(field, recommendation) {
+        const pending = await IrrigationDeferral.findOne({ fieldId: field._id, status: 'Pending' });
+        if (pending) return pending;
+
+        const { deferral } = recommendation;
+        const saved = await IrrigationDeferral.create({
+            fieldId: field._id,
+            deferUntil: deferral.deferUntil,
+            horizonHours: deferral.horizonHours,
+            deficit: deferral.deficit,
+            etc: recommendation.et,
+            forecastRain: deferral.forecastRain,
+            expectedRain: deferral.expectedRain,
+            provider: deferral.provider,
+            reason: recommendation.reason
+        });
+        console.log(`🌧️ Irrigation deferred for ${field.name}: ${deferral.expectedRain} mm expected within ${deferral.horizonHours}h`);
+        return saved;
+    }
+
+    /**
+     * Rain that fell on a field between two times, in mm
+     * @returns {Promise<Object>} { mm, source } - mm is null when nothing could be measured
+     */
+    async getObservedRain(field, deferral, from, to) {
+        const gauge = await SensorData.find({
+            fieldId: field._id,
+            timestamp: { $gt: from, $lte: to },
+            'weather.rainfall': { $ne: null }
+        }).select('weather.rainfall').lean();
+        if (gauge.length > 0) {
+            const mm = gauge.reduce((sum, r) => sum + (r.weather.rainfall || 0), 0);
+            return { mm: Math.round(mm * 10) / 10, source: 'Rain Gauge' };
+        }
+
+        // No gauge: rain is whatever refilled the root zone beyond irrigation, after ET losses
+        const readings = await SensorData.find({
+            fieldId: field._id,
+            timestamp: { $gte: from, $lte: to },
+            'soil.moisture': { $ne: null }
+        }).sort({ timestamp: 1 }).select('timestamp soil.moisture').lean();
+        if (readings.length < 2) return { mm: null, source: 'None' };
+
+        const params = WaterBalanceService.getParameters(field);
+        const first = readings[0];
+        const last = readings[readings.length - 1];
+        const elapsedDays = (last.timestamp - first.timestamp) / (24 * 60 * 60 * 1000);
+        const sessions = await IrrigationSession.find({
+            fieldId: field._id,
+            startedAt: { $gte: first.timestamp, $lte: last.timestamp }
+        });
+        const irrigated = sessions.reduce((sum, s) => sum + (s.liters || 0), 0) / (field.area || 1);
+
+        const mm = WaterBalanceService.depletionFromMoisture(first.soil.moisture, params) -
+            WaterBalanceService.depletionFromMoisture(last.soil.moisture, params) +
+            (deferral.etc || 0) * elapsedDays - irrigated;
+        return { mm: Math.max(0, Math.round(mm * 10) / 10), source: 'Soil Moisture' };
+    }
+
+    /**
+     * Settle a pending deferral once the rain has come, or once its window has passed
+     */
+    async evaluate(deferral, now = new Date()) {
+        if (deferral.status !== 'Pending') return deferral;
+
+        const field = await Field.findById(deferral.fieldId);
+        if (!field) return deferral;
+
+        const windowEnd = now < deferral.deferUntil ? now : deferral.deferUntil;
+        const observed = await this.getObservedRain(field, deferral, deferral.decidedAt, windowEnd);
+        const expected = deferral.expectedRain || 0;
+        const arrived = observed.mm !== null && observed.mm >= expected * this.ARRIVED_RATIO;
+
+        if (!arrived && now < deferral.deferUntil) return deferral;
+
+        deferral.observedRain = observed.mm;
+        deferral.observedSource = observed.source;
+        deferral.resolvedAt = now;
+        if (observed.mm === null) {
+            deferral.status = 'Unverified';
+        } else if (arrived) {
+            deferral.status = 'Rain Arrived';
+        } else {
+            deferral.status = observed.mm >= expected * this.PARTIAL_RATIO ? 'Partial' : 'Rain Missed';
+        }
+        await deferral.save();
+
+        console.log(`🌧️ Deferral for ${field.name} resolved: ${deferral.status} (${observed.mm ?? '?'} of ${expected} mm)`);
+        return deferral;
+    }
+
+    /**
+     * Evaluate the field's latest deferral and report whether irrigation must fall back now
+     * @returns {Promise<Object>} { deferral, pending, fallbackDue }
+     */
+    async checkField(field, now = new Date()) {
+        let deferral = await IrrigationDeferral.findOne({ fieldId: field._id }).sort({ decidedAt: -1 });
+        if (!deferral) return { deferral: null, pending: false, fallbackDue: false };
+
+        deferral = await this.evaluate(deferral, now);
+        const fallbackDue = ['Partial', 'Rain Missed', 'Unverified'].includes(deferral.status) &&
+            !deferral.fallbackSessionId &&
+            now - deferral.resolvedAt < this.FALLBACK_WINDOW_MS;
+        return { deferral, pending: deferral.status === 'Pending', fallbackDue };
+    }
+
+    /**
+     * Link the irrigation run that replaced the missing rain
+     */
+    async markFallback(deferral, sessionId) {
+        deferral.fallbackSessionId = sessionId;
+        await deferral.save();
+    }
+
+    /**
+     * How often deferrals paid off and how far the forecasts were off
+     */
+    async getStats({ fieldId, days = 30 } = {}) {
+        const query = { decidedAt: { $gte: moment().subtract(days, 'days').toDate() } };
+        if (fieldId) query.fieldId = fieldId;
+        const deferrals = await IrrigationDeferral.find(query).lean();
+
+        const byStatus = deferrals.reduce((counts, d) => {
+            counts[d.status] = (counts[d.status] || 0) + 1;
+            return counts;
+        }, {});
+        const verified = deferrals.filter(d => ['Rain Arrived', 'Partial', 'Rain Missed'].includes(d.status));
+        const errors = verified.map(d => d.observedRain - (d.expectedRain || 0));
+
+        return {
+            days,
+            total: deferrals.length,
+            byStatus,
+            verified: verified.length,
+            forecastHitRate: verified.length ? Math.round((byStatus['Rain Arrived'] || 0) / verified.length * 100) : null,
+            forecastMissRate: verified.length ? Math.round((byStatus['Rain Missed'] || 0) / verified.length * 100) : null,
+            meanErrorMm: errors.length ? Math.round(errors.reduce((a, b) => a + b, 0) / errors.length * 10) / 10 : null,
+            meanAbsErrorMm: errors.length ? Math.round(errors.reduce((a, b) => a + Math.abs(b), 0) / errors.length * 10) / 10 : null,
+            fallbackIrrigations: deferrals.filter(d => d.fallbackSessionId).length
+        };
+    }
+
+    /**
+     * Settle deferrals in the background so outcomes are recorded even without auto irrigation
+     */
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(async () => {
+            try {
+                const pending = await IrrigationDeferral.find({ status: 'Pending' });
+                for (const deferral of pending) {
+                    await this.evaluate(deferral);
+                }
+            } catch (err) {
+                console.error('❌ Deferral check error:', err.message);
+            }
+        }, this.CHECK_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new RainDeferralService();
@@ -1,68 +1,334 @@
 const fs = require('fs');
 const path = require('path');
 const SensorData = require('../models/SensorData');
+const DatasetReader = require('./datasetReader');
+const LiveStream = require('./liveStream');
+const StatusMonitor = require('./statusMonitor');
 
 /**
  * Simulation Engine
- * Updated to use the JSON dataset (csvjson.json).
+ * Replays a historical dataset (csvjson.json, a JSON/CSV file from REPLAY_DATA_DIR, rows sent
+ * with the request, or a window of a field's own history) into a field as live SensorData.
+ * Each replay has its own clock that can be paused, seeked and sped up; rows keep their
+ * original spacing when they carry timestamps.
  */
 class SimulationEngine {
     constructor() {
         this.jsonPath = path.join(__dirname, '..', 'csvjson.json');
-        this.data = [];
-        this.currentIndex = 0;
-        this.loadJSON();
+        this.dataDir = path.resolve(__dirname, '..', process.env.REPLAY_DATA_DIR || 'datasets');
+        this.TICK_MS = 1000;
+        this.DEFAULT_INTERVAL_SEC = 900; // Spacing for rows without timestamps
+        this.MAX_ROWS = 100000;
+        this.MAX_ROWS_PER_TICK = 50; // At high speeds the replay catches up over several ticks
+        this.IDLE_TTL_MS = 30 * 60 * 1000; // Paused or finished replays are dropped after this, handing the field back to synthesis
+        this.replays = new Map(); // fieldId -> replay
+        this.interval = null;
+        this.ticking = false;
     }
 
-    loadJSON() {
-        try {
-            if (!fs.existsSync(this.jsonPath)) {
-                console.warn(`⚠️ Warning: Dataset file not found at ${this.jsonPath}`);
+    /**
+     * Datasets that can be replayed by name
+     */
+    listDatasets() {
+        const files = fs.existsSync(this.dataDir)
+            ? fs.readdirSync(this.dataDir).filter(f => /\.(json|csv)$/i.test(f))
+            : [];
+        return [
+            { name: 'csvjson.json', builtIn: true },
+            ...files.map(name => ({ name, size: fs.statSync(path.join(this.dataDir, name)).size }))
+        ];
+    }
+
+    resolveDataset(name) {
+        if (name === 'csvjson.json') return this.jsonPath;
+        if (!name || path.basename(name) !== name || !/\.(json|csv)$/i.test(name)) {
+            throw new Error(`Invalid dataset name: ${name}`);
+        }
+        const filePath = path.join(this.dataDir, name);
+        if (!fs.existsSync(filePath)) throw new Error(`Dataset not found: ${name}`);
+        return filePath;
+    }
+
+    /**
+     * Load rows and place them on the replay timeline
+     * @param {Object} source - { dataset } | { rows } | { csv } | { history: { fieldId, from, to } }
+     * @returns {Promise<Object>} { name, rows: [{ reading, offsetMs, originalTime }], skipped }
+     */
+    async loadSource(source, { intervalSec = this.DEFAULT_INTERVAL_SEC } = {}) {
+        let name;
+        let flat;
+        if (source.history) {
+            const { fieldId, from, to } = source.history;
+            const query = { fieldId, timestamp: { $gte: new Date(from), $lte: to ? new Date(to) : new Date() } };
+            const docs = await SensorData.find(query).sort({ timestamp: 1 }).limit(this.MAX_ROWS).lean();
+            name = `history:${fieldId}`;
+            flat = docs.map(doc => DatasetReader.flatten({ timestamp: doc.timestamp, soil: doc.soil, weather: doc.weather }));
+        } else if (source.rows) {
+            name = 'inline';
+            flat = source.rows.map(row => DatasetReader.flatten(row));
+        } else if (source.csv) {
+            name = 'inline.csv';
+            flat = DatasetReader.parseCsv(source.csv, { maxRows: this.MAX_ROWS });
+        } else {
+            name = source.dataset || 'csvjson.json';
+            flat = DatasetReader.readFile(this.resolveDataset(name), { maxRows: this.MAX_ROWS });
+        }
+        if (flat.length > this.MAX_ROWS) {
+            throw new Error(`Dataset too large. Maximum ${this.MAX_ROWS} rows.`);
+        }
+
+        const mapping = DatasetReader.suggestMapping(Object.keys(flat[0] || {}));
+        let skipped = 0;
+        const rows = [];
+        flat.forEach(row => {
+            const { reading } = DatasetReader.toReading(row, mapping);
+            // SensorData needs a moisture value
+            if (typeof reading.soil.moisture !== 'number') {
+                skipped += 1;
                 return;
             }
-            const content = fs.readFileSync(this.jsonPath, 'utf8');
-            this.data = JSON.parse(content);
-            console.log(`✅ Loaded ${this.data.length} records from JSON.`);
-        } catch (err) {
-            console.error("❌ Error loading JSON dataset:", err);
+            rows.push(reading);
+        });
+
+        // Timestamped rows keep their spacing; others are spread evenly
+        const timed = rows.length > 0 && rows.every(r => r.timestamp instanceof Date);
+        if (timed) rows.sort((a, b) => a.timestamp - b.timestamp);
+        const start = timed ? rows[0].timestamp.getTime() : 0;
+        return {
+            name,
+            skipped,
+            rows: rows.map((reading, i) => ({
+                reading,
+                originalTime: reading.timestamp || null,
+                offsetMs: timed ? reading.timestamp.getTime() - start : i * intervalSec * 1000
+            }))
+        };
+    }
+
+    /**
+     * Start replaying into a field, replacing any replay already running there
+     * @param {Object} options - { speed (dataset seconds per real second), loop, intervalSec }
+     */
+    async start(field, source = {}, { speed = 60, loop = false, intervalSec } = {}, now = new Date()) {
+        const loaded = await this.loadSource(source, { intervalSec: intervalSec || this.DEFAULT_INTERVAL_SEC });
+        if (loaded.rows.length === 0) {
+            return { success: false, message: `No replayable rows in ${loaded.name} (${loaded.skipped} without moisture)` };
         }
+        const duration = loaded.rows[loaded.rows.length - 1].offsetMs;
+        if (loop && duration <= 0) {
+            return { success: false, message: `${loaded.name} spans no time, so it cannot be looped` };
+        }
+
+        const replay = {
+            fieldId: field._id.toString(),
+            field,
+            dataset: loaded.name,
+            rows: loaded.rows,
+            skipped: loaded.skipped,
+            duration,
+            cursor: 0,
+            speed,
+            loop,
+            state: 'playing',
+            anchor: { realAt: now.getTime(), position: 0 },
+            idleSince: null,
+            emitted: 0,
+            startedAt: now,
+            lastError: null
+        };
+        this.replays.set(replay.fieldId, replay);
+        this.ensureRunning();
+        console.log(`⏯️ Replay of ${loaded.name} started for ${field.name}: ${loaded.rows.length} rows at ${speed}x`);
+        return { success: true, replay: this.describe(replay, now) };
+    }
+
+    /**
+     * Dataset time (ms from the first row) the replay has reached
+     */
+    position(replay, now = new Date()) {
+        if (replay.state !== 'playing') return replay.anchor.position;
+        return replay.anchor.position + (now.getTime() - replay.anchor.realAt) * replay.speed;
+    }
+
+    reanchor(replay, position, now = new Date()) {
+        replay.anchor = { realAt: now.getTime(), position: Math.max(0, Math.min(position, replay.duration)) };
     }
 
-    async step() {
-        if (this.data.length === 0) return null;
+    get(fieldId) {
+        return this.replays.get(String(fieldId)) || null;
+    }
+
+    isReplaying(fieldId) {
+        const replay = this.get(fieldId);
+        return !!replay && replay.state !== 'finished';
+    }
 
-        const row = this.data[this.currentIndex];
-        this.currentIndex = (this.currentIndex + 1) % this.data.length;
+    pause(replay, now = new Date()) {
+        if (replay.state === 'playing') {
+            this.reanchor(replay, this.position(replay, now), now);
+            replay.state = 'paused';
+            replay.idleSince = now;
+        }
+        return this.describe(replay, now);
+    }
 
+    resume(replay, now = new Date()) {
+        if (replay.state === 'finished') {
+            replay.cursor = 0;
+            this.reanchor(replay, 0, now);
+        } else {
+            this.reanchor(replay, replay.anchor.position, now);
+        }
+        replay.state = 'playing';
+        replay.idleSince = null;
+        this.ensureRunning();
+        return this.describe(replay, now);
+    }
+
+    /**
+     * Jump to a row, a share of the dataset or an original timestamp
+     * @param {Object} target - { index } | { percent } | { time }
+     */
+    seek(replay, { index, percent, time }, now = new Date()) {
+        let position;
+        if (index !== undefined) {
+            position = replay.rows[Math.max(0, Math.min(replay.rows.length - 1, Number(index)))].offsetMs;
+        } else if (percent !== undefined) {
+            position = replay.duration * Math.max(0, Math.min(100, Number(percent))) / 100;
+        } else {
+            const first = replay.rows[0].originalTime;
+            if (!first) throw new Error('This dataset has no timestamps; seek by index or percent');
+            position = new Date(time).getTime() - first.getTime();
+        }
+        if (!Number.isFinite(position)) throw new Error('Invalid seek target');
+
+        this.reanchor(replay, position, now);
+        replay.cursor = replay.rows.findIndex(row => row.offsetMs >= replay.anchor.position);
+        if (replay.cursor === -1) replay.cursor = replay.rows.length - 1;
+        if (replay.state === 'finished') replay.state = 'paused';
+        if (replay.state === 'paused') replay.idleSince = now;
+        return this.describe(replay, now);
+    }
+
+    setSpeed(replay, speed, now = new Date()) {
+        this.reanchor(replay, this.position(replay, now), now);
+        replay.speed = speed;
+        return this.describe(replay, now);
+    }
+
+    stop(replay) {
+        this.replays.delete(replay.fieldId);
+        console.log(`⏹️ Replay of ${replay.dataset} stopped for ${replay.field.name}`);
+        if (this.replays.size === 0 && this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Store one dataset row as a live reading for the replay's field, stamped with the moment
+     * the replay clock reached it so sped-up rows do not all share one timestamp
+     */
+    async emit(replay, row, now = new Date()) {
+        const dueAt = replay.anchor.realAt + (row.offsetMs - replay.anchor.position) / replay.speed;
+        const { field } = replay;
+        const { reading } = row;
         const data = new SensorData({
-            soil: {
-                moisture: row["Moisture"],
-                ph: 6.5,
-                temp: row["Temparature"] - 2,
-                nitrogen: row["Nitrogen"],
-                phosphorus: row["Phosphorous"],
-                potassium: row["Potassium"],
-                soilType: row["Soil Type"]
-            },
-            weather: {
-                temperature: row["Temparature"],
-                humidity: row["Humidity"],
-                chanceOfRain: 0,
-                windSpeed: 0,
-                solarRadiation: 400
-            },
-            cropType: row["Crop Type"],
-            fertilizerName: row["Fertilizer Name"],
+            soil: { ...reading.soil, soilType: reading.soil.soilType || field.soilType },
+            weather: reading.weather,
+            fieldId: field._id,
+            cropId: field.cropId,
+            cropType: field.cropType,
+            fertilizerName: reading.fertilizerName,
+            timestamp: new Date(Math.min(now.getTime(), Math.max(replay.anchor.realAt, dueAt))),
             isSimulated: true
         });
-
-        // We don't save to DB here anymore as we rely on the seed script for history
-        // But we return it for the local "live" view if needed
+        await data.save();
+        LiveStream.publishReading(data);
+        StatusMonitor.queueEvaluation(data);
+        replay.emitted += 1;
         return data;
     }
 
-    setIrrigation(status) {
-        this.isIrrigating = status;
+    /**
+     * Emit every row the replay clocks have passed, and drop replays left idle past IDLE_TTL_MS
+     */
+    async tick(now = new Date()) {
+        for (const replay of [...this.replays.values()]) {
+            if (replay.state !== 'playing') {
+                if (replay.idleSince && now - replay.idleSince >= this.IDLE_TTL_MS) {
+                    console.log(`⌛ Replay of ${replay.dataset} for ${replay.field.name} was idle too long`);
+                    this.stop(replay);
+                }
+                continue;
+            }
+            const position = this.position(replay, now);
+            let sent = 0;
+            try {
+                while (replay.cursor < replay.rows.length && replay.rows[replay.cursor].offsetMs <= position && sent < this.MAX_ROWS_PER_TICK) {
+                    await this.emit(replay, replay.rows[replay.cursor], now);
+                    replay.cursor += 1;
+                    sent += 1;
+                }
+                replay.lastError = null;
+            } catch (err) {
+                replay.lastError = err.message;
+                console.error(`❌ Replay emit failed for ${replay.field.name}:`, err.message);
+                continue;
+            }
+
+            if (replay.cursor >= replay.rows.length) {
+                if (replay.loop) {
+                    replay.cursor = 0;
+                    this.reanchor(replay, 0, now);
+                } else {
+                    replay.state = 'finished';
+                    replay.idleSince = now;
+                    this.reanchor(replay, replay.duration, now);
+                    console.log(`✅ Replay of ${replay.dataset} finished for ${replay.field.name}`);
+                }
+            }
+        }
+    }
+
+    ensureRunning() {
+        if (this.interval) return;
+        this.interval = setInterval(() => {
+            // Saving a batch can outlast TICK_MS; overlapping ticks would emit the same rows twice
+            if (this.ticking) return;
+            this.ticking = true;
+            this.tick()
+                .catch(err => console.error('❌ Replay error:', err.message))
+                .finally(() => { this.ticking = false; });
+        }, this.TICK_MS);
+    }
+
+    describe(replay, now = new Date()) {
+        const row = replay.rows[Math.min(replay.cursor, replay.rows.length - 1)];
+        const position = this.position(replay, now);
+        return {
+            fieldId: replay.fieldId,
+            fieldName: replay.field.name,
+            dataset: replay.dataset,
+            state: replay.state,
+            speed: replay.speed,
+            loop: replay.loop,
+            rows: replay.rows.length,
+            skipped: replay.skipped,
+            index: replay.cursor,
+            emitted: replay.emitted,
+            positionSec: Math.round(position / 1000),
+            durationSec: Math.round(replay.duration / 1000),
+            progress: replay.duration > 0 ? Math.round(Math.min(position, replay.duration) / replay.duration * 1000) / 10 : 100,
+            nextRowTime: row.originalTime,
+            startedAt: replay.startedAt,
+            expiresAt: replay.idleSince ? new Date(replay.idleSince.getTime() + this.IDLE_TTL_MS) : null,
+            lastError: replay.lastError
+        };
+    }
+
+    list(now = new Date()) {
+        return [...this.replays.values()].map(replay => this.describe(replay, now));
     }
 }
 
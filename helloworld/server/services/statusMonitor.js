@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Crop = require('../models/Crop');
+const Field = require('../models/Field');
+const SensorData = require('../models/SensorData');
+const FieldStatus = require('../models/FieldStatus');
+const Device = require('../models/Device');
+const IntelligenceService = require('./intelligence');
+const AlertService = require('./alertService');
+const ESP32Service = require('./esp32Service');
+const EscalationService = require('./escalationService');
+const NotificationDispatcher = require('./notificationDispatcher');
+const LiveStream = require('./liveStream');
+
+/**
+ * Status Monitor
+ * Evaluates every field on a schedule: syncs alerts, drives the ESP32 and notifies on state
+ * transitions (entering caution/critical, escalating, recovering), so GET /api/status only reads.
+ * New readings also queue their own field for evaluation, so a leak reaches dashboards and
+ * phones within seconds rather than at the next tick.
+ */
+class StatusMonitor {
+    constructor() {
+        this.INTERVAL_MS = (Number(process.env.STATUS_EVAL_INTERVAL_SEC) || 60) * 1000;
+        this.STATE_RANK = { normal: 0, caution: 1, critical: 2 };
+        this.interval = null;
+        this.running = false;
+        this.lastRunAt = null;
+        this.INGEST_DELAY_MS = 2000; // Readings arriving together are evaluated once
+        this.queued = new Map(); // scopeKey -> timer
+        this.evaluating = new Map(); // scopeKey -> running evaluation, so a scope never runs twice at once
+    }
+
+    /**
+     * Moisture band for a reading (simple and reliable)
+     */
+    classifyMoisture(moisture) {
+        if (moisture === undefined || moisture === null) return 'normal';
+        if (moisture >= 40 && moisture <= 60) return 'normal';
+        if ((moisture >= 30 && moisture < 40) || (moisture > 60 && moisture <= 75)) return 'caution';
+        return 'critical';
+    }
+
+    /**
+     * Status for the latest reading matching `query`, without side effects.
+     * Returns null when there is no data.
+     */
+    async buildStatus(query = {}) {
+        const latestData = await SensorData.findOne(query).sort({ timestamp: -1 });
+        if (!latestData) return null;
+
+        // Fetch recent history for anomaly detection
+        const recentHistory = await SensorData.find(query)
+            .sort({ timestamp: -1 })
+            .limit(50);
+
+        const crop = await Crop.findOne({ name: latestData.cropType }) || await Crop.findOne();
+        const field = latestData.fieldId ? await Field.findById(latestData.fieldId) : null;
+
+        // Enhance weather data with the field's (cached) provider weather
+        const enhancedWeather = await IntelligenceService.fetchWeatherData(field);
+        latestData.weather = { ...latestData.weather, ...enhancedWeather };
+
+        const recommendation = await IntelligenceService.generateRecommendation(latestData, crop, recentHistory, field);
+        const anomalies = await IntelligenceService.detectAnomalies(recentHistory, latestData, crop);
+        const waterSavings = await IntelligenceService.calculateWaterSavings(recentHistory, recommendation);
+        const yieldHealth = await IntelligenceService.predictYieldHealth(latestData, crop);
+
+        return {
+            latestData,
+            recentHistory,
+            field,
+            crop,
+            recommendation,
+            anomalies,
+            waterSavings,
+            yieldHealth,
+            weather: enhancedWeather,
+            state: this.classifyMoisture(latestData.soil?.moisture)
+        };
+    }
+
+    /**
+     * What to evaluate: every active field, plus each crop with readings not tied to a field
+     */
+    async getScopes() {
+        const fields = await Field.find({ active: true }).select('_id name cropType');
+        const scopes = fields.map(f => this.fieldScope(f._id, f.cropType));
+        const crops = await SensorData.distinct('cropType', { fieldId: null });
+        crops.filter(Boolean).forEach(cropType => scopes.push(this.cropScope(cropType)));
+        return scopes;
+    }
+
+    fieldScope(fieldId, cropType) {
+        return { key: `field:${fieldId}`, query: { fieldId }, fieldId, cropType };
+    }
+
+    cropScope(cropType) {
+        return { key: `crop:${cropType}`, query: { fieldId: null, cropType }, cropType };
+    }
+
+    /**
+     * Evaluate a scope after any evaluation of it already running
+     */
+    runScope(scope, now = null) {
+        const previous = this.evaluating.get(scope.key) || Promise.resolve();
+        const run = previous.catch(() => null).then(() => this.evaluate(scope, now || new Date()));
+        this.evaluating.set(scope.key, run);
+        const done = () => {
+            if (this.evaluating.get(scope.key) === run) this.evaluating.delete(scope.key);
+        };
+        run.then(done, done);
+        return run;
+    }
+
+    /**
+     * Evaluate the field (or crop) a new reading belongs to shortly, without waiting for the tick
+     */
+    queueEvaluation(reading) {
+        if (!this.interval || mongoose.connection.readyState !== 1) return;
+        const scope = reading.fieldId ? this.fieldScope(reading.fieldId, reading.cropType)
+            : reading.cropType ? this.cropScope(reading.cropType) : null;
+        if (!scope || this.queued.has(scope.key)) return;
+
+        this.queued.set(scope.key, setTimeout(() => {
+            this.queued.delete(scope.key);
+            this.runScope(scope).catch(err => console.error(`❌ Status evaluation failed for ${scope.key}:`, err.message));
+        }, this.INGEST_DELAY_MS));
+    }
+
+    /**
+     * Which notification (if any) a state change calls for.
+     * Worse than what people last heard about → alert; back to normal → recovery; better but
+     * not normal (critical → caution) is recorded silently so a relapse alerts again.
+     */
+    transition(notifiedState, state, now = new Date()) {
+        const from = this.STATE_RANK[notifiedState] ?? 0;
+        const to = this.STATE_RANK[state];
+        if (to > from) {
+            // Caution waits for morning during quiet hours; critical always goes out
+            if (state === 'caution' && EscalationService.isQuietHours(now)) return { notify: false, record: false };
+            return { notify: true, record: true, kind: from === 0 ? 'entered' : 'escalated' };
+        }
+        if (to === 0 && from > 0) return { notify: true, record: true, kind: 'recovered' };
+        return { notify: false, record: to !== from };
+    }
+
+    async evaluate(scope, now = new Date()) {
+        const status = await this.buildStatus(scope.query);
+        if (!status) return null;
+        const { latestData, recentHistory, recommendation, anomalies, state } = status;
+
+        // Persist anomalies (deduped per field and type, auto-resolved once cleared).
+        // Too little history means nothing was evaluated, so leave stored alerts alone.
+        if (recentHistory.length >= 5) {
+            await AlertService.sync(anomalies, { fieldId: latestData.fieldId, cropType: latestData.cropType }, now);
+        }
+        const alerts = await AlertService.getOpen({ fieldId: scope.fieldId, cropType: scope.cropType });
+
+        const snapshot = await FieldStatus.findOne({ scopeKey: scope.key }) ||
+            new FieldStatus({ scopeKey: scope.key, fieldId: scope.fieldId, cropType: scope.cropType });
+        if (snapshot.state !== state) {
+            snapshot.state = state;
+            snapshot.changedAt = now;
+        }
+
+        // A notification that failed on every channel is not recorded, so the next tick tries again
+        // (nobody to notify, or the same alert just went out, counts as done)
+        const change = this.transition(snapshot.notifiedState, state, now);
+        let delivered = true;
+        if (change.notify) {
+            console.log(`📣 ${scope.key} ${change.kind}: ${snapshot.notifiedState} → ${state}`);
+            const result = await NotificationDispatcher.sendStateAlert(
+                state,
+                { ...latestData.toObject(), alerts },
+                recommendation,
+                latestData.cropType
+            );
+            delivered = result.success || result.cooldown || result.total === 0;
+            if (!delivered) {
+                console.warn(`⚠️ Alert notification: ${result.message || 'no deliveries succeeded'}, retrying next evaluation`);
+            }
+        }
+        if (change.record && delivered) {
+            snapshot.notifiedState = state;
+            snapshot.notifiedAt = now;
+        }
+
+        snapshot.moisture = latestData.soil?.moisture;
+        snapshot.recommendationAction = recommendation?.action;
+        snapshot.evaluatedAt = now;
+        await snapshot.save();
+        LiveStream.publishStatus(scope, status, now);
+
+        return {
+            scope: scope.key,
+            fieldId: scope.fieldId,
+            state,
+            transition: change.notify ? change.kind : null,
+            esp32State: ESP32Service.determineStateFromAlerts(alerts, recommendation)
+        };
+    }
+
+    /**
+     * Evaluate every scope once. The default ESP32 shows the worst state across the farm;
+     * indicator nodes registered to a field show that field's state.
+     */
+    async tick(now = new Date()) {
+        if (this.running || mongoose.connection.readyState !== 1) return [];
+        this.running = true;
+        const results = [];
+        try {
+            for (const scope of await this.getScopes()) {
+                try {
+                    const result = await this.runScope(scope, now);
+                    if (result) results.push(result);
+                } catch (err) {
+                    console.error(`❌ Status evaluation failed for ${scope.key}:`, err.message);
+                }
+            }
+
+            if (results.length > 0) {
+                const worst = results.reduce((a, r) => this.STATE_RANK[r.esp32State] > this.STATE_RANK[a] ? r.esp32State : a, 'normal');
+                ESP32Service.setState(worst).catch(err => {
+                    console.warn('ESP32 update failed (non-critical):', err.message);
+                });
+
+                const indicators = await Device.find({
+                    active: true,
+                    fieldId: { $ne: null },
+                    capabilities: { $in: ['led', 'buzzer'] },
+                    deviceId: { $ne: ESP32Service.deviceId }
+                });
+                for (const device of indicators) {
+                    const result = results.find(r => r.fieldId && r.fieldId.equals(device.fieldId));
+                    if (!result) continue;
+                    ESP32Service.setState(result.esp32State, device.deviceId).catch(err => {
+                        console.warn(`ESP32 ${device.deviceId} update failed (non-critical):`, err.message);
+                    });
+                }
+            }
+            this.lastRunAt = now;
+        } finally {
+            this.running = false;
+        }
+        return results;
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => {
+            this.tick().catch(err => console.error('❌ Status monitor error:', err.message));
+        }, this.INTERVAL_MS);
+        this.tick().catch(err => console.error('❌ Status monitor error:', err.message));
+        console.log(`📣 Status monitor started (every ${this.INTERVAL_MS / 1000}s)`);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.queued.forEach(timer => clearTimeout(timer));
+        this.queued.clear();
+    }
+}
+
+// Export singleton instance
+module.exports = new StatusMonitor();
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Field = require('../models/Field');
+const Crop = require('../models/Crop');
+const Alert = require('../models/Alert');
+const Contact = require('../models/Contact');
+const SensorData = require('../models/SensorData');
+const IrrigationSession = require('../models/IrrigationSession');
+const Subscriber = require('../models/Subscriber');
+const TelegramService = require('./telegramService');
+const IntelligenceService = require('./intelligence');
+const AlertService = require('./alertService');
+const IrrigationController = require('./irrigationController');
+const { handleChat } = require('../routes/chatbot');
+const { LANGUAGES, t } = require('./telegramI18n');
+
+/**
+ * Telegram Bot
+ * Handles webhook updates: each chat registers as a Subscriber and manages its own filters,
+ * and farmers can check fields, acknowledge alerts and start irrigation without the dashboard.
+ */
+class TelegramBot {
+    constructor() {
+        this.commands = {
+            start: this.start,
+            help: this.help,
+            subscribe: this.subscribe,
+            unsubscribe: this.unsubscribe,
+            language: this.language,
+            settings: this.settings,
+            status: this.status,
+            history: this.history,
+            irrigate: this.irrigate,
+            ack: this.ack,
+            ask: this.ask
+        };
+
+        // Irrigation requests waiting for a Confirm/Cancel press, keyed by callback token
+        this.pendingActions = new Map();
+        this.CONFIRM_TTL_MS = 5 * 60 * 1000;
+        this.MAX_HISTORY_HOURS = 24 * 7;
+    }
+
+    /**
+     * Split "/cmd@BotName arg1 arg2" into { command, args }
+     */
+    parseCommand(text = '') {
+        const match = text.trim().match(/^\/(\w+)(?:@\w+)?\s*(.*)$/s);
+        if (!match) return null;
+        return { command: match[1].toLowerCase(), args: match[2].trim() };
+    }
+
+    async handleUpdate(update) {
+        if (update?.callback_query) {
+            return this.handleCallback(update.callback_query);
+        }
+
+        const message = update?.message;
+        if (!message?.chat || !message.text) return { handled: false };
+
+        const chatId = message.chat.id.toString();
+        const parsed = this.parseCommand(message.text);
+        const handler = parsed && this.commands[parsed.command];
+        if (!handler) {
+            await this.reply(chatId, `❓ Unknown command. Send /help for the list of commands.`);
+            return { handled: false, chatId };
+        }
+
+        let reply;
+        try {
+            reply = await handler.call(this, { chatId, args: parsed.args, message });
+        } catch (error) {
+            console.error(`❌ Telegram /${parsed.command} error:`, error.message);
+            reply = `❌ /${parsed.command} failed: ${TelegramService.escapeMarkdown(error.message)}`;
+        }
+        if (typeof reply === 'string') await this.reply(chatId, reply);
+        else if (reply) await this.reply(chatId, reply.text, reply.options);
+        return { handled: true, chatId, command: parsed.command };
+    }
+
+    /**
+     * Inline keyboard presses: "confirm:<token>" or "cancel:<token>"
+     */
+    async handleCallback(query) {
+        const chatId = query.message?.chat?.id?.toString();
+        const messageId = query.message?.message_id;
+        const [verb, token] = (query.data || '').split(':');
+        const pending = this.pendingActions.get(token);
+        this.pendingActions.delete(token);
+
+        if (!pending || pending.chatId !== chatId || pending.expiresAt < Date.now()) {
+            await TelegramService.answerCallbackQuery(query.id, 'This request has expired.');
+            await TelegramService.editMessageText(chatId, messageId, '⌛ Request expired. Send /irrigate again.');
+            return { handled: false, chatId };
+        }
+
+        if (verb !== 'confirm') {
+            await TelegramService.answerCallbackQuery(query.id, 'Cancelled');
+            await TelegramService.editMessageText(chatId, messageId, `✖️ Irrigation for *${TelegramService.escapeMarkdown(pending.fieldName)}* cancelled.`);
+            return { handled: true, chatId, action: 'cancelled' };
+        }
+
+        const result = await IrrigationController.start(pending.fieldId, {
+            duration: pending.minutes,
+            reason: 'Telegram request',
+            triggeredBy: `telegram:${pending.by}`
+        });
+        await TelegramService.answerCallbackQuery(query.id, result.success ? 'Irrigation started' : 'Could not start');
+        await TelegramService.editMessageText(chatId, messageId, result.success
+            ? `💧 Irrigation started on *${TelegramService.escapeMarkdown(pending.fieldName)}* for ${result.session.plannedDuration} min.`
+            : `❌ ${TelegramService.escapeMarkdown(result.message)}`);
+        return { handled: true, chatId, action: result.success ? 'started' : 'failed', session: result.session };
+    }
+
+    reply(chatId, text, options = {}) {
+        return TelegramService.sendMessage(text, { ...options, chat_id: chatId });
+    }
+
+    async findOrCreateSubscriber(chatId, message) {
+        const existing = await Subscriber.findOne({ chatId });
+        if (existing) return existing;
+        const name = message?.chat?.username || message?.chat?.title || message?.from?.first_name;
+        console.log(`✅ Telegram subscriber registered: ${chatId}${name ? ` (${name})` : ''}`);
+        return Subscriber.create({ chatId, name });
+    }
+
+    /**
+     * Turn "/subscribe Wheat North Plot critical high" into filter lists.
+     * Severity words and known crops are picked out; whatever is left must name a field.
+     */
+    async parseFilters(args) {
+        const filters = { fieldIds: [], crops: [], severities: [] };
+        const fields = await Field.find({}).select('name cropType');
+        const crops = new Set([
+            ...Object.keys(IntelligenceService.cropConfig),
+            ...fields.map(f => f.cropType).filter(Boolean)
+        ]);
+
+        const rest = [];
+        for (const token of args.split(/[\s,]+/).filter(Boolean)) {
+            const severity = Subscriber.SEVERITIES.find(s => s.toLowerCase() === token.toLowerCase());
+            const crop = [...crops].find(c => c.toLowerCase() === token.toLowerCase());
+            if (severity) filters.severities.push(severity);
+            else if (crop) filters.crops.push(crop);
+            else rest.push(token);
+        }
+
+        const unknown = [];
+        if (rest.length > 0) {
+            const wanted = rest.join(' ').toLowerCase();
+            const field = fields.find(f => f.name.toLowerCase() === wanted);
+            if (field) filters.fieldIds.push(field._id);
+            else unknown.push(rest.join(' '));
+        }
+
+        return { filters, unknown, fields };
+    }
+
+    describeFilters(subscriber, fields = []) {
+        const parts = [];
+        if (subscriber.crops.length) parts.push(`crops ${TelegramService.escapeMarkdown(subscriber.crops.join(', '))}`);
+        if (subscriber.fieldIds.length) {
+            const names = subscriber.fieldIds.map(id => fields.find(f => f._id.equals(id))?.name || id.toString());
+            parts.push(`fields ${TelegramService.escapeMarkdown(names.join(', '))}`);
+        }
+        if (subscriber.severities.length) parts.push(`severity ${subscriber.severities.join('/')}`);
+        return parts.length ? parts.join('; ') : t(subscriber.language, 'all');
+    }
+
+    async start({ chatId, message }) {
+        await this.findOrCreateSubscriber(chatId, message);
+        return `✅ Tridentrix bot connected!\n\nChat ID: ${chatId}\n\n${this.helpText()}`;
+    }
+
+    async help() {
+        return this.helpText();
+    }
+
+    helpText() {
+        return [
+            '*Commands*',
+            '/subscribe [crop] [field] [severity] – choose which alerts you get',
+            '   e.g. `/subscribe Wheat critical`, `/subscribe` for everything',
+            '/unsubscribe – stop alerts',
+            `/language <${LANGUAGES.join('|')}> – message language`,
+            '/settings – show your subscription',
+            '/status [field] – latest readings and recommendation',
+            '/history <field> [24h|7d] – readings over a window',
+            '/irrigate <field> <minutes> – start irrigation (asks to confirm)',
+            '/ack <alertId> – acknowledge an alert',
+            '/ask <question> – ask the farming assistant'
+        ].join('\n');
+    }
+
+    async subscribe({ chatId, args, message }) {
+        const { filters, unknown, fields } = await this.parseFilters(args);
+        if (unknown.length > 0) {
+            const names = fields.map(f => f.name).join(', ') || 'none yet';
+            return `❌ Unknown crop or field: ${TelegramService.escapeMarkdown(unknown.join(', '))}\nFields: ${TelegramService.escapeMarkdown(names)}\nSeverities: ${Subscriber.SEVERITIES.join(', ')}`;
+        }
+
+        const subscriber = await this.findOrCreateSubscriber(chatId, message);
+        Object.assign(subscriber, filters, { active: true });
+        await subscriber.save();
+        return `✅ ${t(subscriber.language, 'subscribed', { filters: this.describeFilters(subscriber, fields) })}`;
+    }
+
+    async unsubscribe({ chatId }) {
+        const subscriber = await Subscriber.findOneAndUpdate({ chatId }, { active: false }, { new: true });
+        return `🔕 ${t(subscriber?.language, 'unsubscribed')}`;
+    }
+
+    async language({ chatId, args, message }) {
+        const language = args.toLowerCase();
+        if (!LANGUAGES.includes(language)) {
+            return `Usage: /language <${LANGUAGES.join('|')}>`;
+        }
+        const subscriber = await this.findOrCreateSubscriber(chatId, message);
+        subscriber.language = language;
+        await subscriber.save();
+        return `✅ ${t(language, 'languageSet')}`;
+    }
+
+    async settings({ chatId }) {
+        const subscriber = await Subscriber.findOne({ chatId });
+        if (!subscriber) return 'Not subscribed yet. Send /subscribe to start receiving alerts.';
+        const fields = await Field.find({ _id: { $in: subscriber.fieldIds } }).select('name');
+        return [
+            `⚙️ *Subscription* (${subscriber.active ? 'active' : 'paused'})`,
+            `Alerts: ${this.describeFilters(subscriber, fields)}`,
+            `Language: ${subscriber.language}`
+        ].join('\n');
+    }
+
+    /**
+     * Field by name (case-insensitive) or id
+     */
+    async findField(name) {
+        if (!name) return null;
+        if (mongoose.Types.ObjectId.isValid(name)) {
+            const byId = await Field.findById(name);
+            if (byId) return byId;
+        }
+        const fields = await Field.find({});
+        return fields.find(f => f.name.toLowerCase() === name.trim().toLowerCase()) || null;
+    }
+
+    /**
+     * The roster contact behind a chat, if it may act on this field.
+     * Starting valves and acknowledging alerts is limited to people on the on-call roster;
+     * with no roster yet, no chat can (the default chat only receives alerts).
+     */
+    async getAuthorizedContact(chatId, field) {
+        const contact = await Contact.findOne({ telegramChatId: chatId, active: true });
+        if (!contact) return null;
+        const coversField = !field || !contact.fieldIds?.length || contact.fieldIds.some(id => id.equals(field._id));
+        return coversField ? contact : null;
+    }
+
+    async fieldNotFound(name) {
+        const fields = await Field.find({}).select('name');
+        return `❌ Field "${TelegramService.escapeMarkdown(name)}" not found. Fields: ${TelegramService.escapeMarkdown(fields.map(f => f.name).join(', ')) || 'none yet'}`;
+    }
+
+    async status({ args }) {
+        if (!args) {
+            const fields = await Field.find({});
+            if (fields.length === 0) return 'No fields configured yet.';
+            const lines = await Promise.all(fields.map(async (field) => {
+                const latest = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+                const moisture = latest?.soil?.moisture;
+                return `• *${TelegramService.escapeMarkdown(field.name)}* (${TelegramService.escapeMarkdown(field.cropType)}): ${moisture !== undefined ? `${moisture.toFixed(1)}%` : 'no data'}`;
+            }));
+            return `🌾 *Fields*\n${lines.join('\n')}\n\nSend /status <field> for details.`;
+        }
+
+        const field = await this.findField(args);
+        if (!field) return this.fieldNotFound(args);
+
+        const latest = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+        const name = TelegramService.escapeMarkdown(field.name);
+        if (!latest) return `🌾 *${name}*: no readings yet.`;
+
+        const crop = await Crop.findOne({ name: field.cropType }) || await Crop.findOne();
+        const recommendation = await IntelligenceService.generateRecommendation(latest, crop, [], field);
+        const running = await IrrigationController.getActiveSession(field._id);
+        const openAlerts = await AlertService.getOpen({ fieldId: field._id, limit: 3 });
+
+        let text = `🌾 *${name}* (${TelegramService.escapeMarkdown(field.cropType)})\n`;
+        text += `🕐 ${moment(latest.timestamp).fromNow()}\n\n`;
+        text += TelegramService.formatSensorData(latest);
+        text += `\n\n💡 *${recommendation.action}*: ${TelegramService.escapeMarkdown(recommendation.reason)}`;
+        if (running) {
+            text += `\n💧 Irrigating since ${moment(running.startedAt).format('HH:mm')} (${running.plannedDuration} min)`;
+        }
+        if (openAlerts.length > 0) {
+            text += `\n\n🚨 *Open alerts:*\n`;
+            text += openAlerts.map(a => `• ${a.type} (${a.severity}) \`${a._id}\``).join('\n');
+        }
+        return text;
+    }
+
+    async history({ args }) {
+        const tokens = args.split(/\s+/).filter(Boolean);
+        const windowMatch = tokens.length > 1 && tokens[tokens.length - 1].match(/^(\d+)([hd])$/i);
+        if (windowMatch) tokens.pop();
+        if (tokens.length === 0) return 'Usage: /history <field> [24h|7d]';
+
+        const hours = windowMatch
+            ? Number(windowMatch[1]) * (windowMatch[2].toLowerCase() === 'd' ? 24 : 1)
+            : 24;
+        if (hours <= 0 || hours > this.MAX_HISTORY_HOURS) {
+            return `❌ Window must be between 1h and ${this.MAX_HISTORY_HOURS / 24}d.`;
+        }
+
+        const field = await this.findField(tokens.join(' '));
+        if (!field) return this.fieldNotFound(tokens.join(' '));
+
+        const name = TelegramService.escapeMarkdown(field.name);
+        const since = moment().subtract(hours, 'hours').toDate();
+        const readings = await SensorData.find({ fieldId: field._id, timestamp: { $gte: since } }).sort({ timestamp: 1 });
+        const sessions = await IrrigationSession.find({ fieldId: field._id, startedAt: { $gte: since } });
+        if (readings.length === 0) return `📈 *${name}*: no readings in the last ${hours}h.`;
+
+        const stats = (values) => {
+            const list = values.filter(v => typeof v === 'number');
+            if (list.length === 0) return 'N/A';
+            const avg = list.reduce((a, b) => a + b, 0) / list.length;
+            return `${Math.min(...list).toFixed(1)} / ${avg.toFixed(1)} / ${Math.max(...list).toFixed(1)}`;
+        };
+        const rainfall = readings.reduce((sum, r) => sum + (r.weather?.rainfall || 0), 0);
+        const first = readings[0].soil?.moisture;
+        const last = readings[readings.length - 1].soil?.moisture;
+
+        let text = `📈 *${name}* – last ${hours}h (${readings.length} readings)\n\n`;
+        text += `min / avg / max\n`;
+        text += `• Moisture: ${stats(readings.map(r => r.soil?.moisture))}%\n`;
+        text += `• Temperature: ${stats(readings.map(r => r.weather?.temperature))}°C\n`;
+        text += `• Humidity: ${stats(readings.map(r => r.weather?.humidity))}%\n`;
+        if (typeof first === 'number' && typeof last === 'number') {
+            text += `\nMoisture trend: ${first.toFixed(1)}% → ${last.toFixed(1)}%`;
+        }
+        if (rainfall > 0) text += `\n🌧️ Rain: ${rainfall.toFixed(1)} mm`;
+        text += `\n💧 Irrigation sessions: ${sessions.length}`;
+        return text;
+    }
+
+    async irrigate({ chatId, args }) {
+        const tokens = args.split(/\s+/).filter(Boolean);
+        const minutes = Number(tokens.pop());
+        if (tokens.length === 0 || !Number.isFinite(minutes) || minutes <= 0) {
+            return 'Usage: /irrigate <field> <minutes>';
+        }
+        if (minutes > IrrigationController.MAX_DURATION_MIN) {
+            return `❌ At most ${IrrigationController.MAX_DURATION_MIN} minutes per session.`;
+        }
+
+        const field = await this.findField(tokens.join(' '));
+        if (!field) return this.fieldNotFound(tokens.join(' '));
+
+        const contact = await this.getAuthorizedContact(chatId, field);
+        if (!contact) return `⛔ This chat is not on the on-call roster for ${TelegramService.escapeMarkdown(field.name)}.`;
+
+        const token = crypto.randomBytes(6).toString('hex');
+        this.pendingActions.set(token, {
+            chatId,
+            fieldId: field._id,
+            fieldName: field.name,
+            minutes: Math.round(minutes),
+            by: contact.name,
+            expiresAt: Date.now() + this.CONFIRM_TTL_MS
+        });
+        // Drop stale requests so unanswered prompts don't pile up
+        for (const [key, value] of this.pendingActions) {
+            if (value.expiresAt < Date.now()) this.pendingActions.delete(key);
+        }
+
+        return {
+            text: `💧 Start irrigation on *${TelegramService.escapeMarkdown(field.name)}* for ${Math.round(minutes)} min?`,
+            options: {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Confirm', callback_data: `confirm:${token}` },
+                        { text: '✖️ Cancel', callback_data: `cancel:${token}` }
+                    ]]
+                }
+            }
+        };
+    }
+
+    async ack({ chatId, args }) {
+        if (!mongoose.Types.ObjectId.isValid(args)) return 'Usage: /ack <alertId>';
+        const alert = await Alert.findById(args);
+        if (!alert) return '❌ Alert not found.';
+
+        const contact = await this.getAuthorizedContact(chatId, alert.fieldId ? { _id: alert.fieldId } : null);
+        if (!contact) return '⛔ This chat is not on the on-call roster for that field.';
+
+        const result = await AlertService.acknowledge(alert, `telegram:${contact.name}`);
+        if (!result.success) return `❌ ${result.message}`;
+        return `✅ Acknowledged: ${alert.type} (${alert.severity})\n${TelegramService.escapeMarkdown(alert.message)}`;
+    }
+
+    async ask({ chatId, args }) {
+        if (!args) return 'Usage: /ask <question>';
+        const subscriber = await Subscriber.findOne({ chatId });
+        const answer = await handleChat({ message: args, language: subscriber?.language || 'en' });
+        // Chatbot answers use **bold** markdown that Telegram's parser rejects, so send them as plain text
+        return { text: answer.response, options: { parse_mode: undefined } };
+    }
+}
+
+// Export singleton instance
+module.exports = new TelegramBot();
@@ -0,0 +1,138 @@
+/**
+ * Telegram message strings in the languages the dashboard supports.
+ * Terms follow client/src/i18n/locales so farmers see the same words in both places.
+ */
+const strings = {
+    en: {
+        criticalAlert: 'CRITICAL ALERT',
+        cautionAlert: 'CAUTION ALERT',
+        normalStatus: 'NORMAL STATUS',
+        crop: 'Crop',
+        field: 'Field',
+        status: 'Status',
+        time: 'Time',
+        sensorData: 'Sensor Data',
+        moisture: 'Soil Moisture',
+        temperature: 'Temperature',
+        humidity: 'Humidity',
+        activeAlerts: 'Active Alerts',
+        recommendation: 'Recommendation',
+        action: 'Action',
+        reason: 'Reason',
+        amount: 'Amount',
+        duration: 'Duration',
+        minutes: 'minutes',
+        subscribed: 'Subscribed. You will receive: {{filters}}',
+        unsubscribed: 'Unsubscribed. Send /subscribe to receive alerts again.',
+        languageSet: 'Language set to English.',
+        all: 'all alerts'
+    },
+    hi: {
+        criticalAlert: 'गंभीर अलर्ट',
+        cautionAlert: 'सावधानी अलर्ट',
+        normalStatus: 'सामान्य स्थिति',
+        crop: 'फसल',
+        field: 'खेत',
+        status: 'स्थिति',
+        time: 'समय',
+        sensorData: 'सेंसर डेटा',
+        moisture: 'मिट्टी की नमी',
+        temperature: 'तापमान',
+        humidity: 'आर्द्रता',
+        activeAlerts: 'सक्रिय अलर्ट',
+        recommendation: 'सिफारिश',
+        action: 'कार्रवाई',
+        reason: 'कारण',
+        amount: 'मात्रा',
+        duration: 'अवधि',
+        minutes: 'मिनट',
+        subscribed: 'सदस्यता ली गई। आपको मिलेंगे: {{filters}}',
+        unsubscribed: 'सदस्यता रद्द। फिर से अलर्ट पाने के लिए /subscribe भेजें।',
+        languageSet: 'भाषा हिंदी पर सेट की गई।',
+        all: 'सभी अलर्ट'
+    },
+    ta: {
+        criticalAlert: 'முக்கியமான எச்சரிக்கை',
+        cautionAlert: 'எச்சரிக்கை',
+        normalStatus: 'இயல்பான நிலை',
+        crop: 'பயிர்',
+        field: 'வயல்',
+        status: 'நிலை',
+        time: 'நேரம்',
+        sensorData: 'சென்சார் தரவு',
+        moisture: 'மண் ஈரப்பதம்',
+        temperature: 'வெப்பநிலை',
+        humidity: 'ஈரப்பதம்',
+        activeAlerts: 'செயலில் உள்ள எச்சரிக்கைகள்',
+        recommendation: 'பரிந்துரை',
+        action: 'செயல்',
+        reason: 'காரணம்',
+        amount: 'அளவு',
+        duration: 'காலம்',
+        minutes: 'நிமிடங்கள்',
+        subscribed: 'பதிவு செய்யப்பட்டது. நீங்கள் பெறுவது: {{filters}}',
+        unsubscribed: 'பதிவு நீக்கப்பட்டது. மீண்டும் பெற /subscribe அனுப்பவும்.',
+        languageSet: 'மொழி தமிழாக அமைக்கப்பட்டது.',
+        all: 'அனைத்து எச்சரிக்கைகள்'
+    },
+    te: {
+        criticalAlert: 'ప్రమాదకర హెచ్చరిక',
+        cautionAlert: 'జాగ్రత్త హెచ్చరిక',
+        normalStatus: 'సాధారణ స్థితి',
+        crop: 'పంట',
+        field: 'పొలం',
+        status: 'స్థితి',
+        time: 'సమయం',
+        sensorData: 'సెన్సార్ డేటా',
+        moisture: 'నేల తేమ',
+        temperature: 'ఉష్ణోగ్రత',
+        humidity: 'తేమ',
+        activeAlerts: 'క్రియాశీల హెచ్చరికలు',
+        recommendation: 'సిఫార్సు',
+        action: 'చర్య',
+        reason: 'కారణం',
+        amount: 'మొత్తం',
+        duration: 'వ్యవధి',
+        minutes: 'నిమిషాలు',
+        subscribed: 'సభ్యత్వం పొందారు. మీకు వచ్చేవి: {{filters}}',
+        unsubscribed: 'సభ్యత్వం రద్దు చేయబడింది. మళ్ళీ పొందడానికి /subscribe పంపండి.',
+        languageSet: 'భాష తెలుగుకు మార్చబడింది.',
+        all: 'అన్ని హెచ్చరికలు'
+    },
+    ml: {
+        criticalAlert: 'ഗുരുതര അലേർട്ട്',
+        cautionAlert: 'ജാഗ്രതാ അലേർട്ട്',
+        normalStatus: 'സാധാരണ നില',
+        crop: 'വിള',
+        field: 'വയൽ',
+        status: 'നില',
+        time: 'സമയം',
+        sensorData: 'സെൻസർ ഡാറ്റ',
+        moisture: 'മണ്ണിലെ ഈർപ്പം',
+        temperature: 'താപനില',
+        humidity: 'ഈർപ്പം',
+        activeAlerts: 'സജീവ അലേർട്ടുകൾ',
+        recommendation: 'ശുപാർശ',
+        action: 'പ്രവർത്തനം',
+        reason: 'കാരണം',
+        amount: 'അളവ്',
+        duration: 'കാലയളവ്',
+        minutes: 'മിനിറ്റ്',
+        subscribed: 'സബ്സ്ക്രൈബ് ചെയ്തു. നിങ്ങൾക്ക് ലഭിക്കുന്നത്: {{filters}}',
+        unsubscribed: 'സബ്സ്ക്രിപ്ഷൻ റദ്ദാക്കി. വീണ്ടും ലഭിക്കാൻ /subscribe അയയ്ക്കുക.',
+        languageSet: 'ഭാഷ മലയാളമാക്കി.',
+        all: 'എല്ലാ അലേർട്ടുകളും'
+    }
+};
+
+const LANGUAGES = Object.keys(strings);
+
+/**
+ * Look up a string, falling back to English, and fill {{placeholders}}
+ */
+function t(language, key, vars = {}) {
+    const text = strings[language]?.[key] ?? strings.en[key] ?? key;
+    return text.replace(/\{\{(\w+)\}\}/g, (_, name) => vars[name] ?? '');
+}
+
+module.exports = { LANGUAGES, t };
@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const { t } = require('./telegramI18n');
 
 /**
  * Telegram Bot Service
@@ -15,15 +19,17 @@ class TelegramService {
         } else {
             this.enabled = process.env.TELEGRAM_ENABLED !== 'false';
         }
-        // Get Chat ID from env or will be set when bot receives first message
+        // Default chat (env or /api/telegram/set-chat-id); other chats register as Subscribers
         this.CHAT_ID = process.env.TELEGRAM_CHAT_ID || null;
+        // Telegram echoes it in X-Telegram-Bot-Api-Secret-Token; the webhook route rejects updates without it
+        this.WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || null;
         this.API_URL = this.BOT_TOKEN ? `https://api.telegram.org/bot${this.BOT_TOKEN}` : null;
         
         // Log configuration status
         if (this.BOT_TOKEN && this.CHAT_ID) {
             console.log(`✅ Telegram service configured (Chat ID: ${this.CHAT_ID})`);
         } else if (this.BOT_TOKEN && !this.CHAT_ID) {
-            console.log('⚠️ Telegram token set but Chat ID missing. Set TELEGRAM_CHAT_ID in .env or send message to bot.');
+            console.log('⚠️ Telegram token set but no default Chat ID. Set TELEGRAM_CHAT_ID in .env or /subscribe from a chat.');
         } else {
             console.log('⚠️ Telegram service not configured');
         }
@@ -34,40 +40,56 @@ class TelegramService {
         this.processingQueue = false;
         this.MIN_DELAY_MS = 2000; // Minimum 2 seconds between messages
         this.MAX_MESSAGES_PER_MINUTE = 10;
-        
-        // Track sent alerts to avoid duplicates
-        this.sentAlerts = new Map();
-        this.ALERT_COOLDOWN_MS = 300000; // 5 minutes cooldown for same alert type
+
+        // Status states mapped onto alert severities for subscriber filters
+        this.STATE_SEVERITY = { critical: 'Critical', caution: 'High' };
     }
 
     /**
-     * Set chat ID (called when bot receives a message)
+     * Set the default chat ID
      */
     setChatId(chatId) {
         this.CHAT_ID = chatId;
         console.log(`✅ Telegram chat ID set: ${chatId}`);
     }
 
+    /**
+     * Escape user- and farm-supplied text (field names, alert messages) for Markdown messages
+     */
+    escapeMarkdown(text) {
+        return String(text ?? '').replace(/([_*`\[])/g, '\\$1');
+    }
+
+    /**
+     * Whether a webhook request carries the configured secret token
+     */
+    isWebhookAuthorized(token) {
+        if (!this.WEBHOOK_SECRET || typeof token !== 'string') return false;
+        const expected = Buffer.from(this.WEBHOOK_SECRET);
+        const given = Buffer.from(token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
     /**
      * Format sensor data for Telegram message
      */
-    formatSensorData(data) {
+    formatSensorData(data, language = 'en') {
         if (!data) return 'N/A';
         
         const soil = data.soil || {};
         const weather = data.weather || {};
         
-        let formatted = `📊 *Sensor Data:*\n`;
-        formatted += `• Moisture: ${soil.moisture?.toFixed(1) || 'N/A'}%\n`;
-        formatted += `• Temperature: ${weather.temperature?.toFixed(1) || 'N/A'}°C\n`;
-        formatted += `• Humidity: ${weather.humidity?.toFixed(1) || 'N/A'}%\n`;
+        let formatted = `📊 *${t(language, 'sensorData')}:*\n`;
+        formatted += `• ${t(language, 'moisture')}: ${soil.moisture?.toFixed(1) || 'N/A'}%\n`;
+        formatted += `• ${t(language, 'temperature')}: ${weather.temperature?.toFixed(1) || 'N/A'}°C\n`;
+        formatted += `• ${t(language, 'humidity')}: ${weather.humidity?.toFixed(1) || 'N/A'}%\n`;
         formatted += `• NPK: N${soil.nitrogen || 0} P${soil.phosphorus || 0} K${soil.potassium || 0}\n`;
         
         if (data.cropType) {
-            formatted += `• Crop: ${data.cropType}\n`;
+            formatted += `• ${t(language, 'crop')}: ${this.escapeMarkdown(data.cropType)}\n`;
         }
         if (soil.soilType) {
-            formatted += `• Soil Type: ${soil.soilType}\n`;
+            formatted += `• Soil Type: ${this.escapeMarkdown(soil.soilType)}\n`;
         }
         if (soil.ph) {
             formatted += `• pH: ${soil.ph.toFixed(2)}\n`;
@@ -102,14 +124,16 @@ class TelegramService {
             return { success: false, message: 'Telegram API not configured' };
         }
 
-        if (!this.CHAT_ID) {
+        // options.chat_id targets a specific recipient instead of the default chat
+        const chatId = options.chat_id || this.CHAT_ID;
+        if (!chatId) {
             console.warn('⚠️ Telegram chat ID not set. Check TELEGRAM_CHAT_ID in .env or send message to bot.');
             return { success: false, message: 'Chat ID not configured' };
         }
 
         // Check rate limiting
         const now = Date.now();
-        const lastMessage = this.lastMessageTime[this.CHAT_ID] || 0;
+        const lastMessage = this.lastMessageTime[chatId] || 0;
         const timeSinceLastMessage = now - lastMessage;
 
         if (timeSinceLastMessage < this.MIN_DELAY_MS) {
@@ -144,83 +168,86 @@ class TelegramService {
                 timeout: 5000
             });
 
-            this.lastMessageTime[this.CHAT_ID] = Date.now();
+            this.lastMessageTime[options.chat_id || this.CHAT_ID] = Date.now();
             console.log('✅ Telegram message sent');
             return { success: true, messageId: response.data.result.message_id };
         } catch (error) {
             console.error('❌ Telegram send error:', error.response?.data || error.message);
             return { 
                 success: false, 
-                error: error.response?.data?.description || error.message 
+                error: error.response?.data?.description || error.message,
+                status: error.response?.status
             };
         }
     }
 
     /**
-     * Send alert for critical/caution states
+     * Chats that should receive an alert: matching subscribers plus the default chat
      */
-    async sendAlert(state, sensorData, recommendation = null, cropName = null) {
-        // Use moisture-based key for cooldown (allows updates when moisture changes)
-        const moisture = sensorData?.soil?.moisture;
-        const alertKey = `${state}-${cropName || 'general'}-${moisture ? Math.floor(moisture) : 'unknown'}`;
-        const lastSent = this.sentAlerts.get(alertKey);
-        const now = Date.now();
+    async getRecipients(filter = {}) {
+        const recipients = [];
+        let subscribers = [];
+        if (mongoose.connection.readyState === 1) {
+            try {
+                subscribers = await Subscriber.find({});
+            } catch (error) {
+                console.error('❌ Subscriber lookup failed:', error.message);
+            }
+        }
+        subscribers
+            .filter(s => s.matches(filter))
+            .forEach(s => recipients.push({ chatId: s.chatId, language: s.language }));
 
-        // Shorter cooldown - allow updates when moisture changes significantly
-        if (lastSent && (now - lastSent) < 60000) { // 1 minute cooldown
-            console.log(`⏭️ Alert ${alertKey} in cooldown, skipping`);
-            return { success: false, message: 'Alert in cooldown' };
+        // The default chat gets everything unless it registered its own filters
+        if (this.CHAT_ID && !subscribers.some(s => s.chatId === this.CHAT_ID)) {
+            recipients.push({ chatId: this.CHAT_ID, language: 'en' });
         }
+        return recipients;
+    }
 
+    /**
+     * Build the critical/caution alert message for one language (sent by NotificationDispatcher)
+     */
+    formatAlert(state, sensorData, recommendation, cropName, language = 'en') {
         const emoji = state === 'critical' ? '🔴' : state === 'caution' ? '🟡' : '🟢';
-        const title = state === 'critical' ? '🚨 CRITICAL ALERT' : state === 'caution' ? '⚠️ CAUTION ALERT' : '✅ NORMAL STATUS';
+        const title = state === 'critical' ? `🚨 ${t(language, 'criticalAlert')}` : state === 'caution' ? `⚠️ ${t(language, 'cautionAlert')}` : `✅ ${t(language, 'normalStatus')}`;
         
         let message = `${emoji} *${title}*\n\n`;
         
         if (cropName) {
-            message += `🌾 *Crop:* ${cropName}\n`;
+            message += `🌾 *${t(language, 'crop')}:* ${this.escapeMarkdown(cropName)}\n`;
         }
         
-        message += `📊 *Status:* ${state.toUpperCase()}\n`;
-        message += `🕐 *Time:* ${new Date().toLocaleString()}\n\n`;
+        message += `📊 *${t(language, 'status')}:* ${state.toUpperCase()}\n`;
+        message += `🕐 *${t(language, 'time')}:* ${new Date().toLocaleString()}\n\n`;
         
         // Format sensor data with all details
-        message += this.formatSensorData(sensorData);
+        message += this.formatSensorData(sensorData, language);
         
         // Add alerts if available
         if (sensorData && sensorData.alerts && sensorData.alerts.length > 0) {
-            message += `\n\n🚨 *Active Alerts:*\n`;
+            message += `\n\n🚨 *${t(language, 'activeAlerts')}:*\n`;
             sensorData.alerts.slice(0, 3).forEach(alert => {
-                message += `• ${alert.type || 'Alert'}: ${alert.message || 'N/A'}\n`;
+                message += `• ${alert.type || 'Alert'}: ${this.escapeMarkdown(alert.message || 'N/A')}\n`;
             });
         }
         
         if (recommendation) {
-            message += `\n\n💡 *Recommendation:*\n`;
-            message += `• Action: ${recommendation.action || 'N/A'}\n`;
-            message += `• Reason: ${recommendation.reason || 'N/A'}\n`;
+            message += `\n\n💡 *${t(language, 'recommendation')}:*\n`;
+            message += `• ${t(language, 'action')}: ${recommendation.action || 'N/A'}\n`;
+            message += `• ${t(language, 'reason')}: ${this.escapeMarkdown(recommendation.reason || 'N/A')}\n`;
             if (recommendation.amount) {
-                message += `• Water Amount: ${recommendation.amount} L/m²\n`;
+                message += `• ${t(language, 'amount')}: ${recommendation.amount} L/m²\n`;
             }
             if (recommendation.duration) {
-                message += `• Duration: ${recommendation.duration} minutes\n`;
+                message += `• ${t(language, 'duration')}: ${recommendation.duration} ${t(language, 'minutes')}\n`;
             }
             if (recommendation.recommendedTime) {
                 message += `• Best Time: ${recommendation.recommendedTime}\n`;
             }
         }
 
-        console.log(`📤 Sending Telegram alert: ${state} for ${cropName || 'general'}`);
-        const result = await this.sendMessage(message);
-        
-        if (result.success) {
-            this.sentAlerts.set(alertKey, now);
-            console.log(`✅ Telegram alert sent successfully`);
-        } else {
-            console.error(`❌ Telegram alert failed: ${result.message || result.error}`);
-        }
-        
-        return result;
+        return message;
     }
 
     /**
@@ -244,11 +271,46 @@ class TelegramService {
     }
 
     /**
-     * Set webhook (optional, for production)
+     * Acknowledge an inline keyboard press so the client stops its spinner
+     */
+    async answerCallbackQuery(callbackQueryId, text) {
+        if (!this.API_URL) return { success: false, message: 'Telegram API not configured' };
+        try {
+            await axios.post(`${this.API_URL}/answerCallbackQuery`, { callback_query_id: callbackQueryId, text }, { timeout: 5000 });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.response?.data?.description || error.message };
+        }
+    }
+
+    /**
+     * Replace the text of a sent message (drops its inline keyboard)
+     */
+    async editMessageText(chatId, messageId, text) {
+        if (!this.API_URL) return { success: false, message: 'Telegram API not configured' };
+        try {
+            await axios.post(`${this.API_URL}/editMessageText`, {
+                chat_id: chatId,
+                message_id: messageId,
+                text,
+                parse_mode: 'Markdown'
+            }, { timeout: 5000 });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.response?.data?.description || error.message };
+        }
+    }
+
+    /**
+     * Set webhook (optional, for production). Requires TELEGRAM_WEBHOOK_SECRET, which
+     * Telegram then sends with every update.
      */
     async setWebhook(url) {
+        if (!this.WEBHOOK_SECRET) {
+            return { success: false, error: 'Set TELEGRAM_WEBHOOK_SECRET before registering a webhook' };
+        }
         try {
-            const response = await axios.post(`${this.API_URL}/setWebhook`, { url });
+            const response = await axios.post(`${this.API_URL}/setWebhook`, { url, secret_token: this.WEBHOOK_SECRET });
             return { success: true, data: response.data };
         } catch (error) {
             return { success: false, error: error.message };
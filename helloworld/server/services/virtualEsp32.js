@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const mqtt = require('mqtt');
+
+const STATES = ['normal', 'caution', 'critical'];
+const MAX_BUFFER = 500; // Same as the server's ingest batch limit
+
+const DEFAULTS = {
+    deviceId: 'esp32-1',
+    port: 8081,
+    serverUrl: 'http://localhost:5000',
+    apiKey: null,
+    transport: 'http', // 'mqtt' to take commands from agri/<deviceId>/cmd instead of HTTP
+    mqttUrl: null,
+    mqttPrefix: 'agri',
+    firmwareVersion: '1.0.0',
+    board: 'esp32',
+    capabilities: ['sensor', 'led', 'buzzer', 'valve'],
+    telemetryIntervalSec: 30,
+    heartbeatIntervalSec: 60,
+    timeScale: 1, // Model seconds per real second, to watch a day of drying in minutes (readings keep real timestamps)
+    latencyMs: 50, // Added before every HTTP reply
+    jitterMs: 100,
+    failureRate: 0, // Share of commands answered with HTTP 500 (or never acked over MQTT)
+    timeoutRate: 0, // Share of HTTP requests that never get an answer
+    otaFailRate: 0, // Share of OTA jobs that fail to install
+    offline: false, // Drops off the network: no answers, no reports (readings are buffered)
+    driftPerHour: 0, // Moisture sensor bias added per simulated hour, in % points
+    noise: 0.5, // Reading noise (standard deviation, % points / °C)
+    moisture: 35, // Starting soil moisture, %
+    valveRatePerHour: 12, // Moisture gained per simulated hour with a valve open
+    rebootMs: 2000
+};
+
+/**
+ * Virtual ESP32
+ * Stands in for a field node without hardware. It serves the same HTTP contract as the
+ * firmware (/set, /valve, /ota, /telemetry), or takes commands over MQTT, and pushes
+ * readings and heartbeats to the server the way a real node does. Moisture dries with
+ * temperature and rises while a valve is open; latency, failures and sensor drift are
+ * configurable, also at runtime through /sim.
+ */
+class VirtualESP32 {
+    constructor(options = {}) {
+        this.config = { ...DEFAULTS, ...options };
+        this.state = 'normal';
+        this.valves = new Map(); // channel -> open
+        this.firmwareVersion = this.config.firmwareVersion;
+        this.moisture = this.config.moisture;
+        this.bias = 0;
+        this.battery = 100;
+        this.bootedAt = new Date();
+        this.simTime = new Date();
+        this.buffer = [];
+        this.latest = null;
+        this.rebooting = false;
+        this.stats = { commands: 0, failed: 0, readingsSent: 0, heartbeatsSent: 0, otaJobs: 0 };
+        this.server = null;
+        this.client = null;
+        this.timers = [];
+        this.app = this.createApp();
+    }
+
+    get id() {
+        return this.config.deviceId;
+    }
+
+    log(message) {
+        console.log(`🤖 [${this.id}] ${message}`);
+    }
+
+    gaussian() {
+        const u = 1 - Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+    }
+
+    delay() {
+        const ms = this.config.latencyMs + Math.random() * this.config.jitterMs;
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Advance the soil and air model by `seconds` of simulated time
+     */
+    advance(seconds) {
+        const hours = seconds / 3600;
+        this.simTime = new Date(this.simTime.getTime() + seconds * 1000);
+
+        const hourOfDay = this.simTime.getHours() + this.simTime.getMinutes() / 60;
+        const temperature = 28 + 6 * Math.sin(2 * Math.PI * (hourOfDay - 9) / 24);
+        const humidity = Math.min(98, Math.max(20, 65 - (temperature - 28) * 2.5));
+
+        // Evapotranspiration grows with heat; open valves refill the root zone
+        const et = 0.25 * Math.max(0.2, 1 + (temperature - 25) / 15);
+        const openValves = [...this.valves.values()].filter(Boolean).length;
+        this.moisture = Math.min(60, Math.max(5, this.moisture - et * hours + openValves * this.config.valveRatePerHour * hours));
+        this.bias += this.config.driftPerHour * hours;
+        this.battery = Math.max(0, this.battery - 0.2 * hours);
+
+        return { temperature, humidity };
+    }
+
+    /**
+     * One reading in the /api/ingest shape, as measured (noise and drift included). It is
+     * stamped with the real clock: the server rejects future timestamps and orders by time.
+     */
+    read(seconds) {
+        const { temperature, humidity } = this.advance(seconds);
+        const noise = () => this.gaussian() * this.config.noise;
+        const round = (value, digits = 1) => Number(value.toFixed(digits));
+        this.latest = {
+            timestamp: new Date().toISOString(),
+            moisture: round(Math.min(100, Math.max(0, this.moisture + this.bias + noise()))),
+            soilTemp: round(temperature - 3 + noise() / 2),
+            ph: round(6.8 + this.gaussian() * 0.05, 2),
+            temperature: round(temperature + noise()),
+            humidity: round(Math.min(100, Math.max(0, humidity + noise() * 2)))
+        };
+        return this.latest;
+    }
+
+    /**
+     * Decide whether this request fails: 'timeout', 'error' or null
+     */
+    fault() {
+        if (Math.random() < this.config.timeoutRate) return 'timeout';
+        if (Math.random() < this.config.failureRate) return 'error';
+        return null;
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json());
+
+        // Rebooting nodes and injected faults behave like the real thing: no answer or a 500
+        const firmwareRoute = (handler) => async (req, res) => {
+            if (this.rebooting || this.config.offline) return req.socket.destroy();
+            await this.delay();
+            const fault = this.fault();
+            if (fault === 'timeout') return;
+            if (fault === 'error') {
+                this.stats.failed += 1;
+                return res.status(500).send('ERR');
+            }
+            handler(req, res);
+        };
+
+        app.get('/set', firmwareRoute((req, res) => {
+            const result = this.applyState(req.query.state, req.query.commandId);
+            res.status(result ? 200 : 400).send(result ? 'OK' : 'Invalid state');
+        }));
+
+        app.get('/valve', firmwareRoute((req, res) => {
+            const result = this.applyValve(req.query.channel, req.query.state);
+            res.status(result ? 200 : 400).send(result ? 'OK' : 'Invalid valve command');
+        }));
+
+        app.get('/ota', firmwareRoute((req, res) => {
+            const { url, version, md5 } = req.query;
+            if (!url || !version) return res.status(400).send('Missing url or version');
+            res.send('OK');
+            this.runOTA({ url, version, md5 });
+        }));
+
+        app.get('/telemetry', firmwareRoute((req, res) => {
+            res.json(this.latest || this.read(0));
+        }));
+
+        // Simulator controls, not part of the firmware contract
+        app.get('/sim', (req, res) => res.json(this.snapshot()));
+        app.post('/sim', (req, res) => {
+            this.configure(req.body || {});
+            res.json(this.snapshot());
+        });
+
+        return app;
+    }
+
+    applyState(state, commandId) {
+        if (!STATES.includes(state)) return false;
+        this.stats.commands += 1;
+        if (state !== this.state) this.log(`LED/buzzer → ${state}${commandId ? ` (${commandId})` : ''}`);
+        this.state = state;
+        return true;
+    }
+
+    applyValve(channel, action) {
+        if (!['open', 'close'].includes(action)) return false;
+        const ch = Number(channel) || 0;
+        this.stats.commands += 1;
+        this.valves.set(ch, action === 'open');
+        this.log(`Valve ${ch} ${action}`);
+        return true;
+    }
+
+    authHeaders() {
+        return { 'X-Device-Id': this.id, 'X-Api-Key': this.config.apiKey };
+    }
+
+    /**
+     * Download, verify and "flash" an image, reboot, then report the outcome
+     */
+    async runOTA({ url, version, md5 }) {
+        this.stats.otaJobs += 1;
+        this.log(`OTA ${this.firmwareVersion} → ${version} from ${url}`);
+        let error = null;
+        try {
+            const response = await axios.get(url, { headers: this.authHeaders(), responseType: 'arraybuffer', timeout: 30000 });
+            const digest = crypto.createHash('md5').update(Buffer.from(response.data)).digest('hex');
+            if (md5 && digest !== md5) error = `MD5 mismatch (${digest})`;
+            else if (Math.random() < this.config.otaFailRate) error = 'Flash write failed';
+        } catch (err) {
+            error = `Download failed: ${err.response?.status || err.message}`;
+        }
+
+        if (!error) {
+            await this.reboot();
+            this.firmwareVersion = version;
+            this.log(`Running firmware ${version}`);
+        } else {
+            this.log(`OTA failed: ${error}`);
+        }
+        await this.post('/api/esp32/firmware/report', {
+            version: error ? this.firmwareVersion : version,
+            status: error ? 'failed' : 'installed',
+            error: error || undefined
+        });
+        if (!error) await this.sendHeartbeat();
+    }
+
+    /**
+     * A reboot loses the indicator state and closes every valve, like the real board
+     */
+    async reboot() {
+        this.rebooting = true;
+        this.disconnectMQTT();
+        await new Promise(resolve => setTimeout(resolve, this.config.rebootMs));
+        this.state = 'normal';
+        this.valves.clear();
+        this.bootedAt = new Date();
+        this.rebooting = false;
+        if (this.config.transport === 'mqtt' && !this.config.offline) await this.connectMQTT();
+    }
+
+    async post(path, body) {
+        try {
+            const response = await axios.post(`${this.config.serverUrl}${path}`, body, { headers: this.authHeaders(), timeout: 5000 });
+            return response.data;
+        } catch (err) {
+            this.log(`POST ${path} failed: ${err.response?.status || err.code || err.message}`);
+            return null;
+        }
+    }
+
+    heartbeatBody() {
+        return {
+            firmwareVersion: this.firmwareVersion,
+            board: this.config.board,
+            battery: Math.round(this.battery),
+            rssi: Math.round(-60 + this.gaussian() * 5),
+            capabilities: this.config.capabilities,
+            state: this.state
+        };
+    }
+
+    async sendHeartbeat() {
+        if (this.rebooting || this.config.offline) return;
+        if (this.config.transport === 'mqtt') {
+            if (!this.client) return;
+            this.client.publish(this.topic('heartbeat'), JSON.stringify(this.heartbeatBody()), { qos: 1 });
+        } else if (!(await this.post(`/api/devices/${encodeURIComponent(this.id)}/heartbeat`, this.heartbeatBody()))) {
+            return;
+        }
+        this.stats.heartbeatsSent += 1;
+    }
+
+    /**
+     * Take a reading and push everything buffered; readings stay buffered while the server is away
+     */
+    async sendTelemetry() {
+        if (this.rebooting) return;
+        this.buffer.push(this.read(this.config.telemetryIntervalSec * this.config.timeScale));
+        if (this.buffer.length > MAX_BUFFER) this.buffer.shift();
+
+        if (this.config.offline) return;
+
+        const batch = this.buffer.slice();
+        if (this.config.transport === 'mqtt') {
+            if (!this.client) return; // Reconnecting; keep the readings buffered
+            this.client.publish(this.topic('telemetry'), JSON.stringify(batch), { qos: 1 });
+        } else if (!(await this.post('/api/ingest', batch))) {
+            return;
+        }
+        this.buffer.splice(0, batch.length);
+        this.stats.readingsSent += batch.length;
+    }
+
+    topic(channel) {
+        return `${this.config.mqttPrefix}/${this.id}/${channel}`;
+    }
+
+    async connectMQTT() {
+        this.client = await mqtt.connectAsync(this.config.mqttUrl, {
+            clientId: this.id,
+            will: { topic: this.topic('status'), payload: 'offline', qos: 1, retain: true }
+        });
+        this.client.on('message', (topic, payload) => this.handleCommand(payload.toString()));
+        await this.client.subscribeAsync(this.topic('cmd'), { qos: 1 });
+        await this.client.publishAsync(this.topic('status'), 'online', { qos: 1, retain: true });
+    }
+
+    /**
+     * Drop the connection without a DISCONNECT so the broker publishes our last will
+     */
+    disconnectMQTT() {
+        if (!this.client) return;
+        this.client.stream?.destroy();
+        this.client.end(true);
+        this.client = null;
+    }
+
+    /**
+     * MQTT command: { state } | { valve, action } | { ota }, each with a commandId to ack
+     */
+    async handleCommand(text) {
+        let command;
+        try {
+            command = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (this.rebooting) return;
+        await this.delay();
+        // A lost command is never acked, so the server's queue has to resend it
+        if (this.fault()) {
+            this.stats.failed += 1;
+            return;
+        }
+
+        let ok;
+        if (command.ota) {
+            ok = true;
+            this.runOTA(command.ota);
+        } else if (command.valve !== undefined) {
+            ok = this.applyValve(command.valve, command.action);
+        } else {
+            ok = this.applyState(command.state, command.commandId);
+        }
+        if (command.commandId && this.client) {
+            this.client.publish(this.topic('ack'), JSON.stringify({ commandId: command.commandId, ok, error: ok ? undefined : 'Invalid command' }), { qos: 1 });
+        }
+    }
+
+    /**
+     * Change settings while running, e.g. { failureRate: 0.5, driftPerHour: 2 }
+     */
+    configure(changes = {}) {
+        const wasOffline = this.config.offline;
+        Object.keys(DEFAULTS).forEach(key => {
+            if (changes[key] !== undefined && typeof changes[key] === typeof DEFAULTS[key]) {
+                this.config[key] = changes[key];
+            }
+        });
+        if (typeof changes.moisture === 'number') this.moisture = changes.moisture;
+        if (typeof changes.battery === 'number') this.battery = changes.battery;
+        if (changes.resetDrift) this.bias = 0;
+
+        if (this.config.offline !== wasOffline) {
+            this.log(this.config.offline ? 'Going offline' : 'Back online');
+            if (this.config.transport !== 'mqtt') return;
+            if (this.config.offline) this.disconnectMQTT();
+            else this.connectMQTT().catch(err => this.log(`MQTT reconnect failed: ${err.message}`));
+        }
+    }
+
+    snapshot() {
+        return {
+            deviceId: this.id,
+            transport: this.config.transport,
+            state: this.state,
+            valves: Object.fromEntries(this.valves),
+            firmwareVersion: this.firmwareVersion,
+            moisture: Number(this.moisture.toFixed(1)),
+            sensorBias: Number(this.bias.toFixed(2)),
+            battery: Math.round(this.battery),
+            offline: this.config.offline,
+            rebooting: this.rebooting,
+            buffered: this.buffer.length,
+            latest: this.latest,
+            stats: this.stats,
+            config: this.config
+        };
+    }
+
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.config.port, resolve).once('error', reject);
+        });
+        if (this.config.transport === 'mqtt') await this.connectMQTT();
+
+        const every = (sec, fn) => this.timers.push(setInterval(() => fn().catch(err => this.log(err.message)), sec * 1000));
+        every(this.config.telemetryIntervalSec, () => this.sendTelemetry());
+        every(this.config.heartbeatIntervalSec, () => this.sendHeartbeat());
+        await this.sendHeartbeat();
+
+        this.log(`Listening on port ${this.config.port} (${this.config.transport}), reporting to ${this.config.serverUrl}`);
+        return this;
+    }
+
+    async stop() {
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+        if (this.client) {
+            await this.client.publishAsync(this.topic('status'), 'offline', { qos: 1, retain: true }).catch(() => {});
+            await this.client.endAsync();
+            this.client = null;
+        }
+        if (this.server) {
+            this.server.closeAllConnections?.();
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+VirtualESP32.DEFAULTS = DEFAULTS;
+
+module.exports = VirtualESP32;
@@ -0,0 +1,233 @@
+const moment = require('moment');
+const Crop = require('../models/Crop');
+const SensorData = require('../models/SensorData');
+const IrrigationSession = require('../models/IrrigationSession');
+const IntelligenceService = require('./intelligence');
+
+/**
+ * Soil Water Balance Service
+ * Daily root-zone depletion per field (FAO-56 chapter 8):
+ *   Dr,i = Dr,i-1 - P,i - I,i + ETc,adj,i + DP,i
+ * Irrigation is due once depletion exceeds the crop's management allowed depletion (MAD = p x TAW).
+ */
+const WaterBalanceService = {
+
+    DEFAULT_DAYS: 14, // Window for the balance, shared by recommendations and the water-balance endpoint
+
+    /**
+     * Volumetric field capacity / wilting point (m³/m³), mid-range of FAO-56 Table 19, and
+     * saturation (total porosity, Rawls et al. 1982). Local names (black, red, alluvial) are mapped to their closest texture class.
+     */
+    soilProperties: {
+        'sand': { fc: 0.12, wp: 0.045, sat: 0.437 },
+        'sandy': { fc: 0.12, wp: 0.045, sat: 0.437 },
+        'loamy sand': { fc: 0.15, wp: 0.065, sat: 0.437 },
+        'sandy loam': { fc: 0.23, wp: 0.11, sat: 0.453 },
+        'red': { fc: 0.23, wp: 0.11, sat: 0.453 },
+        'loam': { fc: 0.25, wp: 0.12, sat: 0.463 },
+        'loamy': { fc: 0.25, wp: 0.12, sat: 0.463 },
+        'silt loam': { fc: 0.29, wp: 0.15, sat: 0.501 },
+        'alluvial': { fc: 0.29, wp: 0.15, sat: 0.501 },
+        'clay loam': { fc: 0.32, wp: 0.19, sat: 0.464 },
+        'clay': { fc: 0.36, wp: 0.22, sat: 0.475 },
+        'clayey': { fc: 0.36, wp: 0.22, sat: 0.475 },
+        'black': { fc: 0.38, wp: 0.23, sat: 0.5 }
+    },
+
+    getSoilProperties(soilType) {
+        const key = (soilType || 'loam').trim().toLowerCase();
+        return { soilType: soilType || 'Loam', ...(this.soilProperties[key] || this.soilProperties['loam']) };
+    },
+
+    /**
+     * Static root-zone parameters for a field: TAW, RAW and MAD
+     */
+    getParameters(field, crop = null) {
+        const soil = this.getSoilProperties(field.soilType);
+        const config = IntelligenceService.cropConfig[field.cropType] || IntelligenceService.cropConfig['Default'];
+        const rootDepthCm = crop?.rootDepth || config.rootDepth;
+        const mad = config.mad;
+        const taw = 1000 * (soil.fc - soil.wp) * (rootDepthCm / 100); // mm
+
+        return {
+            soilType: soil.soilType,
+            fieldCapacity: soil.fc,
+            wiltingPoint: soil.wp,
+            saturation: soil.sat,
+            rootDepth: rootDepthCm,
+            mad,
+            taw: Math.round(taw * 10) / 10,
+            raw: Math.round(mad * taw * 10) / 10
+        };
+    },
+
+    /**
+     * Sensor moisture is percent of saturation (θ / θsat × 100) everywhere: probes, the seed
+     * dataset, crop moisture ranges and status thresholds. Volumetric θ is only used inside
+     * the balance.
+     */
+    thetaFromMoisture(moisture, params) {
+        return moisture / 100 * params.saturation;
+    },
+
+    moistureFromTheta(theta, params) {
+        return theta / params.saturation * 100;
+    },
+
+    /**
+     * Depletion implied by a soil moisture reading (% of saturation), clamped to [0, TAW]
+     */
+    depletionFromMoisture(moisture, params) {
+        if (moisture === undefined || moisture === null) return null;
+        const theta = this.thetaFromMoisture(moisture, params);
+        const dr = 1000 * (params.fieldCapacity - theta) * (params.rootDepth / 100);
+        return Math.max(0, Math.min(params.taw, dr));
+    },
+
+    /**
+     * Daily weather/moisture aggregates for a field
+     */
+    async getDailyReadings(field, from, to) {
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        return SensorData.aggregate([
+            { $match: { fieldId: field._id, timestamp: { $gte: from, $lte: to } } },
+            { $sort: { timestamp: 1 } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } },
+                    moisture: { $avg: '$soil.moisture' },
+                    lastMoisture: { $last: '$soil.moisture' },
+                    temperature: { $avg: '$weather.temperature' },
+                    tMin: { $min: '$weather.temperature' },
+                    tMax: { $max: '$weather.temperature' },
+                    humidity: { $avg: '$weather.humidity' },
+                    windSpeed: { $avg: '$weather.windSpeed' },
+                    solarRadiation: { $avg: '$weather.solarRadiation' },
+                    rainfall: { $sum: { $ifNull: ['$weather.rainfall', 0] } },
+                    readings: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]);
+    },
+
+    /**
+     * Irrigation depth (mm) applied per day from logged sessions
+     */
+    async getDailyIrrigation(field, from, to) {
+        const sessions = await IrrigationSession.find({
+            fieldId: field._id,
+            startedAt: { $gte: from, $lte: to },
+            liters: { $gt: 0 }
+        });
+
+        return sessions.reduce((byDay, session) => {
+            const day = moment(session.startedAt).format('YYYY-MM-DD');
+            byDay[day] = (byDay[day] || 0) + session.liters / (field.area || 1); // L/m² == mm
+            return byDay;
+        }, {});
+    },
+
+    /**
+     * Run the daily balance for a field
+     * @param {Object} field - Field document
+     * @param {Object} options - days (default DEFAULT_DAYS), to (end date)
+     * @returns {Promise<Object>} parameters, daily series and current state
+     */
+    async compute(field, options = {}) {
+        const days = Math.max(1, Math.min(90, options.days || this.DEFAULT_DAYS));
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = moment(to).subtract(days - 1, 'days').startOf('day').toDate();
+
+        const crop = await Crop.findOne({ name: field.cropType });
+        const params = this.getParameters(field, crop);
+        const [daily, irrigation] = await Promise.all([
+            this.getDailyReadings(field, from, to),
+            this.getDailyIrrigation(field, from, to)
+        ]);
+        const byDay = Object.fromEntries(daily.map(d => [d._id, d]));
+        const latitude = field.getCoordinates?.()?.lat;
+
+        // Start on the first day with a moisture reading, else assume the profile at field capacity.
+        // Each later day with readings ends at the depletion its last reading implies, so the
+        // current state follows the latest observation and only the days since are modelled.
+        const firstObserved = daily.find(d => d.moisture !== null && d.moisture !== undefined);
+        let depletion = firstObserved ? this.depletionFromMoisture(firstObserved.moisture, params) : 0;
+        let lastWeather = null;
+        const startIndex = firstObserved ? moment(firstObserved._id, 'YYYY-MM-DD').diff(moment(from).startOf('day'), 'days') : 0;
+
+        const series = [];
+        for (let i = Math.max(0, startIndex); i < days; i++) {
+            const date = moment(from).add(i, 'days');
+            const key = date.format('YYYY-MM-DD');
+            const day = byDay[key];
+            if (day) lastWeather = day;
+
+            const et = IntelligenceService.calculateETDetails(lastWeather || {}, field.cropType, {
+                latitude,
+                date: date.toDate(),
+                plantingDate: field.plantingDate,
+                growthStage: field.growthStage || crop?.growthStage
+            });
+
+            // Water stress reduces actual ET once depletion passes RAW (eq. 84)
+            const ks = depletion > params.raw
+                ? Math.max(0, (params.taw - depletion) / ((1 - params.mad) * params.taw))
+                : 1;
+            const etcAdj = et.etc * ks;
+            const rainfall = day?.rainfall || 0;
+            const irrigated = irrigation[key] || 0;
+
+            depletion = depletion - rainfall - irrigated + etcAdj;
+            let drainage = 0;
+            if (depletion < 0) {
+                drainage = -depletion; // Anything above field capacity percolates below the root zone
+                depletion = 0;
+            }
+            depletion = Math.min(depletion, params.taw);
+            const modelled = depletion;
+            if (day?.lastMoisture !== undefined && day?.lastMoisture !== null) {
+                depletion = this.depletionFromMoisture(day.lastMoisture, params);
+            }
+
+            const round = (v) => Math.round(v * 10) / 10;
+            series.push({
+                date: key,
+                et0: round(et.et0),
+                kc: et.kc,
+                ks: Math.round(ks * 100) / 100,
+                etc: round(etcAdj),
+                rainfall: round(rainfall),
+                irrigation: round(irrigated),
+                drainage: round(drainage),
+                depletion: round(depletion),
+                modelledDepletion: round(modelled),
+                observedDepletion: day?.moisture !== undefined && day?.moisture !== null
+                    ? round(this.depletionFromMoisture(day.moisture, params))
+                    : null,
+                moisture: day?.moisture !== undefined && day?.moisture !== null ? round(day.moisture) : null,
+                readings: day?.readings || 0
+            });
+        }
+
+        const last = series[series.length - 1];
+        return {
+            fieldId: field._id,
+            fieldName: field.name,
+            cropType: field.cropType,
+            parameters: params,
+            series,
+            current: {
+                date: last.date,
+                depletion: last.depletion,
+                depletionPct: params.taw > 0 ? Math.round(last.depletion / params.taw * 100) : 0,
+                exceedsMad: last.depletion > params.raw,
+                etc: last.etc,
+                // Net depth to refill the root zone to field capacity
+                refillDepth: last.depletion
+            }
+        };
+    }
+};
+
+module.exports = WaterBalanceService;
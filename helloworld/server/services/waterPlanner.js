@@ -0,0 +1,151 @@
+const moment = require('moment');
+const Field = require('../models/Field');
+const Crop = require('../models/Crop');
+const SensorData = require('../models/SensorData');
+const WaterSource = require('../models/WaterSource');
+const IrrigationSession = require('../models/IrrigationSession');
+const IntelligenceService = require('./intelligence');
+
+/**
+ * Water Planner
+ * Splits what a water source can still deliver today across the fields it serves,
+ * highest getPriority() first, so dry weeks have a clear "who gets water first".
+ */
+const WaterPlanner = {
+
+    priorityRank: { 'Critical': 0, 'High': 1, 'Medium': 2, 'Low': 3 },
+
+    // A partial allocation below this share of the requirement is not worth running the pump for
+    MIN_PARTIAL_SHARE: 0.25,
+
+    /**
+     * Liters already drawn from a source today by sessions on its fields. Running sessions
+     * only record liters when they stop, so their draw so far is elapsed time × pump rate.
+     */
+    async getUsedToday(fieldIds, flowRate, now = new Date()) {
+        const startOfDay = moment(now).startOf('day').toDate();
+        const sessions = await IrrigationSession.find({
+            fieldId: { $in: fieldIds },
+            $or: [{ startedAt: { $gte: startOfDay } }, { status: 'Running' }]
+        });
+        return sessions.reduce((sum, s) => {
+            if (s.status !== 'Running') return sum + (s.liters || 0);
+            const minutes = Math.max(0, (now - Math.max(s.startedAt, startOfDay)) / 60000);
+            return sum + minutes * (flowRate || 0);
+        }, 0);
+    },
+
+    /**
+     * Liters the source can still supply today: the tightest of quota, stored volume and pump time
+     */
+    getAvailable(source, usedToday) {
+        const limits = {
+            pump: source.pumpFlowRate * 60 * (source.maxPumpHoursPerDay ?? 12) - usedToday
+        };
+        if (source.dailyQuota !== undefined && source.dailyQuota !== null) {
+            limits.quota = source.dailyQuota - usedToday;
+        }
+        if (source.type === 'Tank' || source.type === 'Reservoir') {
+            if (source.currentLevel !== undefined && source.currentLevel !== null) limits.storage = source.currentLevel;
+        } else if (source.capacity !== undefined && source.capacity !== null) {
+            limits.yield = source.capacity - usedToday; // Borewell/canal daily yield
+        }
+
+        const [limitedBy, liters] = Object.entries(limits).sort((a, b) => a[1] - b[1])[0];
+        return { liters: Math.max(0, liters), limitedBy };
+    },
+
+    /**
+     * Build today's allocation plan for one water source
+     * @param {Object} source - WaterSource document
+     * @param {Object} options - { noDeferralFor: fieldId whose rain deferral has already failed }
+     * @returns {Promise<Object>} Plan with per-field allocations in priority order
+     */
+    async planForSource(source, now = new Date(), { noDeferralFor = null } = {}) {
+        const fields = await Field.find({ waterSourceId: source._id, active: true });
+        const usedToday = await this.getUsedToday(fields.map(f => f._id), source.pumpFlowRate, now);
+        const available = this.getAvailable(source, usedToday);
+
+        const demands = await Promise.all(fields.map(async (field) => {
+            const latest = await SensorData.findOne({ fieldId: field._id }).sort({ timestamp: -1 });
+            const crop = await Crop.findOne({ name: field.cropType }) || await Crop.findOne();
+            const allowDeferral = !(noDeferralFor && field._id.equals(noDeferralFor));
+            const recommendation = await IntelligenceService.generateRecommendation(latest, crop, [], field, { allowDeferral });
+            const requiredLiters = recommendation.action === 'Irrigate'
+                ? Math.round((recommendation.amount || 0) * (field.area || 0))
+                : 0;
+
+            return {
+                fieldId: field._id,
+                fieldName: field.name,
+                cropType: field.cropType,
+                moisture: latest?.soil?.moisture,
+                action: recommendation.action,
+                priority: recommendation.priority || 'Low',
+                requiredLiters,
+                reason: recommendation.reason
+            };
+        }));
+
+        // Highest priority first; driest field breaks ties
+        demands.sort((a, b) =>
+            (this.priorityRank[a.priority] ?? 9) - (this.priorityRank[b.priority] ?? 9) ||
+            (a.moisture ?? 100) - (b.moisture ?? 100)
+        );
+
+        let remaining = available.liters;
+        const allocations = demands.map((demand) => {
+            let allocatedLiters = 0;
+            let status = 'Not Needed';
+
+            if (demand.requiredLiters > 0) {
+                if (remaining >= demand.requiredLiters) {
+                    allocatedLiters = demand.requiredLiters;
+                    status = 'Full';
+                } else if (remaining >= demand.requiredLiters * this.MIN_PARTIAL_SHARE) {
+                    allocatedLiters = Math.floor(remaining);
+                    status = 'Partial';
+                } else {
+                    status = 'Deferred';
+                }
+                remaining -= allocatedLiters;
+            }
+
+            return {
+                ...demand,
+                allocatedLiters,
+                durationMinutes: allocatedLiters > 0 ? Math.ceil(allocatedLiters / source.pumpFlowRate) : 0,
+                status
+            };
+        });
+
+        const requiredTotal = allocations.reduce((sum, a) => sum + a.requiredLiters, 0);
+        return {
+            sourceId: source._id,
+            sourceName: source.name,
+            date: moment(now).format('YYYY-MM-DD'),
+            usedToday: Math.round(usedToday),
+            availableLiters: Math.round(available.liters),
+            limitedBy: available.limitedBy,
+            requiredLiters: requiredTotal,
+            shortfallLiters: Math.max(0, Math.round(requiredTotal - available.liters)),
+            allocations
+        };
+    },
+
+    /**
+     * Allocation for a single field, or null when the field has no water source
+     * @param {Object} options - { allowDeferral: false plans the field without waiting for rain }
+     */
+    async getAllocation(field, now = new Date(), { allowDeferral = true } = {}) {
+        if (!field.waterSourceId) return null;
+        const source = await WaterSource.findById(field.waterSourceId);
+        if (!source || !source.active) return null;
+
+        const plan = await this.planForSource(source, now, { noDeferralFor: allowDeferral ? null : field._id });
+        const allocation = plan.allocations.find(a => a.fieldId.equals(field._id));
+        return allocation ? { ...allocation, source: { id: source._id, name: source.name, pumpFlowRate: source.pumpFlowRate } } : null;
+    }
+};
+
+module.exports = WaterPlanner;
@@ -0,0 +1,15 @@
+const OpenWeatherMapProvider = require('./openWeatherMap');
+const OpenMeteoProvider = require('./openMeteo');
+const LocalFileProvider = require('./localFile');
+
+/**
+ * Weather providers by WEATHER_PROVIDER name.
+ * Each exposes getCurrent(lat, lon) and getForecast(lat, lon, days) returning steps of
+ * `stepHours` (1, or 3 for OpenWeatherMap); precipitation is mm over the step:
+ * { time, temperature, humidity, chanceOfRain, precipitation, windSpeed, solarRadiation }
+ */
+module.exports = {
+    [OpenWeatherMapProvider.name]: OpenWeatherMapProvider,
+    [OpenMeteoProvider.name]: OpenMeteoProvider,
+    [LocalFileProvider.name]: LocalFileProvider
+};
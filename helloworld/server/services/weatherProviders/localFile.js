@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local provider for offline testing.
+ * Reads hourly rows from WEATHER_LOCAL_FILE (JSON array or CSV with a header line) and replays
+ * them from the current hour, one row per hour, looping when the file runs out.
+ * Columns: temperature, humidity, chanceOfRain, precipitation (mm), windSpeed (km/h), solarRadiation (W/m²).
+ * Without a file it generates a fixed dry diurnal cycle.
+ */
+const LocalFileProvider = {
+    name: 'local',
+    maxForecastDays: 16,
+    stepHours: 1,
+
+    isConfigured() {
+        return true;
+    },
+
+    parseCsv(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        const headers = lines.shift().split(',').map(h => h.trim());
+        return lines.map(line => {
+            const values = line.split(',');
+            return headers.reduce((row, header, i) => {
+                const value = (values[i] || '').trim();
+                row[header] = value === '' || isNaN(Number(value)) ? value : Number(value);
+                return row;
+            }, {});
+        });
+    },
+
+    loadRows() {
+        const file = process.env.WEATHER_LOCAL_FILE;
+        if (!file) return null;
+
+        const fullPath = path.resolve(__dirname, '../..', file);
+        const text = fs.readFileSync(fullPath, 'utf8');
+        const rows = path.extname(fullPath).toLowerCase() === '.csv' ? this.parseCsv(text) : JSON.parse(text);
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw new Error(`No weather rows in ${file}`);
+        }
+        return rows;
+    },
+
+    // Clear-sky day: 22-34 °C, humidity inverse to temperature, sun 06:00-18:00
+    syntheticRow(time) {
+        const hour = time.getHours();
+        const daylight = Math.max(0, Math.sin(Math.PI * (hour - 6) / 12));
+        const warmth = (1 + Math.sin(Math.PI * (hour - 9) / 12)) / 2;
+        return {
+            temperature: Math.round((22 + 12 * warmth) * 10) / 10,
+            humidity: Math.round(80 - 40 * warmth),
+            chanceOfRain: 10,
+            precipitation: 0,
+            windSpeed: Math.round((8 + 6 * warmth) * 10) / 10,
+            solarRadiation: Math.round(850 * daylight)
+        };
+    },
+
+    hourly(hours) {
+        const rows = this.loadRows();
+        const start = new Date();
+        start.setMinutes(0, 0, 0);
+
+        return Array.from({ length: hours }, (_, i) => {
+            const time = new Date(start.getTime() + i * 60 * 60 * 1000);
+            const row = rows ? rows[i % rows.length] : this.syntheticRow(time);
+            return {
+                time,
+                temperature: Number(row.temperature ?? 28),
+                humidity: Number(row.humidity ?? 65),
+                chanceOfRain: Number(row.chanceOfRain ?? 0),
+                precipitation: Number(row.precipitation ?? 0),
+                windSpeed: Number(row.windSpeed ?? 10),
+                solarRadiation: Number(row.solarRadiation ?? 0)
+            };
+        });
+    },
+
+    async getCurrent() {
+        const [now] = this.hourly(1);
+        return {
+            temperature: now.temperature,
+            humidity: now.humidity,
+            windSpeed: now.windSpeed,
+            solarRadiation: now.solarRadiation,
+            rainfall: now.precipitation
+        };
+    },
+
+    async getForecast(lat, lon, days) {
+        return this.hourly(days * 24);
+    }
+};
+
+module.exports = LocalFileProvider;
@@ -0,0 +1,63 @@
+const axios = require('axios');
+
+const BASE_URL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
+const HOURLY = 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,wind_speed_10m,shortwave_radiation';
+
+/**
+ * Open-Meteo provider (no API key, hourly forecast up to 16 days)
+ */
+const OpenMeteoProvider = {
+    name: 'open-meteo',
+    maxForecastDays: 16,
+    stepHours: 1,
+
+    isConfigured() {
+        return true;
+    },
+
+    async getCurrent(lat, lon) {
+        const response = await axios.get(BASE_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                current: 'temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,shortwave_radiation',
+                wind_speed_unit: 'kmh'
+            },
+            timeout: 10000
+        });
+        const current = response.data.current;
+        return {
+            temperature: current.temperature_2m,
+            humidity: current.relative_humidity_2m,
+            windSpeed: current.wind_speed_10m,
+            solarRadiation: current.shortwave_radiation,
+            rainfall: current.precipitation || 0
+        };
+    },
+
+    async getForecast(lat, lon, days) {
+        const response = await axios.get(BASE_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                hourly: HOURLY,
+                forecast_days: days,
+                wind_speed_unit: 'kmh',
+                timeformat: 'unixtime'
+            },
+            timeout: 10000
+        });
+        const hourly = response.data.hourly;
+        return hourly.time.map((t, i) => ({
+            time: new Date(t * 1000),
+            temperature: hourly.temperature_2m[i],
+            humidity: hourly.relative_humidity_2m[i],
+            chanceOfRain: hourly.precipitation_probability?.[i] ?? 0,
+            precipitation: hourly.precipitation[i] || 0,
+            windSpeed: hourly.wind_speed_10m[i],
+            solarRadiation: hourly.shortwave_radiation[i]
+        }));
+    }
+};
+
+module.exports = OpenMeteoProvider;
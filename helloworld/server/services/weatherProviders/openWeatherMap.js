@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+
+/**
+ * OpenWeatherMap provider (free tier: current conditions + 5 day / 3 hour forecast)
+ */
+const OpenWeatherMapProvider = {
+    name: 'openweathermap',
+    maxForecastDays: 5,
+    stepHours: 3,
+
+    isConfigured() {
+        return Boolean(process.env.OPENWEATHER_API_KEY);
+    },
+
+    async getCurrent(lat, lon) {
+        const response = await axios.get(`${BASE_URL}/weather`, {
+            params: { lat, lon, appid: process.env.OPENWEATHER_API_KEY, units: 'metric' },
+            timeout: 10000
+        });
+        const current = response.data;
+        return {
+            temperature: current.main.temp,
+            humidity: current.main.humidity,
+            windSpeed: (current.wind?.speed || 0) * 3.6, // m/s -> km/h
+            solarRadiation: current.clouds ? (100 - current.clouds.all) * 5 : 500, // Cloud cover proxy
+            rainfall: current.rain?.['1h'] || 0
+        };
+    },
+
+    async getForecast(lat, lon, days) {
+        const response = await axios.get(`${BASE_URL}/forecast`, {
+            params: { lat, lon, appid: process.env.OPENWEATHER_API_KEY, units: 'metric', cnt: days * 8 },
+            timeout: 10000
+        });
+        return response.data.list.map(step => ({
+            time: new Date(step.dt * 1000),
+            temperature: step.main.temp,
+            humidity: step.main.humidity,
+            chanceOfRain: Math.round((step.pop || 0) * 100),
+            precipitation: step.rain?.['3h'] || 0, // mm over the 3 hour step
+            windSpeed: (step.wind?.speed || 0) * 3.6,
+            solarRadiation: step.clouds ? (100 - step.clouds.all) * 5 : 500
+        }));
+    }
+};
+
+module.exports = OpenWeatherMapProvider;
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const WeatherCache = require('../models/WeatherCache');
+const providers = require('./weatherProviders');
+
+/**
+ * Weather Service
+ * Picks a provider (WEATHER_PROVIDER: openweathermap | open-meteo | local), resolves per-field
+ * coordinates and caches responses in Mongo so status polls don't hit the weather API every time.
+ */
+class WeatherService {
+    constructor() {
+        this.DEFAULT_LOCATION = { lat: 20.5937, lon: 78.9629 }; // Center of India
+        this.CURRENT_TTL_MS = (parseInt(process.env.WEATHER_CURRENT_TTL_MIN) || 10) * 60 * 1000;
+        this.FORECAST_TTL_MS = (parseInt(process.env.WEATHER_FORECAST_TTL_MIN) || 60) * 60 * 1000;
+        this.DEFAULT_FORECAST_DAYS = 4; // Calendar days from today, so at least 72h ahead
+        this.RAIN_WINDOWS_H = [24, 48, 72];
+        this.pending = new Map(); // Concurrent requests for the same key share one provider call
+        this.warned = new Set(); // Provider misconfiguration is logged once, not on every poll
+    }
+
+    warnOnce(message) {
+        if (this.warned.has(message)) return;
+        this.warned.add(message);
+        console.warn(message);
+    }
+
+    getProvider() {
+        const name = (process.env.WEATHER_PROVIDER ||
+            (process.env.OPENWEATHER_API_KEY ? 'openweathermap' : 'local')).toLowerCase();
+        const provider = providers[name];
+        if (!provider) {
+            this.warnOnce(`⚠️ Unknown WEATHER_PROVIDER "${name}", using local weather`);
+            return providers.local;
+        }
+        if (!provider.isConfigured()) {
+            this.warnOnce(`⚠️ Weather provider "${name}" is not configured, using local weather`);
+            return providers.local;
+        }
+        return provider;
+    }
+
+    /**
+     * Local weather when the configured provider fails. A broken WEATHER_LOCAL_FILE leaves no
+     * forecast and clear-sky current conditions instead of failing the request.
+     */
+    async fallback(kind, location, days) {
+        try {
+            return kind === 'forecast'
+                ? await providers.local.getForecast(location.lat, location.lon, days)
+                : await providers.local.getCurrent(location.lat, location.lon);
+        } catch (err) {
+            this.warnOnce(`⚠️ Local weather unavailable, continuing without a forecast: ${err.message}`);
+            if (kind === 'forecast') return [];
+            const { precipitation, chanceOfRain, ...row } = providers.local.syntheticRow(new Date());
+            return { ...row, rainfall: precipitation };
+        }
+    }
+
+    /**
+     * Coordinates for a Field document, a { lat, lon } object, or the default location
+     */
+    resolveLocation(target) {
+        const coords = target?.getCoordinates ? target.getCoordinates() : target;
+        const lat = Number(coords?.lat);
+        const lon = Number(coords?.lon);
+        if (coords && Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
+        return { ...this.DEFAULT_LOCATION };
+    }
+
+    /**
+     * Serve from the Mongo cache while fresh, otherwise call the provider.
+     * A failed call falls back to the stale entry when one is still stored.
+     */
+    async cached({ provider, kind, location, suffix = '', ttlMs }, fetcher) {
+        // ~1 km grid so fields on the same farm share entries
+        const lat = Math.round(location.lat * 100) / 100;
+        const lon = Math.round(location.lon * 100) / 100;
+        const key = `${provider.name}:${kind}:${lat},${lon}${suffix}`;
+        const dbReady = mongoose.connection.readyState === 1;
+
+        const entry = dbReady ? await WeatherCache.findOne({ key }).lean() : null;
+        if (entry && entry.expiresAt > new Date()) {
+            return { data: entry.data, fetchedAt: entry.fetchedAt, cached: true };
+        }
+
+        if (!this.pending.has(key)) {
+            const request = (async () => {
+                const data = await fetcher(lat, lon);
+                const fetchedAt = new Date();
+                if (dbReady) {
+                    await WeatherCache.updateOne(
+                        { key },
+                        { $set: { provider: provider.name, kind, lat, lon, data, fetchedAt, expiresAt: new Date(fetchedAt.getTime() + ttlMs) } },
+                        { upsert: true }
+                    );
+                }
+                return { data, fetchedAt, cached: false };
+            })().finally(() => this.pending.delete(key));
+            this.pending.set(key, request);
+        }
+
+        try {
+            return await this.pending.get(key);
+        } catch (err) {
+            if (entry) {
+                console.warn(`⚠️ Weather provider ${provider.name} failed, serving cached data: ${err.message}`);
+                return { data: entry.data, fetchedAt: entry.fetchedAt, cached: true, stale: true };
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Forecast for a field or coordinates, in steps of `stepHours` (OpenWeatherMap: 3 hours)
+     * @param {Object} target - Field document or { lat, lon }
+     * @param {Object} options - days (1 to the provider's limit)
+     */
+    async getForecast(target, options = {}) {
+        const location = this.resolveLocation(target);
+        let provider = this.getProvider();
+        const days = Math.max(1, Math.min(provider.maxForecastDays, parseInt(options.days) || this.DEFAULT_FORECAST_DAYS));
+
+        let result;
+        try {
+            result = await this.cached(
+                { provider, kind: 'forecast', location, suffix: `:${days}d`, ttlMs: this.FORECAST_TTL_MS },
+                (lat, lon) => provider.getForecast(lat, lon, days)
+            );
+        } catch (err) {
+            console.error(`Weather API error (${provider.name}):`, err.message);
+            provider = providers.local;
+            result = { data: await this.fallback('forecast', location, days), fetchedAt: new Date(), fallback: true };
+        }
+
+        return {
+            provider: provider.name,
+            location,
+            days,
+            fetchedAt: result.fetchedAt,
+            cached: Boolean(result.cached),
+            stale: Boolean(result.stale),
+            fallback: Boolean(result.fallback),
+            stepHours: provider.stepHours,
+            steps: result.data.map(step => ({ ...step, time: new Date(step.time) }))
+        };
+    }
+
+    /**
+     * Rain outlook of a forecast: next rain within 12 hours, plus accumulated mm over 24/48/72h.
+     * expectedRainMm weights each step by its probability so a 20% shower does not count in full.
+     */
+    summarizeForecast(steps, now = new Date(), stepHours = 1) {
+        const rainMm = {};
+        const expectedRainMm = {};
+        this.RAIN_WINDOWS_H.forEach(hours => {
+            const until = now.getTime() + hours * 60 * 60 * 1000;
+            const inWindow = steps.filter(step => step.time.getTime() > now.getTime() && step.time.getTime() <= until);
+            rainMm[hours] = Math.round(inWindow.reduce((sum, step) => sum + (step.precipitation || 0), 0) * 10) / 10;
+            expectedRainMm[hours] = Math.round(inWindow.reduce(
+                (sum, step) => sum + (step.precipitation || 0) * Math.min(100, step.chanceOfRain ?? 100) / 100, 0
+            ) * 10) / 10;
+        });
+
+        const horizon = now.getTime() + 12 * 60 * 60 * 1000;
+        const upcoming = steps.filter(step => step.time.getTime() >= now.getTime() - stepHours * 60 * 60 * 1000 && step.time.getTime() <= horizon);
+        const rainStep = upcoming.find(step => step.chanceOfRain >= 50 || step.precipitation >= 0.5);
+        const chanceOfRain = upcoming.reduce((max, step) => Math.max(max, step.chanceOfRain || 0), 0);
+
+        return {
+            chanceOfRain: Math.round(chanceOfRain),
+            forecast: {
+                nextRainHours: rainStep ? Math.max(0, Math.floor((rainStep.time - now) / (60 * 60 * 1000))) : null,
+                nextRainChance: rainStep ? Math.round(rainStep.chanceOfRain) : 0,
+                rainMm,
+                expectedRainMm
+            }
+        };
+    }
+
+    /**
+     * Current conditions plus the short-range rain outlook, in the shape SensorData.weather uses
+     * @param {Object} target - Field document or { lat, lon }
+     */
+    async getWeather(target) {
+        const location = this.resolveLocation(target);
+        let provider = this.getProvider();
+
+        let current;
+        try {
+            current = await this.cached(
+                { provider, kind: 'current', location, ttlMs: this.CURRENT_TTL_MS },
+                (lat, lon) => provider.getCurrent(lat, lon)
+            );
+        } catch (err) {
+            console.error(`Weather API error (${provider.name}):`, err.message);
+            provider = providers.local;
+            current = { data: await this.fallback('current', location), fetchedAt: new Date() };
+        }
+
+        const forecast = await this.getForecast(location);
+        const outlook = this.summarizeForecast(forecast.steps, new Date(), forecast.stepHours);
+        outlook.forecast.provider = forecast.provider;
+        return {
+            ...current.data,
+            ...outlook,
+            provider: provider.name,
+            fetchedAt: current.fetchedAt
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new WeatherService();
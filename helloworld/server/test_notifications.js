@@ -0,0 +1,95 @@
+// Exercises the notification dispatcher's retry rules against mocked providers (no Atlas, Twilio or Telegram needed)
+process.env.NOTIFY_WEBHOOK_URLS = 'https://hooks.example.com/farm';
+process.env.SMS_GATEWAY_URL = 'https://sms.example.com/send';
+process.env.TWILIO_ACCOUNT_SID = 'AC-whatsapp-only'; // Twilio set up for WhatsApp, not SMS
+process.env.TWILIO_WHATSAPP_FROM = '+15550001111';
+process.env.WHATSAPP_TOKEN = 'wa-token';
+process.env.WHATSAPP_PHONE_NUMBER_ID = '12345';
+process.env.WHATSAPP_TEMPLATE = 'field_alert';
+
+const axios = require('axios');
+const Contact = require('./models/Contact');
+const TelegramService = require('./services/telegramService');
+const NotificationDispatcher = require('./services/notificationDispatcher');
+
+// Mocked providers: each URL answers from a queue of outcomes, the last one repeating
+const calls = [];
+const outcomes = new Map();
+const httpError = (status, description) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { description } }
+});
+axios.post = async (url, body) => {
+    calls.push({ url, body });
+    const queue = outcomes.get(url) || [];
+    const outcome = queue.length > 1 ? queue.shift() : queue[0];
+    if (outcome instanceof Error) throw outcome;
+    return { data: { ok: true, id: 'msg-1', messages: [{ id: 'wamid-1' }], result: { message_id: 7 } }, headers: {} };
+};
+const callsTo = (prefix) => calls.filter(c => c.url.startsWith(prefix));
+
+TelegramService.BOT_TOKEN = 'test-token';
+TelegramService.API_URL = 'https://api.telegram.org/bottest-token';
+TelegramService.enabled = true;
+TelegramService.MIN_DELAY_MS = 0;
+NotificationDispatcher.RETRY_BASE_MS = 1;
+
+const message = { subject: 'Test', text: 'Leak on North Plot – moisture 61.0%', event: 'test', payload: { event: 'test' } };
+
+async function testNotifications() {
+    console.log('🧪 Testing notification dispatcher...\n');
+    const checks = [];
+    const check = (name, ok) => {
+        checks.push(ok);
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+    };
+
+    try {
+        outcomes.set(process.env.SMS_GATEWAY_URL, [httpError(503, 'busy'), {}]);
+        let result = await NotificationDispatcher.deliver({ channel: 'sms', address: '+919800000000', name: 'Ravi' }, message);
+        check('A 503 from the SMS gateway is retried and then sent', result.success && callsTo(process.env.SMS_GATEWAY_URL).length === 2);
+        check('SMS skips Twilio when only WhatsApp is set up on it', callsTo('https://api.twilio.com').length === 0);
+
+        const sendMessage = `${TelegramService.API_URL}/sendMessage`;
+        outcomes.set(sendMessage, [httpError(400, 'Bad Request: chat not found')]);
+        result = await NotificationDispatcher.deliver({ channel: 'telegram', address: '999', name: 'stranger' }, message);
+        check('Telegram "chat not found" fails without retrying',
+            !result.success && result.error.includes('chat not found') && callsTo(sendMessage).length === 1);
+
+        outcomes.set(sendMessage, [httpError(429, 'Too Many Requests')]);
+        calls.length = 0;
+        result = await NotificationDispatcher.deliver({ channel: 'telegram', address: '1001', name: 'Ravi' }, message);
+        check(`Rate limits are retried up to ${NotificationDispatcher.MAX_ATTEMPTS} attempts`,
+            !result.success && callsTo(sendMessage).length === NotificationDispatcher.MAX_ATTEMPTS);
+
+        calls.length = 0;
+        result = await NotificationDispatcher.deliver({ channel: 'whatsapp', address: '+919800000000', name: 'Ravi' }, message);
+        const whatsapp = callsTo('https://graph.facebook.com')[0]?.body;
+        check('WhatsApp alerts go out as a template message',
+            result.success && whatsapp?.type === 'template' && whatsapp.template.name === 'field_alert' &&
+            whatsapp.template.components[0].parameters[0].text === message.text);
+
+        calls.length = 0;
+        result = await NotificationDispatcher.deliver({ channel: 'webhook', address: 'http://169.254.169.254/latest', name: 'test' }, message);
+        check('Webhooks outside NOTIFY_WEBHOOK_URLS are refused without a request', !result.success && calls.length === 0);
+
+        result = await NotificationDispatcher.deliver({ channel: 'webhook', address: process.env.NOTIFY_WEBHOOK_URLS, name: 'webhook' }, message);
+        check('Listed webhooks are called', result.success && calls.length === 1);
+
+        calls.length = 0;
+        result = await NotificationDispatcher.deliver({ channel: 'email', address: 'ravi@example.com', name: 'Ravi' }, message);
+        check('Unconfigured channels fail without an attempt', !result.success && result.error.includes('not configured') && calls.length === 0);
+
+        const contact = new Contact({ name: 'Ravi', role: 'Owner', telegramChatId: '1001', phone: '+919800000000', channels: [] });
+        const recipients = NotificationDispatcher.contactRecipients(contact);
+        check('Contacts without channels fall back to Telegram', recipients.length === 1 && recipients[0].channel === 'telegram');
+
+        const passed = checks.every(Boolean);
+        console.log(passed ? '\n✅ SUCCESS! Notification retries are working!' : '\n❌ FAILED! See output above');
+        process.exitCode = passed ? 0 : 1;
+    } catch (error) {
+        console.error('❌ ERROR!', error.message);
+        process.exitCode = 1;
+    }
+}
+
+testNotifications();
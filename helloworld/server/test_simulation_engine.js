@@ -0,0 +1,91 @@
+// Exercises the replay clock (position, pause, seek, speed, idle expiry) with a fake clock (no Atlas needed)
+const Field = require('./models/Field');
+const SensorData = require('./models/SensorData');
+const SimulationEngine = require('./services/simulationEngine');
+
+// Keep the script offline: readings are collected instead of saved
+const saved = [];
+SensorData.prototype.save = async function () {
+    saved.push(this);
+    return this;
+};
+
+const field = new Field({ name: 'North Plot', cropType: 'Wheat', area: 1000 });
+const T0 = new Date('2026-03-01T06:00:00Z');
+// Four readings an hour apart in dataset time
+const rows = [0, 1, 2, 3].map(h => ({
+    timestamp: new Date(T0.getTime() + h * 3600000).toISOString(),
+    'Soil Moisture': 30 - h,
+    Temperature: 28
+}));
+const at = (seconds) => new Date(T0.getTime() + seconds * 1000);
+
+async function testSimulationEngine() {
+    console.log('🧪 Testing simulation engine...\n');
+    const checks = [];
+    const check = (name, ok) => {
+        checks.push(ok);
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+    };
+
+    try {
+        // 60x: one real second covers a dataset minute, so an hour of data takes a minute
+        const started = await SimulationEngine.start(field, { rows }, { speed: 60 }, at(0));
+        const replay = SimulationEngine.get(field._id);
+        check('Replay starts with the rows placed an hour apart',
+            started.success && replay.rows.length === 4 && replay.duration === 3 * 3600000);
+        check('Position advances by speed × real time', SimulationEngine.position(replay, at(30)) === 30 * 60 * 1000);
+
+        await SimulationEngine.tick(at(61));
+        check('Rows the clock has passed are emitted once', saved.length === 2 && replay.cursor === 2);
+        await SimulationEngine.tick(at(61));
+        check('A repeated tick emits nothing new', saved.length === 2);
+
+        SimulationEngine.pause(replay, at(90));
+        const pausedAt = SimulationEngine.position(replay, at(90));
+        check('Pausing freezes the position', SimulationEngine.position(replay, at(600)) === pausedAt && pausedAt === 90 * 60 * 1000);
+        await SimulationEngine.tick(at(600));
+        check('A paused replay emits nothing', saved.length === 2);
+
+        SimulationEngine.resume(replay, at(600));
+        check('Resuming continues from the paused position', SimulationEngine.position(replay, at(610)) === pausedAt + 10 * 60 * 1000);
+
+        SimulationEngine.seek(replay, { percent: 50 }, at(610));
+        check('Seeking by percent moves the clock and cursor',
+            SimulationEngine.position(replay, at(610)) === 1.5 * 3600000 && replay.cursor === 2);
+        SimulationEngine.seek(replay, { time: rows[1].timestamp }, at(610));
+        check('Seeking by time lands on that row', replay.cursor === 1 && SimulationEngine.position(replay, at(610)) === 3600000);
+
+        SimulationEngine.setSpeed(replay, 3600, at(610));
+        check('Changing speed keeps the position and applies from then on',
+            SimulationEngine.position(replay, at(610)) === 3600000 && SimulationEngine.position(replay, at(611)) === 2 * 3600000);
+
+        await SimulationEngine.tick(at(620));
+        check('The replay finishes after its last row', replay.state === 'finished' && replay.cursor === 4);
+        check('Emitted readings are stamped on the replay clock, not with dataset times', saved.every(doc => doc.timestamp >= T0 && doc.isSimulated));
+
+        await SimulationEngine.tick(new Date(at(620).getTime() + SimulationEngine.IDLE_TTL_MS - 1000));
+        check('A finished replay stays listed until it has been idle long enough', SimulationEngine.isReplaying(field._id) === false && !!SimulationEngine.get(field._id));
+        await SimulationEngine.tick(new Date(at(620).getTime() + SimulationEngine.IDLE_TTL_MS));
+        check('Idle replays are dropped after IDLE_TTL_MS', SimulationEngine.get(field._id) === null);
+
+        await SimulationEngine.start(field, { rows }, { speed: 60 }, at(0));
+        SimulationEngine.pause(SimulationEngine.get(field._id), at(10));
+        await SimulationEngine.tick(new Date(at(10).getTime() + SimulationEngine.IDLE_TTL_MS));
+        check('A paused replay stops blocking synthesis after IDLE_TTL_MS', !SimulationEngine.isReplaying(field._id));
+
+        const single = await SimulationEngine.start(field, { rows: rows.slice(0, 1) }, { speed: 60, loop: true }, at(0));
+        check('Looping a replay that spans no time is refused', !single.success && !SimulationEngine.get(field._id));
+
+        const passed = checks.every(Boolean);
+        console.log(passed ? '\n✅ SUCCESS! Simulation engine is working!' : '\n❌ FAILED! See output above');
+        process.exitCode = passed ? 0 : 1;
+    } catch (error) {
+        console.error('❌ ERROR!', error.message);
+        process.exitCode = 1;
+    } finally {
+        SimulationEngine.list().forEach(({ fieldId }) => SimulationEngine.stop(SimulationEngine.get(fieldId)));
+    }
+}
+
+testSimulationEngine();
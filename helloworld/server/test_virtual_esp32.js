@@ -0,0 +1,124 @@
+// Drives the virtual ESP32 through the real ESP32 service end to end (no hardware or Atlas needed)
+const crypto = require('crypto');
+const express = require('express');
+const SensorData = require('./models/SensorData');
+const IngestionService = require('./services/ingestionService');
+const ESP32Service = require('./services/esp32Service');
+const VirtualESP32 = require('./services/virtualEsp32');
+
+const DEVICE_PORT = 18081;
+const SERVER_PORT = 18082;
+const DEVICE_ID = 'esp32-virtual';
+const API_KEY = 'test-key';
+const FIRMWARE = crypto.randomBytes(2048);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stand-in for the server side: checks readings the way /api/ingest does, minus the database
+const received = { readings: [], rejected: [], heartbeats: [], reports: [] };
+function createServer() {
+    const app = express();
+    app.use(express.json());
+    const auth = (req, res, next) => (req.get('X-Api-Key') === API_KEY ? next() : res.status(401).json({ error: 'Invalid device ID or API key.' }));
+
+    app.post('/api/ingest', auth, (req, res) => {
+        req.body.forEach(raw => {
+            const doc = new SensorData({ ...IngestionService.normalizeReading(raw, { deviceId: DEVICE_ID }), timestamp: raw.timestamp });
+            const errors = [...Object.values(doc.validateSync()?.errors || {}).map(e => e.message), ...IngestionService.checkRanges(doc)];
+            (errors.length ? received.rejected : received.readings).push(doc);
+        });
+        res.status(201).json({ accepted: req.body.length });
+    });
+    app.post(`/api/devices/${DEVICE_ID}/heartbeat`, auth, (req, res) => {
+        received.heartbeats.push(req.body);
+        res.json({ deviceId: DEVICE_ID, health: 'online' });
+    });
+    app.get('/api/esp32/firmware/1.1.0/download', auth, (req, res) => res.type('application/octet-stream').send(FIRMWARE));
+    app.post('/api/esp32/firmware/report', auth, (req, res) => {
+        received.reports.push(req.body);
+        res.json({ deviceId: DEVICE_ID });
+    });
+    return new Promise(resolve => { const server = app.listen(SERVER_PORT, () => resolve(server)); });
+}
+
+async function testVirtualESP32() {
+    console.log('🧪 Testing virtual ESP32...\n');
+    const server = await createServer();
+    const device = new VirtualESP32({
+        deviceId: DEVICE_ID,
+        port: DEVICE_PORT,
+        serverUrl: `http://localhost:${SERVER_PORT}`,
+        apiKey: API_KEY,
+        telemetryIntervalSec: 0.2,
+        heartbeatIntervalSec: 0.5,
+        timeScale: 3600, // Each reading covers 12 simulated minutes
+        latencyMs: 10,
+        jitterMs: 10,
+        rebootMs: 300
+    });
+
+    // Point the service's default node at the simulator, as ESP32_IP/ESP32_PORT would
+    ESP32Service.esp32IP = '127.0.0.1';
+    ESP32Service.esp32Port = String(DEVICE_PORT);
+    ESP32Service.deviceId = DEVICE_ID;
+
+    const checks = [];
+    const check = (name, ok) => {
+        checks.push(ok);
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+    };
+
+    try {
+        await device.start();
+
+        const critical = await ESP32Service.setState('critical');
+        check(`setState critical → ${critical.message}`, critical.success && device.state === 'critical');
+
+        const invalid = await ESP32Service.transmit(DEVICE_ID, { state: 'purple' });
+        check(`Invalid state is a permanent error → ${invalid.message}`, !invalid.success && invalid.permanent);
+
+        await device.sendTelemetry();
+        const before = device.moisture;
+        const valve = await ESP32Service.setValve(true, { deviceId: DEVICE_ID, channel: 1 });
+        await wait(1000);
+        check(`Valve open raises moisture (${before.toFixed(1)} → ${device.moisture.toFixed(1)}%)`, valve.success && device.moisture > before);
+        await ESP32Service.setValve(false, { deviceId: DEVICE_ID, channel: 1 });
+
+        device.configure({ failureRate: 1 });
+        const failed = await ESP32Service.setState('normal');
+        check(`Injected failure surfaces → ${failed.message}`, !failed.success && device.state === 'critical');
+        device.configure({ failureRate: 0 });
+
+        device.configure({ offline: true });
+        const unreachable = await ESP32Service.transmit(DEVICE_ID, { state: 'normal' });
+        check(`Offline node is unreachable → ${unreachable.message}`, !unreachable.success);
+        device.configure({ offline: false });
+
+        const md5 = crypto.createHash('md5').update(FIRMWARE).digest('hex');
+        const ota = await ESP32Service.transmit(DEVICE_ID, {
+            ota: { version: '1.1.0', url: `http://localhost:${SERVER_PORT}/api/esp32/firmware/1.1.0/download`, md5 },
+            commandId: 'ota-1'
+        });
+        await wait(800);
+        check(`OTA installs and reports back → ${JSON.stringify(received.reports)}`,
+            ota.success && device.firmwareVersion === '1.1.0' && received.reports[0]?.status === 'installed' && device.state === 'normal');
+
+        check(`Readings accepted by ingestion checks: ${received.readings.length} (rejected ${received.rejected.length})`,
+            received.readings.length > 3 && received.rejected.length === 0);
+        check(`Heartbeats received: ${received.heartbeats.length}, last firmware ${received.heartbeats.at(-1)?.firmwareVersion}`,
+            received.heartbeats.length > 1 && received.heartbeats.at(-1).firmwareVersion === '1.1.0');
+
+        const passed = checks.every(Boolean);
+        console.log(passed ? '\n✅ SUCCESS! Virtual ESP32 is working!' : '\n❌ FAILED! See output above');
+        process.exitCode = passed ? 0 : 1;
+    } catch (error) {
+        console.error('❌ ERROR!', error.message);
+        process.exitCode = 1;
+    } finally {
+        await device.stop();
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+testVirtualESP32();
@@ -0,0 +1,99 @@
+// Runs a virtual ESP32 node for demos and end-to-end testing without hardware.
+//
+//   node virtual_esp32.js --id esp32-1 --port 8081 --register
+//   node virtual_esp32.js --id esp32-2 --key <apiKey> --fail 0.2 --drift 1.5 --time-scale 60
+//
+// --register (re)issues the node's key and points its registry entry at this process, so
+// the server's setState/valve/OTA commands reach it (needs INGEST_ADMIN_TOKEN if configured).
+// Without a registry entry, set ESP32_IP=127.0.0.1 and ESP32_PORT=<port> on the server instead.
+require('dotenv').config();
+const axios = require('axios');
+const VirtualESP32 = require('./services/virtualEsp32');
+
+const FLAGS = {
+    '--id': ['deviceId', String],
+    '--port': ['port', Number],
+    '--server': ['serverUrl', String],
+    '--key': ['apiKey', String],
+    '--field': ['fieldId', String],
+    '--transport': ['transport', String],
+    '--mqtt': ['mqttUrl', String],
+    '--firmware': ['firmwareVersion', String],
+    '--interval': ['telemetryIntervalSec', Number],
+    '--heartbeat': ['heartbeatIntervalSec', Number],
+    '--time-scale': ['timeScale', Number],
+    '--latency': ['latencyMs', Number],
+    '--fail': ['failureRate', Number],
+    '--timeout': ['timeoutRate', Number],
+    '--ota-fail': ['otaFailRate', Number],
+    '--drift': ['driftPerHour', Number],
+    '--moisture': ['moisture', Number]
+};
+
+function parseArgs(argv) {
+    const options = { apiKey: process.env.DEVICE_API_KEY || null, mqttUrl: process.env.MQTT_URL || null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--register') options.register = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (FLAGS[arg]) {
+            const [key, cast] = FLAGS[arg];
+            options[key] = cast(argv[++i]);
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function register(options) {
+    const server = options.serverUrl || VirtualESP32.DEFAULTS.serverUrl;
+    const deviceId = options.deviceId || VirtualESP32.DEFAULTS.deviceId;
+    const headers = { 'X-Admin-Token': process.env.INGEST_ADMIN_TOKEN || '' };
+
+    let apiKey;
+    try {
+        ({ data: { apiKey } } = await axios.post(`${server}/api/ingest/devices`, { deviceId, name: `Virtual ${deviceId}`, fieldId: options.fieldId }, { headers }));
+    } catch (err) {
+        if (err.response?.status !== 409) throw err;
+        // Registered on an earlier run: take a fresh key
+        ({ data: { apiKey } } = await axios.post(`${server}/api/devices/${encodeURIComponent(deviceId)}/key`, {}, { headers }));
+    }
+    await axios.put(`${server}/api/devices/${encodeURIComponent(deviceId)}`, {
+        transport: options.transport || 'http',
+        ip: '127.0.0.1',
+        port: options.port || VirtualESP32.DEFAULTS.port,
+        board: VirtualESP32.DEFAULTS.board,
+        capabilities: VirtualESP32.DEFAULTS.capabilities,
+        heartbeatIntervalSec: options.heartbeatIntervalSec || VirtualESP32.DEFAULTS.heartbeatIntervalSec
+    }, { headers });
+    console.log(`🔑 Registered ${deviceId} (API key ${apiKey})`);
+    return apiKey;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(`Options: --register ${Object.keys(FLAGS).join(' ')}`);
+        return;
+    }
+    if (options.register) {
+        options.apiKey = await register(options);
+    }
+    if (!options.apiKey) {
+        console.warn('⚠️ No API key (--key or DEVICE_API_KEY): readings and heartbeats will be rejected');
+    }
+
+    const device = await new VirtualESP32(options).start();
+    const shutdown = async () => {
+        await device.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+    console.error('❌ Virtual ESP32 failed:', err.response?.data?.error || err.message);
+    process.exit(1);
+});